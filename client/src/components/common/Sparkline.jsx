@@ -0,0 +1,57 @@
+// Sparkline.jsx
+import React from 'react';
+import { LineChart, Line, YAxis, ResponsiveContainer } from 'recharts';
+
+// Labels of the sources history points are measured from
+const SOURCE_LABELS = {
+  exchange_rate: 'on-chain exchange rate',
+  api: 'protocol API'
+};
+
+/**
+ * Summarize a series: change from the first to the last point, its range and sources
+ * @param {Array} points - Points sorted by time
+ * @param {string} dataKey - Value to read from each point
+ * @returns {Object|null} { change, min, max, sources }, or null with fewer than two points
+ */
+export const getTrend = (points = [], dataKey = 'apr') => {
+  const values = points.map(point => point[dataKey]).filter(value => typeof value === 'number');
+  if (values.length < 2) return null;
+
+  return {
+    change: values[values.length - 1] - values[0],
+    min: Math.min(...values),
+    max: Math.max(...values),
+    sources: [...new Set(points.flatMap(point => point.sources || []))]
+  };
+};
+
+const getTitle = ({ min, max, sources }) => {
+  const range = `Range ${min.toFixed(2)}% – ${max.toFixed(2)}%`;
+  return sources.length > 0 ?
+    `${range} (from ${sources.map(source => SOURCE_LABELS[source] || source).join(' and ')})` :
+    range;
+};
+
+const Sparkline = ({ points = [], dataKey = 'apr', width = 96, height = 28 }) => {
+  const trend = getTrend(points, dataKey);
+
+  if (!trend) {
+    return <span className="text-xs text-gray-400">No history</span>;
+  }
+
+  const color = trend.change >= 0 ? '#10b981' : '#ef4444';
+
+  return (
+    <div style={{ width, height }} title={getTitle(trend)}>
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={points} margin={{ top: 2, right: 2, left: 2, bottom: 2 }}>
+          <YAxis hide domain={['dataMin', 'dataMax']} />
+          <Line type="monotone" dataKey={dataKey} stroke={color} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default Sparkline;
@@ -6,6 +6,7 @@ import OptimizerStatus from './OptimizerStatus';
 import OptimizerSettings from './OptimizerSettings';
 import PortfolioBalance from './PortfolioBalance';
 import ExecutionHistory from './ExecutionHistory';
+import { sendIdempotent } from '../../utils/idempotency';
 
 const AutoOptimizerPanel = () => {
   const { walletAddress, connected } = useWallet();
@@ -126,15 +127,22 @@ const AutoOptimizerPanel = () => {
   const executeRebalance = async (force = false) => {
     try {
       setLoading(true);
-      const response = await fetch('/api/auto-rebalance/execute', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          walletAddress,
-          force
-        })
+      const payload = { walletAddress, force };
+      const response = await sendIdempotent('/api/auto-rebalance/execute', payload, async ({ headers }) => {
+        const result = await fetch('/api/auto-rebalance/execute', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...headers
+          },
+          body: JSON.stringify(payload)
+        });
+        
+        // Report the status like axios does, so a retry after a server error keeps its key
+        if (result.status === 409 || result.status >= 500) {
+          throw Object.assign(new Error(`Request failed with status ${result.status}`), { response: result });
+        }
+        return result;
       });
       
       const data = await response.json();
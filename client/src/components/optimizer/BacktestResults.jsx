@@ -0,0 +1,108 @@
+import React from 'react';
+import { format } from 'date-fns';
+import { TrendingUpIcon, AlertTriangleIcon } from 'lucide-react';
+
+const BacktestResults = ({ results }) => {
+  if (!results) {
+    return (
+      <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+        Run a backtest to compare rebalance settings against stored market history
+      </div>
+    );
+  }
+
+  const rows = [
+    ...results.results,
+    { label: 'Buy & Hold', benchmark: true, ...results.benchmark }
+  ];
+
+  // Highlight the parameter set with the highest final value
+  const best = results.results.reduce(
+    (top, row) => (!top || row.finalValueUSD > top.finalValueUSD ? row : top),
+    null
+  );
+
+  const formatUSD = (value) => `$${value.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+  const formatPct = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+  return (
+    <div>
+      <div className="flex flex-wrap justify-between text-sm text-gray-500 dark:text-gray-400 mb-4">
+        <span>
+          {format(new Date(results.startDate), 'MMM d, yyyy')} &ndash; {format(new Date(results.endDate), 'MMM d, yyyy')}
+        </span>
+        <span>{results.dataPoints} price points &middot; {formatUSD(results.initialValueUSD)} start</span>
+      </div>
+
+      <div className="overflow-x-auto rounded-lg border dark:border-gray-700">
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          <thead className="bg-gray-50 dark:bg-gray-700">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-500 dark:text-gray-400">Settings</th>
+              <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider text-gray-500 dark:text-gray-400">Final Value</th>
+              <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider text-gray-500 dark:text-gray-400">Yield</th>
+              <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider text-gray-500 dark:text-gray-400">Rebalances</th>
+              <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider text-gray-500 dark:text-gray-400">Turnover</th>
+              <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider text-gray-500 dark:text-gray-400">Costs</th>
+              <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider text-gray-500 dark:text-gray-400">Max Drawdown</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700 bg-white dark:bg-gray-800">
+            {rows.map((row) => (
+              <tr key={row.label} className={row.benchmark ? 'text-gray-500 dark:text-gray-400' : ''}>
+                <td className="whitespace-nowrap px-4 py-3">
+                  <div className="flex items-center font-medium">
+                    {row === best && <TrendingUpIcon className="h-4 w-4 mr-1 text-green-500" />}
+                    {row.label}
+                  </div>
+                  {row.parameters && (
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      {row.parameters.minRebalanceThreshold}% drift &middot; every {row.parameters.checkInterval}h
+                    </div>
+                  )}
+                </td>
+                <td className="whitespace-nowrap px-4 py-3 text-right">
+                  <div>{formatUSD(row.finalValueUSD)}</div>
+                  <div className={`text-xs ${row.returnPct >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                    {formatPct(row.returnPct)}
+                  </div>
+                </td>
+                <td className="whitespace-nowrap px-4 py-3 text-right">
+                  <div>{row.realizedYieldAPT.toFixed(2)} APT</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">{formatPct(row.realizedYieldPct)}</div>
+                </td>
+                <td className="whitespace-nowrap px-4 py-3 text-right">
+                  {row.rebalances}
+                  <span className="text-xs text-gray-500 dark:text-gray-400 ml-1">({row.operations} ops)</span>
+                </td>
+                <td className="whitespace-nowrap px-4 py-3 text-right">
+                  <div>{formatUSD(row.turnoverUSD)}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">{(row.turnoverRatio * 100).toFixed(1)}% of start</div>
+                </td>
+                <td className="whitespace-nowrap px-4 py-3 text-right">
+                  {formatUSD(row.gasCostUSD + row.slippageCostUSD)}
+                </td>
+                <td className="whitespace-nowrap px-4 py-3 text-right">
+                  {row.maxDrawdownPct.toFixed(2)}%
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {results.warnings.length > 0 && (
+        <div className="mt-4 rounded-lg bg-yellow-50 p-3 text-sm text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300">
+          {results.warnings.map((warning) => (
+            <div key={warning} className="flex items-center">
+              <AlertTriangleIcon className="h-4 w-4 mr-2 flex-shrink-0" />
+              {warning}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BacktestResults;
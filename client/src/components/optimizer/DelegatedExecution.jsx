@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { formatDistanceToNow, format } from 'date-fns';
+import { ShieldCheckIcon, ShieldOffIcon, ClockIcon, XCircleIcon } from 'lucide-react';
+
+const STATUS_LABELS = {
+  pending: 'Awaiting your authorization',
+  active: 'Active',
+  revoked: 'Revoked',
+  expired: 'Authorization expired'
+};
+
+const AUDIT_LABELS = {
+  activate: 'Authorized',
+  sign: 'Signed',
+  deny: 'Refused',
+  revoke: 'Handed back'
+};
+
+const DelegatedExecution = ({ delegation, auditLog, busy, onCreate, onAuthorize, onRevoke }) => {
+  const [terms, setTerms] = useState({ maxPerTransaction: 10, maxPerDay: 50, fundAmount: 0 });
+
+  const updateTerm = (name) => (event) => setTerms({ ...terms, [name]: event.target.value });
+
+  // Without an open delegation, offer to start one
+  if (!delegation || delegation.status === 'expired' || (delegation.status === 'revoked' && delegation.handBack?.status !== 'failed')) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          Automated rebalances of an automation account run without asking you to sign. The platform signs for it
+          only with allow-listed protocol operations, within the caps below, and you can revoke it at any time.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {[
+            ['maxPerTransaction', 'Max per transaction (APT)'],
+            ['maxPerDay', 'Max per day (APT)'],
+            ['fundAmount', 'Fund with (APT)']
+          ].map(([name, label]) => (
+            <label key={name} className="block text-sm">
+              <span className="text-gray-600 dark:text-gray-300">{label}</span>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={terms[name]}
+                onChange={updateTerm(name)}
+                className="mt-1 w-full rounded-md border border-gray-300 px-3 py-1 dark:border-gray-600 dark:bg-gray-700"
+              />
+            </label>
+          ))}
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            onClick={() => onCreate(terms)}
+            disabled={busy}
+            className="flex items-center px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            <ShieldCheckIcon className="h-4 w-4 mr-1" />
+            {busy ? 'Authorizing...' : 'Create Automation Account'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between">
+        <span className="font-medium">{STATUS_LABELS[delegation.status] || delegation.status}</span>
+        <span className="text-sm text-gray-500 dark:text-gray-400">
+          {delegation.activatedAt
+            ? `Since ${format(new Date(delegation.activatedAt), 'MMM d, yyyy HH:mm')}`
+            : delegation.expiresAt
+              ? `Expires ${formatDistanceToNow(new Date(delegation.expiresAt), { addSuffix: true })}`
+              : `Created ${formatDistanceToNow(new Date(delegation.createdAt), { addSuffix: true })}`}
+        </span>
+      </div>
+
+      <p className="text-sm text-gray-600 dark:text-gray-300 break-all">
+        Automation account {delegation.accountAddress}
+      </p>
+      <p className="text-sm text-gray-600 dark:text-gray-300">
+        Up to {delegation.maxPerTransaction} APT per transaction and {delegation.maxPerDay} APT per day,
+        for {delegation.allowedFunctions.length} allowed protocol functions
+      </p>
+
+      {delegation.handBack?.status === 'failed' && (
+        <p className="text-sm text-red-500">Handing the account back failed: {delegation.handBack.error}</p>
+      )}
+
+      {auditLog && auditLog.length > 0 && (
+        <ul className="space-y-1 text-sm text-gray-600 dark:text-gray-300">
+          {auditLog.slice(0, 10).map((entry) => (
+            <li key={entry._id} className="flex items-center">
+              <span className="mr-2">
+                {entry.action === 'deny'
+                  ? <XCircleIcon className="h-4 w-4 text-red-500" />
+                  : <ClockIcon className="h-4 w-4 text-blue-500" />}
+              </span>
+              {AUDIT_LABELS[entry.action] || entry.action}
+              {entry.type && <span className="ml-1 capitalize">{entry.type} {entry.amount?.toFixed(4)} APT on {entry.protocol}</span>}
+              <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">
+                &middot; {formatDistanceToNow(new Date(entry.timestamp), { addSuffix: true })}
+              </span>
+              {entry.reason && <span className="ml-1 text-xs text-red-500">({entry.reason})</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex justify-end space-x-2">
+        {delegation.status === 'pending' && (
+          <button
+            onClick={() => onAuthorize(delegation)}
+            disabled={busy}
+            className="flex items-center px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            <ShieldCheckIcon className="h-4 w-4 mr-1" />
+            {busy ? 'Authorizing...' : 'Sign Authorization'}
+          </button>
+        )}
+        <button
+          onClick={() => onRevoke(delegation)}
+          disabled={busy}
+          className="flex items-center px-3 py-1 text-sm border border-gray-300 rounded-md dark:border-gray-600 dark:text-gray-300 disabled:opacity-50"
+        >
+          <ShieldOffIcon className="h-4 w-4 mr-1" />
+          {delegation.handBack?.status === 'failed' ? 'Retry Hand-Back' : 'Revoke'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DelegatedExecution;
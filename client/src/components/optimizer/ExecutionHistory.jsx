@@ -44,6 +44,9 @@ const ExecutionHistory = () => {
         return <ClockIcon className="h-5 w-5 text-yellow-500 animate-pulse" />;
       case 'partial':
         return <CheckCircleIcon className="h-5 w-5 text-yellow-500" />;
+      case 'waiting':
+      case 'awaiting_signature':
+        return <ClockIcon className="h-5 w-5 text-blue-500" />;
       default:
         return <ClockIcon className="h-5 w-5 text-gray-500" />;
     }
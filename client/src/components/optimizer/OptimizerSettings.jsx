@@ -2,6 +2,40 @@ import React, { useState } from 'react';
 import { Switch } from '@headlessui/react';
 import { AlertCircleIcon, InfoIcon } from 'lucide-react';
 
+// Position types that can carry their own tolerance band
+const BAND_POSITIONS = [
+  { key: 'staking', label: 'Staking' },
+  { key: 'liquidity', label: 'Liquidity' },
+  { key: 'lending', label: 'Lending' },
+  { key: 'native', label: 'Native APT' }
+];
+
+// Circuit breaker limits that stop automated rebalancing
+const SAFETY_LIMITS = [
+  { name: 'maxDailyNotionalUSD', label: 'Max Value Moved per 24h ($)', unit: '$', min: 100, step: 100, help: 'Rebalances that would move more than this in a rolling 24 hours are stopped' },
+  { name: 'maxConsecutiveFailures', label: 'Max Consecutive Failures', min: 1, max: 20, step: 1, help: 'Automation stops after this many failed rebalances in a row' },
+  { name: 'maxDrawdownPercent', label: 'Max Drawdown Since Last Rebalance (%)', unit: '%', min: 1, max: 100, step: 1, help: 'Automation stops when the portfolio has lost more than this since the last rebalance' }
+];
+
+// Gas price tiers, from cheapest and slowest to inclusion to most expensive and fastest
+const GAS_TIERS = [
+  { value: 'slow', label: 'Slow' },
+  { value: 'normal', label: 'Normal' },
+  { value: 'fast', label: 'Fast' }
+];
+
+// Gas limits applied when rebalance transactions are built
+const GAS_LIMITS = [
+  { name: 'gasBuffer', label: 'Gas Buffer', min: 1, max: 2, step: 0.05, help: 'Multiplier applied to the simulated gas usage of each transaction (1.0-2.0)' },
+  { name: 'maxGasShareOfGain', label: 'Max Gas Share of Yield Gain (%)', unit: '%', min: 1, max: 100, step: 1, help: 'Rebalances whose gas costs more than this share of the yield they gain in 30 days are refused; leave empty for no limit' }
+];
+
+// Limits on how long automated rebalance proposals stay open for approval
+const APPROVAL_LIMITS = [
+  { name: 'proposalTTL', label: 'Proposal Expiry (hours)', min: 1, max: 168, step: 1, help: 'Automated rebalance proposals expire if not approved within this time' },
+  { name: 'proposalMaxMarketMove', label: 'Expire on Market Move (%)', unit: '%', min: 0.5, max: 50, step: 0.5, help: 'Pending proposals expire when the APT price or portfolio value moves more than this' }
+];
+
 const OptimizerSettings = ({ settings, updateSettings, loading }) => {
   const [localSettings, setLocalSettings] = useState(settings);
   const [isEditing, setIsEditing] = useState(false);
@@ -29,6 +63,37 @@ const OptimizerSettings = ({ settings, updateSettings, loading }) => {
     setIsEditing(false);
   };
   
+  // Handle tolerance band changes; clearing both sides falls back to the default band
+  const handleBandChange = (key, side, value) => {
+    const bands = { ...(localSettings.toleranceBands || {}) };
+    const band = { ...(bands[key] || {}) };
+    
+    if (value === '') {
+      delete band[side];
+    } else {
+      band[side] = parseFloat(value);
+    }
+    
+    if (band.lower === undefined && band.upper === undefined) {
+      delete bands[key];
+    } else {
+      bands[key] = band;
+    }
+    
+    setLocalSettings({
+      ...localSettings,
+      toleranceBands: bands
+    });
+  };
+  
+  // Handle the comma-separated protocol deny-list
+  const handleDeniedProtocolsChange = (e) => {
+    setLocalSettings({
+      ...localSettings,
+      deniedProtocols: e.target.value.split(',').map(protocol => protocol.trim().toLowerCase()).filter(Boolean)
+    });
+  };
+  
   // Convert hours to milliseconds
   const hoursToMs = (hours) => hours * 60 * 60 * 1000;
   
@@ -78,7 +143,7 @@ const OptimizerSettings = ({ settings, updateSettings, loading }) => {
         <div className="space-y-4">
           <div className="flex flex-col">
             <label className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-              Minimum Rebalance Threshold (%)
+              Default Tolerance Band (±%)
             </label>
             {isEditing ? (
               <input
@@ -97,7 +162,57 @@ const OptimizerSettings = ({ settings, updateSettings, loading }) => {
               </div>
             )}
             <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-              Portfolio will rebalance when drift exceeds this percentage
+              Applies to positions without their own band below
+            </p>
+          </div>
+          
+          <div className="flex flex-col">
+            <label className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Tolerance Bands by Position (%)
+            </label>
+            <div className="space-y-2">
+              {BAND_POSITIONS.map(({ key, label }) => {
+                const band = localSettings.toleranceBands?.[key] || {};
+                
+                return (
+                  <div key={key} className="flex items-center justify-between">
+                    <span className="text-sm text-gray-700 dark:text-gray-300">{label}</span>
+                    {isEditing ? (
+                      <div className="flex items-center space-x-2">
+                        <input
+                          type="number"
+                          value={band.lower ?? ''}
+                          onChange={(e) => handleBandChange(key, 'lower', e.target.value)}
+                          placeholder="Lower"
+                          min={0.5}
+                          max={50}
+                          step={0.5}
+                          className="w-20 p-1 border rounded-md dark:bg-gray-700 dark:border-gray-600"
+                        />
+                        <input
+                          type="number"
+                          value={band.upper ?? ''}
+                          onChange={(e) => handleBandChange(key, 'upper', e.target.value)}
+                          placeholder="Upper"
+                          min={0.5}
+                          max={50}
+                          step={0.5}
+                          className="w-20 p-1 border rounded-md dark:bg-gray-700 dark:border-gray-600"
+                        />
+                      </div>
+                    ) : (
+                      <span className="text-sm text-gray-900 dark:text-gray-100">
+                        {band.lower !== undefined || band.upper !== undefined ?
+                          `-${band.lower ?? band.upper}% / +${band.upper ?? band.lower}%` :
+                          'Default'}
+                      </span>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              Only positions outside their band are rebalanced, and only back to the nearest band edge
             </p>
           </div>
           
@@ -152,6 +267,111 @@ const OptimizerSettings = ({ settings, updateSettings, loading }) => {
           </div>
         </div>
         
+        <div className="space-y-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+          <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100">Gas</h4>
+          
+          <div className="flex flex-col">
+            <label className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Gas Price Tier
+            </label>
+            {isEditing ? (
+              <select
+                name="gasTier"
+                value={localSettings.gasTier || 'normal'}
+                onChange={handleChange}
+                className="p-2 border rounded-md dark:bg-gray-700 dark:border-gray-600"
+              >
+                {GAS_TIERS.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            ) : (
+              <div className="text-gray-900 dark:text-gray-100 capitalize">
+                {localSettings.gasTier || 'normal'}
+              </div>
+            )}
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              Faster tiers pay a higher gas price to be included sooner when the network is busy
+            </p>
+          </div>
+          
+          {GAS_LIMITS.map(({ name, label, unit, min, max, step, help }) => (
+            <div key={name} className="flex flex-col">
+              <label className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {label}
+              </label>
+              {isEditing ? (
+                <input
+                  type="number"
+                  name={name}
+                  value={localSettings[name] ?? ''}
+                  onChange={handleChange}
+                  min={min}
+                  max={max}
+                  step={step}
+                  className="p-2 border rounded-md dark:bg-gray-700 dark:border-gray-600"
+                />
+              ) : (
+                <div className="text-gray-900 dark:text-gray-100">
+                  {localSettings[name] !== undefined && localSettings[name] !== null ? `${localSettings[name]}${unit === '%' ? '%' : ''}` : 'None'}
+                </div>
+              )}
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{help}</p>
+            </div>
+          ))}
+        </div>
+        
+        <div className="space-y-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+          <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100">Safety Limits</h4>
+          
+          {[...SAFETY_LIMITS, ...APPROVAL_LIMITS].map(({ name, label, unit, min, max, step, help }) => (
+            <div key={name} className="flex flex-col">
+              <label className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {label}
+              </label>
+              {isEditing ? (
+                <input
+                  type="number"
+                  name={name}
+                  value={localSettings[name] ?? ''}
+                  onChange={handleChange}
+                  min={min}
+                  max={max}
+                  step={step}
+                  className="p-2 border rounded-md dark:bg-gray-700 dark:border-gray-600"
+                />
+              ) : (
+                <div className="text-gray-900 dark:text-gray-100">
+                  {localSettings[name] !== undefined ? `${unit === '$' ? '$' : ''}${localSettings[name]}${unit === '%' ? '%' : ''}` : 'Default'}
+                </div>
+              )}
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{help}</p>
+            </div>
+          ))}
+          
+          <div className="flex flex-col">
+            <label className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Denied Protocols
+            </label>
+            {isEditing ? (
+              <input
+                type="text"
+                value={(localSettings.deniedProtocols || []).join(', ')}
+                onChange={handleDeniedProtocolsChange}
+                placeholder="e.g. tortuga, cetus"
+                className="p-2 border rounded-md dark:bg-gray-700 dark:border-gray-600"
+              />
+            ) : (
+              <div className="text-gray-900 dark:text-gray-100 capitalize">
+                {localSettings.deniedProtocols?.length ? localSettings.deniedProtocols.join(', ') : 'None'}
+              </div>
+            )}
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              Rebalancing never moves funds into or out of these protocols
+            </p>
+          </div>
+        </div>
+        
         <div className="space-y-4 pt-4 border-t border-gray-200 dark:border-gray-700">
           <div className="flex items-center justify-between">
             <div>
@@ -3,11 +3,20 @@ import { formatDistanceToNow, format } from 'date-fns';
 import { Switch } from '@headlessui/react';
 import { ClockIcon, RefreshCwIcon, CheckCircleIcon, XCircleIcon } from 'lucide-react';
 
-const OptimizerStatus = ({ status, loading, onToggle, onExecuteNow, portfolio }) => {
+const OptimizerStatus = ({ status, loading, onToggle, onExecuteNow, portfolio, preview }) => {
   const { enabled, lastRebalanced, nextScheduled, monitoring } = status;
   
   // Calculate drift if portfolio data is available
   const calculateDrift = () => {
+    // Prefer the server-side analysis from a dry-run preview
+    if (preview) {
+      return {
+        maxDrift: preview.maxDrift,
+        avgDrift: preview.avgDrift,
+        needsRebalancing: preview.needsRebalancing
+      };
+    }
+    
     if (!portfolio || !portfolio.totalValueUSD) return null;
     
     // This is a simplified calculation
@@ -111,6 +120,22 @@ const OptimizerStatus = ({ status, loading, onToggle, onExecuteNow, portfolio })
               <div className="text-xs text-gray-500 dark:text-gray-400">Average Drift</div>
               <div className="text-2xl font-semibold">{drift.avgDrift.toFixed(1)}%</div>
             </div>
+            {preview && (
+              <>
+                <div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">Current APR</div>
+                  <div className="text-2xl font-semibold">{preview.apr.current.toFixed(2)}%</div>
+                </div>
+                <div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">Projected APR</div>
+                  <div className={`text-2xl font-semibold ${
+                    preview.apr.change >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'
+                  }`}>
+                    {preview.apr.projected.toFixed(2)}%
+                  </div>
+                </div>
+              </>
+            )}
           </div>
         ) : (
           <div className="text-sm text-gray-500 dark:text-gray-400">
@@ -126,7 +151,7 @@ const OptimizerStatus = ({ status, loading, onToggle, onExecuteNow, portfolio })
           className="flex items-center justify-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
         >
           <RefreshCwIcon className="h-4 w-4 mr-2" />
-          Rebalance Now
+          Preview Rebalance
         </button>
         
         <button
@@ -0,0 +1,121 @@
+import React from 'react';
+import { formatDistanceToNow, format } from 'date-fns';
+import { CheckCircleIcon, XCircleIcon, ClockIcon, MinusCircleIcon, PenToolIcon } from 'lucide-react';
+
+const PHASE_LABELS = {
+  submit: 'Submit unstake requests',
+  claim: 'Claim unstaked APT',
+  deposit: 'Deposit claimed APT'
+};
+
+const RebalancePhases = ({ rebalances, signingId, onSign }) => {
+  if (!rebalances || rebalances.length === 0) {
+    return (
+      <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+        No rebalances waiting for unbonding
+      </div>
+    );
+  }
+
+  // Helper to get phase status icon
+  const getStatusIcon = (status) => {
+    switch (status) {
+      case 'completed':
+        return <CheckCircleIcon className="h-5 w-5 text-green-500" />;
+      case 'failed':
+        return <XCircleIcon className="h-5 w-5 text-red-500" />;
+      case 'skipped':
+        return <MinusCircleIcon className="h-5 w-5 text-gray-500" />;
+      case 'in_progress':
+        return <ClockIcon className="h-5 w-5 text-yellow-500 animate-pulse" />;
+      default:
+        return <ClockIcon className="h-5 w-5 text-blue-500" />;
+    }
+  };
+
+  // Describe when a phase runs or ran
+  const formatTiming = (phase) => {
+    if (phase.status === 'pending' && phase.eta) {
+      return phase.timeRemaining > 0 ?
+        `ETA ${format(new Date(phase.eta), 'MMM d, HH:mm')} (${formatDistanceToNow(new Date(phase.eta), { addSuffix: true })})` :
+        'Due now';
+    }
+    if (phase.completedAt) {
+      return `${phase.status === 'skipped' ? 'Skipped' : 'Finished'} ${formatDistanceToNow(new Date(phase.completedAt), { addSuffix: true })}`;
+    }
+    if (phase.status === 'in_progress') {
+      return 'Awaiting confirmation';
+    }
+    return phase.status.replace('_', ' ');
+  };
+
+  return (
+    <div className="space-y-6">
+      {rebalances.map((rebalance) => (
+        <div key={rebalance.eventId}>
+          {rebalance.startTime && (
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">
+              Started {format(new Date(rebalance.startTime), 'MMM d, yyyy HH:mm')}
+            </p>
+          )}
+
+          <ol className="space-y-3">
+            {rebalance.phases.map((phase) => (
+              <li
+                key={phase.index}
+                className={`flex items-start rounded-lg border p-3 dark:border-gray-700 ${
+                  phase.index === rebalance.currentPhase ? 'border-blue-500 dark:border-blue-500' : ''
+                }`}
+              >
+                <div className="mt-0.5 mr-3">{getStatusIcon(phase.status)}</div>
+                <div className="flex-1">
+                  <div className="flex flex-wrap justify-between">
+                    <span className="font-medium">
+                      {phase.index + 1}. {PHASE_LABELS[phase.kind] || phase.kind}
+                      {phase.protocol && <span className="ml-1 capitalize">({phase.protocol})</span>}
+                    </span>
+                    <span className="text-sm text-gray-500 dark:text-gray-400">{formatTiming(phase)}</span>
+                  </div>
+
+                  <ul className="mt-1 text-sm text-gray-600 dark:text-gray-300">
+                    {phase.operations.map((operation, index) => (
+                      <li key={index}>
+                        <span className="capitalize">{operation.type}</span> {operation.amount.toFixed(4)} APT
+                        <span className="ml-1 capitalize">&middot; {operation.protocol}</span>
+                        {operation.status !== 'pending' && (
+                          <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">({operation.status})</span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+
+                  {phase.error && (
+                    <p className="mt-1 text-xs text-red-500">
+                      {phase.error}
+                      {phase.attempts > 1 && ` after ${phase.attempts} attempts`}
+                    </p>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ol>
+
+          {rebalance.transactions?.length > 0 && onSign && (
+            <div className="flex justify-end mt-3">
+              <button
+                onClick={() => onSign(rebalance)}
+                disabled={signingId === rebalance.eventId}
+                className="flex items-center px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                <PenToolIcon className="h-4 w-4 mr-1" />
+                {signingId === rebalance.eventId ? 'Signing...' : `Sign ${rebalance.transactions.length} transaction(s)`}
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RebalancePhases;
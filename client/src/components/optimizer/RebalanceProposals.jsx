@@ -0,0 +1,112 @@
+import React from 'react';
+import { formatDistanceToNow, format } from 'date-fns';
+import { CheckCircleIcon, XCircleIcon, ClockIcon, MinusCircleIcon, PenToolIcon } from 'lucide-react';
+
+const STATUS_LABELS = {
+  pending: 'Awaiting approval',
+  approved: 'Approved',
+  partially_executed: 'Partially executed',
+  expired: 'Expired',
+  rejected: 'Rejected'
+};
+
+const RebalanceProposals = ({ proposals, signingId, onApprove, onReject }) => {
+  if (!proposals || proposals.length === 0) {
+    return (
+      <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+        No rebalance proposals
+      </div>
+    );
+  }
+
+  // Helper to get operation status icon
+  const getStatusIcon = (status) => {
+    switch (status) {
+      case 'submitted':
+        return <CheckCircleIcon className="h-4 w-4 text-green-500" />;
+      case 'failed':
+        return <XCircleIcon className="h-4 w-4 text-red-500" />;
+      case 'skipped':
+        return <MinusCircleIcon className="h-4 w-4 text-gray-500" />;
+      default:
+        return <ClockIcon className="h-4 w-4 text-blue-500" />;
+    }
+  };
+
+  // Operations that can be signed now
+  const hasSignable = (proposal) =>
+    proposal.operations.some(op => op.available && (op.status === 'pending' || op.status === 'failed'));
+
+  return (
+    <div className="space-y-6">
+      {proposals.map((proposal) => {
+        const open = !proposal.closedAt;
+        const signing = signingId === proposal.proposalId;
+
+        return (
+          <div key={proposal.proposalId} className="rounded-lg border p-4 dark:border-gray-700">
+            <div className="flex flex-wrap items-center justify-between mb-2">
+              <span className="font-medium">{STATUS_LABELS[proposal.status] || proposal.status}</span>
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                {open
+                  ? `Expires ${formatDistanceToNow(new Date(proposal.expiresAt), { addSuffix: true })}`
+                  : `Proposed ${format(new Date(proposal.createdAt), 'MMM d, HH:mm')}`}
+              </span>
+            </div>
+
+            {proposal.driftSnapshot && (
+              <p className="text-sm text-gray-600 dark:text-gray-300 mb-2">
+                Max drift {proposal.driftSnapshot.maxDrift?.toFixed(2)}% on a ${proposal.driftSnapshot.totalValueUSD?.toFixed(2)} portfolio
+                {proposal.estimatedGasUSD !== undefined && ` · est. gas $${proposal.estimatedGasUSD.toFixed(4)}`}
+              </p>
+            )}
+
+            <ul className="space-y-1 text-sm text-gray-600 dark:text-gray-300">
+              {proposal.operations.map((operation) => (
+                <li key={operation.index} className="flex items-center">
+                  <span className="mr-2">{getStatusIcon(operation.status)}</span>
+                  <span className="capitalize">{operation.type}</span>&nbsp;{operation.amount.toFixed(4)} APT
+                  <span className="ml-1 capitalize">&middot; {operation.protocol}</span>
+                  {!operation.available && (
+                    <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">
+                      (after {format(new Date(operation.availableAt), 'MMM d, HH:mm')})
+                    </span>
+                  )}
+                  {operation.error && <span className="ml-1 text-xs text-red-500">({operation.error})</span>}
+                </li>
+              ))}
+            </ul>
+
+            {proposal.statusReason && (
+              <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">{proposal.statusReason}</p>
+            )}
+
+            {open && (
+              <div className="flex justify-end space-x-2 mt-4">
+                <button
+                  onClick={() => onReject(proposal)}
+                  disabled={signing}
+                  className="px-3 py-1 text-sm border border-gray-300 rounded-md dark:border-gray-600 dark:text-gray-300 disabled:opacity-50"
+                >
+                  Reject
+                </button>
+                {hasSignable(proposal) && (
+                  <button
+                    onClick={() => onApprove(proposal)}
+                    disabled={signing}
+                    className="flex items-center px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    <PenToolIcon className="h-4 w-4 mr-1" />
+                    {signing ? 'Signing...' : proposal.status === 'pending' ? 'Approve & Sign' : 'Continue Signing'}
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RebalanceProposals;
@@ -11,7 +11,7 @@ import {
   ClockIcon
 } from 'lucide-react';
 
-const StrategyOperations = ({ operations, executionStatus, onApprove, onReject }) => {
+const StrategyOperations = ({ operations, plan, executionStatus, onApprove, onReject }) => {
   const [expanded, setExpanded] = useState(true);
 
   // Helper to determine operation icon
@@ -21,6 +21,8 @@ const StrategyOperations = ({ operations, executionStatus, onApprove, onReject }
         return <ArrowUpCircleIcon className="h-5 w-5 text-blue-500" />;
       case 'unstake':
         return <ArrowDownCircleIcon className="h-5 w-5 text-orange-500" />;
+      case 'claim':
+        return <ArrowDownCircleIcon className="h-5 w-5 text-teal-500" />;
       case 'lend':
         return <PlusCircleIcon className="h-5 w-5 text-green-500" />;
       case 'withdraw':
@@ -49,7 +51,10 @@ const StrategyOperations = ({ operations, executionStatus, onApprove, onReject }
   };
 
   // Calculate the estimated gas cost (assuming APT as gas token)
-  const totalGasCost = operations.reduce((total, op) => total + (op.estimatedGas || 0.001), 0);
+  const totalGasCost = plan?.totals?.gasCostAPT ?? operations.reduce(
+    (total, op) => total + (op.estimatedGas?.costAPT ?? op.estimatedGas ?? 0.001),
+    0
+  );
   
   // Format operation type for display
   const formatOperationType = (type) => {
@@ -109,12 +114,24 @@ const StrategyOperations = ({ operations, executionStatus, onApprove, onReject }
                         {getOperationIcon(operation.type)}
                         <span className="ml-2">{formatOperationType(operation.type)}</span>
                       </div>
+                      {operation.function && (
+                        <div className="mt-1 text-xs font-mono text-gray-500 dark:text-gray-400 truncate max-w-xs" title={operation.function}>
+                          {operation.functionName}
+                        </div>
+                      )}
+                      {operation.phase > 0 && (
+                        <div className="mt-1 text-xs text-amber-600 dark:text-amber-400">
+                          Phase {operation.phase + 1} &middot; after unbonding
+                        </div>
+                      )}
                     </td>
                     <td className="whitespace-nowrap px-4 py-3 text-sm">
-                      {operation.protocol}
+                      {operation.type === 'swap' && operation.fromProtocol
+                        ? `${operation.fromProtocol} \u2192 ${operation.toProtocol}`
+                        : operation.protocol}
                     </td>
                     <td className="whitespace-nowrap px-4 py-3 text-sm">
-                      {operation.amount} APT
+                      {operation.amountAPT ?? operation.amount} APT
                       {operation.amountUSD && (
                         <span className="text-xs text-gray-500 dark:text-gray-400 ml-1">
                           (${parseFloat(operation.amountUSD).toFixed(2)})
@@ -137,19 +154,59 @@ const StrategyOperations = ({ operations, executionStatus, onApprove, onReject }
                 <p className="font-medium">{totalGasCost.toFixed(4)} APT</p>
               </div>
               <div>
-                <p className="text-gray-500 dark:text-gray-400">Priority:</p>
-                <p className="font-medium">Medium</p>
+                <p className="text-gray-500 dark:text-gray-400">Gas Tier:</p>
+                <p className="font-medium capitalize">{plan?.gasForecast?.tier ?? 'normal'}</p>
               </div>
               <div>
                 <p className="text-gray-500 dark:text-gray-400">Max Slippage:</p>
-                <p className="font-medium">2.0%</p>
+                <p className="font-medium">{(plan?.settings?.maxSlippage ?? 2).toFixed(1)}%</p>
               </div>
               <div>
                 <p className="text-gray-500 dark:text-gray-400">Execution Time:</p>
                 <p className="font-medium">~{operations.length * 15} sec</p>
               </div>
+            </div>
           </div>
 
+          {plan && (
+            <div className="mb-4 rounded-lg bg-gray-50 p-4 dark:bg-gray-700">
+              <p className="mb-2 text-sm font-medium">Projected Allocation</p>
+              <div className="space-y-1 text-sm">
+                {plan.projectedAllocation.map(item => {
+                  const current = plan.currentAllocation.find(c => c.protocol === item.protocol);
+                  return (
+                    <div key={item.protocol} className="flex justify-between">
+                      <span className="capitalize">{item.protocol}</span>
+                      <span className="text-gray-500 dark:text-gray-400">
+                        {(current?.percentage || 0).toFixed(1)}% &rarr; <span className="font-medium text-gray-900 dark:text-white">{item.percentage.toFixed(1)}%</span>
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+              <div className="mt-3 flex justify-between border-t pt-3 text-sm dark:border-gray-600">
+                <span className="text-gray-500 dark:text-gray-400">Blended APR:</span>
+                <span className="font-medium">
+                  {plan.apr.current.toFixed(2)}% &rarr; {plan.apr.projected.toFixed(2)}%
+                  <span className={`ml-1 ${plan.apr.change >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                    ({plan.apr.change >= 0 ? '+' : ''}{plan.apr.change.toFixed(2)}%)
+                  </span>
+                </span>
+              </div>
+              {plan.gasForecast && (
+                <div className="mt-2 flex justify-between text-sm">
+                  <span className="text-gray-500 dark:text-gray-400">
+                    Gas vs. {plan.gasForecast.gainHorizonDays}-day yield gain:
+                  </span>
+                  <span className={`font-medium ${plan.gasForecast.withinBudget ? '' : 'text-red-600 dark:text-red-400'}`}>
+                    ${plan.gasForecast.costUSD.toFixed(4)} / ${plan.gasForecast.expectedGainUSD.toFixed(4)}
+                    {plan.gasForecast.maxShareOfGain && ` (limit ${plan.gasForecast.maxShareOfGain}%)`}
+                  </span>
+                </div>
+              )}
+            </div>
+          )}
+
           {executionStatus === 'pending' && (
             <div className="mt-6 flex justify-between">
               <button
@@ -1,12 +1,15 @@
 import React, { useState, useEffect } from 'react';
-import { useMarketData } from '../../hooks/useMarketData';
+import useMarketData from '../../hooks/useMarketData';
+import api from '../../services/api';
 import Spinner from '../common/Spinner';
 import Tooltip from '../common/Tooltip';
+import Sparkline, { getTrend } from '../common/Sparkline';
 import { formatNumber, formatPercent } from '../../utils/formatters';
 
 const ProtocolTable = ({ filter = 'all', sortBy = 'tvl', onProtocolSelect }) => {
-  const { protocolData, loading, error } = useMarketData();
+  const { marketData: protocolData, loading, error } = useMarketData();
   const [protocols, setProtocols] = useState([]);
+  const [history, setHistory] = useState({}); // 'protocol:product' -> daily APR points of the last 30 days
   const [sortField, setSortField] = useState(sortBy);
   const [sortDirection, setSortDirection] = useState('desc');
   
@@ -62,6 +65,22 @@ const ProtocolTable = ({ filter = 'all', sortBy = 'tvl', onProtocolSelect }) =>
     }
   }, [protocolData, filter, sortField, sortDirection]);
   
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const { series } = await api.market.getStakingRateHistory({ interval: '1d' });
+        setHistory(series.reduce((byProduct, { protocol, product, points }) => {
+          byProduct[`${protocol}:${product}`] = points;
+          return byProduct;
+        }, {}));
+      } catch (err) {
+        console.error('Error fetching protocol APR history:', err);
+      }
+    };
+    
+    fetchHistory();
+  }, []);
+  
   const handleSort = (field) => {
     if (sortField === field) {
       setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
@@ -94,6 +113,9 @@ const ProtocolTable = ({ filter = 'all', sortBy = 'tvl', onProtocolSelect }) =>
               APR
               {sortField === 'apr' && <span className="ml-1">{sortDirection === 'asc' ? '↑' : '↓'}</span>}
             </th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+              30d APR Trend
+            </th>
             <th 
               className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider cursor-pointer"
               onClick={() => handleSort('tvl')}
@@ -157,6 +179,9 @@ const ProtocolTable = ({ filter = 'all', sortBy = 'tvl', onProtocolSelect }) =>
                   </div>
                 ) : null}
               </td>
+              <td className="px-6 py-4 whitespace-nowrap">
+                <AprTrend points={history[`${protocol.id}:${getMainProduct(protocol)}`]} />
+              </td>
               <td className="px-6 py-4 whitespace-nowrap">
                 <div className="text-sm text-gray-900 dark:text-white">
                   {formatNumber(protocol.staking?.tvl || protocol.lending?.tvl || protocol.liquidity?.tvl || 0, true)}
@@ -215,7 +240,32 @@ const ProtocolTable = ({ filter = 'all', sortBy = 'tvl', onProtocolSelect }) =>
   );
 };
 
+// Sparkline of the main product's APR, flagged when it swung widely over the period
+const AprTrend = ({ points = [] }) => {
+  const trend = getTrend(points);
+  const volatile = trend && trend.max - trend.min > Math.max(1, trend.min * 0.25);
+  
+  return (
+    <div className="flex items-center">
+      <Sparkline points={points} />
+      {trend && (
+        <Tooltip content={`${trend.min.toFixed(2)}% – ${trend.max.toFixed(2)}% over 30 days`}>
+          <span className={`ml-2 text-xs ${volatile ? 'text-orange-500' : 'text-gray-500 dark:text-gray-400'}`}>
+            {volatile ? 'Volatile' : 'Stable'}
+          </span>
+        </Tooltip>
+      )}
+    </div>
+  );
+};
+
 // Helper functions
+const getMainProduct = (protocol) => {
+  if (protocol.staking) return 'staking';
+  if (protocol.lending) return 'lending';
+  return 'liquidity';
+};
+
 const getRiskColor = (risk) => {
   if (typeof risk === 'string') {
     switch (risk.toLowerCase()) {
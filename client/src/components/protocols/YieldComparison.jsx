@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { formatDistanceToNow } from 'date-fns';
 import api from '../../services/api';
+import Sparkline, { getTrend } from '../common/Sparkline';
 
 const YieldComparison = ({ riskProfile = 'balanced' }) => {
   const [yieldData, setYieldData] = useState([]);
@@ -8,6 +10,7 @@ const YieldComparison = ({ riskProfile = 'balanced' }) => {
   const [error, setError] = useState(null);
   const [filter, setFilter] = useState('all'); // 'all', 'staking', 'lending', 'liquidity'
   const [sortBy, setSortBy] = useState('apr'); // 'apr', 'risk', 'tvl'
+  const [history, setHistory] = useState({}); // 'protocol:type' -> daily APR points of the last 30 days
 
   useEffect(() => {
     const fetchYieldData = async () => {
@@ -27,6 +30,9 @@ const YieldComparison = ({ riskProfile = 'balanced' }) => {
                 type: 'staking',
                 product: data.staking.product || 'Staking',
                 apr: parseFloat(data.staking.apr),
+                source: data.staking.source,
+                asOf: data.staking.asOf,
+                window: data.staking.window,
                 riskScore: getRiskScore(protocol, 'staking'),
                 tvl: data.staking.tvl || 0
               });
@@ -39,6 +45,9 @@ const YieldComparison = ({ riskProfile = 'balanced' }) => {
                 type: 'lending',
                 product: data.lending.product || 'Lending',
                 apr: parseFloat(data.lending.apr),
+                source: data.lending.source,
+                asOf: data.lending.asOf,
+                window: data.lending.window,
                 riskScore: getRiskScore(protocol, 'lending'),
                 tvl: data.lending.tvl || 0
               });
@@ -51,6 +60,9 @@ const YieldComparison = ({ riskProfile = 'balanced' }) => {
                 type: 'liquidity',
                 product: data.liquidity.product || 'Liquidity',
                 apr: parseFloat(data.liquidity.apr),
+                source: data.liquidity.source,
+                asOf: data.liquidity.asOf,
+                window: data.liquidity.window,
                 riskScore: getRiskScore(protocol, 'liquidity'),
                 tvl: data.liquidity.tvl || 0
               });
@@ -72,6 +84,23 @@ const YieldComparison = ({ riskProfile = 'balanced' }) => {
     fetchYieldData();
   }, []);
 
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const { series } = await api.market.getStakingRateHistory({ interval: '1d' });
+        setHistory(series.reduce((byProduct, { protocol, product, points }) => {
+          byProduct[`${protocol}:${product}`] = points;
+          return byProduct;
+        }, {}));
+      } catch (err) {
+        // Trends are optional; the comparison works without them
+        console.error('Error fetching yield history:', err);
+      }
+    };
+
+    fetchHistory();
+  }, []);
+
   // Filter and sort data
   const getFilteredAndSortedData = () => {
     let filteredData = [...yieldData];
@@ -216,6 +245,7 @@ const YieldComparison = ({ riskProfile = 'balanced' }) => {
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">APR</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">30d Trend</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Risk Score</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">TVL</th>
                   </tr>
@@ -226,7 +256,15 @@ const YieldComparison = ({ riskProfile = 'balanced' }) => {
                       <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 capitalize">{item.protocol}</td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.product}</td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 capitalize">{item.type}</td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 font-medium">{item.apr.toFixed(2)}%</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 font-medium">
+                        {item.apr.toFixed(2)}%
+                        {item.source && (
+                          <div className="text-xs font-normal text-gray-500">{getAprSourceText(item)}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <TrendCell points={history[`${item.protocol}:${item.type}`]} />
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <span 
                           className={`px-2 py-1 text-xs rounded-full ${getRiskBadgeColor(item.riskScore)}`}
@@ -263,6 +301,38 @@ const getRiskBadgeColor = (score) => {
   return 'bg-red-100 text-red-800';
 };
 
+// Sparkline of an APR with its change over the period in percentage points
+const TrendCell = ({ points = [] }) => {
+  const trend = getTrend(points);
+  
+  return (
+    <div className="flex items-center">
+      <Sparkline points={points} />
+      {trend && (
+        <span className={`ml-2 text-xs ${trend.change >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+          {trend.change >= 0 ? '+' : ''}{trend.change.toFixed(2)} pts
+        </span>
+      )}
+    </div>
+  );
+};
+
+// Where an APR comes from and how fresh it is
+const getAprSourceText = ({ source, asOf, window }) => {
+  const age = asOf ? formatDistanceToNow(new Date(asOf), { addSuffix: true }) : null;
+  
+  switch (source) {
+    case 'exchange_rate':
+      return `On-chain ${window} trailing, ${age}`;
+    case 'api':
+      return `Protocol API, ${age}`;
+    case 'fallback':
+      return 'Estimate (no live data)';
+    default:
+      return age;
+  }
+};
+
 const formatNumber = (num) => {
   if (num >= 1000000) {
     return (num / 1000000).toFixed(1) + 'M';
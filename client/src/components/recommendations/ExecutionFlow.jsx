@@ -1,7 +1,43 @@
 import React, { useState } from 'react';
 import { FiCheckCircle, FiAlertTriangle, FiArrowRight } from 'react-icons/fi';
 
+// Format the balance changes of a simulation, e.g. "1.0000 APT and 0.9980 stAPT"
+const formatChanges = (changes) =>
+  changes
+    .map(change => change.amount !== null
+      ? `${Math.abs(change.amount).toFixed(4)} ${change.symbol}`
+      : `${change.raw.replace('-', '')} units of ${change.symbol}`)
+    .join(' and ');
+
+// What the wallet sends, receives and pays for an operation, as simulated before signing
+const SimulationSummary = ({ simulation }) => {
+  if (!simulation.success) {
+    return (
+      <div className="mt-4 p-3 rounded-md bg-red-50 text-red-800 dark:bg-red-900/10 dark:text-red-300">
+        Blocked before signing: {simulation.abort?.message || simulation.vmStatus}
+      </div>
+    );
+  }
+
+  const parts = [];
+  if (simulation.sends.length > 0) parts.push(`you send ${formatChanges(simulation.sends)}`);
+  if (simulation.receives.length > 0) parts.push(`receive ${formatChanges(simulation.receives)}`);
+  parts.push(`pay ${simulation.gasFeeAPT.toFixed(6)} APT gas`);
+  const sentence = parts.join(', ');
+
+  return (
+    <div className="mt-4 p-3 rounded-md bg-blue-50 text-blue-800 dark:bg-blue-900/10 dark:text-blue-300">
+      <p>{sentence.charAt(0).toUpperCase() + sentence.slice(1)}</p>
+      <p className="mt-1 text-xs opacity-75">
+        Gas limit {simulation.maxGasAmount} units at {simulation.gasUnitPrice} octas (up to {simulation.maxGasFeeAPT.toFixed(6)} APT)
+      </p>
+    </div>
+  );
+};
+
 const ExecutionFlow = ({ steps, currentStep, results }) => {
+  const simulation = results && results[currentStep]?.simulation;
+
   const getStepStatus = (index) => {
     if (currentStep > index) {
       // Step is complete
@@ -80,6 +116,7 @@ const ExecutionFlow = ({ steps, currentStep, results }) => {
           );
         })}
       </div>
+      {simulation && <SimulationSummary simulation={simulation} />}
       {results && results[currentStep]?.message && (
         <div className={`mt-4 p-3 rounded-md ${
           results[currentStep].success ? 
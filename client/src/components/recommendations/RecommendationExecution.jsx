@@ -2,10 +2,60 @@ import React, { useState, useEffect, useContext } from 'react';
 import { WalletContext } from '../../context/WalletContext';
 import { NotificationContext } from '../../context/NotificationContext';
 import { useTransactions } from '../../hooks/useTransactions';
+import transactionService from '../../services/transactionService';
 import Button from '../common/Button';
 import Spinner from '../common/Spinner';
 import { formatCurrency, shortenAddress } from '../../utils/formatters';
 
+// Gas price tiers a strategy can be priced at
+const GAS_TIERS = ['slow', 'normal', 'fast'];
+
+// How a strategy executes and, when it runs step by step, how completed steps are unwound
+const ExecutionPlanSummary = ({ plan }) => {
+  if (plan.mode === 'single') {
+    return (
+      <div className="p-3 rounded-md mb-4 bg-green-50 text-green-800 dark:bg-green-900/10 dark:text-green-300">
+        <p className="font-medium">One transaction</p>
+        <p className="mt-1 text-xs opacity-75">A single operation: there is nothing to unwind if it fails.</p>
+      </div>
+    );
+  }
+
+  if (plan.mode === 'atomic') {
+    return (
+      <div className="p-3 rounded-md mb-4 bg-green-50 text-green-800 dark:bg-green-900/10 dark:text-green-300">
+        <p className="font-medium">Atomic: one transaction</p>
+        <p className="mt-1 text-xs opacity-75">The {plan.script} script runs every step together, or none of them happen.</p>
+      </div>
+    );
+  }
+
+  const describeStep = (index) => {
+    const step = plan.steps[index];
+    return `Step ${index + 1} (${step.type} on ${step.protocol})`;
+  };
+
+  return (
+    <div className="p-3 rounded-md mb-4 bg-yellow-50 text-yellow-800 dark:bg-yellow-900/10 dark:text-yellow-300">
+      <p className="font-medium">Step by step: {plan.transactions} transactions</p>
+      <p className="mt-1 text-xs opacity-75">
+        {plan.reason}. If a step fails, the steps that completed are unwound:
+      </p>
+      <ul className="mt-2 text-xs list-disc list-inside">
+        {plan.compensation.map(compensation => (
+          <li key={compensation.step}>
+            {describeStep(compensation.step)}: {compensation.type
+              ? `${compensation.type} ${formatCurrency(compensation.amount, 'APT')} on ${compensation.protocol}`
+              : compensation.manual
+                ? `needs manual action. ${compensation.reason}`
+                : compensation.reason}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
 const RecommendationExecution = ({ recommendation, onComplete, onCancel }) => {
   const { wallet, signAndSubmitTransaction } = useContext(WalletContext);
   const { showNotification } = useContext(NotificationContext);
@@ -16,6 +66,8 @@ const RecommendationExecution = ({ recommendation, onComplete, onCancel }) => {
   const [operationResults, setOperationResults] = useState([]);
   const [error, setError] = useState(null);
   const [estimatedGas, setEstimatedGas] = useState(0);
+  const [executionPlan, setExecutionPlan] = useState(null);
+  const [gasTier, setGasTier] = useState('normal');
   
   const steps = [
     'Preparing operations',
@@ -43,6 +95,27 @@ const RecommendationExecution = ({ recommendation, onComplete, onCancel }) => {
     estimateGas();
   }, [recommendation]);
   
+  useEffect(() => {
+    // Show whether the strategy runs in one transaction, and what its gas costs, before the user commits to it
+    transactionService.planStrategy(buildOperations(), gasTier)
+      .then(plan => {
+        setExecutionPlan(plan);
+        if (plan.gas) setEstimatedGas(plan.gas.costAPT);
+      })
+      .catch(() => setExecutionPlan(null));
+  }, [recommendation, gasTier]);
+  
+  // Format operations for execution
+  const buildOperations = () => recommendation.allocation.map(item => ({
+    protocol: item.protocol,
+    type: item.product.toLowerCase().includes('staking') ? 'stake' : 
+          item.product.toLowerCase().includes('lending') ? 'lend' : 'addLiquidity',
+    amount: item.amount,
+    contractAddress: item.contractAddress || recommendation.agentCapabilities?.supportedOperations.find(op => 
+      op.protocol === item.protocol)?.contractAddress,
+    functionName: getFunctionName(item.protocol, item.product)
+  }));
+  
   const handleExecute = async () => {
     if (!wallet.connected) {
       showNotification('Please connect your wallet to execute this strategy', 'error');
@@ -53,16 +126,7 @@ const RecommendationExecution = ({ recommendation, onComplete, onCancel }) => {
       setIsExecuting(true);
       setExecutionStep(2);
       
-      // Format operations for execution
-      const operations = recommendation.allocation.map(item => ({
-        protocol: item.protocol,
-        type: item.product.toLowerCase().includes('staking') ? 'stake' : 
-              item.product.toLowerCase().includes('lending') ? 'lend' : 'addLiquidity',
-        amount: item.amount,
-        contractAddress: item.contractAddress || recommendation.agentCapabilities?.supportedOperations.find(op => 
-          op.protocol === item.protocol)?.contractAddress,
-        functionName: getFunctionName(item.protocol, item.product)
-      }));
+      const operations = buildOperations();
       
       setExecutionStep(3);
       
@@ -126,10 +190,32 @@ const RecommendationExecution = ({ recommendation, onComplete, onCancel }) => {
           </div>
           <div className="flex justify-between">
             <span className="text-gray-600 dark:text-gray-300">Estimated Gas:</span>
-            <span className="font-medium">{formatCurrency(estimatedGas, 'APT')}</span>
+            <span className="font-medium">
+              {formatCurrency(estimatedGas, 'APT', 5)}
+              {executionPlan?.gas?.costUSD > 0 && ` (${formatCurrency(executionPlan.gas.costUSD, 'USD', 4)})`}
+            </span>
+          </div>
+          <div className="flex justify-between items-center mt-2">
+            <span className="text-gray-600 dark:text-gray-300">Gas Tier:</span>
+            <div className="flex space-x-1">
+              {GAS_TIERS.map(tier => (
+                <button
+                  key={tier}
+                  type="button"
+                  onClick={() => setGasTier(tier)}
+                  disabled={isExecuting}
+                  className={`px-2 py-1 text-xs rounded-md capitalize ${gasTier === tier ? 'bg-blue-600 text-white' : 'bg-gray-200 dark:bg-gray-600'}`}
+                >
+                  {tier}
+                  {executionPlan?.gas?.tiers?.[tier] && ` · ${executionPlan.gas.tiers[tier].costAPT.toFixed(5)} APT`}
+                </button>
+              ))}
+            </div>
           </div>
         </div>
         
+        {executionPlan && <ExecutionPlanSummary plan={executionPlan} />}
+        
         <h3 className="font-medium mb-2">Asset Allocation</h3>
         <div className="overflow-auto max-h-60">
           <table className="min-w-full">
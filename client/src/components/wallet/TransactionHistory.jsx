@@ -2,6 +2,14 @@ import React, { useState, useEffect } from 'react';
 import { useWallet } from '../../hooks/useWallet';
 import { useTransactions } from '../../hooks/useTransactions';
 import { formatDistanceToNow } from 'date-fns';
+import transactionService from '../../services/transactionService';
+
+// Download formats of the transaction export
+const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'koinly', label: 'Koinly CSV' },
+  { value: 'json', label: 'JSON' }
+];
 
 const TransactionHistory = () => {
   const { isConnected, address, connectWallet } = useWallet();
@@ -9,6 +17,11 @@ const TransactionHistory = () => {
   const [filter, setFilter] = useState('all');
   const [page, setPage] = useState(1);
   const [pageSize] = useState(10);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exportFrom, setExportFrom] = useState('');
+  const [exportTo, setExportTo] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
 
   useEffect(() => {
     if (isConnected && address) {
@@ -93,6 +106,32 @@ const TransactionHistory = () => {
     return iconMap[type] || '📝';
   };
 
+  // Download the history for the selected dates, limited to the selected type
+  const downloadExport = async () => {
+    setExporting(true);
+    setExportError(null);
+    try {
+      const { blob, filename } = await transactionService.exportTransactions(address, {
+        format: exportFormat,
+        from: exportFrom || undefined,
+        // The end date is inclusive
+        to: exportTo ? `${exportTo}T23:59:59.999Z` : undefined,
+        types: filter === 'all' ? [] : [filter]
+      });
+      
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setExportError('Could not export transactions. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const viewTransaction = (hash) => {
     const explorerUrl = `https://explorer.aptoslabs.com/txn/${hash}?network=mainnet`;
     window.open(explorerUrl, '_blank');
@@ -125,6 +164,49 @@ const TransactionHistory = () => {
         ))}
       </div>
 
+      {/* Export for accounting */}
+      <div className="flex flex-wrap items-end gap-2 mb-4">
+        <label className="text-xs text-gray-600 dark:text-gray-400">
+          From
+          <input
+            type="date"
+            value={exportFrom}
+            onChange={(e) => setExportFrom(e.target.value)}
+            className="block mt-1 px-2 py-1 rounded-md text-sm bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200"
+          />
+        </label>
+        <label className="text-xs text-gray-600 dark:text-gray-400">
+          To
+          <input
+            type="date"
+            value={exportTo}
+            onChange={(e) => setExportTo(e.target.value)}
+            className="block mt-1 px-2 py-1 rounded-md text-sm bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200"
+          />
+        </label>
+        <select
+          value={exportFormat}
+          onChange={(e) => setExportFormat(e.target.value)}
+          className="px-2 py-1 rounded-md text-sm bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200"
+        >
+          {EXPORT_FORMATS.map(format => (
+            <option key={format.value} value={format.value}>{format.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={downloadExport}
+          disabled={exporting}
+          className={`px-3 py-1 rounded-md text-sm font-medium ${
+            exporting ? 'bg-gray-200 text-gray-400 cursor-not-allowed' : 'bg-blue-500 text-white hover:bg-blue-600'
+          }`}
+        >
+          {exporting ? 'Exporting...' : 'Download'}
+        </button>
+        {exportError && (
+          <span className="text-xs text-red-600 dark:text-red-400">{exportError}</span>
+        )}
+      </div>
+
       {filteredTransactions.length === 0 ? (
         <div className="text-center py-6">
           <p className="text-gray-600 dark:text-gray-400">No transactions found</p>
@@ -1,7 +1,8 @@
 import React, { createContext, useContext, useReducer, useCallback, useEffect } from 'react';
 import { useWallet } from '../hooks/useWallet';
 import { useNotification } from '../hooks/useNotification';
-import { PROTOCOL_ADDRESSES } from '../utils/constants';
+import walletService from '../services/walletService';
+import { sendIdempotent } from '../utils/idempotency';
 
 // Initial state for transaction context
 const initialState = {
@@ -116,7 +117,7 @@ const TransactionContext = createContext();
 // Transaction context provider component
 export function TransactionProvider({ children }) {
   const [state, dispatch] = useReducer(transactionReducer, initialState);
-  const { wallet, isConnected, signAndSubmitTransaction } = useWallet();
+  const { wallet, isConnected } = useWallet();
   const { showNotification } = useNotification();
 
   // Fetch pending transactions on wallet change
@@ -159,6 +160,36 @@ export function TransactionProvider({ children }) {
     }
   }, []);
 
+  // Have the server resolve the contracts, build and simulate the transactions of operations
+  const prepareOperations = useCallback(async (operations) => {
+    const payload = { walletAddress: wallet.address, operations };
+    const response = await sendIdempotent('/api/execute-strategy', payload, async ({ headers }) => {
+      const result = await fetch('/api/execute-strategy', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers
+        },
+        body: JSON.stringify(payload)
+      });
+
+      // Report the status like axios does, so a retry after a server error keeps its key
+      if (result.status === 409 || result.status >= 500) {
+        throw Object.assign(new Error(`Request failed with status ${result.status}`), { response: result });
+      }
+      return result;
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to prepare transactions');
+    }
+    if (!data.operations?.length) {
+      throw new Error(data.error || data.failedOperations?.[0]?.error || 'Transaction simulation failed');
+    }
+    return data;
+  }, [wallet]);
+
   // Execute a strategy (multiple operations)
   const executeStrategy = useCallback(async (strategy) => {
     if (!isConnected || !wallet?.address) {
@@ -182,35 +213,15 @@ export function TransactionProvider({ children }) {
         }
       });
 
-      // Convert strategy to operations
+      // Convert strategy to operations; the server resolves their contracts from its protocol registry
       const operations = strategy.allocation.map(item => ({
         protocol: item.protocol,
         type: determineOperationType(item.product),
-        amount: item.amount,
-        contractAddress: PROTOCOL_ADDRESSES[item.protocol.toLowerCase()] || getContractAddress(item.protocol),
-        functionName: getFunctionName(item.protocol, determineOperationType(item.product))
+        amount: item.amount
       }));
 
-      // Prepare API request
-      const requestData = {
-        walletAddress: wallet.address,
-        amount: strategy.totalInvestment,
-        allocation: strategy.allocation,
-        operations
-      };
-
-      // Simulate the transactions first
-      const simulateResponse = await fetch('/api/execute-strategy/simulate', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestData)
-      });
-
-      const simulationResult = await simulateResponse.json();
-
-      if (!simulationResult.success) {
-        throw new Error(simulationResult.error || 'Transaction simulation failed');
-      }
+      // Prepare and simulate the transactions first
+      const prepared = await prepareOperations(operations);
 
       // Show confirmation to user
       showNotification('Transaction simulation successful. Ready to execute.', 'info');
@@ -218,52 +229,47 @@ export function TransactionProvider({ children }) {
       // Execute the operations
       dispatch({ type: ACTIONS.SET_EXECUTION_STATUS, payload: 'executing' });
 
-      // Execute each operation in sequence
-      for (const operation of operations) {
+      const executed = [];
+      const record = (operation) => {
+        executed.push(operation);
+        dispatch({ type: ACTIONS.ADD_OPERATION, payload: operation });
+      };
+
+      // Operations the simulation rejected are never signed
+      for (const operation of prepared.failedOperations || []) {
+        record({ ...operation, status: 'failed', timestamp: new Date().toISOString() });
+        showNotification(`Failed to prepare ${describeOperation(operation)}: ${operation.error}`, 'error');
+      }
+
+      // Sign and submit each prepared transaction in sequence
+      for (const { result: transaction, ...operation } of prepared.operations) {
         try {
-          // Create transaction payload
-          const payload = {
-            function: `${operation.contractAddress}${operation.functionName}`,
-            type_arguments: [],
-            arguments: [convertAmountToOnChain(operation.amount)]
-          };
-
-          // Sign and submit the transaction
-          const result = await signAndSubmitTransaction(payload);
-
-          if (result.success) {
-            dispatch({
-              type: ACTIONS.ADD_OPERATION,
-              payload: {
-                ...operation,
-                status: 'success',
-                txHash: result.hash,
-                timestamp: new Date().toISOString()
-              }
-            });
-            
-            showNotification(`Successfully executed ${operation.type} on ${operation.protocol}`, 'success');
-          } else {
-            throw new Error(result.error || 'Transaction failed');
-          }
+          const result = await walletService.signAndSubmitPreparedTransaction(transaction);
+
+          record({
+            ...operation,
+            transactionId: transaction.transactionId,
+            status: 'success',
+            txHash: result.hash,
+            timestamp: new Date().toISOString()
+          });
+          
+          showNotification(`Successfully executed ${describeOperation(operation)}`, 'success');
         } catch (opError) {
-          dispatch({
-            type: ACTIONS.ADD_OPERATION,
-            payload: {
-              ...operation,
-              status: 'failed',
-              error: opError.message,
-              timestamp: new Date().toISOString()
-            }
+          record({
+            ...operation,
+            status: 'failed',
+            error: opError.message,
+            timestamp: new Date().toISOString()
           });
           
-          showNotification(`Failed to execute ${operation.type} on ${operation.protocol}: ${opError.message}`, 'error');
+          showNotification(`Failed to execute ${describeOperation(operation)}: ${opError.message}`, 'error');
         }
       }
 
       // Update transaction status based on operations
-      const successfulOps = state.recentOperations.filter(op => op.status === 'success');
-      const allSuccessful = successfulOps.length === operations.length;
+      const successfulOps = executed.filter(op => op.status === 'success');
+      const allSuccessful = successfulOps.length === executed.length;
 
       if (allSuccessful) {
         dispatch({
@@ -271,7 +277,7 @@ export function TransactionProvider({ children }) {
           payload: {
             type: 'strategy',
             status: 'success',
-            operations: [...state.recentOperations],
+            operations: executed,
             timestamp: new Date().toISOString()
           }
         });
@@ -283,7 +289,7 @@ export function TransactionProvider({ children }) {
           payload: {
             type: 'strategy',
             status: 'partial',
-            operations: [...state.recentOperations],
+            operations: executed,
             timestamp: new Date().toISOString()
           }
         });
@@ -299,7 +305,7 @@ export function TransactionProvider({ children }) {
       
       return {
         success: allSuccessful || successfulOps.length > 0,
-        operations: state.recentOperations
+        operations: executed
       };
     } catch (error) {
       dispatch({
@@ -314,7 +320,7 @@ export function TransactionProvider({ children }) {
         dispatch({ type: ACTIONS.CLEAR_OPERATIONS });
       }, 5000);
     }
-  }, [isConnected, wallet, showNotification, state.recentOperations]);
+  }, [isConnected, wallet, showNotification, prepareOperations]);
 
   // Execute a single operation
   const executeOperation = useCallback(async (operation) => {
@@ -334,32 +340,26 @@ export function TransactionProvider({ children }) {
         }
       });
 
-      // Create transaction payload
-      const payload = {
-        function: `${operation.contractAddress}${operation.functionName}`,
-        type_arguments: [],
-        arguments: [convertAmountToOnChain(operation.amount)]
-      };
+      // The server builds and simulates the transaction; the wallet signs exactly that transaction
+      const { protocol, type, amount } = operation;
+      const prepared = await prepareOperations([{ protocol, type, amount }]);
+      const [{ result: transaction }] = prepared.operations;
 
-      // Sign and submit transaction
-      const result = await signAndSubmitTransaction(payload);
+      const result = await walletService.signAndSubmitPreparedTransaction(transaction);
 
-      if (result.success) {
-        dispatch({
-          type: ACTIONS.TRANSACTION_SUCCESS,
-          payload: {
-            ...operation,
-            status: 'success',
-            txHash: result.hash,
-            timestamp: new Date().toISOString()
-          }
-        });
-        
-        showNotification(`Successfully executed ${operation.type} on ${operation.protocol}`, 'success');
-        return { success: true, hash: result.hash };
-      } else {
-        throw new Error(result.error || 'Transaction failed');
-      }
+      dispatch({
+        type: ACTIONS.TRANSACTION_SUCCESS,
+        payload: {
+          ...operation,
+          transactionId: transaction.transactionId,
+          status: 'success',
+          txHash: result.hash,
+          timestamp: new Date().toISOString()
+        }
+      });
+      
+      showNotification(`Successfully executed ${operation.type} on ${operation.protocol}`, 'success');
+      return { success: true, hash: result.hash };
     } catch (error) {
       dispatch({
         type: ACTIONS.TRANSACTION_FAILED,
@@ -369,7 +369,7 @@ export function TransactionProvider({ children }) {
       showNotification(`Transaction failed: ${error.message}`, 'error');
       return { success: false, error: error.message };
     }
-  }, [isConnected, wallet, showNotification]);
+  }, [isConnected, wallet, showNotification, prepareOperations]);
 
   // Reset current transaction state
   const resetTransaction = useCallback(() => {
@@ -398,78 +398,9 @@ export function TransactionProvider({ children }) {
     return 'stake'; // Default to staking
   }
 
-  // Helper function to get contract address
-  function getContractAddress(protocol) {
-    return PROTOCOL_ADDRESSES[protocol.toLowerCase()] || null;
-  }
-
-  // Helper function to get function name
-  function getFunctionName(protocol, operation) {
-    const functionMappings = {
-      'amnis': { 
-        'stake': '::staking::stake', 
-        'unstake': '::staking::unstake', 
-        'lend': '::lending::supply', 
-        'withdraw': '::lending::withdraw', 
-        'addLiquidity': '::router::add_liquidity', 
-        'removeLiquidity': '::router::remove_liquidity',
-        'swap': '::router::swap_exact_input'
-      },
-      'thala': { 
-        'stake': '::staking::stake_apt', 
-        'unstake': '::staking::unstake_apt', 
-        'lend': '::lending::supply_apt', 
-        'withdraw': '::lending::withdraw_apt', 
-        'addLiquidity': '::router::add_liquidity', 
-        'removeLiquidity': '::router::remove_liquidity',
-        'swap': '::router::swap_exact_input'
-      },
-      'tortuga': { 
-        'stake': '::staking::stake_apt', 
-        'unstake': '::staking::unstake_apt' 
-      },
-      'echo': { 
-        'lend': '::lending::supply',
-        'withdraw': '::lending::withdraw' 
-      },
-      'ditto': { 
-        'stake': '::staking::stake', 
-        'unstake': '::staking::unstake' 
-      },
-      'aries': { 
-        'lend': '::lending::supply', 
-        'withdraw': '::lending::withdraw' 
-      }
-    };
-    
-    const lowerProtocol = protocol.toLowerCase();
-    const lowerOperation = operation.toLowerCase();
-    
-    // Check for specific protocol-operation mapping
-    if (functionMappings[lowerProtocol]?.[lowerOperation]) {
-      return functionMappings[lowerProtocol][lowerOperation];
-    }
-    
-    // Default function names by operation type
-    const defaultFunctions = {
-      'stake': '::staking::stake',
-      'unstake': '::staking::unstake',
-      'lend': '::lending::supply',
-      'withdraw': '::lending::withdraw',
-      'addLiquidity': '::router::add_liquidity',
-      'removeLiquidity': '::router::remove_liquidity',
-      'deposit': '::yield::deposit',
-      'swap': '::router::swap_exact_input'
-    };
-    
-    return defaultFunctions[lowerOperation] || `::${lowerOperation}::execute`;
-  }
-
-  // Helper function to convert amount to on-chain format (APT has 8 decimals)
-  function convertAmountToOnChain(amount) {
-    const amountNum = parseFloat(amount);
-    if (isNaN(amountNum)) return '0';
-    return (amountNum * 100000000).toFixed(0); // 8 decimals for APT
+  // Helper function to name an operation, or the script batching a strategy's steps, in notifications
+  function describeOperation(operation) {
+    return operation.script ? `the ${operation.script} script` : `${operation.type} on ${operation.protocol}`;
   }
 
   // Context value
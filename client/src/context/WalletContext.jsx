@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { AptosWalletAdapter } from '@aptos-labs/wallet-adapter-react';
 import api from '../services/api';
+import { sendIdempotent } from '../utils/idempotency';
 import { useNotifications } from './NotificationContext';
 import { NOTIFICATION_TYPES, PRIORITY } from './NotificationContext';
 
@@ -294,12 +295,13 @@ export const WalletProvider = ({ children }) => {
     
     try {
       // Execute strategy through API
-      const response = await api.post('/api/execute-strategy', {
+      const payload = {
         walletAddress,
         amount: strategy.amount || 0,
         allocation: strategy.allocation || [],
         operations: strategy.operations
-      });
+      };
+      const response = await sendIdempotent('/api/execute-strategy', payload, config => api.post('/api/execute-strategy', payload, config));
       
       // Refresh portfolio after execution
       await fetchPortfolioData();
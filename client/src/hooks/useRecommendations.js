@@ -4,6 +4,7 @@ import axios from 'axios';
 import { UserContext } from '../context/UserContext';
 import { NotificationContext } from '../context/NotificationContext';
 import { WalletContext } from '../context/WalletContext';
+import { sendIdempotent } from '../utils/idempotency';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000/api';
 
@@ -348,10 +349,8 @@ const useRecommendations = () => {
         results: null
       });
       
-      const response = await axios.post(`${API_URL}/auto-rebalance/execute`, {
-        walletAddress: account.address,
-        force: options.force || false
-      });
+      const payload = { walletAddress: account.address, force: options.force || false };
+      const response = await sendIdempotent('/auto-rebalance/execute', payload, config => axios.post(`${API_URL}/auto-rebalance/execute`, payload, config));
       
       setExecutionStatus({
         executing: false,
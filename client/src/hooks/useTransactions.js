@@ -3,15 +3,27 @@ import { useState, useEffect, useCallback, useContext } from 'react';
 import axios from 'axios';
 import { WalletContext } from '../context/WalletContext';
 import { NotificationContext } from '../context/NotificationContext';
+import walletService from '../services/walletService';
+import { sendIdempotent } from '../utils/idempotency';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000/api';
 
+// Lifecycle statuses after which a transaction no longer changes
+const FINAL_STATUSES = ['confirmed', 'failed', 'expired'];
+
+// Notification shown when a transaction reaches a final status
+const FINAL_NOTIFICATIONS = {
+  confirmed: { type: 'success', title: 'Transaction Successful', message: 'has been confirmed' },
+  failed: { type: 'error', title: 'Transaction Failed', message: 'has failed' },
+  expired: { type: 'error', title: 'Transaction Expired', message: 'expired before it was committed' }
+};
+
 /**
  * Hook for managing blockchain transactions and execution history
  * @returns {Object} Transaction methods and state
  */
 const useTransactions = () => {
-  const { account, signAndSubmitTransaction, network } = useContext(WalletContext);
+  const { account, network } = useContext(WalletContext);
   const { showNotification } = useContext(NotificationContext);
   
   const [transactions, setTransactions] = useState([]);
@@ -23,6 +35,9 @@ const useTransactions = () => {
   
   /**
    * Execute a single operation on a DeFi protocol
+   *
+   * The server resolves the contract, builds the transaction and simulates it; the wallet
+   * signs exactly that transaction.
    * @param {Object} operation - Operation details
    * @returns {Promise<Object>} Transaction result
    */
@@ -40,60 +55,24 @@ const useTransactions = () => {
         throw new Error('Invalid operation: protocol, type, and amount are required');
       }
       
-      // Get contract address if not provided
-      if (!operation.contractAddress) {
-        // Fetch contract address from server
-        const contractsResponse = await axios.get(`${API_URL}/contracts`);
-        const contracts = contractsResponse.data.contracts || {};
-        operation.contractAddress = contracts[operation.protocol.toLowerCase()];
-      }
+      // Prepare the transaction; one the simulation rejects comes back as a failed operation
+      const payload = { walletAddress: account.address, operations: [operation] };
+      const prepareResponse = await sendIdempotent('/execute-strategy', payload, config => axios.post(`${API_URL}/execute-strategy`, payload, config));
       
-      if (!operation.contractAddress) {
-        throw new Error(`Contract address not found for protocol: ${operation.protocol}`);
+      const [prepared] = prepareResponse.data.operations || [];
+      if (!prepared) {
+        throw new Error(prepareResponse.data.error || prepareResponse.data.failedOperations?.[0]?.error || 'Failed to prepare transaction');
       }
       
-      // Simulate transaction first to check for errors
-      const simulationResponse = await axios.post(`${API_URL}/wallet/${account.address}/simulate-transaction`, {
-        transaction: {
-          sender: account.address,
-          function: operation.functionName 
-            ? `${operation.contractAddress}${operation.functionName}`
-            : `${operation.contractAddress}::${operation.type}::execute`,
-          arguments: [
-            // Convert APT amount to octas (APT * 10^8)
-            (parseFloat(operation.amount) * 100000000).toString()
-          ],
-          type_arguments: operation.typeArguments || []
-        }
-      });
-      
-      if (!simulationResponse.data.success) {
-        throw new Error(`Simulation failed: ${simulationResponse.data.vmStatus || 'Unknown error'}`);
-      }
-      
-      // Create transaction payload
-      const payload = {
-        function: operation.functionName 
-          ? `${operation.contractAddress}${operation.functionName}`
-          : `${operation.contractAddress}::${operation.type}::execute`,
-        type_arguments: operation.typeArguments || [],
-        arguments: [
-          // Convert APT amount to octas (APT * 10^8)
-          (parseFloat(operation.amount) * 100000000).toString()
-        ]
-      };
-      
       setCurrentTransaction({
         ...operation,
+        transactionId: prepared.result.transactionId,
         status: 'signing',
         timestamp: new Date().toISOString()
       });
       
-      // Sign and submit transaction
-      const result = await signAndSubmitTransaction({
-        sender: account.address,
-        payload
-      });
+      // Sign and submit the prepared transaction; the server tracks it from its reported hash
+      const result = await walletService.signAndSubmitPreparedTransaction(prepared.result);
       
       const txHash = result.hash;
       
@@ -116,16 +95,6 @@ const useTransactions = () => {
       
       setPendingTransactions(prev => [...prev, pendingTx]);
       
-      // Register transaction with server for tracking
-      await axios.post(`${API_URL}/transactions/register`, {
-        walletAddress: account.address,
-        hash: txHash,
-        protocol: operation.protocol,
-        type: operation.type,
-        amount: operation.amount,
-        contractAddress: operation.contractAddress
-      });
-      
       // Start transaction monitoring
       monitorTransaction(txHash);
       
@@ -159,7 +128,7 @@ const useTransactions = () => {
     } finally {
       setIsLoading(false);
     }
-  }, [account, signAndSubmitTransaction, showNotification]);
+  }, [account, showNotification]);
   
   /**
    * Execute multiple operations in sequence
@@ -204,59 +173,43 @@ const useTransactions = () => {
   }, [account, executeOperation]);
   
   /**
-   * Monitor transaction status until confirmed
+   * Notify the user that a transaction reached a final status
+   * @param {Object} transaction - Transaction lifecycle description
+   */
+  const notifyFinalStatus = useCallback((transaction) => {
+    const notification = FINAL_NOTIFICATIONS[transaction.status];
+    if (!notification) return;
+    
+    showNotification({
+      type: notification.type,
+      title: notification.title,
+      message: `Your ${transaction.type} transaction on ${transaction.protocol} ${notification.message}.` +
+        (transaction.error ? ` ${transaction.error}` : '')
+    });
+  }, [showNotification]);
+  
+  /**
+   * Fetch the current status of a transaction once; later changes arrive through the event stream
    * @param {string} txHash - Transaction hash to monitor
-   * @returns {Promise<Object>} Final transaction status
+   * @returns {Promise<Object>} Current transaction status
    */
   const monitorTransaction = useCallback(async (txHash) => {
     try {
-      // Initialize poll count
-      let pollCount = 0;
-      const maxPolls = 30; // Maximum number of status checks
-      const pollInterval = 2000; // 2 seconds between checks
+      const response = await axios.get(`${API_URL}/transactions/${txHash}`);
+      const transaction = response.data;
       
-      const checkStatus = async () => {
-        if (pollCount >= maxPolls) {
-          updateTransactionStatus(txHash, 'timeout');
-          return;
-        }
-        
-        pollCount++;
-        
-        try {
-          const response = await axios.get(`${API_URL}/transactions/${txHash}`);
-          const status = response.data.status;
-          
-          // Update transaction status in state
-          updateTransactionStatus(txHash, status);
-          
-          if (status === 'confirmed' || status === 'failed') {
-            // Transaction is finalized, stop polling
-            const finalStatus = status === 'confirmed' ? 'success' : 'failed';
-            
-            showNotification({
-              type: finalStatus,
-              title: `Transaction ${finalStatus === 'success' ? 'Successful' : 'Failed'}`,
-              message: `Your transaction ${finalStatus === 'success' ? 'has been confirmed' : 'has failed'}.`
-            });
-            
-            return;
-          }
-          
-          // Continue polling
-          setTimeout(checkStatus, pollInterval);
-        } catch (err) {
-          console.error('Error checking transaction status:', err);
-          setTimeout(checkStatus, pollInterval);
-        }
-      };
+      // The change may have been published before the stream was subscribed
+      updateTransactionStatus(txHash, transaction.status);
+      if (FINAL_STATUSES.includes(transaction.status)) {
+        notifyFinalStatus(transaction);
+      }
       
-      // Start polling
-      await checkStatus();
+      return transaction;
     } catch (err) {
-      console.error('Error monitoring transaction:', err);
+      console.error('Error checking transaction status:', err);
+      return null;
     }
-  }, [showNotification]);
+  }, [notifyFinalStatus]);
   
   /**
    * Update transaction status in state
@@ -358,6 +311,30 @@ const useTransactions = () => {
     return `${explorerBaseUrl}${txHash}`;
   }, [network]);
   
+  // Effect to subscribe to transaction lifecycle events while a wallet is connected
+  useEffect(() => {
+    if (!account?.address) return undefined;
+    
+    const events = new EventSource(`${API_URL}/transactions/events?walletAddress=${account.address}`);
+    
+    events.addEventListener('transaction', (event) => {
+      const transaction = JSON.parse(event.data);
+      if (!transaction.hash) return;
+      
+      updateTransactionStatus(transaction.hash, transaction.status);
+      if (FINAL_STATUSES.includes(transaction.status)) {
+        notifyFinalStatus(transaction);
+      }
+    });
+    
+    events.onerror = () => {
+      // EventSource reconnects by itself; this only surfaces the interruption
+      console.warn('Transaction event stream interrupted, reconnecting');
+    };
+    
+    return () => events.close();
+  }, [account, updateTransactionStatus, notifyFinalStatus]);
+  
   // Effect to fetch transaction history when wallet is connected
   useEffect(() => {
     if (account?.address) {
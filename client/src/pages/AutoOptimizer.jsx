@@ -6,12 +6,19 @@ import OptimizerStatus from '../components/optimizer/OptimizerStatus';
 import OptimizerSettings from '../components/optimizer/OptimizerSettings';
 import PortfolioBalance from '../components/optimizer/PortfolioBalance';
 import ExecutionHistory from '../components/optimizer/ExecutionHistory';
+import StrategyOperations from '../components/optimizer/StrategyOperations';
+import BacktestResults from '../components/optimizer/BacktestResults';
+import RebalancePhases from '../components/optimizer/RebalancePhases';
+import RebalanceProposals from '../components/optimizer/RebalanceProposals';
+import DelegatedExecution from '../components/optimizer/DelegatedExecution';
 import Card from '../components/common/Card';
 import { CardHeader, CardTitle, CardDescription, CardContent } from '../components/common/Card';
 import Button from '../components/common/Button';
 import usePortfolio from '../hooks/usePortfolio';
 import { useNotification } from '../context/NotificationContext';
 import api from '../services/api';
+import walletService from '../services/walletService';
+import { sendIdempotent } from '../utils/idempotency';
 
 const AutoOptimizer = () => {
   const { connected, address } = useWalletContext();
@@ -31,6 +38,18 @@ const AutoOptimizer = () => {
   const [isRebalancing, setIsRebalancing] = useState(false);
   const [statusInfo, setStatusInfo] = useState(null);
   const [optimizationMetrics, setOptimizationMetrics] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewStatus, setPreviewStatus] = useState(null);
+  const [backtestResults, setBacktestResults] = useState(null);
+  const [isBacktesting, setIsBacktesting] = useState(false);
+  const [pendingPhases, setPendingPhases] = useState([]);
+  const [circuitBreakers, setCircuitBreakers] = useState(null);
+  const [proposals, setProposals] = useState([]);
+  const [signingProposalId, setSigningProposalId] = useState(null);
+  const [signingPhasesId, setSigningPhasesId] = useState(null);
+  const [delegation, setDelegation] = useState(null);
+  const [delegationAudit, setDelegationAudit] = useState([]);
+  const [isDelegating, setIsDelegating] = useState(false);
 
   // Load settings from localStorage
   useEffect(() => {
@@ -88,6 +107,227 @@ const AutoOptimizer = () => {
     }
   }, [connected, address, fetchPortfolioData]);
 
+  // Load the wallet's server-side rebalance settings
+  useEffect(() => {
+    if (!connected || !address) return;
+
+    api.rebalancer.getRebalanceSettings(address)
+      .then(({ settings: serverSettings }) => {
+        setSettings(prev => ({
+          ...prev,
+          interval: serverSettings.cooldownPeriod / (60 * 60 * 1000),
+          rebalanceThreshold: serverSettings.minRebalanceThreshold,
+          maxSlippage: serverSettings.maxSlippage,
+          preserveStakedPositions: serverSettings.preserveStakedPositions,
+          toleranceBands: serverSettings.toleranceBands || {},
+          gasTier: serverSettings.gasTier,
+          gasBuffer: serverSettings.gasBuffer,
+          maxGasShareOfGain: serverSettings.maxGasShareOfGain,
+          maxDailyNotionalUSD: serverSettings.maxDailyNotionalUSD,
+          maxConsecutiveFailures: serverSettings.maxConsecutiveFailures,
+          maxDrawdownPercent: serverSettings.maxDrawdownPercent,
+          deniedProtocols: serverSettings.deniedProtocols || [],
+          proposalTTL: serverSettings.proposalTTL / (60 * 60 * 1000),
+          proposalMaxMarketMove: serverSettings.proposalMaxMarketMove
+        }));
+      })
+      .catch(error => {
+        console.error('Failed to load rebalance settings:', error);
+      });
+  }, [connected, address]);
+
+  // Load rebalances still waiting for unstaked funds to unbond
+  const fetchPendingPhases = useCallback(async () => {
+    if (!connected || !address) return;
+
+    try {
+      const { rebalances } = await api.rebalancer.getPendingPhases(address);
+      setPendingPhases(rebalances);
+    } catch (error) {
+      console.error('Failed to load pending rebalance phases:', error);
+    }
+  }, [connected, address]);
+
+  useEffect(() => {
+    fetchPendingPhases();
+  }, [fetchPendingPhases]);
+
+  // Load automated rebalance proposals (open ones first)
+  const fetchProposals = useCallback(async () => {
+    if (!connected || !address) return;
+
+    try {
+      const { proposals: list } = await api.rebalancer.getProposals(address);
+      setProposals(list.filter(proposal => !proposal.closedAt).concat(list.filter(proposal => proposal.closedAt).slice(0, 3)));
+    } catch (error) {
+      console.error('Failed to load rebalance proposals:', error);
+    }
+  }, [connected, address]);
+
+  useEffect(() => {
+    fetchProposals();
+  }, [fetchProposals]);
+
+  // Sign a proposal operation the server built and simulated, with the platform paying the gas
+  // while the wallet's sponsored budget lasts
+  const signProposalOperation = async (proposalId, operation, sponsored) => {
+    const prepared = await api.rebalancer.prepareProposalOperation(address, proposalId, operation.index, {
+      publicKey: walletService.account?.publicKey,
+      sponsored
+    });
+    const { hash } = await walletService.signAndSubmitPreparedTransaction(prepared);
+    return { hash, transactionId: prepared.transactionId };
+  };
+
+  // Approve a proposal and sign its available operations in order, stopping at the first failure
+  // (each operation is prepared once the previous one is committed, so it simulates against its result)
+  const approveProposal = async (proposal) => {
+    setSigningProposalId(proposal.proposalId);
+
+    try {
+      let current = await api.rebalancer.approveProposal(address, proposal.proposalId);
+      const signable = current.operations.filter(op => op.available && (op.status === 'pending' || op.status === 'failed'));
+      const allowance = await api.sponsor.getAllowance(address).catch(() => null);
+      let previousHash = null;
+
+      for (const operation of signable) {
+        try {
+          if (previousHash) {
+            await walletService.waitForTransaction(previousHash);
+          }
+
+          const { hash, transactionId } = await signProposalOperation(proposal.proposalId, operation, Boolean(allowance?.available));
+          current = await api.rebalancer.reportProposalOperation(address, proposal.proposalId, operation.index, {
+            success: true,
+            transactionHash: hash,
+            transactionId
+          });
+          previousHash = hash;
+        } catch (error) {
+          current = await api.rebalancer.reportProposalOperation(address, proposal.proposalId, operation.index, {
+            success: false,
+            error: error.response?.data?.error || error.message
+          });
+          break;
+        }
+      }
+
+      const failed = current.operations.some(op => op.status === 'failed');
+      showNotification(
+        failed ? 'Some rebalance transactions were not submitted' : 'Rebalance transactions submitted',
+        failed ? 'warning' : 'success'
+      );
+      fetchPortfolioData(address);
+    } catch (error) {
+      showNotification(`Failed to approve proposal: ${error.response?.data?.error || error.message}`, 'error');
+    } finally {
+      setSigningProposalId(null);
+      fetchProposals();
+    }
+  };
+
+  // Reject a proposal
+  const rejectProposal = async (proposal) => {
+    try {
+      await api.rebalancer.rejectProposal(address, proposal.proposalId);
+      showNotification('Rebalance proposal rejected', 'info');
+    } catch (error) {
+      showNotification(`Failed to reject proposal: ${error.response?.data?.error || error.message}`, 'error');
+    } finally {
+      fetchProposals();
+    }
+  };
+
+  // Load the wallet's latest automation account and what its delegate signed
+  const fetchDelegation = useCallback(async () => {
+    if (!connected || !address) return;
+
+    try {
+      const [latest] = await api.delegation.getDelegations();
+      setDelegation(latest || null);
+      setDelegationAudit(latest ? await api.delegation.getAuditLog(latest.delegationId) : []);
+    } catch (error) {
+      console.error('Failed to load delegated execution:', error);
+    }
+  }, [connected, address]);
+
+  useEffect(() => {
+    fetchDelegation();
+  }, [fetchDelegation]);
+
+  // Sign the transaction that creates the automation account with the delegate key, then activate it
+  const authorizeDelegation = async (pending) => {
+    setIsDelegating(true);
+
+    try {
+      const { hash } = await walletService.signAndSubmitTransaction(pending.payload);
+      await api.delegation.confirmDelegation(pending.delegationId, hash);
+      showNotification('Delegated execution is active', 'success');
+    } catch (error) {
+      showNotification(`Failed to authorize delegation: ${error.response?.data?.error || error.message}`, 'error');
+    } finally {
+      setIsDelegating(false);
+      fetchDelegation();
+    }
+  };
+
+  // Start a delegation with the chosen caps and authorize it right away
+  const createDelegation = async (terms) => {
+    setIsDelegating(true);
+
+    try {
+      const pending = await api.delegation.createDelegation(terms);
+      await authorizeDelegation(pending);
+    } catch (error) {
+      showNotification(`Failed to create delegation: ${error.response?.data?.error || error.message}`, 'error');
+      setIsDelegating(false);
+      fetchDelegation();
+    }
+  };
+
+  // Stop the delegate from signing and take the automation account back
+  const revokeDelegation = async (current) => {
+    setIsDelegating(true);
+
+    try {
+      const revoked = await api.delegation.revokeDelegation(current.delegationId);
+      showNotification(
+        revoked.handBack?.status === 'failed' ? 'Delegation revoked, but handing the account back failed' : 'Delegation revoked',
+        revoked.handBack?.status === 'failed' ? 'warning' : 'success'
+      );
+    } catch (error) {
+      showNotification(`Failed to revoke delegation: ${error.response?.data?.error || error.message}`, 'error');
+    } finally {
+      setIsDelegating(false);
+      fetchDelegation();
+    }
+  };
+
+  // Load circuit breaker state so a stopped rebalancer is visible
+  const fetchCircuitBreakers = useCallback(async () => {
+    if (!connected || !address) return;
+
+    try {
+      setCircuitBreakers(await api.rebalancer.getCircuitBreakers(address));
+    } catch (error) {
+      console.error('Failed to load circuit breakers:', error);
+    }
+  }, [connected, address]);
+
+  useEffect(() => {
+    fetchCircuitBreakers();
+  }, [fetchCircuitBreakers]);
+
+  // Clear the consecutive-failure and drawdown breakers after reviewing the portfolio
+  const resetCircuitBreakers = async () => {
+    try {
+      setCircuitBreakers(await api.rebalancer.resetCircuitBreakers(address));
+      showNotification('Circuit breakers reset', 'success');
+    } catch (error) {
+      showNotification(`Failed to reset circuit breakers: ${error.message}`, 'error');
+    }
+  };
+
   // Update settings in localStorage when they change
   useEffect(() => {
     localStorage.setItem('autoOptimizerSettings', JSON.stringify(settings));
@@ -173,6 +413,41 @@ const AutoOptimizer = () => {
     }));
   };
 
+  // Sign prepared rebalance transactions in order, stopping at the first one that fails
+  // (a dependent transaction waits for the one before it to commit, so its simulation sees the funds)
+  const signRebalanceTransactions = async (transactions = []) => {
+    let previousHash = null;
+
+    for (const [index, prepared] of transactions.entries()) {
+      try {
+        if (previousHash && prepared.transaction?.dependent) {
+          await walletService.waitForTransaction(previousHash);
+        }
+        ({ hash: previousHash } = await walletService.signAndSubmitPreparedTransaction(prepared));
+      } catch (error) {
+        console.error('Failed to sign rebalance transaction:', error);
+        return transactions.length - index;
+      }
+    }
+    return 0;
+  };
+
+  // Sign the transactions a waiting rebalance prepared for its current phase
+  const signPendingPhases = async (rebalance) => {
+    setSigningPhasesId(rebalance.eventId);
+
+    try {
+      const unsigned = await signRebalanceTransactions(rebalance.transactions);
+      showNotification(
+        unsigned > 0 ? `${unsigned} rebalance transaction(s) were not signed` : 'Rebalance transactions submitted',
+        unsigned > 0 ? 'warning' : 'success'
+      );
+      fetchPendingPhases();
+    } finally {
+      setSigningPhasesId(null);
+    }
+  };
+
   // Function to execute rebalance
   const executeRebalance = async () => {
     if (isRebalancing || !connected) return;
@@ -181,11 +456,12 @@ const AutoOptimizer = () => {
     showNotification('Portfolio rebalancing in progress...', 'info');
     
     try {
-      // Call API to execute rebalance
-      const response = await api.post('/auto-rebalance/execute', {
-        walletAddress: address,
-        settings
-      });
+      // Call API to execute rebalance; retrying after a timeout replays the first run
+      const payload = { walletAddress: address, settings };
+      const response = await sendIdempotent('/auto-rebalance/execute', payload, config => api.post('/auto-rebalance/execute', payload, config));
+      
+      // Without a delegate the wallet signs the prepared transactions; the rebalance finishes as they confirm
+      const unsigned = response.data.awaitingSignature ? await signRebalanceTransactions(response.data.transactions) : 0;
       
       // Save result to history
       const historyEntry = {
@@ -211,15 +487,30 @@ const AutoOptimizer = () => {
       updateOptimizationMetrics(response.data);
       
       // Show result notification
-      showNotification(
-        response.data.success 
-          ? `Portfolio rebalance completed successfully` 
-          : `Portfolio rebalance completed with some issues`,
-        response.data.success ? 'success' : 'warning'
-      );
+      if (response.data.tripped) {
+        showNotification(response.data.message, 'warning');
+      } else if (response.data.awaitingSignature) {
+        showNotification(
+          unsigned > 0 ?
+            `${unsigned} rebalance transaction(s) were not signed` :
+            'Rebalance transactions submitted; the rebalance completes once they confirm',
+          unsigned > 0 ? 'warning' : 'info'
+        );
+      } else if (response.data.waiting) {
+        showNotification('Unstake requests submitted; remaining steps run once the funds unbond', 'info');
+      } else {
+        showNotification(
+          response.data.success 
+            ? `Portfolio rebalance completed successfully` 
+            : `Portfolio rebalance completed with some issues`,
+          response.data.success ? 'success' : 'warning'
+        );
+      }
       
-      // Refresh portfolio data
+      // Refresh portfolio data and any phases left waiting
       fetchPortfolioData(address);
+      fetchPendingPhases();
+      fetchCircuitBreakers();
       
       return response.data;
     } catch (error) {
@@ -248,6 +539,67 @@ const AutoOptimizer = () => {
     }
   };
 
+  // Load a dry-run plan so the user can review it before anything executes
+  const requestPreview = async () => {
+    if (isRebalancing || !connected) return;
+    
+    try {
+      const plan = await api.rebalancer.previewRebalance(address);
+      setPreview(plan);
+      setPreviewStatus('pending');
+      
+      if (plan.operations.length === 0) {
+        showNotification('Portfolio is balanced, no operations needed', 'info');
+      }
+    } catch (error) {
+      showNotification(`Failed to preview rebalance: ${error.message}`, 'error');
+    }
+  };
+
+  // Execute the previewed plan once the user approves it
+  const approvePreview = async () => {
+    setPreviewStatus('executing');
+    const result = await executeRebalance();
+    setPreviewStatus(result?.success === false ? 'failed' : 'completed');
+  };
+
+  // Discard the previewed plan
+  const rejectPreview = () => {
+    setPreview(null);
+    setPreviewStatus(null);
+  };
+
+  // Compare the current settings against common alternatives over the last 30 days
+  const runBacktest = async () => {
+    setIsBacktesting(true);
+    
+    try {
+      const results = await api.rebalancer.runBacktest({
+        walletAddress: address,
+        days: 30,
+        initialValueUSD: portfolio?.totalValueUSD || 10000,
+        parameterSets: [
+          {
+            label: 'Current',
+            minRebalanceThreshold: settings.rebalanceThreshold,
+            checkInterval: 4,
+            maxSlippage: settings.maxSlippage,
+            preserveStakedPositions: settings.preserveStakedPositions
+          },
+          { label: '5% / 4h', minRebalanceThreshold: 5, checkInterval: 4 },
+          { label: '5% / 24h', minRebalanceThreshold: 5, checkInterval: 24 },
+          { label: '10% / 4h', minRebalanceThreshold: 10, checkInterval: 4 },
+          { label: '10% / 24h', minRebalanceThreshold: 10, checkInterval: 24 }
+        ]
+      });
+      setBacktestResults(results);
+    } catch (error) {
+      showNotification(`Backtest failed: ${error.response?.data?.error || error.message}`, 'error');
+    } finally {
+      setIsBacktesting(false);
+    }
+  };
+
   // Update optimization metrics
   const updateOptimizationMetrics = (data) => {
     const currentMetrics = optimizationMetrics || {
@@ -287,10 +639,34 @@ const AutoOptimizer = () => {
   };
 
   // Handle saving settings
-  const handleSaveSettings = (newSettings) => {
+  const handleSaveSettings = async (newSettings) => {
+    try {
+      // Persist per-wallet settings; the server validates and clamps the values
+      await api.rebalancer.updateRebalanceSettings(address, {
+        interval: newSettings.interval,
+        threshold: newSettings.rebalanceThreshold,
+        slippage: newSettings.maxSlippage,
+        preserveStakedPositions: newSettings.preserveStakedPositions,
+        toleranceBands: newSettings.toleranceBands,
+        gasTier: newSettings.gasTier,
+        gasBuffer: newSettings.gasBuffer,
+        maxGasShareOfGain: newSettings.maxGasShareOfGain,
+        maxDailyNotionalUSD: newSettings.maxDailyNotionalUSD,
+        maxConsecutiveFailures: newSettings.maxConsecutiveFailures,
+        maxDrawdownPercent: newSettings.maxDrawdownPercent,
+        deniedProtocols: newSettings.deniedProtocols,
+        proposalTTL: newSettings.proposalTTL,
+        proposalMaxMarketMove: newSettings.proposalMaxMarketMove
+      });
+    } catch (error) {
+      showNotification(`Failed to save settings: ${error.message}`, 'error');
+      return;
+    }
+
     setSettings(newSettings);
     localStorage.setItem('autoOptimizerSettings', JSON.stringify(newSettings));
     showNotification('Settings saved successfully', 'success');
+    fetchCircuitBreakers();
     
     // If auto-optimize is enabled, reschedule next run
     if (isEnabled) {
@@ -313,6 +689,24 @@ const AutoOptimizer = () => {
           )}
         </div>
         
+        {(circuitBreakers?.killSwitch?.engaged || circuitBreakers?.tripped) && (
+          <div className="mb-6 p-4 rounded-lg bg-red-900/30 border border-red-700 flex items-start justify-between">
+            <div>
+              <h4 className="font-medium text-red-200">Automated rebalancing halted</h4>
+              <p className="text-sm text-red-300 mt-1">
+                {circuitBreakers.killSwitch?.engaged
+                  ? `Automation is paused platform-wide${circuitBreakers.killSwitch.reason ? `: ${circuitBreakers.killSwitch.reason}` : ''}`
+                  : `Circuit breaker tripped: ${circuitBreakers.tripped.replace(/_/g, ' ')}`}
+              </p>
+            </div>
+            {!circuitBreakers.killSwitch?.engaged && (
+              <Button onClick={resetCircuitBreakers} variant="secondary" size="sm">
+                Reset
+              </Button>
+            )}
+          </div>
+        )}
+        
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           <div className="md:col-span-2">
             <Card className="bg-gray-800 border border-gray-700">
@@ -338,10 +732,11 @@ const AutoOptimizer = () => {
                   enabled={isEnabled}
                   onToggle={toggleAutoOptimize}
                   nextRun={nextRunTime}
-                  onExecuteNow={executeRebalance}
+                  onExecuteNow={requestPreview}
                   isRebalancing={isRebalancing}
                   settings={settings}
                   metrics={optimizationMetrics}
+                  preview={preview}
                   strategy={{
                     name: 'Balanced Yield',
                     expectedAPR: portfolio?.expectedAPR || 7.5
@@ -350,6 +745,74 @@ const AutoOptimizer = () => {
               </CardContent>
             </Card>
             
+            {preview && (
+              <div className="mt-6">
+                <StrategyOperations
+                  operations={preview.operations}
+                  plan={preview}
+                  executionStatus={previewStatus}
+                  onApprove={approvePreview}
+                  onReject={rejectPreview}
+                />
+              </div>
+            )}
+            
+            {proposals.length > 0 && (
+              <Card className="bg-gray-800 border border-gray-700 mt-6">
+                <CardHeader>
+                  <CardTitle>Rebalance Proposals</CardTitle>
+                  <CardDescription>
+                    Automated rebalances wait for you to review and sign them
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <RebalanceProposals
+                    proposals={proposals}
+                    signingId={signingProposalId}
+                    onApprove={approveProposal}
+                    onReject={rejectProposal}
+                  />
+                </CardContent>
+              </Card>
+            )}
+            
+            <Card className="bg-gray-800 border border-gray-700 mt-6">
+              <CardHeader>
+                <CardTitle>Delegated Execution</CardTitle>
+                <CardDescription>
+                  Let automated rebalances of an automation account run without your signature
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                <DelegatedExecution
+                  delegation={delegation}
+                  auditLog={delegationAudit}
+                  busy={isDelegating}
+                  onCreate={createDelegation}
+                  onAuthorize={authorizeDelegation}
+                  onRevoke={revokeDelegation}
+                />
+              </CardContent>
+            </Card>
+            
+            {pendingPhases.length > 0 && (
+              <Card className="bg-gray-800 border border-gray-700 mt-6">
+                <CardHeader>
+                  <CardTitle>Pending Rebalance Phases</CardTitle>
+                  <CardDescription>
+                    Steps waiting for their transactions or for unstaked APT to finish unbonding
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <RebalancePhases
+                    rebalances={pendingPhases}
+                    signingId={signingPhasesId}
+                    onSign={signPendingPhases}
+                  />
+                </CardContent>
+              </Card>
+            )}
+            
             <Card className="bg-gray-800 border border-gray-700 mt-6">
               <CardHeader>
                 <CardTitle>Portfolio Balance</CardTitle>
@@ -377,6 +840,28 @@ const AutoOptimizer = () => {
               </CardContent>
             </Card>
             
+            <Card className="bg-gray-800 border border-gray-700 mt-6">
+              <CardHeader>
+                <div className="flex justify-between items-center">
+                  <div>
+                    <CardTitle>Strategy Backtest</CardTitle>
+                    <CardDescription>
+                      How different settings would have performed over the last 30 days
+                    </CardDescription>
+                  </div>
+                  <Button 
+                    onClick={runBacktest}
+                    disabled={isBacktesting}
+                  >
+                    {isBacktesting ? 'Running...' : 'Run Backtest'}
+                  </Button>
+                </div>
+              </CardHeader>
+              <CardContent>
+                <BacktestResults results={backtestResults} />
+              </CardContent>
+            </Card>
+            
             <Card className="bg-gray-800 border border-gray-700 mt-6">
               <CardHeader>
                 <CardTitle>Execution History</CardTitle>
@@ -401,8 +886,8 @@ const AutoOptimizer = () => {
               <CardContent>
                 <OptimizerSettings 
                   settings={settings} 
-                  onSave={handleSaveSettings} 
-                  disabled={!connected || isRebalancing}
+                  updateSettings={handleSaveSettings} 
+                  loading={!connected || isRebalancing}
                 />
               </CardContent>
             </Card>
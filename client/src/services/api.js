@@ -3,6 +3,7 @@
 
 import axios from 'axios';
 import storageService from './storageService';
+import { sendIdempotent } from '../utils/idempotency';
 
 // Base API URL - should be moved to environment variable in production
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000/api';
@@ -100,6 +101,17 @@ const marketAPI = {
     }
   },
   
+  // Get the APR and TVL history of protocol products ({ protocol, product, from, to, interval })
+  getStakingRateHistory: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/staking/rates/history', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching staking rate history:', error);
+      throw error;
+    }
+  },
+  
   // Get protocol contract addresses
   getContractAddresses: async () => {
     try {
@@ -195,12 +207,8 @@ const recommendationAPI = {
   // Execute recommended strategy
   executeStrategy: async (walletAddress, amount, allocation, operations) => {
     try {
-      const response = await apiClient.post('/execute-strategy', {
-        walletAddress,
-        amount,
-        allocation,
-        operations
-      });
+      const payload = { walletAddress, amount, allocation, operations };
+      const response = await sendIdempotent('/execute-strategy', payload, config => apiClient.post('/execute-strategy', payload, config));
       return response.data;
     } catch (error) {
       console.error('Error executing strategy:', error);
@@ -236,6 +244,158 @@ const recommendationAPI = {
   }
 };
 
+// Sponsored (fee-payer) transaction APIs
+const sponsorAPI = {
+  // Get whether the platform pays the wallet's gas and how much of its daily budget is left
+  getAllowance: async (walletAddress) => {
+    try {
+      const response = await apiClient.get(`/sponsor/allowance?walletAddress=${walletAddress}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching sponsored gas allowance:', error);
+      throw error;
+    }
+  },
+  
+  // Prepare one operation with the platform sponsor as fee payer
+  prepareOperation: async (walletAddress, operation) => {
+    try {
+      const payload = { walletAddress, operations: [operation], sponsored: true };
+      const response = await sendIdempotent('/execute-strategy', payload, config => apiClient.post('/execute-strategy', payload, config));
+      
+      const [prepared] = response.data.operations;
+      if (!prepared) {
+        throw new Error(response.data.error || response.data.failedOperations[0]?.error || 'Failed to prepare sponsored transaction');
+      }
+      return prepared.result;
+    } catch (error) {
+      console.error('Error preparing sponsored transaction:', error);
+      throw error;
+    }
+  },
+  
+  // Hand the wallet's signature over so the sponsor co-signs and submits the transaction
+  submitTransaction: async (walletAddress, transactionId, senderAuthenticator) => {
+    try {
+      const response = await apiClient.post(`/transactions/${transactionId}/sponsor`, {
+        walletAddress,
+        senderAuthenticator
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error submitting sponsored transaction:', error);
+      throw error;
+    }
+  }
+};
+
+// Transaction API calls
+const transactionAPI = {
+  // Prepare one operation for the wallet to sign, built and simulated by the server
+  prepareOperation: async (walletAddress, operation) => {
+    try {
+      const payload = { walletAddress, operations: [operation] };
+      const response = await sendIdempotent('/execute-strategy', payload, config => apiClient.post('/execute-strategy', payload, config));
+      
+      const [prepared] = response.data.operations;
+      if (!prepared) {
+        throw new Error(response.data.error || response.data.failedOperations[0]?.error || 'Failed to prepare transaction');
+      }
+      return prepared.result;
+    } catch (error) {
+      console.error('Error preparing transaction:', error);
+      throw error;
+    }
+  },
+  
+  // Report the hash of a submitted transaction so the server tracks it to confirmation
+  register: async (walletAddress, { hash, transactionId }) => {
+    try {
+      const response = await apiClient.post('/transactions/register', {
+        walletAddress,
+        hash,
+        transactionId
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error registering transaction:', error);
+      throw error;
+    }
+  },
+  
+  // Simulate a prepared transaction again before the wallet signs it
+  simulate: async (walletAddress, transactionId, publicKey) => {
+    try {
+      const response = await apiClient.post(`/transactions/${transactionId}/simulate`, {
+        walletAddress,
+        publicKey
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error simulating transaction:', error);
+      throw error;
+    }
+  }
+};
+
+// Delegated execution API calls
+const delegationAPI = {
+  // List the signed-in wallet's automation accounts
+  getDelegations: async () => {
+    try {
+      const response = await apiClient.get('/delegation');
+      return response.data.delegations;
+    } catch (error) {
+      console.error('Error fetching delegations:', error);
+      throw error;
+    }
+  },
+  
+  // Start a delegation; the returned payload creates the automation account once the wallet signs it
+  createDelegation: async (terms) => {
+    try {
+      const response = await apiClient.post('/delegation', terms);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating delegation:', error);
+      throw error;
+    }
+  },
+  
+  // Activate a delegation with the hash of the transaction that created the automation account
+  confirmDelegation: async (delegationId, transactionHash) => {
+    try {
+      const response = await apiClient.post(`/delegation/${delegationId}/confirm`, { transactionHash });
+      return response.data;
+    } catch (error) {
+      console.error('Error confirming delegation:', error);
+      throw error;
+    }
+  },
+  
+  // Stop the delegate from signing and hand the automation account back
+  revokeDelegation: async (delegationId, reason) => {
+    try {
+      const response = await apiClient.post(`/delegation/${delegationId}/revoke`, { reason });
+      return response.data;
+    } catch (error) {
+      console.error('Error revoking delegation:', error);
+      throw error;
+    }
+  },
+  
+  // Get every transaction the delegate signed or was refused
+  getAuditLog: async (delegationId) => {
+    try {
+      const response = await apiClient.get(`/delegation/${delegationId}/audit`);
+      return response.data.entries;
+    } catch (error) {
+      console.error('Error fetching delegation audit log:', error);
+      throw error;
+    }
+  }
+};
+
 // Auto-rebalancer APIs
 const rebalancerAPI = {
   // Get auto-rebalance status
@@ -249,6 +409,17 @@ const rebalancerAPI = {
     }
   },
   
+  // Get per-wallet auto-rebalance settings
+  getRebalanceSettings: async (walletAddress) => {
+    try {
+      const response = await apiClient.get(`/auto-rebalance/settings?walletAddress=${walletAddress}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error getting rebalance settings:', error);
+      throw error;
+    }
+  },
+  
   // Update auto-rebalance settings
   updateRebalanceSettings: async (walletAddress, settings) => {
     try {
@@ -263,14 +434,171 @@ const rebalancerAPI = {
     }
   },
   
-  // Execute auto-rebalance
-  executeRebalance: async (walletAddress, force = false) => {
+  // Get the scheduled rebalance and its upcoming fire times
+  getSchedule: async (walletAddress) => {
+    try {
+      const response = await apiClient.get(`/auto-rebalance/schedule?walletAddress=${walletAddress}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error getting rebalance schedule:', error);
+      throw error;
+    }
+  },
+  
+  // Schedule a one-off, cron or calendar rebalance
+  scheduleRebalance: async (walletAddress, schedule) => {
+    try {
+      const response = await apiClient.post('/auto-rebalance/schedule', {
+        walletAddress,
+        ...schedule
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error scheduling rebalance:', error);
+      throw error;
+    }
+  },
+  
+  // Cancel the scheduled rebalance
+  cancelSchedule: async (walletAddress) => {
+    try {
+      const response = await apiClient.delete(`/auto-rebalance/schedule?walletAddress=${walletAddress}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error cancelling rebalance schedule:', error);
+      throw error;
+    }
+  },
+  
+  // Get rebalances waiting on unbonding, with their pending phases
+  getPendingPhases: async (walletAddress) => {
+    try {
+      const response = await apiClient.get(`/auto-rebalance/phases?walletAddress=${walletAddress}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error getting pending rebalance phases:', error);
+      throw error;
+    }
+  },
+  
+  // List rebalance proposals awaiting or past approval
+  getProposals: async (walletAddress, status = null) => {
+    try {
+      const url = status ?
+        `/auto-rebalance/proposals?walletAddress=${walletAddress}&status=${status}` :
+        `/auto-rebalance/proposals?walletAddress=${walletAddress}`;
+      const response = await apiClient.get(url);
+      return response.data;
+    } catch (error) {
+      console.error('Error getting rebalance proposals:', error);
+      throw error;
+    }
+  },
+  
+  // Approve a proposal; the response carries the transaction payloads to sign
+  approveProposal: async (walletAddress, proposalId) => {
+    try {
+      const response = await apiClient.post(`/auto-rebalance/proposals/${proposalId}/approve`, { walletAddress });
+      return response.data;
+    } catch (error) {
+      console.error('Error approving rebalance proposal:', error);
+      throw error;
+    }
+  },
+  
+  // Reject a proposal
+  rejectProposal: async (walletAddress, proposalId, reason) => {
+    try {
+      const response = await apiClient.post(`/auto-rebalance/proposals/${proposalId}/reject`, { walletAddress, reason });
+      return response.data;
+    } catch (error) {
+      console.error('Error rejecting rebalance proposal:', error);
+      throw error;
+    }
+  },
+  
+  // Build and simulate one approved proposal operation for the wallet to sign
+  prepareProposalOperation: async (walletAddress, proposalId, index, { publicKey, sponsored = false } = {}) => {
     try {
-      const response = await apiClient.post('/auto-rebalance/execute', {
+      const response = await apiClient.post(`/auto-rebalance/proposals/${proposalId}/operations/${index}/prepare`, {
         walletAddress,
-        force
+        publicKey,
+        sponsored
       });
       return response.data;
+    } catch (error) {
+      console.error('Error preparing proposal operation:', error);
+      throw error;
+    }
+  },
+  
+  // Report the wallet's result for one signed proposal operation
+  reportProposalOperation: async (walletAddress, proposalId, index, result) => {
+    try {
+      const response = await apiClient.post(`/auto-rebalance/proposals/${proposalId}/operations/${index}`, {
+        walletAddress,
+        ...result
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error reporting proposal operation:', error);
+      throw error;
+    }
+  },
+  
+  // Get circuit breaker limits, usage and trip state
+  getCircuitBreakers: async (walletAddress) => {
+    try {
+      const response = await apiClient.get(`/auto-rebalance/circuit-breakers?walletAddress=${walletAddress}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error getting circuit breakers:', error);
+      throw error;
+    }
+  },
+  
+  // Reset the consecutive-failure and drawdown breakers
+  resetCircuitBreakers: async (walletAddress) => {
+    try {
+      const response = await apiClient.post('/auto-rebalance/circuit-breakers/reset', { walletAddress });
+      return response.data;
+    } catch (error) {
+      console.error('Error resetting circuit breakers:', error);
+      throw error;
+    }
+  },
+  
+  // Backtest rebalance parameter sets against stored market history
+  runBacktest: async (params = {}) => {
+    try {
+      const response = await apiClient.post('/auto-rebalance/backtest', params);
+      return response.data;
+    } catch (error) {
+      console.error('Error running backtest:', error);
+      throw error;
+    }
+  },
+  
+  // Preview an auto-rebalance without executing it
+  previewRebalance: async (walletAddress, options = {}) => {
+    try {
+      const response = await apiClient.post('/auto-rebalance/preview', {
+        walletAddress,
+        ...options
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error previewing rebalance:', error);
+      throw error;
+    }
+  },
+  
+  // Execute auto-rebalance
+  executeRebalance: async (walletAddress, force = false) => {
+    try {
+      const payload = { walletAddress, force };
+      const response = await sendIdempotent('/auto-rebalance/execute', payload, config => apiClient.post('/auto-rebalance/execute', payload, config));
+      return response.data;
     } catch (error) {
       console.error('Error executing rebalance:', error);
       throw error;
@@ -342,6 +670,9 @@ const apiService = {
   portfolio: portfolioAPI,
   recommendation: recommendationAPI,
   rebalancer: rebalancerAPI,
+  sponsor: sponsorAPI,
+  transactions: transactionAPI,
+  delegation: delegationAPI,
   user: userAPI,
   
   // Exposed the axios instance for custom calls
@@ -2,6 +2,7 @@
 // Service for handling blockchain transactions and interaction with the transaction_manager backend module
 
 import api from './api';
+import { sendIdempotent } from '../utils/idempotency';
 
 /**
  * Service for handling transactions and operations on the Aptos blockchain
@@ -18,13 +19,8 @@ const transactionService = {
    */
   async executeOperation(protocol, type, amount, contractAddress, functionName) {
     try {
-      const response = await api.post('/api/execute', {
-        protocol,
-        type,
-        amount,
-        contractAddress,
-        functionName
-      });
+      const payload = { protocol, type, amount, contractAddress, functionName };
+      const response = await sendIdempotent('/api/execute', payload, config => api.post('/api/execute', payload, config));
       return response.data;
     } catch (error) {
       console.error(`Error executing ${type} operation on ${protocol}:`, error);
@@ -37,15 +33,13 @@ const transactionService = {
    * @param {string} walletAddress - User's wallet address
    * @param {number|string} amount - Total investment amount
    * @param {Array} operations - Array of operations to execute
+   * @param {string} gasTier - Gas price tier to build the transactions with (slow, normal or fast)
    * @returns {Promise<Object>} Strategy execution result
    */
-  async executeStrategy(walletAddress, amount, operations) {
+  async executeStrategy(walletAddress, amount, operations, gasTier) {
     try {
-      const response = await api.post('/api/execute-strategy', {
-        walletAddress,
-        amount,
-        operations
-      });
+      const payload = { walletAddress, amount, operations, gasTier };
+      const response = await sendIdempotent('/api/execute-strategy', payload, config => api.post('/api/execute-strategy', payload, config));
       return response.data;
     } catch (error) {
       console.error('Error executing strategy:', error);
@@ -53,6 +47,71 @@ const transactionService = {
     }
   },
 
+  /**
+   * Get how a strategy would execute: in one transaction, or step by step
+   * with the compensation that unwinds completed steps when a later one fails
+   * @param {Array} operations - Array of operations of the strategy
+   * @param {string} gasTier - Gas price tier to forecast the cost in (slow, normal or fast)
+   * @returns {Promise<Object>} Execution plan ({ mode, transactions, reason, steps, compensation, gas })
+   */
+  async planStrategy(operations, gasTier) {
+    try {
+      const response = await api.post('/api/strategies/plan', { operations, gasTier });
+      return response.data;
+    } catch (error) {
+      console.error('Error planning strategy:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the current gas unit price of the slow, normal and fast tiers
+   * @returns {Promise<Object>} { slow, normal, fast, source, defaultTier } in octas
+   */
+  async getGasPrices() {
+    try {
+      const response = await api.get('/api/gas/prices');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching gas prices:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the execution of a strategy and the status of its steps
+   * @param {string} walletAddress - User's wallet address
+   * @param {string} strategyId - Strategy execution ID
+   * @returns {Promise<Object>} Strategy execution
+   */
+  async getStrategyExecution(walletAddress, strategyId) {
+    try {
+      const response = await api.get(`/api/strategies/${strategyId}?walletAddress=${walletAddress}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching strategy execution:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Prepare the transactions that unwind the completed steps of a failed strategy
+   * @param {string} walletAddress - User's wallet address
+   * @param {string} strategyId - Strategy execution ID
+   * @returns {Promise<Object>} Compensation transactions to sign
+   */
+  async compensateStrategy(walletAddress, strategyId) {
+    try {
+      const response = await api.post(`/api/strategies/${strategyId}/compensate`, {
+        walletAddress
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error compensating strategy:', error);
+      throw error;
+    }
+  },
+
   /**
    * Execute a recommended strategy directly from AI recommendation
    * @param {string} walletAddress - User's wallet address
@@ -102,10 +161,8 @@ const transactionService = {
    */
   async executeAutoRebalance(walletAddress, force = false) {
     try {
-      const response = await api.post('/api/auto-rebalance/execute', {
-        walletAddress,
-        force
-      });
+      const payload = { walletAddress, force };
+      const response = await sendIdempotent('/api/auto-rebalance/execute', payload, config => api.post('/api/auto-rebalance/execute', payload, config));
       return response.data;
     } catch (error) {
       console.error('Error executing auto-rebalance:', error);
@@ -164,6 +221,29 @@ const transactionService = {
     }
   },
 
+  /**
+   * Download the transaction history of a wallet for accounting
+   * @param {string} walletAddress - User's wallet address
+   * @param {Object} options - { format (csv, json or koinly), from, to, types }
+   * @returns {Promise<Object>} { blob, filename }
+   */
+  async exportTransactions(walletAddress, { format = 'csv', from, to, types } = {}) {
+    try {
+      const params = new URLSearchParams({ walletAddress, format });
+      if (from) params.set('from', from);
+      if (to) params.set('to', to);
+      if (types && types.length > 0) params.set('types', types.join(','));
+      
+      const response = await api.get(`/api/transactions/export?${params}`, { responseType: 'blob' });
+      const filename = response.headers['content-disposition']?.match(/filename="([^"]+)"/)?.[1] ||
+        `transactions.${format === 'json' ? 'json' : 'csv'}`;
+      return { blob: response.data, filename };
+    } catch (error) {
+      console.error('Error exporting transactions:', error);
+      throw error;
+    }
+  },
+
   /**
    * Determine operation type based on product description
    * @param {string} product - Product description
@@ -2,6 +2,7 @@
 // Handles wallet connection, signatures, and Aptos blockchain interactions
 
 import { AptosClient, AptosAccount, FaucetClient, Types } from 'aptos';
+import { SimpleTransaction, Deserializer, Hex, generateSignedTransaction } from '@aptos-labs/ts-sdk';
 import { 
   WalletClient, 
   Network, 
@@ -346,6 +347,114 @@ class WalletService {
     }
   }
   
+  /**
+   * Sign a transaction prepared by the server without submitting it
+   * @param {Object} prepared - Prepared transaction ({ transactionId, transaction: { bcs } })
+   * @returns {Object} { transaction, authenticator } with the sender's AccountAuthenticator
+   */
+  async signPreparedTransaction(prepared) {
+    if (!this.walletClient || !this.account) {
+      throw new Error('Wallet not connected');
+    }
+    
+    const transaction = SimpleTransaction.deserialize(
+      new Deserializer(Hex.fromHexInput(prepared.transaction.bcs).toUint8Array())
+    );
+    
+    // Wallets answer with the sender's AccountAuthenticator, wrapped in a user response by newer ones
+    const response = await this.walletClient.signTransaction(transaction);
+    if (response.status === 'Rejected') {
+      throw new Error('Transaction was rejected in the wallet');
+    }
+    
+    return { transaction, authenticator: response.args || response };
+  }
+  
+  /**
+   * Sign a transaction prepared by the server and submit it
+   *
+   * The wallet signs exactly the transaction the server built and simulated. A dependent
+   * transaction, which spends what an earlier strategy step receives, is simulated again first
+   * and not signed when it still fails. The hash is reported back so the server tracks the
+   * transaction to confirmation.
+   * @param {Object} prepared - Prepared transaction ({ transactionId, transaction: { bcs, sponsored, dependent } })
+   * @returns {Object} Transaction result
+   */
+  async signAndSubmitPreparedTransaction(prepared) {
+    // The sponsor simulates dependent transactions again itself before co-signing them
+    if (prepared.transaction?.sponsored) {
+      return this.signAndSubmitSponsoredTransaction(prepared);
+    }
+    
+    try {
+      if (prepared.transaction?.dependent) {
+        const simulation = await apiService.transactions.simulate(
+          this.account.address,
+          prepared.transactionId,
+          this.account.publicKey
+        );
+        if (!simulation.success) {
+          throw new Error(`Simulation failed: ${simulation.abort?.message || simulation.vmStatus}`);
+        }
+      }
+      
+      const { transaction, authenticator } = await this.signPreparedTransaction(prepared);
+      
+      const pending = await this.client.submitSignedBCSTransaction(
+        generateSignedTransaction({ transaction, senderAuthenticator: authenticator })
+      );
+      await apiService.transactions.register(this.account.address, {
+        hash: pending.hash,
+        transactionId: prepared.transactionId
+      });
+      
+      return {
+        hash: pending.hash,
+        success: true
+      };
+    } catch (error) {
+      console.error('Error signing prepared transaction:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Wait for a submitted transaction to be committed
+   * @param {string} hash - Transaction hash
+   * @returns {Object} Committed transaction; throws when it failed on chain
+   */
+  async waitForTransaction(hash) {
+    return this.client.waitForTransactionWithResult(hash, { checkSuccess: true });
+  }
+  
+  /**
+   * Sign a transaction the platform sponsor pays the gas of, and submit it through the sponsor
+   *
+   * The wallet only signs: a fee-payer transaction is complete once the sponsor co-signs it on the server.
+   * @param {Object} prepared - Transaction prepared with sponsored: true ({ transactionId, transaction: { bcs } })
+   * @returns {Object} Transaction result
+   */
+  async signAndSubmitSponsoredTransaction(prepared) {
+    try {
+      const { authenticator } = await this.signPreparedTransaction(prepared);
+      
+      const submitted = await apiService.sponsor.submitTransaction(
+        this.account.address,
+        prepared.transactionId,
+        authenticator.bcsToHex().toString()
+      );
+      
+      return {
+        hash: submitted.hash,
+        success: true,
+        sponsored: true
+      };
+    } catch (error) {
+      console.error('Error signing sponsored transaction:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Create a staking transaction for APT
    * @param {string} protocol - Staking protocol
@@ -2,6 +2,7 @@
 // API client utility for CompounDefi frontend
 
 import axios from 'axios';
+import { sendIdempotent } from './idempotency';
 
 // Base API configuration
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000/api';
@@ -71,13 +72,10 @@ const recommendationAPI = {
     return apiClient.get(url);
   },
   
-  executeStrategy: (walletAddress, amount, allocation, operations) => 
-    apiClient.post('/execute-strategy', {
-      walletAddress,
-      amount,
-      allocation,
-      operations
-    }),
+  executeStrategy: (walletAddress, amount, allocation, operations) => {
+    const payload = { walletAddress, amount, allocation, operations };
+    return sendIdempotent('/execute-strategy', payload, config => apiClient.post('/execute-strategy', payload, config));
+  },
   
   getStrategyComparison: (amount, walletAddress = null) => {
     const url = walletAddress 
@@ -101,11 +99,10 @@ const rebalancerAPI = {
       ...settings
     }),
   
-  executeAutoRebalance: (walletAddress, force = false) => 
-    apiClient.post('/auto-rebalance/execute', {
-      walletAddress,
-      force
-    })
+  executeAutoRebalance: (walletAddress, force = false) => {
+    const payload = { walletAddress, force };
+    return sendIdempotent('/auto-rebalance/execute', payload, config => apiClient.post('/auto-rebalance/execute', payload, config));
+  }
 };
 
 // Token and Market API
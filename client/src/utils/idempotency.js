@@ -0,0 +1,48 @@
+// idempotency.js - Idempotency keys for execution requests
+// A key names one logical execution: it is created when the user starts an action and
+// sent again with every retry of that action, so the server executes it only once.
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+// Keys of executions whose outcome is unknown, by endpoint and payload
+const pendingKeys = new Map();
+
+/**
+ * Check whether a failed request may have been executed by the server
+ * @param {Error} error - Request error
+ * @returns {boolean} True when the request timed out, got no response, is still processing or hit a server error
+ */
+const isOutcomeUnknown = (error) => {
+  const status = error.response?.status;
+  return !status || status === 409 || status >= 500;
+};
+
+/**
+ * Send an execution request under the idempotency key of its logical execution
+ *
+ * Retrying the same action (same endpoint and payload) after a timeout, a network error or
+ * a server error reuses the key, so the server replays the first outcome instead of executing
+ * again. The key is dropped once the server answers with a final response, so a later run of
+ * the same action is a new execution.
+ * @param {string} endpoint - Endpoint the request is sent to
+ * @param {Object} payload - Request body
+ * @param {Function} send - Sends the request with the given axios config ({ headers })
+ * @returns {Promise<Object>} Response of the request
+ */
+export const sendIdempotent = async (endpoint, payload, send) => {
+  const execution = `${endpoint} ${JSON.stringify(payload)}`;
+  if (!pendingKeys.has(execution)) {
+    pendingKeys.set(execution, crypto.randomUUID());
+  }
+
+  try {
+    const response = await send({ headers: { [IDEMPOTENCY_HEADER]: pendingKeys.get(execution) } });
+    pendingKeys.delete(execution);
+    return response;
+  } catch (error) {
+    if (!isOutcomeUnknown(error)) {
+      pendingKeys.delete(execution);
+    }
+    throw error;
+  }
+};
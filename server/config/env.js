@@ -12,6 +12,15 @@ module.exports = {
   // Aptos network configuration
   APTOS_NETWORK: process.env.APTOS_NETWORK || 'MAINNET',
   
+  // Build mock transactions instead of real ones (tests and local development only)
+  TRANSACTION_MOCK_MODE: process.env.TRANSACTION_MOCK_MODE === 'true',
+  
+  // In-process fake Aptos chain in place of the network (tests and local development only)
+  FAKE_CHAIN: {
+    enabled: process.env.FAKE_CHAIN === 'true',
+    scenario: process.env.FAKE_CHAIN_SCENARIO // JSON file seeding accounts, exchange rates and behaviors
+  },
+  
   // AI API keys
   ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
   OPENAI_API_KEY: process.env.OPENAI_API_KEY,
@@ -37,7 +46,75 @@ module.exports = {
     maxSlippage: parseFloat(process.env.MAX_SLIPPAGE || 2.5), // 2.5% max slippage
     gasBuffer: parseFloat(process.env.GAS_BUFFER || 1.15), // 15% gas buffer
     maxRetries: parseInt(process.env.MAX_RETRIES || 3), // 3 retries max
-    operationDelay: parseInt(process.env.OPERATION_DELAY || 500) // 500ms between operations
+    operationDelay: parseInt(process.env.OPERATION_DELAY || 500), // 500ms between operations
+    queueConcurrency: parseInt(process.env.REBALANCE_QUEUE_CONCURRENCY || 4), // 4 wallets rebalanced in parallel
+    volatilityWindows: (process.env.VOLATILITY_WINDOWS_HOURS || '24,168').split(',')
+      .map(hours => parseFloat(hours))
+      .filter(hours => hours > 0), // Realized volatility windows in hours (24h and 7d)
+    volatilityMinSamples: parseInt(process.env.VOLATILITY_MIN_SAMPLES || 12), // Price points required per window
+    volatilityMaxStaleness: parseInt(process.env.VOLATILITY_MAX_STALENESS_MINUTES || 30) * 60 * 1000, // 30 minutes
+    volatilityMinPositionValue: parseFloat(process.env.VOLATILITY_MIN_POSITION_USD || 10), // Smaller holdings are not measured ($10)
+    priceSampleInterval: parseInt(process.env.PRICE_SAMPLE_INTERVAL_MINUTES || 10) * 60 * 1000, // 10 minutes
+    scheduleTimezone: process.env.REBALANCE_SCHEDULE_TIMEZONE || 'UTC', // Default timezone for cron and calendar schedules
+    scheduleCatchUp: process.env.REBALANCE_SCHEDULE_CATCH_UP || 'once', // Missed runs: skip, once or all
+    deniedProtocols: (process.env.REBALANCE_DENIED_PROTOCOLS || '').split(',')
+      .map(protocol => protocol.trim().toLowerCase())
+      .filter(Boolean), // Protocols no wallet may rebalance into or out of
+    killSwitch: process.env.REBALANCE_KILL_SWITCH === 'true' // Start with all automation paused
+  },
+  
+  // Transaction lifecycle tracking
+  TRANSACTIONS: {
+    pollInterval: parseInt(process.env.TRANSACTION_POLL_INTERVAL || 5000), // 5 seconds between confirmation checks
+    pollBatchSize: parseInt(process.env.TRANSACTION_POLL_BATCH_SIZE || 50), // Submitted transactions checked per poll
+    expirationGrace: parseInt(process.env.TRANSACTION_EXPIRATION_GRACE || 30000), // 30 seconds of clock skew past expiration
+    confirmationTimeout: parseInt(process.env.TRANSACTION_CONFIRMATION_TIMEOUT_MINUTES || 10) * 60 * 1000 // 10 minutes
+  },
+  
+  // Gas pricing of prepared transactions
+  GAS: {
+    defaultTier: process.env.GAS_TIER || 'normal', // slow, normal or fast
+    priceCacheTTL: parseInt(process.env.GAS_PRICE_CACHE_SECONDS || 15) * 1000 // Network gas estimate reused for 15 seconds
+  },
+  
+  // On-chain exchange rate sampling of liquid staking tokens
+  STAKING_RATES: {
+    sampleInterval: parseInt(process.env.EXCHANGE_RATE_SAMPLE_INTERVAL_MINUTES || 60) * 60 * 1000, // 1 hour
+    minCoverage: parseFloat(process.env.EXCHANGE_RATE_MIN_COVERAGE || 0.8), // Share of a window the samples must span
+    maxStaleness: parseInt(process.env.EXCHANGE_RATE_MAX_STALENESS_MINUTES || 180) * 60 * 1000 // 3 hours
+  },
+  
+  // APR and TVL history of protocol products
+  RATE_HISTORY: {
+    recordInterval: parseInt(process.env.RATE_HISTORY_INTERVAL_MINUTES || 60) * 60 * 1000, // 1 hour
+    maxPoints: parseInt(process.env.RATE_HISTORY_MAX_POINTS || 500) // Most buckets a history query returns per product
+  },
+  
+  // Platform account that pays gas for sponsored (fee-payer) transactions
+  SPONSOR: {
+    privateKey: process.env.SPONSOR_PRIVATE_KEY, // Ed25519 key of the fee payer; sponsorship is off without it
+    dailyBudget: { // APT of gas sponsored per wallet per UTC day, by subscription tier (0 = not sponsored)
+      free: parseFloat(process.env.SPONSOR_DAILY_BUDGET_FREE || 0.01),
+      premium: parseFloat(process.env.SPONSOR_DAILY_BUDGET_PREMIUM || 0.05),
+      enterprise: parseFloat(process.env.SPONSOR_DAILY_BUDGET_ENTERPRISE || 0.25)
+    },
+    allowedFunctions: (process.env.SPONSOR_ALLOWED_FUNCTIONS || '').split(',')
+      .map(fn => fn.trim().toLowerCase())
+      .filter(Boolean) // Entry functions sponsored on top of the protocol registry's
+  },
+  
+  // Delegated execution accounts that automation signs for
+  DELEGATION: {
+    encryptionKey: process.env.DELEGATION_ENCRYPTION_KEY, // 32-byte hex key the delegate keys are encrypted with
+    maxPerTransaction: parseFloat(process.env.DELEGATION_MAX_PER_TRANSACTION_APT || 100), // Highest per-transaction cap a user can set (APT)
+    maxPerDay: parseFloat(process.env.DELEGATION_MAX_PER_DAY_APT || 500), // Highest daily cap a user can set (APT)
+    pendingTTL: parseInt(process.env.DELEGATION_PENDING_TTL_MINUTES || 60) * 60 * 1000 // Unauthorized delegations expire after an hour
+  },
+  
+  // Idempotency keys of execution endpoints
+  IDEMPOTENCY: {
+    keyTTL: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || 24) * 60 * 60 * 1000, // Replays are served for 24 hours
+    processingLease: parseInt(process.env.IDEMPOTENCY_PROCESSING_LEASE_SECONDS || 120) * 1000 // A request still processing after 2 minutes is presumed dead
   },
   
   // External API settings
@@ -1,14 +1,21 @@
 // server/index.js
 require('dotenv').config();
-const routes = require('./routes');
+const express = require('express');
 const cors = require('cors');
 const compression = require('compression');
 const helmet = require('helmet');
 const { connectToDatabase } = require('./config/database');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const { metricsMiddleware, getMetrics } = require('./middleware/metrics');
-const routes = require('./routes');
+const apiRoutes = require('./routes/api');
+const authRoutes = require('./routes/auth');
+const walletRoutes = require('./routes/wallets');
 const logger = require('./utils/logger');
+const autoRebalancer = require('./modules/auto_rebalancer');
+const volatilityService = require('./modules/volatility_service');
+const stakingRateCollector = require('./modules/staking_rate_collector');
+const rateHistory = require('./modules/rate_history');
+const transactionPoller = require('./modules/transaction_poller');
 
 // Initialize Express app
 const app = express();
@@ -18,14 +25,16 @@ const PORT = process.env.PORT || 3000;
 
 // Apply middleware
 app.use(helmet()); // Security headers
-app.use(cors());   // CORS support
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));   // CORS support (export downloads read their filename)
 app.use(compression()); // Compress responses
 app.use(express.json()); // Parse JSON requests
 app.use(express.urlencoded({ extended: true }));
 app.use(metricsMiddleware); // Collect metrics
 
 // Routes
-app.use('/api', rateLimiter, routes);
+app.use('/api/auth', authRoutes);
+app.use('/api/wallets', walletRoutes);
+app.use('/api', apiRoutes); // Rate limited by the router itself
 app.get('/metrics', getMetrics); // Metrics endpoint
 
 // Serve static files from the React app (in production)
@@ -48,6 +57,21 @@ async function startServer() {
     // Connect to MongoDB
     await connectToDatabase();
     
+    // Re-arm persisted auto-rebalance schedules and monitors
+    await autoRebalancer.restoreState();
+    
+    // Build the price history used for volatility gating
+    volatilityService.startPriceSampling();
+    
+    // Build the exchange rate history staking APRs are derived from
+    stakingRateCollector.start();
+    
+    // Record protocol APR and TVL history for trend views
+    rateHistory.start();
+    
+    // Follow submitted transactions to confirmation or expiration
+    transactionPoller.start();
+    
     // Start Express server
     app.listen(PORT, () => {
       logger.info(`CompounDefi server running on port ${PORT}`);
@@ -26,6 +26,18 @@ const verifyToken = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to require an authenticated administrator
+ */
+const requireAdmin = (req, res, next) => {
+  verifyToken(req, res, () => {
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({ error: 'Administrator access required' });
+    }
+    next();
+  });
+};
+
 /**
  * Generate JWT token
  * @param {string} address - Wallet address
@@ -66,6 +78,7 @@ const verifySignature = async (address, message, signature) => {
 
 module.exports = {
   verifyToken,
+  requireAdmin,
   generateToken,
   verifySignature
 };
\ No newline at end of file
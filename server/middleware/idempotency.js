@@ -0,0 +1,115 @@
+// idempotency.js - Idempotency key middleware for CompounDefi execution endpoints
+// Lets clients retry an execution request without executing it twice
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKey');
+const env = require('../config/env');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Serialize a value with object keys sorted, so equal payloads fingerprint the same
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Fingerprint the payload of a request
+ * @param {Object} req - Express request object
+ * @returns {string} SHA-256 of the canonical request body
+ */
+function fingerprintRequest(req) {
+  return crypto.createHash('sha256').update(canonicalJson(req.body || {})).digest('hex');
+}
+
+/**
+ * Idempotency middleware
+ *
+ * Requests without an Idempotency-Key header pass through unchanged. The first request
+ * with a key executes and its response is stored; a repeat with the same payload gets
+ * the stored response back, and a repeat with a different payload is rejected.
+ * Server errors release the key so the request can be retried. A request holds its key for
+ * a processing lease; if it dies without releasing it, a retry can reclaim the key once the
+ * lease runs out instead of being told it is still processing until the key expires.
+ * @param {Object} options - { ttl, lease } in milliseconds (default to IDEMPOTENCY_KEY_TTL_HOURS
+ *   and IDEMPOTENCY_PROCESSING_LEASE_SECONDS)
+ * @returns {Function} Express middleware function
+ */
+function idempotency(options = {}) {
+  const ttl = options.ttl || env.IDEMPOTENCY.keyTTL;
+  const lease = options.lease || env.IDEMPOTENCY.processingLease;
+
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `${IDEMPOTENCY_HEADER} must be 1 to ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const scope = `${req.method} ${req.baseUrl}${req.path}`;
+    const fingerprint = fingerprintRequest(req);
+
+    try {
+      const { claimed, record } = await IdempotencyKey.claim(key, scope, fingerprint, ttl, lease);
+
+      if (!claimed) {
+        if (record && record.fingerprint !== fingerprint) {
+          return res.status(422).json({ error: `${IDEMPOTENCY_HEADER} was already used with a different request` });
+        }
+        if (!record || record.status === 'processing') {
+          res.set('Retry-After', '1');
+          return res.status(409).json({ error: `A request with this ${IDEMPOTENCY_HEADER} is still being processed` });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.responseStatus).json(record.responseBody);
+      }
+
+      // Store the response once the handler sends it
+      let responded = false;
+      const originalJson = res.json;
+      res.json = function(body) {
+        responded = true;
+        const stored = res.statusCode >= 500 ?
+          IdempotencyKey.release(record) :
+          IdempotencyKey.complete(record, res.statusCode, body);
+        stored.catch(error => console.error(`Failed to store the response of ${IDEMPOTENCY_HEADER} ${key}:`, error));
+
+        return originalJson.call(this, body);
+      };
+
+      // A request that ends without a JSON response can be retried
+      res.on('close', () => {
+        if (responded) return;
+        IdempotencyKey.release(record)
+          .catch(error => console.error(`Failed to release ${IDEMPOTENCY_HEADER} ${key}:`, error));
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  idempotency,
+  fingerprintRequest,
+  IDEMPOTENCY_HEADER
+};
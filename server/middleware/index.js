@@ -8,6 +8,7 @@ const validation = require('./validation');
 const logging = require('./logging');
 const caching = require('./caching');
 const metrics = require('./metrics');
+const idempotency = require('./idempotency');
 
 /**
  * Apply all middleware to Express app
@@ -78,5 +79,6 @@ module.exports = {
   logging,
   caching,
   metrics,
+  idempotency,
   applyMiddleware
 };
\ No newline at end of file
@@ -0,0 +1,115 @@
+// server/models/delegation.js
+// MongoDB model for delegated execution accounts: automation accounts the server signs for under the owner's limits
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Delegation schema (one document per automation account)
+const DelegationSchema = new Schema({
+  ownerAddress: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  accountAddress: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true // Resource account the owner creates for automation
+  },
+  seed: {
+    type: String,
+    required: true // Resource account seed (hex)
+  },
+  delegateAuthKey: {
+    type: String,
+    required: true // Authentication key of the server-held delegate key
+  },
+  encryptedKey: {
+    type: {
+      ciphertext: String,
+      iv: String,
+      tag: String
+    },
+    select: false // Only the signer reads it
+  },
+  allowedFunctions: [String], // Entry functions from the protocol registry the delegate may call
+  maxPerTransaction: {
+    type: Number,
+    required: true // APT per transaction
+  },
+  maxPerDay: {
+    type: Number,
+    required: true // APT in a rolling 24 hours
+  },
+  fundAmount: {
+    type: Number,
+    default: 0 // APT the owner moves into the account when creating it
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'revoked', 'expired'],
+    default: 'pending'
+  },
+  authorizationHash: String, // Owner's transaction that created the automation account
+  activatedAt: Date,
+  revokedAt: Date,
+  revokeReason: String,
+  handBack: {
+    status: {
+      type: String,
+      enum: ['not_required', 'completed', 'failed']
+    },
+    hash: String, // Transaction that rotated the account's key to the owner's
+    error: String,
+    completedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+DelegationSchema.index({ ownerAddress: 1, status: 1 });
+
+// Static method to find the active delegation of an automation account
+DelegationSchema.statics.findActive = function(accountAddress) {
+  return this.findOne({ accountAddress, status: 'active' });
+};
+
+// Static method to find the delegation of an owner that is pending or active
+DelegationSchema.statics.findOpen = function(ownerAddress) {
+  return this.findOne({ ownerAddress, status: { $in: ['pending', 'active'] } });
+};
+
+// Static method to expire an owner's pending delegations that were not authorized in time
+DelegationSchema.statics.expirePending = function(ownerAddress, ttl) {
+  return this.updateMany(
+    { ownerAddress, status: 'pending', createdAt: { $lte: new Date(Date.now() - ttl) } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+// Method to record the owner's authorization
+DelegationSchema.methods.activate = function(hash) {
+  this.status = 'active';
+  this.authorizationHash = hash;
+  this.activatedAt = new Date();
+  return this.save();
+};
+
+// Method to stop the delegate from signing
+DelegationSchema.methods.revoke = function(reason) {
+  this.status = 'revoked';
+  this.revokedAt = this.revokedAt || new Date();
+  this.revokeReason = reason;
+  return this.save();
+};
+
+// Create delegation model
+const Delegation = mongoose.model('Delegation', DelegationSchema);
+
+module.exports = Delegation;
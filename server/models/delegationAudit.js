@@ -0,0 +1,72 @@
+// server/models/delegationAudit.js
+// MongoDB model for the audit log of delegated execution: every transaction the delegate signs or is refused
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Delegation audit schema (append-only, one entry per decision)
+const DelegationAuditSchema = new Schema({
+  delegationId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Delegation',
+    required: true
+  },
+  ownerAddress: {
+    type: String,
+    required: true
+  },
+  accountAddress: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['activate', 'sign', 'deny', 'revoke'],
+    required: true
+  },
+  transactionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  hash: String,
+  function: String,
+  protocol: String,
+  type: String,
+  amount: Number, // APT
+  source: String, // What asked for the transaction (e.g. auto-rebalance)
+  status: {
+    type: String,
+    enum: ['signed', 'submitted', 'submit_failed', 'denied', 'recorded'],
+    default: 'recorded'
+  },
+  reason: String, // Why the policy refused, or why submission failed
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DelegationAuditSchema.index({ delegationId: 1, timestamp: -1 });
+DelegationAuditSchema.index({ ownerAddress: 1, timestamp: -1 });
+
+// Static method to sum the amount the delegate signed for since a date
+DelegationAuditSchema.statics.getSignedAmountSince = async function(delegationId, since) {
+  const [result] = await this.aggregate([
+    { $match: { delegationId, action: 'sign', status: { $ne: 'submit_failed' }, timestamp: { $gte: since } } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+  return result ? result.amount : 0;
+};
+
+// Static method to get the audit log of a delegation, newest first
+DelegationAuditSchema.statics.getLog = function(delegationId, limit = 100) {
+  return this.find({ delegationId })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// Create delegation audit model
+const DelegationAudit = mongoose.model('DelegationAudit', DelegationAuditSchema);
+
+module.exports = DelegationAudit;
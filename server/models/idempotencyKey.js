@@ -0,0 +1,96 @@
+// server/models/idempotencyKey.js
+// MongoDB model for idempotency keys of execution requests and the responses they produced
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Idempotency key schema (one document per key and endpoint)
+const IdempotencyKeySchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  scope: {
+    type: String,
+    required: true // Method and path the key was used on
+  },
+  fingerprint: {
+    type: String,
+    required: true // Hash of the request body the key was first used with
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  lockedUntil: Date, // End of the processing lease; a retry may reclaim the key after it
+  responseStatus: Number,
+  responseBody: Schema.Types.Mixed,
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+IdempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+
+// MongoDB removes keys once they expire
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to claim a key for a request, or get the request that already claimed it
+// A key left processing past its lease (the request died without releasing it) is reclaimed
+// by a retry with the same payload.
+IdempotencyKeySchema.statics.claim = async function(key, scope, fingerprint, ttl, lease) {
+  const now = new Date();
+
+  // The TTL monitor runs about once a minute, so expired keys can still be present
+  await this.deleteOne({ key, scope, expiresAt: { $lte: now } });
+
+  try {
+    const claimed = await this.create({
+      key,
+      scope,
+      fingerprint,
+      lockedUntil: new Date(now.getTime() + lease),
+      expiresAt: new Date(now.getTime() + ttl)
+    });
+    return { claimed: true, record: claimed };
+  } catch (error) {
+    // Duplicate key: another request holds it
+    if (error.code !== 11000) throw error;
+  }
+
+  const reclaimed = await this.findOneAndUpdate(
+    { key, scope, fingerprint, status: 'processing', lockedUntil: { $not: { $gt: now } } },
+    { $set: { lockedUntil: new Date(now.getTime() + lease) } },
+    { new: true }
+  );
+  if (reclaimed) {
+    return { claimed: true, record: reclaimed };
+  }
+
+  return { claimed: false, record: await this.findOne({ key, scope }).lean() };
+};
+
+// Static method to store the response of a claimed key
+// Matching the lease keeps a request whose key was reclaimed from overwriting the retry's response.
+IdempotencyKeySchema.statics.complete = function(record, responseStatus, responseBody) {
+  return this.updateOne(
+    { _id: record._id, lockedUntil: record.lockedUntil },
+    { $set: { status: 'completed', responseStatus, responseBody, completedAt: new Date() } }
+  );
+};
+
+// Static method to release a claimed key so the request can be retried
+IdempotencyKeySchema.statics.release = function(record) {
+  return this.deleteOne({ _id: record._id, status: 'processing', lockedUntil: record.lockedUntil });
+};
+
+// Create idempotency key model
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -6,7 +6,15 @@ const Portfolio = require('./portfolio');
 const Recommendation = require('./recommendation');
 const Transaction = require('./transaction');
 const RebalanceEvent = require('./rebalanceEvent');
-const { TokenPrice, ProtocolMetrics, MarketOverview, StakingRates } = require('./marketData');
+const RebalanceSettings = require('./rebalanceSettings');
+const RebalanceProposal = require('./rebalanceProposal');
+const PlatformControl = require('./platformControl');
+const IdempotencyKey = require('./idempotencyKey');
+const SponsorLedger = require('./sponsorLedger');
+const SponsorBudget = require('./sponsorBudget');
+const Delegation = require('./delegation');
+const DelegationAudit = require('./delegationAudit');
+const { TokenPrice, ProtocolMetrics, MarketOverview, StakingRates, ExchangeRate } = require('./marketData');
 
 // Database connection management
 const connectDB = async (uri = process.env.MONGODB_URI) => {
@@ -101,11 +109,19 @@ const createIndexes = async () => {
     await RebalanceEvent.collection.createIndex({ timestamp: -1 });
     await RebalanceEvent.collection.createIndex({ walletAddress: 1, timestamp: -1 });
     
+    // RebalanceSettings model indexes
+    await RebalanceSettings.collection.createIndex({ walletAddress: 1 }, { unique: true });
+    
+    // RebalanceProposal model indexes
+    await RebalanceProposal.collection.createIndex({ walletAddress: 1, createdAt: -1 });
+    await RebalanceProposal.collection.createIndex({ status: 1, closedAt: 1 });
+    
     // Market data indexes
-    await TokenPrice.collection.createIndex({ symbol: 1, timestamp: -1 });
+    await TokenPrice.collection.createIndex({ symbol: 1, lastUpdated: -1 });
     await ProtocolMetrics.collection.createIndex({ protocol: 1, timestamp: -1 });
     await MarketOverview.collection.createIndex({ timestamp: -1 });
     await StakingRates.collection.createIndex({ protocol: 1, timestamp: -1 });
+    await ExchangeRate.collection.createIndex({ protocol: 1, timestamp: -1 });
     
     console.log('Database indexes created successfully');
   } catch (error) {
@@ -120,7 +136,7 @@ const cleanOldData = async () => {
   
   try {
     // Keep only one month of market data
-    await TokenPrice.deleteMany({ timestamp: { $lt: oneMonthAgo } });
+    await TokenPrice.deleteMany({ lastUpdated: { $lt: oneMonthAgo } });
     await ProtocolMetrics.deleteMany({ timestamp: { $lt: oneMonthAgo } });
     await MarketOverview.deleteMany({ timestamp: { $lt: oneMonthAgo } });
     
@@ -156,7 +172,8 @@ const cleanOldData = async () => {
         if (oldestToKeep.length > 0) {
           await RebalanceEvent.deleteMany({ 
             walletAddress: wallet, 
-            timestamp: { $lt: oldestToKeep[0].timestamp } 
+            timestamp: { $lt: oldestToKeep[0].timestamp },
+            'schedule.active': { $ne: true }
           });
         }
       }
@@ -209,9 +226,18 @@ module.exports = {
     Recommendation,
     Transaction,
     RebalanceEvent,
+    RebalanceSettings,
+    RebalanceProposal,
+    PlatformControl,
+    IdempotencyKey,
+    SponsorLedger,
+    SponsorBudget,
+    Delegation,
+    DelegationAudit,
     TokenPrice,
     ProtocolMetrics,
     MarketOverview,
-    StakingRates
+    StakingRates,
+    ExchangeRate
   }
 };
\ No newline at end of file
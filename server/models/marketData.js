@@ -167,6 +167,8 @@ const StakingRatesSchema = new Schema({
     type: Number,
     required: true
   },
+  apy: Number,
+  source: String, // Where the APR came from (exchange_rate, api or fallback)
   rewardType: String,
   lockupPeriod: Number, // in days
   minStake: Number,
@@ -186,11 +188,35 @@ const StakingRatesSchema = new Schema({
   contractAddress: String
 });
 
+// Liquid staking exchange rate schema (APT per token read on-chain)
+const ExchangeRateSchema = new Schema({
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  protocol: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  token: String, // Liquid staking token symbol
+  rate: {
+    type: Number,
+    required: true // APT per token
+  },
+  ledgerVersion: String, // Ledger version the rate was read at
+  dataSource: {
+    type: String,
+    default: 'on-chain'
+  }
+});
+
 // Token schemas
-TokenPriceSchema.index({ symbol: 1 }, { unique: true });
+TokenPriceSchema.index({ symbol: 1, lastUpdated: -1 });
 ProtocolMetricsSchema.index({ protocol: 1 }, { unique: true });
 StakingRatesSchema.index({ protocol: 1, product: 1, timestamp: -1 });
 MarketOverviewSchema.index({ timestamp: -1 });
+ExchangeRateSchema.index({ protocol: 1, timestamp: -1 });
 
 // Collection name options with TTL indexes
 const tokenPriceOptions = {
@@ -209,11 +235,20 @@ const stakingRatesOptions = {
   }
 };
 
+const exchangeRateOptions = {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'protocol',
+    expireAfterSeconds: 90 * 24 * 60 * 60 // 90 days
+  }
+};
+
 // Create models
 const TokenPrice = mongoose.model('TokenPrice', TokenPriceSchema, 'token_prices', tokenPriceOptions);
 const ProtocolMetrics = mongoose.model('ProtocolMetrics', ProtocolMetricsSchema, 'protocol_metrics');
 const MarketOverview = mongoose.model('MarketOverview', MarketOverviewSchema, 'market_overview');
 const StakingRates = mongoose.model('StakingRates', StakingRatesSchema, 'staking_rates', stakingRatesOptions);
+const ExchangeRate = mongoose.model('ExchangeRate', ExchangeRateSchema, 'exchange_rates', exchangeRateOptions);
 
 // Methods for token prices
 TokenPrice.getLatestPrices = async function(limit = 100) {
@@ -223,7 +258,7 @@ TokenPrice.getLatestPrices = async function(limit = 100) {
 };
 
 TokenPrice.getTokenPrice = async function(symbol) {
-  return this.findOne({ symbol: symbol.toUpperCase() });
+  return this.findOne({ symbol: symbol.toUpperCase() }).sort({ lastUpdated: -1 });
 };
 
 TokenPrice.updateTokenPrice = async function(symbol, priceData) {
@@ -235,6 +270,21 @@ TokenPrice.updateTokenPrice = async function(symbol, priceData) {
   );
 };
 
+TokenPrice.recordPrice = async function(symbol, priceData) {
+  return this.create({
+    lastUpdated: new Date(),
+    ...priceData,
+    symbol: symbol.toUpperCase()
+  });
+};
+
+TokenPrice.getPriceHistory = async function(symbol, startDate, endDate = new Date()) {
+  return this.find({
+    symbol: symbol.toUpperCase(),
+    lastUpdated: { $gte: startDate, $lte: endDate }
+  }).sort({ lastUpdated: 1 });
+};
+
 // Methods for protocol metrics
 ProtocolMetrics.getProtocols = async function(category) {
   const query = category ? { category } : {};
@@ -319,10 +369,65 @@ StakingRates.getRateHistory = async function(protocol, product, days = 30) {
   }).sort({ timestamp: 1 });
 };
 
+StakingRates.getRatesBetween = async function(protocols, startDate, endDate = new Date()) {
+  return this.find({
+    protocol: { $in: protocols.map(protocol => protocol.toLowerCase()) },
+    timestamp: { $gte: startDate, $lte: endDate }
+  }).sort({ timestamp: 1 });
+};
+
+StakingRates.getDownsampledHistory = async function({ protocol, product, startDate, endDate = new Date(), bucketMs }) {
+  // Fallback APRs are hardcoded estimates, not history
+  const match = { timestamp: { $gte: startDate, $lte: endDate }, source: { $ne: 'fallback' } };
+  if (protocol) match.protocol = protocol.toLowerCase();
+  if (product) match.product = product;
+  
+  // Buckets start at multiples of their length since the epoch
+  const time = { $toLong: '$timestamp' };
+  return this.aggregate([
+    { $match: match },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: {
+          protocol: '$protocol',
+          product: '$product',
+          bucket: { $subtract: [time, { $mod: [time, bucketMs] }] }
+        },
+        apr: { $avg: '$apr' },
+        minApr: { $min: '$apr' },
+        maxApr: { $max: '$apr' },
+        apy: { $avg: '$apy' },
+        tvlUSD: { $last: '$tvlUSD' },
+        sources: { $addToSet: '$source' },
+        samples: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.protocol': 1, '_id.product': 1, '_id.bucket': 1 } }
+  ]);
+};
+
+// Methods for exchange rates
+ExchangeRate.recordRate = async function(protocol, rateData) {
+  return this.create({
+    timestamp: new Date(),
+    ...rateData,
+    protocol: protocol.toLowerCase()
+  });
+};
+
+ExchangeRate.getRateHistory = async function(protocol, startDate, endDate = new Date()) {
+  return this.find({
+    protocol: protocol.toLowerCase(),
+    timestamp: { $gte: startDate, $lte: endDate }
+  }).sort({ timestamp: 1 });
+};
+
 // Export models
 module.exports = {
   TokenPrice,
   ProtocolMetrics,
   MarketOverview,
-  StakingRates
+  StakingRates,
+  ExchangeRate
 };
\ No newline at end of file
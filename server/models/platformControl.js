@@ -0,0 +1,45 @@
+// server/models/platformControl.js
+// MongoDB model for platform-wide switches controlled by administrators
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Platform control schema (one document per switch)
+const PlatformControlSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  engaged: {
+    type: Boolean,
+    default: false
+  },
+  reason: String,
+  changedBy: String,
+  changedAt: Date
+}, { timestamps: true });
+
+// Switch that pauses all automated rebalancing
+PlatformControlSchema.statics.KILL_SWITCH = 'rebalancer_kill_switch';
+
+// Static method to get the stored state of a switch
+PlatformControlSchema.statics.getSwitch = function(key) {
+  return this.findOne({ key }).lean();
+};
+
+// Static method to engage or release a switch
+PlatformControlSchema.statics.setSwitch = async function(key, engaged, { reason, changedBy } = {}) {
+  const options = { upsert: true, new: true, setDefaultsOnInsert: true };
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { engaged, reason, changedBy, changedAt: new Date() } },
+    options
+  );
+};
+
+// Create platform control model
+const PlatformControl = mongoose.model('PlatformControl', PlatformControlSchema);
+
+module.exports = PlatformControl;
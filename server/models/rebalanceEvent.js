@@ -14,26 +14,57 @@ const RebalanceOperationSchema = new Schema({
   type: {
     type: String,
     required: true,
-    enum: ['stake', 'unstake', 'lend', 'withdraw', 'addLiquidity', 'removeLiquidity', 'swap', 'other'],
+    enum: ['stake', 'unstake', 'claim', 'lend', 'withdraw', 'addLiquidity', 'removeLiquidity', 'swap', 'other'],
     default: 'other'
   },
   amount: {
     type: Number,
     required: true
   },
+  amountUSD: Number,
   contractAddress: String,
   functionName: String,
   status: {
     type: String,
-    enum: ['pending', 'success', 'failed'],
+    enum: ['pending', 'success', 'failed', 'skipped'],
     default: 'pending'
   },
+  transactionId: String, // Transaction record the operation is tracked through until it settles
   transactionHash: String,
   error: String,
   executedAt: Date,
   details: Schema.Types.Mixed
 });
 
+// Phase schema for rebalances that wait out liquid staking unbonding
+const RebalancePhaseSchema = new Schema({
+  index: {
+    type: Number,
+    required: true
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['submit', 'claim', 'deposit']
+  },
+  protocol: String, // Protocol being claimed from (claim phases)
+  status: {
+    type: String,
+    enum: ['pending', 'in_progress', 'completed', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  readyAt: Date, // Earliest time the phase can run
+  nextAttemptAt: Date, // Retry time after a failed claim
+  startedAt: Date,
+  completedAt: Date,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+  operations: [RebalanceOperationSchema]
+}, { _id: false });
+
 // Allocation item schema
 const AllocationItemSchema = new Schema({
   protocol: {
@@ -88,7 +119,7 @@ const RebalanceEventSchema = new Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'in_progress', 'completed', 'failed', 'partial', 'skipped'],
+    enum: ['pending', 'in_progress', 'awaiting_approval', 'awaiting_signature', 'waiting', 'completed', 'failed', 'partial', 'skipped'],
     default: 'pending'
   },
   startTime: Date,
@@ -114,7 +145,10 @@ const RebalanceEventSchema = new Schema({
       currentPercentage: Number,
       targetPercentage: Number,
       drift: Number,
-      action: String
+      action: String,
+      bandLower: Number,
+      bandUpper: Number,
+      outOfBand: Boolean
     }],
     rebalanceNeeded: Boolean,
     threshold: Number
@@ -126,6 +160,10 @@ const RebalanceEventSchema = new Schema({
   failedOperations: Number,
   skippedOperations: Number,
   
+  // Phases of a rebalance that waits for unstaked funds ('waiting' until the last one finishes)
+  phases: [RebalancePhaseSchema],
+  currentPhase: Number,
+  
   // Portfolio state after rebalancing
   newState: {
     totalValueUSD: Number,
@@ -147,6 +185,31 @@ const RebalanceEventSchema = new Schema({
     }
   },
   
+  // Proposal the wallet owner signs when the rebalance was started by automation
+  proposalId: {
+    type: Schema.Types.ObjectId,
+    ref: 'RebalanceProposal',
+    sparse: true
+  },
+  
+  // Circuit breaker that stopped this rebalance
+  circuitBreaker: {
+    breaker: String,
+    reason: String,
+    details: Schema.Types.Mixed
+  },
+  
+  // Gas forecast weighed against the expected yield gain before executing
+  gasForecast: {
+    tier: String,
+    gasUnitPrice: Number, // octas
+    costAPT: Number,
+    costUSD: Number,
+    expectedGainUSD: Number,
+    maxShareOfGain: Number, // percent
+    withinBudget: Boolean
+  },
+  
   // Error information if rebalance failed
   error: {
     message: String,
@@ -157,9 +220,13 @@ const RebalanceEventSchema = new Schema({
   // Settings used for this rebalance
   settings: {
     minRebalanceThreshold: Number,
+    toleranceBands: Schema.Types.Mixed,
     maxSlippage: Number,
     preserveStakedPositions: Boolean,
+    volatilityThreshold: Number,
     gasBuffer: Number,
+    gasTier: String,
+    maxGasShareOfGain: Number,
     maxRetries: Number
   },
   
@@ -167,13 +234,34 @@ const RebalanceEventSchema = new Schema({
   marketConditions: {
     aptPrice: Number,
     marketTrend: String,
-    volatilityIndex: Number,
+    volatilityIndex: Number, // Value-weighted daily realized volatility of the material holdings
+    volatilityThreshold: Number,
+    volatilityAvailable: Boolean,
+    isVolatile: Boolean,
+    volatilityReadings: Schema.Types.Mixed, // Per-asset readings by window, with unmeasured assets and why
     gasPrice: Number
   },
   
   // Additional notes
   notes: String,
   
+  // Schedule information for deferred, recurring and drift-monitor rebalances
+  schedule: {
+    kind: {
+      type: String,
+      enum: ['once', 'recurring', 'monitor']
+    },
+    spec: Schema.Types.Mixed, // Normalized interval, cron or calendar schedule
+    scheduledTime: Date, // Next fire time
+    lastRunAt: Date, // Last fire time, used to catch up missed runs
+    checkInterval: Number,
+    active: {
+      type: Boolean,
+      default: false
+    },
+    options: Schema.Types.Mixed
+  },
+  
   // AI feedback if using AI for rebalancing
   aiFeedback: {
     model: String,
@@ -193,6 +281,8 @@ RebalanceEventSchema.index({ walletAddress: 1, timestamp: -1 });
 RebalanceEventSchema.index({ status: 1, walletAddress: 1 });
 RebalanceEventSchema.index({ 'previousState.totalValueUSD': 1 });
 RebalanceEventSchema.index({ 'performanceMetrics.percentChange': 1 });
+RebalanceEventSchema.index({ 'schedule.active': 1, 'schedule.kind': 1 });
+RebalanceEventSchema.index({ 'operations.transactionId': 1 }, { sparse: true });
 
 // Static method to create a new rebalance event
 RebalanceEventSchema.statics.createEvent = async function(eventData) {
@@ -275,13 +365,91 @@ RebalanceEventSchema.methods.skip = async function(reason) {
   return this.save();
 };
 
-// Static method to find events by wallet
+// Method to deactivate a schedule or monitor
+RebalanceEventSchema.methods.deactivateSchedule = async function(reason) {
+  if (this.schedule) {
+    this.schedule.active = false;
+  }
+  
+  if (this.status === 'pending') {
+    return this.skip(reason);
+  }
+  
+  return this.save();
+};
+
+// Static method to find events by wallet (recurring schedule and monitor records are excluded)
 RebalanceEventSchema.statics.findByWallet = function(walletAddress, limit = 20) {
-  return this.find({ walletAddress })
+  return this.find({ walletAddress, 'schedule.kind': { $nin: ['recurring', 'monitor'] } })
     .sort({ timestamp: -1 })
     .limit(limit);
 };
 
+// Static method to find the last executed rebalance for cooldown tracking
+RebalanceEventSchema.statics.findLastExecuted = function(walletAddress) {
+  return this.findOne({
+    walletAddress,
+    status: { $in: ['completed', 'partial'] }
+  }).sort({ endTime: -1 });
+};
+
+// Static method to count the failed rebalances since the last successful one
+// (cooldown rejections are not failures)
+RebalanceEventSchema.statics.countConsecutiveFailures = async function(walletAddress, since = null, limit = 50) {
+  const query = {
+    walletAddress,
+    status: { $in: ['completed', 'partial', 'failed'] },
+    $nor: [{ status: 'failed', 'error.code': 'cooldown' }]
+  };
+  if (since) query.endTime = { $gt: since };
+  
+  const events = await this.find(query).sort({ endTime: -1 }).limit(limit).select('status').lean();
+  const lastSuccess = events.findIndex(event => event.status !== 'failed');
+  return lastSuccess === -1 ? events.length : lastSuccess;
+};
+
+// Static method to total the USD value moved by successful operations since a time
+RebalanceEventSchema.statics.getNotionalMoved = async function(walletAddress, since) {
+  const events = await this.find({
+    walletAddress,
+    'operations.executedAt': { $gte: since }
+  }).select('operations previousState.aptPrice').lean();
+  
+  // Claims collect funds that were already counted when they were unstaked
+  return events.reduce((total, event) => total + event.operations
+    .filter(op => op.status === 'success' && op.type !== 'claim' && new Date(op.executedAt) >= since)
+    .reduce((sum, op) => sum + (op.amountUSD ?? op.amount * (event.previousState?.aptPrice || 0)), 0), 0);
+};
+
+// Static method to find active schedules and monitors
+RebalanceEventSchema.statics.findActiveSchedules = function(kind = null) {
+  const query = { 'schedule.active': true };
+  if (kind) query['schedule.kind'] = kind;
+  
+  return this.find(query).sort({ 'schedule.scheduledTime': 1 });
+};
+
+// Static method to find rebalances waiting on later phases
+RebalanceEventSchema.statics.findWaiting = function(walletAddress = null) {
+  const query = { status: 'waiting' };
+  if (walletAddress) query.walletAddress = walletAddress;
+  
+  return this.find(query).sort({ startTime: 1 });
+};
+
+// Static method to find rebalances whose prepared transactions still have to be signed or confirmed
+RebalanceEventSchema.statics.findAwaitingSignature = function(walletAddress = null) {
+  const query = { status: 'awaiting_signature' };
+  if (walletAddress) query.walletAddress = walletAddress;
+  
+  return this.find(query).sort({ startTime: 1 });
+};
+
+// Static method to find the rebalance an operation transaction belongs to
+RebalanceEventSchema.statics.findByTransaction = function(transactionId) {
+  return this.findOne({ 'operations.transactionId': transactionId });
+};
+
 // Static method to find latest rebalance event
 RebalanceEventSchema.statics.findLatest = function(walletAddress) {
   return this.findOne({ walletAddress })
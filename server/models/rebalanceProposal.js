@@ -0,0 +1,211 @@
+// server/models/rebalanceProposal.js
+// MongoDB model for rebalance proposals that the wallet owner reviews and signs
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Proposed operation with the transaction payload the wallet signs
+const ProposalOperationSchema = new Schema({
+  index: {
+    type: Number,
+    required: true
+  },
+  protocol: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  amountUSD: Number,
+  fromProtocol: String,
+  toProtocol: String,
+  contractAddress: String,
+  functionName: String,
+  payload: Schema.Types.Mixed, // Entry function payload for signAndSubmitTransaction
+  phase: {
+    type: Number,
+    default: 0
+  },
+  availableAt: Date, // Operations after unbonding cannot be signed before this
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  transactionHash: String,
+  error: String,
+  submittedAt: Date
+}, { _id: false });
+
+// Rebalance proposal schema
+const RebalanceProposalSchema = new Schema({
+  walletAddress: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    sparse: true
+  },
+  eventId: {
+    type: Schema.Types.ObjectId,
+    ref: 'RebalanceEvent'
+  },
+  trigger: String,
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'partially_executed', 'expired', 'rejected'],
+    default: 'pending',
+    index: true
+  },
+  operations: [ProposalOperationSchema],
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  ttl: Number, // Approval window in milliseconds
+
+  // Portfolio and drift at the time of the proposal
+  driftSnapshot: {
+    totalValueUSD: Number,
+    maxDrift: Number,
+    averageDrift: Number,
+    drifts: [{
+      protocol: String,
+      current: Number,
+      target: Number,
+      drift: Number,
+      outOfBand: Boolean
+    }]
+  },
+
+  // Market conditions the proposal is only valid under
+  marketSnapshot: {
+    aptPrice: Number,
+    volatilityIndex: Number,
+    maxMarketMove: Number // Percent APT price or portfolio value change that expires the proposal
+  },
+
+  estimatedGasUSD: Number,
+  approvedAt: Date,
+  closedAt: Date, // Set once no further operations will be signed
+  statusReason: String
+}, { timestamps: true });
+
+RebalanceProposalSchema.index({ walletAddress: 1, createdAt: -1 });
+RebalanceProposalSchema.index({ status: 1, closedAt: 1 });
+
+// Method to approve a pending proposal
+RebalanceProposalSchema.methods.approve = async function() {
+  this.status = 'approved';
+  this.approvedAt = new Date();
+
+  // Signing stays open until the last operation is available, plus the approval window
+  const lastAvailable = Math.max(...this.operations.map(op => new Date(op.availableAt || 0).getTime()), Date.now());
+  this.expiresAt = new Date(lastAvailable + (this.ttl || 0));
+
+  return this.save();
+};
+
+// Method to record the outcome of signing one operation
+RebalanceProposalSchema.methods.recordOperation = async function(index, { transactionHash, success, error }) {
+  const operation = this.operations.find(op => op.index === index);
+
+  operation.status = success ? 'submitted' : 'failed';
+  operation.transactionHash = transactionHash;
+  operation.error = success ? undefined : (error || 'Transaction was not submitted');
+  operation.submittedAt = success ? new Date() : undefined;
+
+  return this.settle();
+};
+
+// Method to update the status from the operation outcomes
+// (closing skips whatever is still unsigned; a closed proposal with nothing submitted has expired)
+RebalanceProposalSchema.methods.settle = async function(close = false, reason = undefined) {
+  if (close) {
+    this.operations.filter(op => op.status === 'pending').forEach(op => {
+      op.status = 'skipped';
+    });
+  }
+
+  const submitted = this.operations.filter(op => op.status === 'submitted').length;
+  const open = this.operations.some(op => op.status === 'pending' || op.status === 'failed');
+
+  if (submitted === this.operations.length) {
+    this.status = 'approved';
+  } else if (submitted > 0) {
+    this.status = 'partially_executed';
+  } else if (close) {
+    this.status = 'expired';
+  }
+
+  if (close || !open) {
+    this.closedAt = new Date();
+    if (reason) this.statusReason = reason;
+  }
+
+  return this.save();
+};
+
+// Method to expire a pending proposal
+RebalanceProposalSchema.methods.expire = async function(reason) {
+  this.status = 'expired';
+  this.statusReason = reason || 'Proposal expired before approval';
+  this.closedAt = new Date();
+
+  return this.save();
+};
+
+// Method to reject a proposal (operations already submitted stay on record)
+RebalanceProposalSchema.methods.reject = async function(reason) {
+  reason = reason || 'Rejected by the wallet owner';
+
+  if (this.operations.some(op => op.status === 'submitted')) {
+    return this.settle(true, reason);
+  }
+
+  this.operations.filter(op => op.status === 'pending').forEach(op => {
+    op.status = 'skipped';
+  });
+  this.status = 'rejected';
+  this.statusReason = reason;
+  this.closedAt = new Date();
+
+  return this.save();
+};
+
+// Static method to find the open proposals of a wallet (or all wallets)
+RebalanceProposalSchema.statics.findOpen = function(walletAddress = null) {
+  const query = { closedAt: null };
+  if (walletAddress) query.walletAddress = walletAddress;
+
+  return this.find(query).sort({ createdAt: 1 });
+};
+
+// Static method to find the proposals awaiting approval for a wallet
+RebalanceProposalSchema.statics.findPending = function(walletAddress) {
+  return this.find({ walletAddress, status: 'pending' }).sort({ createdAt: -1 });
+};
+
+// Static method to list the proposals of a wallet
+RebalanceProposalSchema.statics.findByWallet = function(walletAddress, { status, limit = 20 } = {}) {
+  const query = { walletAddress };
+  if (status) query.status = status;
+
+  return this.find(query).sort({ createdAt: -1 }).limit(limit);
+};
+
+// Create rebalance proposal model
+const RebalanceProposal = mongoose.model('RebalanceProposal', RebalanceProposalSchema);
+
+module.exports = RebalanceProposal;
@@ -0,0 +1,185 @@
+// server/models/rebalanceSettings.js
+// MongoDB model for storing per-wallet auto-rebalance settings
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Tolerance band around a target, in percentage points either side
+const ToleranceBandSchema = new Schema({
+  lower: {
+    type: Number,
+    min: 0.5,
+    max: 50
+  },
+  upper: {
+    type: Number,
+    min: 0.5,
+    max: 50
+  }
+}, { _id: false });
+
+// Rebalance settings schema (unset fields fall back to the rebalancer defaults)
+const RebalanceSettingsSchema = new Schema({
+  walletAddress: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    sparse: true
+  },
+  minRebalanceThreshold: {
+    type: Number,
+    min: 1,
+    max: 20
+  },
+  maxSlippage: {
+    type: Number,
+    min: 0.1,
+    max: 5
+  },
+  cooldownPeriod: {
+    type: Number, // in milliseconds
+    min: 60 * 60 * 1000
+  },
+  volatilityThreshold: {
+    type: Number,
+    min: 1,
+    max: 100
+  },
+  preserveStakedPositions: Boolean,
+  maxOperationsPerRebalance: {
+    type: Number,
+    min: 1,
+    max: 10
+  },
+  maxPortionToRebalance: {
+    type: Number,
+    min: 0.05,
+    max: 1
+  },
+  toleranceBands: {
+    type: Map, // Keyed by protocol or position type
+    of: ToleranceBandSchema
+  },
+  
+  // Gas pricing
+  gasTier: {
+    type: String,
+    enum: ['slow', 'normal', 'fast']
+  },
+  gasBuffer: {
+    type: Number,
+    min: 1,
+    max: 2
+  },
+  maxGasShareOfGain: {
+    type: Number, // percent of the expected yield gain
+    min: 1,
+    max: 100
+  },
+  
+  // Circuit breaker limits
+  maxDailyNotionalUSD: {
+    type: Number, // USD moved in a rolling 24 hours
+    min: 0
+  },
+  maxConsecutiveFailures: {
+    type: Number,
+    min: 1,
+    max: 20
+  },
+  maxDrawdownPercent: {
+    type: Number,
+    min: 1,
+    max: 100
+  },
+  deniedProtocols: {
+    type: [String],
+    default: undefined
+  },
+  
+  // Approval of automated rebalance proposals
+  proposalTTL: {
+    type: Number, // in milliseconds
+    min: 60 * 60 * 1000
+  },
+  proposalMaxMarketMove: {
+    type: Number, // percent
+    min: 0.5,
+    max: 50
+  },
+  
+  // Last manual reset of the circuit breakers (failures and drawdown count from here)
+  circuitBreakerReset: {
+    at: Date,
+    totalValueUSD: Number
+  }
+}, { timestamps: true });
+
+// Fields that can be overridden per wallet
+RebalanceSettingsSchema.statics.SETTING_FIELDS = [
+  'minRebalanceThreshold',
+  'maxSlippage',
+  'cooldownPeriod',
+  'volatilityThreshold',
+  'preserveStakedPositions',
+  'maxOperationsPerRebalance',
+  'maxPortionToRebalance',
+  'toleranceBands',
+  'gasTier',
+  'gasBuffer',
+  'maxGasShareOfGain',
+  'maxDailyNotionalUSD',
+  'maxConsecutiveFailures',
+  'maxDrawdownPercent',
+  'deniedProtocols',
+  'proposalTTL',
+  'proposalMaxMarketMove'
+];
+
+// Static method to get the stored overrides for a wallet
+RebalanceSettingsSchema.statics.getOverrides = async function(walletAddress) {
+  const record = await this.findOne({ walletAddress }).lean();
+  if (!record) return {};
+
+  return this.SETTING_FIELDS.reduce((overrides, field) => {
+    if (record[field] !== undefined && record[field] !== null) {
+      overrides[field] = record[field];
+    }
+    return overrides;
+  }, {});
+};
+
+// Static method to create or update the settings for a wallet
+RebalanceSettingsSchema.statics.updateForWallet = async function(walletAddress, settings) {
+  const options = { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true };
+  return this.findOneAndUpdate(
+    { walletAddress },
+    { $set: settings },
+    options
+  );
+};
+
+// Static method to get the last circuit breaker reset for a wallet
+RebalanceSettingsSchema.statics.getBreakerReset = async function(walletAddress) {
+  const record = await this.findOne({ walletAddress }).select('circuitBreakerReset').lean();
+  return record?.circuitBreakerReset?.at ? record.circuitBreakerReset : null;
+};
+
+// Static method to record a circuit breaker reset for a wallet
+RebalanceSettingsSchema.statics.recordBreakerReset = async function(walletAddress, totalValueUSD) {
+  return this.findOneAndUpdate(
+    { walletAddress },
+    { $set: { circuitBreakerReset: { at: new Date(), totalValueUSD } } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Create rebalance settings model
+const RebalanceSettings = mongoose.model('RebalanceSettings', RebalanceSettingsSchema);
+
+module.exports = RebalanceSettings;
@@ -0,0 +1,66 @@
+// server/models/sponsorBudget.js
+// MongoDB model for the sponsored gas budget each wallet used per day
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Sponsor budget schema (one counter per wallet and UTC day)
+const SponsorBudgetSchema = new Schema({
+  walletAddress: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  day: {
+    type: String,
+    required: true // UTC day the budget belongs to (YYYY-MM-DD)
+  },
+  usedAPT: {
+    type: Number,
+    default: 0 // Paid fees plus open reservations of the day
+  }
+}, {
+  timestamps: true
+});
+
+SponsorBudgetSchema.index({ walletAddress: 1, day: 1 }, { unique: true });
+
+// Static method to get the UTC day a date falls on
+SponsorBudgetSchema.statics.dayOf = function(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+};
+
+// Static method to get the budget a wallet used on a day
+SponsorBudgetSchema.statics.getUsed = async function(walletAddress, day) {
+  const budget = await this.findOne({ walletAddress, day }).lean();
+  return budget ? budget.usedAPT : 0;
+};
+
+// Static method to take an amount from a wallet's budget of the day, only while it fits
+// (the check and the write are one operation, so concurrent reservations cannot overspend)
+SponsorBudgetSchema.statics.reserve = async function(walletAddress, day, amountAPT, budgetAPT) {
+  if (amountAPT > budgetAPT) return null;
+
+  const filter = { walletAddress, day, usedAPT: { $lte: budgetAPT - amountAPT } };
+  const update = { $inc: { usedAPT: amountAPT } };
+
+  try {
+    return await this.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Duplicate key: the day's counter exists, either without room left or because a concurrent
+    // first reservation of the day created it, so take the amount from it only while it fits
+    return this.findOneAndUpdate(filter, update, { new: true });
+  }
+};
+
+// Static method to change the budget a wallet used on a day, e.g. to return a reservation
+SponsorBudgetSchema.statics.adjust = function(walletAddress, day, amountAPT) {
+  return this.updateOne({ walletAddress, day }, { $inc: { usedAPT: amountAPT } });
+};
+
+// Create sponsor budget model
+const SponsorBudget = mongoose.model('SponsorBudget', SponsorBudgetSchema);
+
+module.exports = SponsorBudget;
@@ -0,0 +1,151 @@
+// server/models/sponsorLedger.js
+// MongoDB model for the gas the platform sponsor account pays on behalf of wallets
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Sponsor ledger schema (one entry per sponsored transaction)
+const SponsorLedgerSchema = new Schema({
+  walletAddress: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  transactionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    unique: true
+  },
+  hash: String,
+  function: String, // Entry function the sponsor paid for
+  protocol: String,
+  type: String,
+  tier: {
+    type: String,
+    enum: ['free', 'premium', 'enterprise'] // Subscription tier the budget was taken from
+  },
+  feePayer: String, // Sponsor account address
+  reservedAPT: {
+    type: Number,
+    default: 0 // Maximum gas fee of the transaction, held against the budget until it settles
+  },
+  budgetDay: String, // UTC day of the SponsorBudget counter the reservation was taken from
+  spentAPT: {
+    type: Number,
+    default: 0 // Gas fee actually paid on chain
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'submitted', 'settled', 'released'],
+    default: 'reserved'
+  },
+  submittedAt: Date,
+  settledAt: Date
+}, {
+  timestamps: true
+});
+
+SponsorLedgerSchema.index({ walletAddress: 1, createdAt: -1 });
+SponsorLedgerSchema.index({ status: 1, createdAt: -1 });
+
+// Fields the admin report can be grouped by
+SponsorLedgerSchema.statics.REPORT_GROUPS = {
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+  wallet: '$walletAddress',
+  tier: '$tier',
+  function: '$function',
+  protocol: '$protocol'
+};
+
+// Static method to reserve the maximum gas fee of a sponsored transaction
+SponsorLedgerSchema.statics.reserve = function(entry) {
+  return this.create({ ...entry, status: 'reserved' });
+};
+
+// Static method to record the hash a sponsored transaction was submitted with
+SponsorLedgerSchema.statics.markSubmitted = function(transactionId, hash) {
+  return this.findOneAndUpdate(
+    { transactionId, status: 'reserved' },
+    { $set: { status: 'submitted', hash, submittedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to record the gas fee paid once a sponsored transaction is final
+SponsorLedgerSchema.statics.settle = function(transactionId, spentAPT) {
+  return this.findOneAndUpdate(
+    { transactionId, status: { $in: ['reserved', 'submitted'] } },
+    { $set: { status: 'settled', spentAPT, settledAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to return the reservation of a transaction that never reached the chain
+SponsorLedgerSchema.statics.release = function(transactionId) {
+  return this.findOneAndUpdate(
+    { transactionId, status: { $in: ['reserved', 'submitted'] } },
+    { $set: { status: 'released', settledAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to report sponsored gas over a period, grouped by day, wallet, tier, function or protocol
+SponsorLedgerSchema.statics.getReport = async function({ from, to, groupBy = 'day', walletAddress } = {}) {
+  const match = {};
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+  if (walletAddress) match.walletAddress = walletAddress;
+
+  const totals = {
+    transactions: { $sum: 1 },
+    settled: { $sum: { $cond: [{ $eq: ['$status', 'settled'] }, 1, 0] } },
+    spentAPT: { $sum: '$spentAPT' },
+    outstandingAPT: { $sum: { $cond: [{ $in: ['$status', ['reserved', 'submitted']] }, '$reservedAPT', 0] } },
+    wallets: { $addToSet: '$walletAddress' }
+  };
+  const describe = {
+    _id: 0,
+    transactions: 1,
+    settled: 1,
+    spentAPT: 1,
+    outstandingAPT: 1,
+    wallets: { $size: '$wallets' }
+  };
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        groups: [
+          { $group: { _id: this.REPORT_GROUPS[groupBy], ...totals } },
+          { $project: { ...describe, key: '$_id' } },
+          { $sort: { key: 1 } }
+        ],
+        totals: [
+          { $group: { _id: null, ...totals } },
+          { $project: describe }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    groupBy,
+    groups: result.groups,
+    totals: result.totals[0] || { transactions: 0, settled: 0, spentAPT: 0, outstandingAPT: 0, wallets: 0 }
+  };
+};
+
+// Create sponsor ledger model
+const SponsorLedger = mongoose.model('SponsorLedger', SponsorLedgerSchema);
+
+module.exports = SponsorLedger;
@@ -33,7 +33,7 @@ const TransactionSchema = new Schema({
   type: {
     type: String,
     required: true,
-    enum: ['stake', 'unstake', 'lend', 'withdraw', 'addLiquidity', 'removeLiquidity', 'swap', 'deposit', 'execute', 'other'],
+    enum: ['stake', 'unstake', 'claim', 'lend', 'withdraw', 'addLiquidity', 'removeLiquidity', 'swap', 'deposit', 'execute', 'other'],
     default: 'other'
   },
   subType: String,
@@ -59,6 +59,7 @@ const TransactionSchema = new Schema({
   networkFee: Number,
   executionTimestamp: Date,
   completionTimestamp: Date,
+  expiresAt: Date, // Expiration of the signed transaction; it can never commit after this
   contractAddress: {
     type: String,
     trim: true
@@ -105,6 +106,8 @@ const TransactionSchema = new Schema({
 // Compound indexes
 TransactionSchema.index({ walletAddress: 1, status: 1 });
 TransactionSchema.index({ protocol: 1, type: 1, status: 1 });
+TransactionSchema.index({ status: 1, executionTimestamp: 1 });
+TransactionSchema.index({ 'metadata.strategyId': 1 }, { sparse: true });
 
 // Add TTL index to automatically remove old pending transactions
 TransactionSchema.index({ createdAt: 1 }, { 
@@ -149,6 +152,17 @@ TransactionSchema.methods.markAsFailed = async function(error) {
   return this.save();
 };
 
+// Mark transaction as expired (never committed, or never signed)
+TransactionSchema.methods.markAsExpired = async function(reason) {
+  this.status = 'expired';
+  this.completionTimestamp = new Date();
+  this.error = {
+    code: 'expired',
+    message: reason || 'Transaction expired before it was committed'
+  };
+  return this.save();
+};
+
 // Increment retry count
 TransactionSchema.methods.incrementRetry = async function() {
   this.retryCount += 1;
@@ -160,9 +174,20 @@ TransactionSchema.statics.createTransaction = async function(transactionData) {
   return this.create(transactionData);
 };
 
-// Static method to find transactions by wallet
-TransactionSchema.statics.findByWallet = function(walletAddress, limit = 50) {
-  return this.find({ walletAddress })
+// Static method to find transactions by wallet, optionally created within { from, to } and of the given types
+TransactionSchema.statics.findByWallet = function(walletAddress, limit = 50, { from, to, types } = {}) {
+  const query = { walletAddress };
+  if (from || to) {
+    query.createdAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to })
+    };
+  }
+  if (types && types.length > 0) {
+    query.$or = [{ type: { $in: types } }, { type: 'other', subType: { $in: types } }];
+  }
+  
+  return this.find(query)
     .sort({ createdAt: -1 })
     .limit(limit);
 };
@@ -175,12 +200,40 @@ TransactionSchema.statics.findPending = function(walletAddress) {
   }).sort({ createdAt: -1 });
 };
 
+// Static method to find a transaction by hash
+TransactionSchema.statics.findByHash = function(hash) {
+  return this.findOne({ hash });
+};
+
+// Static method to find submitted transactions waiting for confirmation, oldest first
+TransactionSchema.statics.findAwaitingConfirmation = function(limit = 50) {
+  return this.find({
+    status: 'submitted',
+    hash: { $exists: true },
+    isSimulated: { $ne: true }
+  }).sort({ executionTimestamp: 1 }).limit(limit);
+};
+
+// Static method to find unsigned transactions past their expiration
+TransactionSchema.statics.findExpiredUnsigned = function(before = new Date()) {
+  return this.find({
+    status: 'pending',
+    expiresAt: { $lt: before }
+  });
+};
+
 // Static method to find transactions by recommendation
 TransactionSchema.statics.findByRecommendation = function(recommendationId) {
   return this.find({ recommendationId })
     .sort({ createdAt: -1 });
 };
 
+// Static method to find the transactions of a strategy execution, in step order
+TransactionSchema.statics.findByStrategy = function(strategyId) {
+  return this.find({ 'metadata.strategyId': strategyId })
+    .sort({ 'metadata.step': 1, createdAt: 1 });
+};
+
 // Static method to get transaction metrics
 TransactionSchema.statics.getTransactionMetrics = async function(walletAddress, days = 30) {
   const cutoffDate = new Date();
@@ -379,6 +379,14 @@ UserSchema.statics.findByVerificationToken = function(token) {
   return this.findOne({ verificationToken: token });
 };
 
+// Static method to find the user a wallet address is linked to (addresses compare case-insensitively)
+UserSchema.statics.findByWallet = function(walletAddress) {
+  if (!/^0x[0-9a-f]+$/i.test(walletAddress || '')) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ 'linkedWallets.address': new RegExp(`^${walletAddress}$`, 'i') });
+};
+
 // Create user model
 const User = mongoose.model('User', UserSchema);
 
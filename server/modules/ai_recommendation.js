@@ -10,6 +10,7 @@ const { OpenAI } = require('openai');
 const { fetchProtocolData, fetchMarketOverview } = require('./dataFetcher');
 const cache = require('../middleware/caching');
 const aiConfig = require('../config/ai');
+const protocols = require('../protocols');
 
 // Initialize AI clients
 let anthropicClient;
@@ -291,7 +292,7 @@ async function getPersonalizedStrategy(portfolioData, options = {}) {
         protocol: item.protocol,
         operationType: item.product.toLowerCase().includes('staking') ? 'stake' : 'lend',
         amount: item.amount,
-        contractAddress: getContractAddressForProtocol(item.protocol)
+        contractAddress: protocols.getAddress(item.protocol)
       }))
     };
     
@@ -655,7 +656,7 @@ function getFallbackStrategy(riskProfile, amount = 100, portfolioData = null) {
         protocol: item.protocol,
         operationType: item.product.toLowerCase().includes('staking') ? 'stake' : 'lend',
         amount: item.amount,
-        contractAddress: getContractAddressForProtocol(item.protocol)
+        contractAddress: protocols.getAddress(item.protocol)
       }))
     };
     
@@ -763,28 +764,6 @@ async function generateAIResponse(prompt) {
   throw new Error('No AI service (Anthropic or OpenAI) is available');
 }
 
-/**
- * Get the contract address for a protocol
- * @param {string} protocol - Protocol name
- * @returns {string} Contract address
- */
-function getContractAddressForProtocol(protocol) {
-  // Map of protocol names to contract addresses
-  const contracts = {
-    amnis: "0x111ae3e5bc816a5e63c2da97d0aa3886519e0cd5e4b046659fa35796bd11542a",
-    thala: "0xfaf4e633ae9eb31366c9ca24214231760926576c7b625313b3688b5e900731f6",
-    tortuga: "0x952c1b1fc8eb75ee80f432c9d0a84fcda1d5c7481501a7eca9199f1596a60b53",
-    ditto: "0xd11107bdf0d6d7040c6c0bfbdecb6545191fdf13e8d8d259952f53e1713f61b5",
-    aries: "0x9770fa9c725cbd97eb50b2be5f7416efdfd1f1554beb0750d4dae4c64e860da3",
-    echo: "0xeab7ea4d635b6b6add79d5045c4a45d8148d88287b1cfa1c3b6a4b56f46839ed",
-    pancakeswap: "0xc7efb4076dbe143cbcd98cfaaa929ecfc8f299203dfff63b95ccb6bfe19850fa",
-    liquidswap: "0x190d44266241744264b964a37b8f09863167a12d3e70cda39376cfb4e3561e12",
-    cetus: "0x27156bd56eb5637b9adde4d915b596f92d2f28f0ade2eaef48fa73e360e4e8a6"
-  };
-  
-  return contracts[protocol.toLowerCase()] || null;
-}
-
 /**
  * Get available AI models for recommendation generation
  * @returns {Object} Available AI models and their status
@@ -7,17 +7,32 @@
  * Features:
  * - Analyzes portfolio drift and determines when rebalancing is needed
  * - Executes optimal rebalancing operations with minimal gas costs
- * - Supports scheduled automatic rebalancing with configurable thresholds
+ * - Runs rebalances in phases when unstaked funds must wait out an unbonding period
+ * - Supports scheduled automatic rebalancing on interval, cron or calendar schedules
+ * - Automated rebalances become proposals that the wallet owner reviews and signs
  * - Integrates with AI recommendation system for optimal allocation targets
  * - Includes safety mechanisms to prevent excessive operations during market volatility
+ * - Circuit breakers and an admin kill switch bound what automation can do
  */
 
 const { Aptos, AptosConfig, Network } = require('@aptos-labs/ts-sdk');
-const axios = require('axios');
+const { getFakeChain } = require('./fake_chain');
 const aiRecommendation = require('./ai_recommendation');
 const portfolioTracker = require('./portfolio_tracker');
 const transactionManager = require('./transaction_manager');
+const delegationManager = require('./delegation_manager');
 const stakingOptimizer = require('./staking_optimizer');
+const volatilityService = require('./volatility_service');
+const RebalanceEvent = require('../models/rebalanceEvent');
+const RebalanceSettings = require('../models/rebalanceSettings');
+const RebalanceProposal = require('../models/rebalanceProposal');
+const Transaction = require('../models/transaction');
+const { RebalanceQueue } = require('./rebalance_queue');
+const { RebalanceScheduler, SCHEDULE_TYPES, CATCH_UP_POLICIES } = require('./rebalance_scheduler');
+const { CircuitBreaker, BREAKERS } = require('./circuit_breaker');
+const { GasStrategy, GAS_TIERS, DEFAULT_GAS_UNIT_PRICE } = require('./gas_strategy');
+const { createRebalanceNotification } = require('./notification_system');
+const protocols = require('../protocols');
 const { getLogger } = require('../utils/logging');
 const config = require('../config');
 
@@ -26,67 +41,142 @@ const logger = getLogger('auto_rebalancer');
 
 // Global configuration
 const DEFAULT_SETTINGS = {
-  minRebalanceThreshold: 5, // Minimum percentage drift to trigger rebalancing
+  minRebalanceThreshold: 5, // Default tolerance band (± percentage points) around each target
+  toleranceBands: {}, // Per-protocol or per-position-type bands, e.g. { liquidity: { lower: 3, upper: 3 } }
   maxSlippage: 2.0, // Maximum allowed slippage percentage
   gasBuffer: 1.15, // Gas estimation buffer (15%)
+  gasTier: 'normal', // Gas price tier: slow, normal or fast
+  maxGasShareOfGain: null, // Refuse rebalances whose gas costs more than this share (%) of the expected yield gain
   maxOperationsPerRebalance: 6, // Maximum number of operations per rebalancing session
   cooldownPeriod: 24 * 60 * 60 * 1000, // 24 hours between rebalances
-  volatilityThreshold: 15, // Percentage of market volatility to pause rebalancing
+  volatilityThreshold: 15, // Daily realized volatility percentage that pauses rebalancing
   preserveStakedPositions: true, // Don't unstake existing positions by default
   maxPortionToRebalance: 0.5, // Maximum portion of portfolio to rebalance at once
   prioritizeFeeGeneration: true, // Prioritize fee-generating positions
   retryAttempts: 3, // Number of retry attempts for failed operations
   retryDelay: 2000, // Delay between retries (ms)
-  safetyChecks: true // Enable safety checks
+  safetyChecks: true, // Enable safety checks
+  maxDailyNotionalUSD: 25000, // Circuit breaker: USD moved per rolling 24 hours
+  maxConsecutiveFailures: 3, // Circuit breaker: failed rebalances in a row
+  maxDrawdownPercent: 20, // Circuit breaker: portfolio value lost since the last rebalance
+  deniedProtocols: [], // Circuit breaker: protocols never rebalanced into or out of
+  proposalTTL: 24 * 60 * 60 * 1000, // How long an automated rebalance proposal waits for approval (ms)
+  proposalMaxMarketMove: 5 // APT price or portfolio value change (%) that expires a pending proposal
 };
 
-// Contract addresses for major Aptos DeFi protocols
-const PROTOCOL_ADDRESSES = {
-  // Liquid staking protocols
-  amnis: "0x111ae3e5bc816a5e63c2da97d0aa3886519e0cd5e4b046659fa35796bd11542a",
-  thala: "0xfaf4e633ae9eb31366c9ca24214231760926576c7b625313b3688b5e900731f6",
-  tortuga: "0x952c1b1fc8eb75ee80f432c9d0a84fcda1d5c7481501a7eca9199f1596a60b53",
-  ditto: "0xd11107bdf0d6d7040c6c0bfbdecb6545191fdf13e8d8d259952f53e1713f61b5",
-  
-  // Lending/borrowing protocols
-  aries: "0x9770fa9c725cbd97eb50b2be5f7416efdfd1f1554beb0750d4dae4c64e860da3",
-  echo: "0xeab7ea4d635b6b6add79d5045c4a45d8148d88287b1cfa1c3b6a4b56f46839ed",
-  
-  // DEXes
-  pancakeswap: "0xc7efb4076dbe143cbcd98cfaaa929ecfc8f299203dfff63b95ccb6bfe19850fa",
-  liquidswap: "0x190d44266241744264b964a37b8f09863167a12d3e70cda39376cfb4e3561e12"
-};
+// Days of improved yield a rebalance is credited with when it is weighed against its gas cost
+const GAS_GAIN_HORIZON_DAYS = 30;
 
 // Operation types
 const OPERATION_TYPES = {
   STAKE: 'stake',
   UNSTAKE: 'unstake',
+  CLAIM: 'claim',
   LEND: 'lend',
   WITHDRAW: 'withdraw',
   ADD_LIQUIDITY: 'addLiquidity',
-  REMOVE_LIQUIDITY: 'removeLiquidity'
+  REMOVE_LIQUIDITY: 'removeLiquidity',
+  SWAP: 'swap'
+};
+
+// Operations that reduce and grow each kind of position
+const WITHDRAW_OPERATIONS = {
+  staking: OPERATION_TYPES.UNSTAKE,
+  lending: OPERATION_TYPES.WITHDRAW,
+  liquidity: OPERATION_TYPES.REMOVE_LIQUIDITY
+};
+
+const DEPOSIT_OPERATIONS = {
+  staking: OPERATION_TYPES.STAKE,
+  lending: OPERATION_TYPES.LEND,
+  liquidity: OPERATION_TYPES.ADD_LIQUIDITY
+};
+
+// Estimated fees as a fraction of the amount moved
+const CONVERSION_FEES = {
+  swap: 0.0005, // Liquid staking token pools trade near par
+  unstake: 0.001 // Unstake fee charged by liquid staking protocols
+};
+
+// DEX used for direct liquid staking token swaps
+const LST_SWAP_PROTOCOL = 'liquidswap';
+
+// Smallest operation worth submitting (APT)
+const MIN_OPERATION_AMOUNT = 0.01;
+
+// Options that describe when a schedule fires rather than how the rebalance runs
+const SCHEDULE_OPTIONS = ['delayMs', 'runAt', 'checkInterval', 'cron', 'calendar', 'timezone', 'catchUp', 'skipWeekends'];
+
+// Default drift check interval for monitors without a schedule
+const DEFAULT_CHECK_INTERVAL = 4 * 60 * 60 * 1000; // 4 hours
+
+// Wait between attempts to claim unstaked funds that are not yet claimable
+const CLAIM_RETRY_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// How long after the expected unbonding time a claim keeps being retried
+const MAX_CLAIM_WAIT = 3 * 24 * 60 * 60 * 1000; // 3 days
+
+// Phase and operation statuses that need no further work
+const FINISHED_PHASE_STATUSES = ['completed', 'failed', 'skipped'];
+
+// Operation status of each final transaction status
+const TRANSACTION_OPERATION_STATUSES = {
+  confirmed: 'success',
+  failed: 'failed',
+  expired: 'failed'
 };
 
 class AutoRebalancer {
   constructor(userSettings = {}) {
-    // Merge default settings with user settings
+    // Platform-wide defaults; per-wallet overrides are merged over these
     this.settings = { ...DEFAULT_SETTINGS, ...userSettings };
     
     // Initialize Aptos client
     this.initializeAptosClient();
     
-    // Track rebalancing states
-    this.rebalancingInProgress = false;
-    this.lastRebalanceTime = {}; // Map of wallet address -> timestamp
-    this.rebalanceHistory = {}; // Map of wallet address -> history array
-    this.scheduledRebalances = new Map(); // Map of wallet address -> timeout ID
+    // Rebalances run through a job queue with per-wallet locking
+    this.queue = new RebalanceQueue({
+      processor: (job) => this.runRebalance(job.walletAddress, job.options),
+      concurrency: config.env.REBALANCER.queueConcurrency
+    });
+    
+    // Scheduled rebalances and drift checks fire from interval, cron or calendar schedules
+    this.scheduler = new RebalanceScheduler({
+      timezone: config.env.REBALANCER.scheduleTimezone,
+      catchUp: config.env.REBALANCER.scheduleCatchUp
+    });
+    
+    // Limits on automated rebalancing, including the platform-wide kill switch
+    this.circuitBreaker = new CircuitBreaker({
+      deniedProtocols: config.env.REBALANCER.deniedProtocols,
+      killSwitch: config.env.REBALANCER.killSwitch
+    });
+    
+    // Slow, normal and fast gas prices and cost forecasts
+    this.gasStrategy = new GasStrategy({ getClient: () => this.aptos });
+    
+    // Track rebalancing states (cooldowns, history and schedules live in RebalanceEvent)
+    this.scheduledRebalances = new Map(); // Map of wallet address -> armed schedule info
+    this.autoRebalanceMonitoring = new Map(); // Map of wallet address -> armed monitor info
+    
+    // Rebalances prepared for the wallet to sign finish as their transactions settle
+    transactionManager.subscribeToTransactions(null, transaction => {
+      this.handleTransactionUpdate(transaction).catch(error => {
+        logger.error(`Failed to apply transaction ${transaction.transactionId} to its rebalance:`, error);
+      });
+    });
   }
   
   /**
-   * Initialize Aptos client with configured network
+   * Initialize Aptos client with configured network (the fake chain when FAKE_CHAIN is enabled)
    */
   async initializeAptosClient() {
     try {
+      if (config.env.FAKE_CHAIN.enabled) {
+        this.aptos = getFakeChain();
+        return;
+      }
+
       const network = process.env.APTOS_NETWORK === 'TESTNET' ? Network.TESTNET : Network.MAINNET;
       const aptosConfig = new AptosConfig({ network });
       this.aptos = new Aptos(aptosConfig);
@@ -100,21 +190,23 @@ class AutoRebalancer {
   /**
    * Check if rebalancing is needed for a wallet
    * @param {string} walletAddress - User's wallet address
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (portfolioData/recommendation may be preloaded)
    * @returns {Promise<Object>} Analysis result with drift percentages
    */
   async checkRebalanceNeeded(walletAddress, options = {}) {
     try {
       logger.info(`Checking if rebalance needed for wallet: ${walletAddress}`);
       
+      const settings = await this.getRebalanceSettings(walletAddress);
+      
       // Get current portfolio data
-      const portfolioData = await portfolioTracker.getPortfolioData(walletAddress);
+      const portfolioData = options.portfolioData || await this.getPortfolio(walletAddress);
       
       // Get AI recommendation for optimal allocation
       const riskProfile = options.riskProfile || await this.determineRiskProfile(walletAddress, portfolioData);
       
       // Request AI recommendation with cached=true to use existing recommendation if recent enough
-      const recommendation = await aiRecommendation.generateRecommendation({
+      const recommendation = options.recommendation || await aiRecommendation.generateRecommendation({
         walletAddress,
         riskProfile,
         amount: portfolioData.totalValueUSD || 100,
@@ -122,25 +214,30 @@ class AutoRebalancer {
       });
       
       // Calculate drift between current and recommended allocation
-      const driftAnalysis = this.calculateDrift(portfolioData, recommendation);
+      const driftAnalysis = this.calculateDrift(portfolioData, recommendation, settings);
       
       // Check if market conditions are too volatile for rebalancing
-      const marketVolatility = await this.checkMarketVolatility();
-      const isVolatile = marketVolatility > this.settings.volatilityThreshold;
+      const marketConditions = await this.checkMarketVolatility(portfolioData, settings);
+      
+      // No new rebalance starts while an earlier one waits for unbonding funds or approval
+      const waiting = await RebalanceEvent.findWaiting(walletAddress);
+      const proposals = await RebalanceProposal.findOpen(walletAddress);
       
       // Return analysis
       return {
         walletAddress,
-        needsRebalancing: driftAnalysis.maxDrift >= this.settings.minRebalanceThreshold && !isVolatile,
+        needsRebalancing: driftAnalysis.needsRebalancing && !marketConditions.isVolatile &&
+          waiting.length === 0 && proposals.length === 0,
+        phasesPending: waiting.length > 0,
+        proposalPending: proposals.length > 0,
         maxDrift: driftAnalysis.maxDrift,
         avgDrift: driftAnalysis.avgDrift,
+        breaches: driftAnalysis.breaches,
         driftDetails: driftAnalysis.drifts,
-        marketConditions: {
-          volatility: marketVolatility,
-          isVolatile
-        },
-        lastRebalanced: this.lastRebalanceTime[walletAddress] || null,
-        cooldownRemaining: this.calculateCooldownRemaining(walletAddress)
+        marketConditions,
+        lastRebalanced: await this.getLastRebalanceTime(walletAddress),
+        cooldownRemaining: await this.calculateCooldownRemaining(walletAddress, settings),
+        settings
       };
     } catch (error) {
       logger.error(`Error checking rebalance need for ${walletAddress}:`, error);
@@ -152,13 +249,14 @@ class AutoRebalancer {
    * Calculate drift between current portfolio and recommended allocation
    * @param {Object} portfolio - Current portfolio data
    * @param {Object} recommendation - AI recommendation with target allocation
-   * @returns {Object} Drift analysis
+   * @param {Object} settings - Resolved wallet settings (tolerance bands)
+   * @returns {Object} Drift analysis with the tolerance band of every position
    */
-  calculateDrift(portfolio, recommendation) {
+  calculateDrift(portfolio, recommendation, settings = this.settings) {
     // Normalize portfolio data to percentage allocations
     const totalValue = parseFloat(portfolio.totalValueUSD || 0);
     if (totalValue <= 0) {
-      return { maxDrift: 0, avgDrift: 0, drifts: [] };
+      return { maxDrift: 0, avgDrift: 0, drifts: [], breaches: 0, needsRebalancing: false };
     }
     
     const currentAllocation = [];
@@ -174,14 +272,7 @@ class AutoRebalancer {
     }
     
     // Extract staked tokens allocation
-    const stakedTokens = {
-      'amnis': 'stAPT',
-      'thala': 'sthAPT', 
-      'tortuga': 'tAPT',
-      'ditto': 'dAPT'
-    };
-    
-    for (const [protocol, tokenKey] of Object.entries(stakedTokens)) {
+    for (const [protocol, tokenKey] of Object.entries(protocols.getLiquidStakingTokens())) {
       if (portfolio[tokenKey] && parseFloat(portfolio[tokenKey].amount) > 0) {
         currentAllocation.push({
           protocol,
@@ -216,12 +307,26 @@ class AutoRebalancer {
       }
     }
     
+    // Extract lending positions
+    (portfolio.lendingPositions || []).forEach(position => {
+      if (position.valueUSD > 0) {
+        currentAllocation.push({
+          protocol: position.protocol,
+          percentage: (position.valueUSD / totalValue * 100).toFixed(2),
+          amount: position.amount,
+          valueUSD: position.valueUSD,
+          type: 'lending'
+        });
+      }
+    });
+    
     // Get recommended allocation
     const targetAllocation = recommendation.allocation.reduce((map, item) => {
       map[item.protocol.toLowerCase()] = {
         percentage: parseFloat(item.percentage),
         protocol: item.protocol,
-        product: item.product
+        product: item.product,
+        band: item.band
       };
       return map;
     }, {});
@@ -247,7 +352,8 @@ class AutoRebalancer {
           current: currentPct,
           target: targetPct,
           drift,
-          action: currentPct > targetPct ? 'decrease' : 'increase'
+          action: currentPct > targetPct ? 'decrease' : 'increase',
+          band: this.getToleranceBand(current.protocol, current.type || 'holding', targetPct, settings, target.band)
         });
         
         maxDrift = Math.max(maxDrift, drift);
@@ -263,7 +369,8 @@ class AutoRebalancer {
           current: parseFloat(current.percentage),
           target: 0,
           drift: parseFloat(current.percentage),
-          action: 'decrease'
+          action: 'decrease',
+          band: this.getToleranceBand(current.protocol, current.type || 'holding', 0, settings)
         });
         
         maxDrift = Math.max(maxDrift, parseFloat(current.percentage));
@@ -273,13 +380,16 @@ class AutoRebalancer {
     
     // Add protocols that are in target but not in current
     Object.values(targetAllocation).forEach(target => {
+      const type = this.determineProtocolType(target.product);
+      
       drifts.push({
         protocol: target.protocol,
-        type: this.determineProtocolType(target.product),
+        type,
         current: 0,
         target: target.percentage,
         drift: target.percentage,
-        action: 'add'
+        action: 'add',
+        band: this.getToleranceBand(target.protocol, type, target.percentage, settings, target.band)
       });
       
       maxDrift = Math.max(maxDrift, target.percentage);
@@ -289,10 +399,50 @@ class AutoRebalancer {
     // Calculate average drift
     const avgDrift = drifts.length > 0 ? totalDrift / drifts.length : 0;
     
+    // A position needs rebalancing only once it leaves its own band
+    drifts.forEach(drift => {
+      drift.outOfBand = drift.current < drift.band.min || drift.current > drift.band.max;
+    });
+    const breaches = drifts.filter(drift => drift.outOfBand).length;
+    
     return {
       maxDrift,
       avgDrift,
-      drifts: drifts.sort((a, b) => b.drift - a.drift) // Sort by highest drift first
+      drifts: drifts.sort((a, b) => b.drift - a.drift), // Sort by highest drift first
+      breaches,
+      needsRebalancing: breaches > 0
+    };
+  }
+  
+  /**
+   * Resolve the tolerance band around a position's target
+   *
+   * Bands set on the allocation item win, then bands configured for the protocol,
+   * then for the position type, and finally ±minRebalanceThreshold.
+   * @param {string} protocol - Protocol name
+   * @param {string} type - Position type (staking, lending, liquidity, holding)
+   * @param {number} target - Target percentage
+   * @param {Object} settings - Resolved wallet settings
+   * @param {Object} itemBand - Band carried by the allocation item, if any
+   * @returns {Object} Band widths (lower, upper) and edges (min, max) in percentage points
+   */
+  getToleranceBand(protocol, type, target, settings, itemBand) {
+    const bands = settings.toleranceBands || {};
+    const configured = itemBand || bands[protocol.toLowerCase()] || bands[type] || {};
+    
+    const width = value => {
+      const parsed = parseFloat(value);
+      return Number.isFinite(parsed) && parsed >= 0 ? parsed : settings.minRebalanceThreshold;
+    };
+    
+    const lower = width(configured.lower);
+    const upper = width(configured.upper);
+    
+    return {
+      lower,
+      upper,
+      min: Math.max(0, target - lower),
+      max: Math.min(100, target + upper)
     };
   }
   
@@ -306,7 +456,7 @@ class AutoRebalancer {
     
     const lowerProduct = product.toLowerCase();
     
-    if (lowerProduct.includes('stake') || lowerProduct.includes('stapt') || lowerProduct.includes('apt') && lowerProduct.includes('st')) {
+    if (lowerProduct.includes('stak') || lowerProduct.includes('stapt') || lowerProduct.includes('apt') && lowerProduct.includes('st')) {
       return 'staking';
     }
     
@@ -323,47 +473,71 @@ class AutoRebalancer {
   
   /**
    * Check market volatility to determine if rebalancing is safe
-   * @returns {Promise<number>} Volatility percentage
+   * @param {Object} portfolioData - Current portfolio data (determines the assets measured)
+   * @param {Object} settings - Resolved wallet settings
+   * @returns {Promise<Object>} Volatility reading and whether it blocks rebalancing
    */
-  async checkMarketVolatility() {
-    try {
-      // Get APT price volatility as indicator
-      const response = await axios.get('https://api.coingecko.com/api/v3/coins/aptos/market_chart', {
-        params: {
-          vs_currency: 'usd',
-          days: 1,
-          interval: 'hourly'
-        }
-      });
-      
-      // Calculate 24h volatility from price data
-      const prices = response.data.prices.map(p => p[1]);
-      if (prices.length < 2) return 0;
-      
-      const min = Math.min(...prices);
-      const max = Math.max(...prices);
-      const volatility = ((max - min) / min) * 100;
-      
-      logger.info(`Market volatility: ${volatility.toFixed(2)}%`);
-      return volatility;
-    } catch (error) {
-      logger.warn('Failed to check market volatility:', error);
-      return 0; // Return 0 to not block rebalancing on API failure
+  async checkMarketVolatility(portfolioData, settings) {
+    const reading = await volatilityService.getPortfolioVolatility(portfolioData);
+    
+    // Fail closed: without a reliable reading for every material holding the market is treated as volatile
+    const isVolatile = !reading.available || reading.volatility > settings.volatilityThreshold;
+    
+    if (reading.available) {
+      logger.info(`Market volatility: ${reading.volatility.toFixed(2)}% (threshold ${settings.volatilityThreshold}%)`);
+    } else {
+      logger.warn('Market volatility unavailable, pausing rebalancing');
     }
+    
+    return {
+      volatility: reading.volatility,
+      threshold: settings.volatilityThreshold,
+      available: reading.available,
+      isVolatile,
+      assets: reading.assets,
+      unmeasured: reading.unmeasured,
+      measuredAt: reading.measuredAt
+    };
+  }
+  
+  /**
+   * Get the current portfolio of a wallet
+   * @param {string} walletAddress - User's wallet address
+   * @returns {Promise<Object>} Portfolio (totalValueUSD, apt, liquid staking tokens, ammLiquidity, ...)
+   */
+  async getPortfolio(walletAddress) {
+    // The tracker wraps the portfolio with the wallet and update time
+    const { portfolio } = await portfolioTracker.getPortfolioData(walletAddress);
+    return portfolio;
+  }
+  
+  /**
+   * Get the time of the last executed rebalance for a wallet
+   * @param {string} walletAddress - User's wallet address
+   * @returns {Promise<number|null>} Timestamp in milliseconds or null if never rebalanced
+   */
+  async getLastRebalanceTime(walletAddress) {
+    const lastEvent = await RebalanceEvent.findLastExecuted(walletAddress);
+    if (!lastEvent) return null;
+    
+    return (lastEvent.endTime || lastEvent.timestamp).getTime();
   }
   
   /**
    * Calculate remaining cooldown time for a wallet
    * @param {string} walletAddress - User's wallet address
-   * @returns {number} Milliseconds remaining in cooldown (0 if ready)
+   * @param {Object} settings - Resolved wallet settings (loaded if omitted)
+   * @returns {Promise<number>} Milliseconds remaining in cooldown (0 if ready)
    */
-  calculateCooldownRemaining(walletAddress) {
-    const lastRebalance = this.lastRebalanceTime[walletAddress];
+  async calculateCooldownRemaining(walletAddress, settings = null) {
+    const lastRebalance = await this.getLastRebalanceTime(walletAddress);
     if (!lastRebalance) return 0;
     
+    const { cooldownPeriod } = settings || await this.getRebalanceSettings(walletAddress);
+    
     const now = Date.now();
     const elapsed = now - lastRebalance;
-    const remaining = Math.max(0, this.settings.cooldownPeriod - elapsed);
+    const remaining = Math.max(0, cooldownPeriod - elapsed);
     
     return remaining;
   }
@@ -437,31 +611,129 @@ class AutoRebalancer {
   }
   
   /**
-   * Execute portfolio rebalancing
+   * Queue a portfolio rebalance for a wallet
+   * @param {string} walletAddress - User's wallet address
+   * @param {Object} options - Additional options (wait: false returns the queued job immediately)
+   * @returns {Promise<Object>} Rebalancing result, or the queued job when not waiting
+   */
+  async executeRebalance(walletAddress, options = {}) {
+    const { wait = true, ...jobOptions } = options;
+    
+    // Retries use the wallet's retry policy
+    const settings = await this.getRebalanceSettings(walletAddress);
+    
+    // Tripped breakers stop new rebalances before they are queued (force does not bypass them)
+    if (!jobOptions.resumeEventId) {
+      const trip = await this.circuitBreaker.check(walletAddress, settings);
+      if (trip) {
+        const event = jobOptions.event || await this.createRunEvent(walletAddress, jobOptions, settings);
+        return this.recordCircuitBreakerTrip(walletAddress, trip, event);
+      }
+    }
+    
+    const { job, promise } = this.queue.enqueue(walletAddress, jobOptions, {
+      retryAttempts: settings.retryAttempts,
+      retryDelay: settings.retryDelay
+    });
+    
+    if (!wait) {
+      return {
+        walletAddress,
+        queued: true,
+        job
+      };
+    }
+    
+    return promise;
+  }
+  
+  /**
+   * Run a portfolio rebalance (invoked by the queue with the wallet locked)
    * @param {string} walletAddress - User's wallet address
    * @param {Object} options - Additional options
    * @returns {Promise<Object>} Rebalancing result
    */
-  async executeRebalance(walletAddress, options = {}) {
-    // Check if rebalancing is already in progress
-    if (this.rebalancingInProgress) {
-      throw new Error('Another rebalancing is already in progress');
+  async runRebalance(walletAddress, options = {}) {
+    // Later phases of a waiting rebalance are queued like any other rebalance
+    if (options.resumeEventId) {
+      return this.resumePhasedRebalance(walletAddress, options.resumeEventId);
     }
     
-    this.rebalancingInProgress = true;
     logger.info(`Starting rebalance for wallet: ${walletAddress}`);
     
+    // Reuse the persisted event of a scheduled rebalance, otherwise record a new one
+    let event = null;
+    
+    // Set once operations may have reached the chain; a retry from then on could repeat them
+    let dispatched = false;
+    
     try {
+      const settings = await this.getRebalanceSettings(walletAddress);
+      
+      event = options.event || await this.createRunEvent(walletAddress, options, settings);
+      event.startTime = new Date();
+      await event.updateProgress('in_progress');
+      
+      // A rebalance still waiting on unbonding funds or on its signatures has to finish before another starts
+      const [waiting] = await RebalanceEvent.findWaiting(walletAddress);
+      const [unsigned] = waiting ? [] : await RebalanceEvent.findAwaitingSignature(walletAddress);
+      if (waiting || unsigned) {
+        const reason = waiting ?
+          `Rebalance ${waiting._id} is waiting for unstaked funds to unbond` :
+          `Rebalance ${unsigned._id} is waiting for its transactions to be signed and confirmed`;
+        logger.info(`Rebalancing deferred for ${walletAddress}: ${reason}`);
+        
+        await event.skip(reason);
+        return {
+          walletAddress,
+          success: true,
+          message: `Rebalancing deferred: ${reason}`,
+          operations: [],
+          phasesPending: true,
+          eventId: event._id
+        };
+      }
+      
+      // An automated run waits for an open proposal; a manual run supersedes one still pending
+      const [openProposal] = await RebalanceProposal.findOpen(walletAddress);
+      if (openProposal) {
+        const expiryReason = openProposal.status === 'pending' ? await this.validateProposal(openProposal) : null;
+        
+        if (!expiryReason && this.requiresApproval(event)) {
+          const reason = openProposal.status === 'pending' ?
+            `Rebalance proposal ${openProposal._id} is awaiting approval` :
+            `Rebalance proposal ${openProposal._id} is still being signed`;
+          logger.info(`Rebalancing deferred for ${walletAddress}: ${reason}`);
+          
+          await event.skip(reason);
+          return {
+            walletAddress,
+            success: true,
+            message: `Rebalancing deferred: ${reason}`,
+            operations: [],
+            proposalPending: true,
+            eventId: event._id
+          };
+        }
+        
+        if (openProposal.status === 'pending') {
+          await this.expireProposal(openProposal, expiryReason || 'Superseded by a manual rebalance');
+        }
+      }
+      
       // Check cooldown period if not forced
       if (!options.force) {
-        const cooldownRemaining = this.calculateCooldownRemaining(walletAddress);
+        const cooldownRemaining = await this.calculateCooldownRemaining(walletAddress, settings);
         if (cooldownRemaining > 0) {
-          throw new Error(`Rebalancing in cooldown. Try again in ${Math.ceil(cooldownRemaining / (60 * 1000))} minutes`);
+          const cooldownError = new Error(`Rebalancing in cooldown. Try again in ${Math.ceil(cooldownRemaining / (60 * 1000))} minutes`);
+          cooldownError.code = 'cooldown';
+          cooldownError.retryable = false;
+          throw cooldownError;
         }
       }
       
       // Get current portfolio data
-      const portfolioData = await portfolioTracker.getPortfolioData(walletAddress);
+      const portfolioData = await this.getPortfolio(walletAddress);
       
       // Get AI recommendation for optimal allocation
       const riskProfile = options.riskProfile || await this.determineRiskProfile(walletAddress, portfolioData);
@@ -473,352 +745,2120 @@ class AutoRebalancer {
       });
       
       // Check if rebalancing is needed
-      const driftAnalysis = this.calculateDrift(portfolioData, recommendation);
+      const driftAnalysis = this.calculateDrift(portfolioData, recommendation, settings);
+      this.recordAnalysis(event, portfolioData, recommendation, driftAnalysis, settings);
+      
+      // Pause when the market is too volatile or volatility cannot be measured
+      const marketConditions = await this.checkMarketVolatility(portfolioData, settings);
+      this.recordMarketConditions(event, portfolioData, marketConditions);
+      
+      if (marketConditions.isVolatile && !options.force) {
+        const reason = marketConditions.available ?
+          `Market volatility ${marketConditions.volatility.toFixed(2)}% above threshold of ${marketConditions.threshold}%` :
+          'Market volatility could not be measured from recent price history';
+        
+        logger.info(`Rebalancing paused for ${walletAddress}: ${reason}`);
+        
+        await event.skip(reason);
+        return {
+          walletAddress,
+          success: true,
+          message: `Rebalancing paused: ${reason}`,
+          operations: [],
+          driftAnalysis,
+          marketConditions,
+          eventId: event._id
+        };
+      }
       
-      if (driftAnalysis.maxDrift < this.settings.minRebalanceThreshold && !options.force) {
+      if (!driftAnalysis.needsRebalancing && !options.force) {
         logger.info(`Rebalancing not needed for ${walletAddress}. Max drift: ${driftAnalysis.maxDrift.toFixed(2)}%`);
         
-        this.rebalancingInProgress = false;
+        await event.skip(`All positions within their tolerance bands (max drift ${driftAnalysis.maxDrift.toFixed(2)}%)`);
         return {
-  walletAddress,
-  success: executionResult.failed.length === 0,
-  message: `Rebalancing executed with ${executionResult.successful.length} successful operations`,
-  operations: executionResult.successful,
-  failedOperations: executionResult.failed,
-  driftAnalysis
-};
+          walletAddress,
+          success: true,
+          message: 'Rebalancing not needed',
+          operations: [],
+          driftAnalysis,
+          eventId: event._id
+        };
       }
       
       // Generate rebalancing operations
-      const operations = await this.generateRebalanceOperations(portfolioData, recommendation, options);
+      const gasUnitPrice = await this.getGasUnitPrice(settings.gasTier);
+      const operations = await this.generateRebalanceOperations(portfolioData, recommendation, { ...options, settings, gasUnitPrice });
       
       if (operations.length === 0) {
         logger.info(`No viable operations generated for ${walletAddress}`);
         
-        this.rebalancingInProgress = false;
+        await event.skip('No viable operations needed for rebalancing');
         return {
           walletAddress,
           success: true,
           message: 'No viable operations needed for rebalancing',
           operations: [],
-          driftAnalysis
+          driftAnalysis,
+          eventId: event._id
         };
       }
       
-      // Limit the number of operations if necessary
-      const operationsToExecute = operations.slice(0, this.settings.maxOperationsPerRebalance);
+      // Limits are checked against the actual plan before anything executes
+      const trip = await this.circuitBreaker.check(walletAddress, settings, { portfolioData, operations });
+      if (trip) {
+        const tripResult = await this.recordCircuitBreakerTrip(walletAddress, trip, event);
+        return { ...tripResult, driftAnalysis };
+      }
+      
+      // Gas has to be worth the yield the rebalance is expected to gain
+      const gasCost = await this.evaluateGasCost(operations, { portfolioData, recommendation, driftAnalysis, settings });
+      this.recordGasForecast(event, gasCost, settings);
       
-      logger.info(`Executing ${operationsToExecute.length} rebalance operations for ${walletAddress}`);
+      if (!gasCost.withinBudget) {
+        const reason = `Gas cost of $${gasCost.gas.costUSD.toFixed(4)} exceeds ${settings.maxGasShareOfGain}% of the ` +
+          `expected yield gain of $${gasCost.expectedGainUSD.toFixed(4)} over ${GAS_GAIN_HORIZON_DAYS} days`;
+        logger.info(`Rebalancing refused for ${walletAddress}: ${reason}`);
+        
+        await event.skip(reason);
+        return {
+          walletAddress,
+          success: false,
+          refused: true,
+          message: `Rebalancing refused: ${reason}`,
+          operations: [],
+          gasForecast: gasCost.gas,
+          driftAnalysis,
+          eventId: event._id
+        };
+      }
       
-      // Execute operations using transaction manager
-      const executionResult = await transactionManager.executeOperations(walletAddress, operationsToExecute);
+      // Unstaked funds that have to unbond split the rebalance into phases
+      const phases = this.planPhases(operations, event.startTime);
+      const delegated = await delegationManager.hasActiveDelegation(walletAddress);
+      let result;
       
-      // Update last rebalance time and add to history
-      this.lastRebalanceTime[walletAddress] = Date.now();
-      this.addToRebalanceHistory(walletAddress, {
-        timestamp: new Date().toISOString(),
-        operations: operationsToExecute.length,
-        successfulOperations: executionResult.successful.length,
-        failedOperations: executionResult.failed.length,
-        driftBefore: driftAnalysis.maxDrift
-      });
+      if (this.requiresApproval(event) && !delegated) {
+        // The backend cannot sign for the wallet, so automated runs end in a proposal unless it delegated execution
+        result = await this.proposeRebalance(walletAddress, event, phases, { driftAnalysis, settings });
+      } else if (phases.length > 1) {
+        dispatched = true;
+        result = await this.startPhasedRebalance(walletAddress, event, phases);
+      } else {
+        // The planner already respects maxOperationsPerRebalance and maxPortionToRebalance
+        logger.info(`Executing ${operations.length} rebalance operations for ${walletAddress}`);
+        
+        dispatched = true;
+        const { successful, pending, failed } = await this.executeOperations(walletAddress, operations, { gasTier: settings.gasTier });
+        const eventOperations = [
+          ...successful.map(op => this.toEventOperation(op, 'success')),
+          ...pending.map(op => this.toEventOperation(op, 'pending')),
+          ...failed.map(op => this.toEventOperation(op, 'failed'))
+        ];
+        
+        if (pending.length > 0) {
+          // Prepared transactions count once confirmed; the event closes when the last one settles
+          await event.updateProgress('awaiting_signature', eventOperations);
+        } else {
+          // Record the operation outcomes and close the event, which also starts the cooldown
+          await event.updateProgress('in_progress', eventOperations);
+          await event.complete();
+        }
+        
+        result = {
+          walletAddress,
+          success: failed.length === 0,
+          awaitingSignature: pending.length > 0 || undefined,
+          message: pending.length > 0 ?
+            `Rebalancing prepared ${pending.length} operations for the wallet to sign` :
+            `Rebalancing executed with ${successful.length} successful operations`,
+          operations: [...successful, ...pending],
+          transactions: pending.length > 0 ? this.getSignableTransactions(pending) : undefined,
+          failedOperations: failed,
+          eventId: event._id
+        };
+      }
       
-      // Clear any scheduled rebalance for this wallet
-      this.clearScheduledRebalance(walletAddress);
+      // A started rebalance supersedes a pending one-off schedule; recurring schedules keep running
+      if (this.getScheduledRebalance(walletAddress)?.schedule.type === SCHEDULE_TYPES.ONCE) {
+        await this.clearScheduledRebalance(walletAddress);
+      }
       
-      // Return result
-      return {
-        walletAddress,
-        success: executionResult.failed.length === 0,
-        message: `Rebalancing executed with ${executionResult.successful.length} successful operations`,
-        operations: executionResult.successful,
-        failedOperations: executionResult.failed,
-        driftAnalysis
-      };
+      return { ...result, driftAnalysis };
     } catch (error) {
       logger.error(`Error executing rebalance for ${walletAddress}:`, error);
       
-      // Add error to history
-      this.addToRebalanceHistory(walletAddress, {
-        timestamp: new Date().toISOString(),
-        error: error.message,
-        success: false
-      });
+      // Record the failure in the event history
+      if (event) {
+        await event.fail(error).catch(saveError => {
+          logger.error(`Failed to record rebalance failure for ${walletAddress}:`, saveError);
+        });
+      }
+      
+      // The queue only retries runs that failed before anything was executed
+      if (dispatched) {
+        error.retryable = false;
+      }
       
       throw error;
-    } finally {
-      this.rebalancingInProgress = false;
     }
   }
   
   /**
-   * Generate optimal rebalancing operations
-   * @param {Object} portfolioData - Current portfolio data
-   * @param {Object} recommendation - AI recommendation
-   * @param {Object} options - Additional options
-   * @returns {Promise<Array>} Array of operations to execute
+   * Create the event that records a rebalance run
+   * @param {string} walletAddress - User's wallet address
+   * @param {Object} options - Rebalance options (type, trigger)
+   * @param {Object} settings - Resolved wallet settings
+   * @returns {Promise<Object>} RebalanceEvent document
    */
-  async generateRebalanceOperations(portfolioData, recommendation, options = {}) {
-    logger.info('Generating rebalance operations');
-    
-    const operations = [];
-    const driftAnalysis = this.calculateDrift(portfolioData, recommendation);
-    
-    // Get APT price for calculations
-    const aptPrice = portfolioData.apt?.valueUSD / portfolioData.apt?.amount || 10; // Fallback price
-    
-    // First process all withdrawals and unstaking
-    const withdrawOperations = driftAnalysis.drifts
-      .filter(drift => drift.action === 'decrease' && drift.drift >= this.settings.minRebalanceThreshold)
-      .filter(drift => {
-        // Skip staked positions if setting is enabled
-        if (this.settings.preserveStakedPositions && drift.type === 'staking') {
-          return false;
-        }
-        return true;
-      })
-      .map(drift => {
-        const protocol = drift.protocol;
-        
-        // Skip native APT (can't "withdraw" it)
-        if (protocol === 'native') return null;
-        
-        // Determine operation type based on protocol type
-        let operationType;
-        if (drift.type === 'staking') {
-          operationType = OPERATION_TYPES.UNSTAKE;
-        } else if (drift.type === 'lending') {
-          operationType = OPERATION_TYPES.WITHDRAW;
-        } else if (drift.type === 'liquidity') {
-          operationType = OPERATION_TYPES.REMOVE_LIQUIDITY;
-        } else {
-          return null; // Skip if unknown type
-        }
-        
-        // Calculate amount to withdraw (based on drift percentage)
-        const amountInUSD = (drift.drift / 100) * portfolioData.totalValueUSD;
-        const amountInAPT = amountInUSD / aptPrice;
-        
-        // Get contract address
-        const contractAddress = PROTOCOL_ADDRESSES[protocol.toLowerCase()] || null;
-        if (!contractAddress) return null;
-        
-        return {
-          protocol,
-          type: operationType,
-          amount: amountInAPT.toFixed(4),
-          amountUSD: amountInUSD.toFixed(2),
-          contractAddress,
-          functionName: this.getFunctionName(protocol, operationType)
-        };
-      })
-      .filter(op => op !== null); // Remove null operations
-    
-    operations.push(...withdrawOperations);
-    
-    // Then process all deposits and staking
-    const depositOperations = driftAnalysis.drifts
-      .filter(drift => (drift.action === 'increase' || drift.action === 'add') && drift.drift >= this.settings.minRebalanceThreshold)
-      .map(drift => {
-        const protocol = drift.protocol;
-        
-        // Skip native APT (can't "stake" it directly)
-        if (protocol === 'native') return null;
-        
-        // Determine operation type based on protocol type
-        let operationType;
-        if (drift.type === 'staking') {
-          operationType = OPERATION_TYPES.STAKE;
-        } else if (drift.type === 'lending') {
-          operationType = OPERATION_TYPES.LEND;
-        } else if (drift.type === 'liquidity') {
-          operationType = OPERATION_TYPES.ADD_LIQUIDITY;
-        } else {
-          return null; // Skip if unknown type
-        }
-        
-        // Calculate amount to deposit (based on drift percentage)
-        const amountInUSD = (drift.drift / 100) * portfolioData.totalValueUSD;
-        const amountInAPT = amountInUSD / aptPrice;
-        
-        // Get contract address
-        const contractAddress = PROTOCOL_ADDRESSES[protocol.toLowerCase()] || null;
-        if (!contractAddress) return null;
-        
-        return {
-          protocol,
-          type: operationType,
-          amount: amountInAPT.toFixed(4),
-          amountUSD: amountInUSD.toFixed(2),
-          contractAddress,
-          functionName: this.getFunctionName(protocol, operationType)
-        };
-      })
-      .filter(op => op !== null); // Remove null operations
-    
-    operations.push(...depositOperations);
-    
-    // Filter out operations with amounts that are too small
-    return operations.filter(op => parseFloat(op.amount) >= 0.01);
+  createRunEvent(walletAddress, options, settings) {
+    return RebalanceEvent.createEvent({
+      walletAddress,
+      type: options.type || 'manual',
+      trigger: options.trigger || 'user',
+      settings: this.getEventSettings(settings)
+    });
   }
   
   /**
-   * Get appropriate function name for protocol and operation type
-   * @param {string} protocol - Protocol name
-   * @param {string} operationType - Operation type
-   * @returns {string} Function name
-   */
-  getFunctionName(protocol, operationType) {
-    // Protocol-specific function mappings
-    const functionMappings = {
-      'amnis': { 
-        'stake': '::staking::stake', 
-        'unstake': '::staking::unstake', 
-        'lend': '::lending::supply', 
-        'withdraw': '::lending::withdraw', 
-        'addLiquidity': '::router::add_liquidity', 
-        'removeLiquidity': '::router::remove_liquidity' 
-      },
-      'thala': { 
-        'stake': '::staking::stake_apt', 
-        'unstake': '::staking::unstake_apt', 
-        'lend': '::lending::supply_apt', 
-        'withdraw': '::lending::withdraw_apt', 
-        'addLiquidity': '::router::add_liquidity', 
-        'removeLiquidity': '::router::remove_liquidity' 
-      },
-      'tortuga': { 
-        'stake': '::staking::stake_apt', 
-        'unstake': '::staking::unstake_apt' 
-      },
-      'ditto': { 
-        'stake': '::staking::stake', 
-        'unstake': '::staking::unstake' 
-      },
-      'echo': { 
-        'lend': '::lending::supply', 
-        'withdraw': '::lending::withdraw' 
-      },
-      'pancakeswap': { 
-        'addLiquidity': '::router::add_liquidity', 
-        'removeLiquidity': '::router::remove_liquidity' 
-      },
-      'liquid cardiacswap': { 
-        'addLiquidity': '::router::add_liquidity', 
-        'removeLiquidity': '::router::remove_liquidity' 
-      }
-    };
+   * Record a circuit breaker trip as a skipped rebalance and notify the user once per trip
+   * @param {string} walletAddress - User's wallet address
+   * @param {Object} trip - Trip from the circuit breaker
+   * @param {Object} event - RebalanceEvent document of the stopped rebalance
+   * @returns {Promise<Object>} Rebalancing result
+   */
+  async recordCircuitBreakerTrip(walletAddress, trip, event) {
+    logger.warn(`Circuit breaker ${trip.breaker} tripped for ${walletAddress}: ${trip.reason}`);
     
-    const protocolLower = protocol.toLowerCase();
-    const operationLower = operationType.toLowerCase();
+    event.circuitBreaker = trip;
+    await event.skip(`Circuit breaker tripped: ${trip.reason}`);
     
-    // Check for protocol-specific function
-    if (functionMappings[protocolLower]?.[operationLower]) {
-      return functionMappings[protocolLower][operationLower];
+    if (this.circuitBreaker.registerTrip(walletAddress, trip)) {
+      createRebalanceNotification({
+        userId: event.userId || walletAddress,
+        walletAddress,
+        status: 'circuit_breaker',
+        breaker: trip.breaker,
+        reason: trip.reason
+      }).catch(error => {
+        logger.error(`Failed to send circuit breaker notification for ${walletAddress}:`, error);
+      });
     }
     
-    // Generic function name mapping
-    const genericFunctionNames = {
-      'stake': '::staking::stake',
-      'unstake': '::staking::unstake',
-      'lend': '::lending::supply',
-      'withdraw': '::lending::withdraw',
-      'addLiquidity': '::router::add_liquidity',
-      'removeLiquidity': '::router::remove_liquidity'
+    return {
+      walletAddress,
+      success: false,
+      tripped: true,
+      breaker: trip.breaker,
+      message: `Circuit breaker tripped: ${trip.reason}`,
+      operations: [],
+      eventId: event._id
     };
-    
-    return genericFunctionNames[operationLower] || `::${operationLower}::execute`;
   }
   
   /**
-   * Add entry to rebalance history
+   * Get the circuit breaker limits, current usage and kill switch state for a wallet
    * @param {string} walletAddress - User's wallet address
-   * @param {Object} entry - History entry
+   * @returns {Promise<Object>} Circuit breaker status
    */
-  addToRebalanceHistory(walletAddress, entry) {
-    if (!this.rebalanceHistory[walletAddress]) {
-      this.rebalanceHistory[walletAddress] = [];
-    }
-    
-    this.rebalanceHistory[walletAddress].unshift(entry);
-    
-    // Keep history size manageable
-    const maxHistorySize = 10;
-    if (this.rebalanceHistory[walletAddress].length > maxHistorySize) {
-      this.rebalanceHistory[walletAddress] = this.rebalanceHistory[walletAddress].slice(0, maxHistorySize);
-    }
+  async getCircuitBreakerStatus(walletAddress) {
+    const settings = await this.getRebalanceSettings(walletAddress);
+    const portfolioData = await this.getPortfolio(walletAddress).catch(() => null);
+    const usage = await this.circuitBreaker.getUsage(walletAddress, portfolioData);
     
-    logger.info(`Added rebalance history entry for ${walletAddress}`);
+    return {
+      walletAddress,
+      killSwitch: this.circuitBreaker.getKillSwitch(),
+      tripped: this.circuitBreaker.getActiveTrip(walletAddress),
+      limits: {
+        maxDailyNotionalUSD: settings.maxDailyNotionalUSD,
+        maxConsecutiveFailures: settings.maxConsecutiveFailures,
+        maxDrawdownPercent: settings.maxDrawdownPercent,
+        deniedProtocols: this.circuitBreaker.getDeniedProtocols(settings)
+      },
+      usage: {
+        ...usage,
+        notionalRemainingUSD: Math.max(0, settings.maxDailyNotionalUSD - usage.notionalMovedUSD)
+      }
+    };
   }
   
   /**
-   * Get rebalance history for a wallet
+   * Reset the consecutive-failure and drawdown breakers for a wallet
    * @param {string} walletAddress - User's wallet address
-   * @param {number} limit - Maximum number of entries to return
-   * @returns {Array} Rebalance history entries
+   * @returns {Promise<Object>} Circuit breaker status after the reset
    */
-  getRebalanceHistory(walletAddress, limit = 10) {
-    if (!this.rebalanceHistory[walletAddress]) {
-      return [];
-    }
-    
-    return this.rebalanceHistory[walletAddress].slice(0, limit);
+  async resetCircuitBreakers(walletAddress) {
+    const portfolioData = await this.getPortfolio(walletAddress);
+    await this.circuitBreaker.reset(walletAddress, parseFloat(portfolioData.totalValueUSD || 0));
+    return this.getCircuitBreakerStatus(walletAddress);
+  }
+  
+  /**
+   * Engage or release the platform-wide kill switch
+   * @param {boolean} engaged - Whether all automated rebalancing is paused
+   * @param {Object} options - { reason, changedBy }
+   * @returns {Promise<Object>} Kill switch state
+   */
+  async setKillSwitch(engaged, options = {}) {
+    return this.circuitBreaker.setKillSwitch(engaged, options);
+  }
+  
+  /**
+   * Get the platform-wide kill switch state
+   * @returns {Object} Kill switch state
+   */
+  getKillSwitch() {
+    return this.circuitBreaker.getKillSwitch();
+  }
+  
+  /**
+   * Check whether a rebalance has to be approved by the wallet owner before it executes
+   * @param {Object} event - RebalanceEvent document
+   * @returns {boolean} Whether the rebalance was started by automation rather than the user
+   */
+  requiresApproval(event) {
+    return event.trigger !== 'user';
   }
   
   /**
-   * Schedule a rebalance for a future time
+   * Turn a rebalance plan into a proposal the wallet owner signs, and notify them
    * @param {string} walletAddress - User's wallet address
-   * @param {Object} options - Schedule options
-   * @returns {Promise<Object>} Schedule result
+   * @param {Object} event - RebalanceEvent document
+   * @param {Array} phases - Result of planPhases (operations after unbonding become signable later)
+   * @param {Object} context - { driftAnalysis, settings }
+   * @returns {Promise<Object>} Rebalancing result with the proposal
    */
-  async scheduleRebalance(walletAddress, options = {}) {
-    try {
-      // Clear any existing scheduled rebalance
-      this.clearScheduledRebalance(walletAddress);
-      
-      // Determine when to schedule the rebalance
-      const delayMs = options.delayMs || this.settings.cooldownPeriod;
-      
-      // Check if portfolio analysis is needed before scheduling
-      let shouldSchedule = true;
-      if (options.onlyIfNeeded) {
-        const analysis = await this.checkRebalanceNeeded(walletAddress);
-        shouldSchedule = analysis.needsRebalancing;
-        
-        if (!shouldSchedule) {
-          logger.info(`Not scheduling rebalance for ${walletAddress} - not needed`);
-          return {
-            walletAddress,
-            scheduled: false,
-            message: 'Rebalance not needed based on current portfolio',
-            driftAnalysis: analysis
+  async proposeRebalance(walletAddress, event, phases, { driftAnalysis, settings }) {
+    const aptPrice = event.previousState?.aptPrice || 0;
+    const gasUnitPrice = await this.getGasUnitPrice(settings.gasTier);
+    const planned = phases.flatMap(phase => phase.operations.map(operation => ({ operation, phase })));
+    
+    const proposal = await RebalanceProposal.create({
+      walletAddress,
+      userId: event.userId,
+      eventId: event._id,
+      trigger: event.trigger,
+      operations: planned.map(({ operation, phase }, index) => ({
+        index,
+        protocol: operation.protocol,
+        type: operation.type,
+        amount: parseFloat(operation.amount),
+        amountUSD: parseFloat(operation.amountUSD) || undefined,
+        fromProtocol: operation.fromProtocol,
+        toProtocol: operation.toProtocol,
+        contractAddress: operation.contractAddress,
+        functionName: operation.functionName,
+        payload: this.buildTransactionPayload(operation, settings),
+        phase: phase.index,
+        availableAt: phase.readyAt
+      })),
+      expiresAt: new Date(Date.now() + settings.proposalTTL),
+      ttl: settings.proposalTTL,
+      driftSnapshot: {
+        totalValueUSD: event.previousState?.totalValueUSD,
+        maxDrift: driftAnalysis.maxDrift,
+        averageDrift: driftAnalysis.avgDrift,
+        drifts: driftAnalysis.drifts.map(drift => ({
+          protocol: drift.protocol,
+          current: drift.current,
+          target: drift.target,
+          drift: drift.drift,
+          outOfBand: drift.outOfBand
+        }))
+      },
+      marketSnapshot: {
+        aptPrice,
+        volatilityIndex: event.marketConditions?.volatilityIndex,
+        maxMarketMove: settings.proposalMaxMarketMove
+      },
+      estimatedGasUSD: planned.reduce((sum, { operation }) =>
+        sum + this.estimateOperationGas(operation, settings, gasUnitPrice, aptPrice).costUSD, 0)
+    });
+    
+    event.proposalId = proposal._id;
+    await event.updateProgress('awaiting_approval', planned.map(({ operation }) => this.toEventOperation(operation, 'pending')));
+    this.armProposal(proposal);
+    
+    logger.info(`Rebalance proposal ${proposal._id} for ${walletAddress}: ${planned.length} operations, expires ${proposal.expiresAt.toISOString()}`);
+    
+    createRebalanceNotification({
+      userId: event.userId || walletAddress,
+      walletAddress,
+      status: 'proposal',
+      operationsCount: planned.length,
+      proposalId: proposal._id,
+      expiresAt: proposal.expiresAt
+    }).catch(error => {
+      logger.error(`Failed to send rebalance proposal notification for ${walletAddress}:`, error);
+    });
+    
+    return {
+      walletAddress,
+      success: true,
+      awaitingApproval: true,
+      message: `Rebalance proposal with ${planned.length} operations awaiting approval`,
+      operations: [],
+      proposal: this.describeProposal(proposal),
+      eventId: event._id
+    };
+  }
+  
+  /**
+   * Build the entry function payload the wallet signs for an operation
+   * @param {Object} operation - Rebalance operation
+   * @param {Object} settings - Resolved wallet settings (slippage bounds swaps)
+   * @returns {Object} Transaction payload
+   */
+  buildTransactionPayload(operation, settings) {
+    return protocols.buildPayload(operation, { maxSlippage: settings.maxSlippage });
+  }
+  
+  /**
+   * Check whether a pending proposal is still valid to approve
+   * @param {Object} proposal - RebalanceProposal document
+   * @returns {Promise<string|null>} Reason the proposal has to expire, or null while it is valid
+   */
+  async validateProposal(proposal) {
+    if (Date.now() >= new Date(proposal.expiresAt).getTime()) {
+      return 'Approval window elapsed';
+    }
+    
+    const settings = await this.getRebalanceSettings(proposal.walletAddress);
+    const portfolioData = await this.getPortfolio(proposal.walletAddress);
+    const maxMove = proposal.marketSnapshot?.maxMarketMove ?? settings.proposalMaxMarketMove;
+    const percentMove = (from, to) => from > 0 && to > 0 ? Math.abs(to - from) / from * 100 : 0;
+    
+    const aptPrice = portfolioData.apt?.valueUSD / portfolioData.apt?.amount || 0;
+    const priceMove = percentMove(proposal.marketSnapshot?.aptPrice, aptPrice);
+    if (priceMove > maxMove) {
+      return `APT price moved ${priceMove.toFixed(2)}% since the proposal (limit ${maxMove}%)`;
+    }
+    
+    const valueMove = percentMove(proposal.driftSnapshot?.totalValueUSD, parseFloat(portfolioData.totalValueUSD || 0));
+    if (valueMove > maxMove) {
+      return `Portfolio value moved ${valueMove.toFixed(2)}% since the proposal (limit ${maxMove}%)`;
+    }
+    
+    const marketConditions = await this.checkMarketVolatility(portfolioData, settings);
+    if (marketConditions.isVolatile) {
+      return marketConditions.available ?
+        `Market volatility ${marketConditions.volatility.toFixed(2)}% above threshold of ${marketConditions.threshold}%` :
+        'Market volatility could not be measured from recent price history';
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Expire a pending proposal and skip its rebalance
+   * @param {Object} proposal - RebalanceProposal document
+   * @param {string} reason - Why the proposal expired
+   * @returns {Promise<Object>} Expired proposal
+   */
+  async expireProposal(proposal, reason) {
+    logger.info(`Rebalance proposal ${proposal._id} for ${proposal.walletAddress} expired: ${reason}`);
+    
+    this.scheduler.cancel(`proposal:${proposal._id}`);
+    await proposal.expire(reason);
+    
+    const event = await RebalanceEvent.findById(proposal.eventId);
+    if (event) {
+      await event.skip(`Proposal expired: ${reason}`);
+    }
+    
+    createRebalanceNotification({
+      userId: proposal.userId || proposal.walletAddress,
+      walletAddress: proposal.walletAddress,
+      status: 'proposal_expired',
+      proposalId: proposal._id,
+      reason
+    }).catch(error => {
+      logger.error(`Failed to send proposal expiry notification for ${proposal.walletAddress}:`, error);
+    });
+    
+    return proposal;
+  }
+  
+  /**
+   * Arm the timer that closes a proposal when its approval or signing window ends
+   * @param {Object} proposal - RebalanceProposal document
+   */
+  armProposal(proposal) {
+    this.scheduler.schedule(
+      `proposal:${proposal._id}`,
+      this.scheduler.normalizeSpec({ runAt: proposal.expiresAt, catchUp: CATCH_UP_POLICIES.ONCE }),
+      {},
+      () => this.closeProposal(proposal._id)
+    );
+  }
+  
+  /**
+   * Close a proposal whose window ended: pending proposals expire, approved ones stop accepting signatures
+   * @param {string} proposalId - RebalanceProposal ID
+   * @returns {Promise<Object|null>} Closed proposal
+   */
+  async closeProposal(proposalId) {
+    const proposal = await RebalanceProposal.findById(proposalId);
+    if (!proposal || proposal.closedAt) return proposal;
+    
+    if (proposal.status === 'pending') {
+      return this.expireProposal(proposal, 'Approval window elapsed');
+    }
+    
+    await proposal.settle(true, 'Signing window elapsed');
+    await this.syncProposalEvent(proposal);
+    return proposal;
+  }
+  
+  /**
+   * Mirror the signing outcome of a proposal onto its rebalance event
+   * @param {Object} proposal - RebalanceProposal document
+   * @returns {Promise<void>}
+   */
+  async syncProposalEvent(proposal) {
+    const event = await RebalanceEvent.findById(proposal.eventId);
+    if (!event) return;
+    
+    const statuses = { submitted: 'success', failed: 'failed', skipped: 'skipped', pending: 'pending' };
+    const operations = proposal.operations.map(op => {
+      const record = this.toEventOperation({ ...op.toObject(), hash: op.transactionHash }, statuses[op.status]);
+      return { ...record, executedAt: op.submittedAt || record.executedAt };
+    });
+    
+    await event.updateProgress(proposal.closedAt ? event.status : 'in_progress', operations);
+    
+    if (proposal.closedAt) {
+      if (event.successfulOperations > 0) {
+        await event.complete();
+      } else {
+        await event.skip(`Proposal ${proposal.status}: ${proposal.statusReason}`);
+      }
+    }
+  }
+  
+  /**
+   * Load a proposal of a wallet
+   * @param {string} walletAddress - User's wallet address
+   * @param {string} proposalId - RebalanceProposal ID
+   * @returns {Promise<Object>} RebalanceProposal document
+   */
+  async findProposal(walletAddress, proposalId) {
+    const proposal = await RebalanceProposal.findById(proposalId).catch(() => null);
+    
+    if (!proposal || proposal.walletAddress !== walletAddress) {
+      throw this.createProposalError('Rebalance proposal not found', 'proposal_not_found');
+    }
+    
+    return proposal;
+  }
+  
+  /**
+   * List the proposals of a wallet, expiring pending ones whose market conditions changed
+   * @param {string} walletAddress - User's wallet address
+   * @param {Object} filters - Optional { status, limit }
+   * @returns {Promise<Array>} Proposal descriptions, newest first
+   */
+  async getProposals(walletAddress, filters = {}) {
+    await this.refreshProposals(walletAddress);
+    
+    const proposals = await RebalanceProposal.findByWallet(walletAddress, filters);
+    return proposals.map(proposal => this.describeProposal(proposal));
+  }
+  
+  /**
+   * Expire the pending proposals of a wallet that are no longer valid
+   * @param {string} walletAddress - User's wallet address
+   * @returns {Promise<number>} Number of proposals expired
+   */
+  async refreshProposals(walletAddress) {
+    const pending = await RebalanceProposal.findPending(walletAddress);
+    let expired = 0;
+    
+    for (const proposal of pending) {
+      const reason = await this.validateProposal(proposal);
+      if (reason) {
+        await this.expireProposal(proposal, reason);
+        expired++;
+      }
+    }
+    
+    return expired;
+  }
+  
+  /**
+   * Approve a proposal so its operations can be signed
+   *
+   * Pending proposals are revalidated against the market first. Approving an approved or
+   * partially executed proposal again returns it unchanged so signing can resume.
+   * @param {string} walletAddress - User's wallet address
+   * @param {string} proposalId - RebalanceProposal ID
+   * @returns {Promise<Object>} Proposal description with the transaction payloads
+   */
+  async approveProposal(walletAddress, proposalId) {
+    const proposal = await this.findProposal(walletAddress, proposalId);
+    
+    if (proposal.closedAt) {
+      throw this.createProposalError(`Rebalance proposal is ${proposal.status.replace('_', ' ')}`, 'invalid_proposal_state');
+    }
+    
+    if (proposal.status === 'pending') {
+      const reason = await this.validateProposal(proposal);
+      if (reason) {
+        await this.expireProposal(proposal, reason);
+        throw this.createProposalError(`Rebalance proposal expired: ${reason}`, 'proposal_expired');
+      }
+      
+      await proposal.approve();
+      this.armProposal(proposal);
+      await this.syncProposalEvent(proposal);
+      
+      logger.info(`Rebalance proposal ${proposalId} approved for ${walletAddress}`);
+    }
+    
+    return this.describeProposal(proposal);
+  }
+  
+  /**
+   * Find an operation of an approved proposal that the wallet can sign now
+   * @param {Object} proposal - RebalanceProposal document
+   * @param {number} index - Operation index
+   * @returns {Object} Proposal operation
+   */
+  getSignableOperation(proposal, index) {
+    if (proposal.status === 'pending' || proposal.closedAt) {
+      throw this.createProposalError(`Rebalance proposal is ${proposal.closedAt ? proposal.status.replace('_', ' ') : 'not approved'}`, 'invalid_proposal_state');
+    }
+    
+    const operation = proposal.operations.find(op => op.index === index);
+    if (!operation || !['pending', 'failed'].includes(operation.status)) {
+      throw this.createProposalError(`Operation ${index} cannot be signed`, 'invalid_proposal_operation');
+    }
+    if (operation.availableAt && new Date(operation.availableAt) > new Date()) {
+      throw this.createProposalError(`Operation ${index} cannot be signed before ${new Date(operation.availableAt).toISOString()}`, 'invalid_proposal_operation');
+    }
+    
+    return operation;
+  }
+  
+  /**
+   * Build one operation of an approved proposal for the wallet to sign
+   *
+   * The transaction is simulated against the wallet's current state like any other prepared
+   * transaction; an operation whose simulation fails is recorded as failed instead of being
+   * handed to the wallet.
+   * @param {string} walletAddress - User's wallet address
+   * @param {string} proposalId - RebalanceProposal ID
+   * @param {number} index - Operation index
+   * @param {Object} options - { publicKey, sponsored }
+   * @returns {Promise<Object>} Prepared transaction from transactionManager.executeOperation
+   */
+  async prepareProposalOperation(walletAddress, proposalId, index, { publicKey, sponsored = false } = {}) {
+    const proposal = await this.findProposal(walletAddress, proposalId);
+    const operation = this.getSignableOperation(proposal, index);
+    const settings = await this.getRebalanceSettings(walletAddress);
+    
+    const prepared = await transactionManager.executeOperation(
+      walletAddress,
+      operation.protocol,
+      operation.type,
+      operation.amount,
+      operation.contractAddress,
+      operation.functionName,
+      {
+        fromProtocol: operation.fromProtocol,
+        toProtocol: operation.toProtocol,
+        gasTier: settings.gasTier,
+        publicKey,
+        sponsored,
+        source: 'auto-rebalance',
+        metadata: { proposalId: proposal._id.toString(), operationIndex: index }
+      }
+    );
+    
+    if (prepared.blocked) {
+      await proposal.recordOperation(index, { success: false, error: prepared.error });
+      await this.syncProposalEvent(proposal);
+      if (proposal.closedAt) {
+        this.scheduler.cancel(`proposal:${proposal._id}`);
+      }
+      throw this.createProposalError(prepared.error, 'transaction_blocked');
+    }
+    if (!prepared.success) {
+      throw this.createProposalError(prepared.error, prepared.code || 'invalid_proposal_operation');
+    }
+    
+    return prepared;
+  }
+  
+  /**
+   * Record the outcome of signing one operation of an approved proposal
+   * @param {string} walletAddress - User's wallet address
+   * @param {string} proposalId - RebalanceProposal ID
+   * @param {number} index - Operation index
+   * @param {Object} result - { transactionHash, transactionId, success, error } from the wallet; transactionId
+   *   names the transaction prepareProposalOperation built
+   * @returns {Promise<Object>} Updated proposal description
+   */
+  async recordProposalOperation(walletAddress, proposalId, index, result) {
+    const proposal = await this.findProposal(walletAddress, proposalId);
+    const operation = this.getSignableOperation(proposal, index);
+    
+    if (result.success && !/^0x[0-9a-f]{64}$/i.test(result.transactionHash || '')) {
+      throw this.createProposalError('A valid transaction hash is required for a submitted operation', 'invalid_proposal_operation');
+    }
+    
+    await proposal.recordOperation(index, result);
+    await this.syncProposalEvent(proposal);
+    
+    // Submitted operations are tracked to confirmation like any other transaction
+    if (result.success) {
+      await transactionManager.recordSubmission(walletAddress, {
+        hash: result.transactionHash,
+        transactionId: result.transactionId,
+        protocol: operation.protocol,
+        type: operation.type,
+        amount: operation.amount,
+        contractAddress: operation.contractAddress,
+        functionName: operation.functionName,
+        source: 'auto-rebalance',
+        metadata: { proposalId: proposal._id.toString(), operationIndex: index }
+      });
+    }
+    
+    if (proposal.closedAt) {
+      this.scheduler.cancel(`proposal:${proposal._id}`);
+    }
+    
+    return this.describeProposal(proposal);
+  }
+  
+  /**
+   * Reject a proposal; operations already submitted stay on record
+   * @param {string} walletAddress - User's wallet address
+   * @param {string} proposalId - RebalanceProposal ID
+   * @param {string} reason - Optional reason from the wallet owner
+   * @returns {Promise<Object>} Updated proposal description
+   */
+  async rejectProposal(walletAddress, proposalId, reason) {
+    const proposal = await this.findProposal(walletAddress, proposalId);
+    
+    if (proposal.closedAt) {
+      throw this.createProposalError(`Rebalance proposal is ${proposal.status.replace('_', ' ')}`, 'invalid_proposal_state');
+    }
+    
+    this.scheduler.cancel(`proposal:${proposal._id}`);
+    await proposal.reject(reason);
+    await this.syncProposalEvent(proposal);
+    
+    logger.info(`Rebalance proposal ${proposalId} rejected for ${walletAddress}`);
+    return this.describeProposal(proposal);
+  }
+  
+  /**
+   * Describe a proposal for the API
+   * @param {Object} proposal - RebalanceProposal document
+   * @returns {Object} Proposal description
+   */
+  describeProposal(proposal) {
+    const now = Date.now();
+    const expiresAt = new Date(proposal.expiresAt);
+    
+    return {
+      proposalId: proposal._id,
+      walletAddress: proposal.walletAddress,
+      eventId: proposal.eventId,
+      status: proposal.status,
+      statusReason: proposal.statusReason,
+      trigger: proposal.trigger,
+      createdAt: proposal.createdAt,
+      approvedAt: proposal.approvedAt,
+      closedAt: proposal.closedAt,
+      expiresAt: expiresAt.toISOString(),
+      timeRemaining: proposal.closedAt ? null : Math.max(0, expiresAt.getTime() - now),
+      estimatedGasUSD: proposal.estimatedGasUSD,
+      driftSnapshot: proposal.driftSnapshot,
+      marketSnapshot: proposal.marketSnapshot,
+      operations: proposal.operations.map(op => ({
+        index: op.index,
+        protocol: op.protocol,
+        type: op.type,
+        amount: op.amount,
+        amountUSD: op.amountUSD,
+        fromProtocol: op.fromProtocol,
+        toProtocol: op.toProtocol,
+        phase: op.phase,
+        availableAt: op.availableAt,
+        available: !op.availableAt || new Date(op.availableAt).getTime() <= now,
+        status: op.status,
+        transactionHash: op.transactionHash,
+        error: op.error,
+        payload: op.payload
+      }))
+    };
+  }
+  
+  /**
+   * Create an error for a proposal action the route maps to a status code
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @returns {Error} Coded error
+   */
+  createProposalError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+  
+  /**
+   * Split a rebalance plan into phases around liquid staking unbonding
+   *
+   * The submit phase runs everything that can execute now, including the unstake requests.
+   * Each unstake with an unbonding period gets a claim phase for when its funds unlock, and
+   * deposits that spend those funds run in a final deposit phase.
+   * @param {Array} operations - Operations from generateRebalanceOperations
+   * @param {Date} start - When the submit phase runs
+   * @returns {Array} Phases with index, kind, readyAt and operations (one phase when nothing unbonds)
+   */
+  planPhases(operations, start = new Date()) {
+    const startTime = new Date(start).getTime();
+    const phases = [{
+      kind: 'submit',
+      readyAt: new Date(startTime),
+      operations: operations.filter(operation => !operation.awaitsUnbonding)
+    }];
+    
+    operations.filter(operation => operation.unbondingPeriod > 0).forEach(operation => {
+      phases.push({
+        kind: 'claim',
+        protocol: operation.protocol,
+        readyAt: new Date(startTime + operation.unbondingPeriod),
+        operations: [{
+          protocol: operation.protocol,
+          type: OPERATION_TYPES.CLAIM,
+          amount: operation.amount,
+          amountUSD: operation.amountUSD,
+          ...protocols.resolveOperation(operation.protocol, OPERATION_TYPES.CLAIM)
+        }]
+      });
+    });
+    
+    const deferred = operations.filter(operation => operation.awaitsUnbonding);
+    if (deferred.length > 0) {
+      phases.push({
+        kind: 'deposit',
+        readyAt: new Date(Math.max(...phases.map(phase => phase.readyAt.getTime()))),
+        operations: deferred
+      });
+    }
+    
+    return phases.map((phase, index) => ({ index, ...phase }));
+  }
+  
+  /**
+   * Execute the submit phase of a phased rebalance and leave the rest waiting
+   * @param {string} walletAddress - User's wallet address
+   * @param {Object} event - RebalanceEvent document
+   * @param {Array} phases - Result of planPhases
+   * @returns {Promise<Object>} Rebalancing result with the phase states
+   */
+  async startPhasedRebalance(walletAddress, event, phases) {
+    const [submit] = phases;
+    logger.info(`Executing phased rebalance for ${walletAddress}: ${submit.operations.length} operations now, ${phases.length - 1} phases after unbonding`);
+    
+    event.phases = phases.map(phase => ({
+      index: phase.index,
+      kind: phase.kind,
+      protocol: phase.protocol,
+      status: 'pending',
+      readyAt: phase.readyAt,
+      operations: phase.operations.map(op => this.toEventOperation(op, 'pending'))
+    }));
+    
+    const pending = await this.runPhase(walletAddress, event, event.phases[0], submit.operations);
+    const result = await this.advancePhases(walletAddress, event);
+    
+    // Without a delegate the wallet signs the submit phase before anything unbonds
+    return pending.length > 0 ?
+      { ...result, awaitingSignature: true, transactions: this.getSignableTransactions(pending) } :
+      result;
+  }
+  
+  /**
+   * Resume a waiting phased rebalance (invoked by the queue when a phase timer fires)
+   * @param {string} walletAddress - User's wallet address
+   * @param {string} eventId - RebalanceEvent ID of the waiting rebalance
+   * @returns {Promise<Object>} Rebalancing result with the phase states
+   */
+  async resumePhasedRebalance(walletAddress, eventId) {
+    const event = await RebalanceEvent.findById(eventId);
+    
+    if (!event || event.status !== 'waiting') {
+      this.scheduler.cancel(`phases:${eventId}`);
+      return {
+        walletAddress,
+        success: true,
+        message: 'Phased rebalance is no longer waiting',
+        operations: [],
+        eventId
+      };
+    }
+    
+    // The kill switch holds later phases too; they resume once it is released
+    if (this.circuitBreaker.isKillSwitchEngaged()) {
+      logger.warn(`Phased rebalance ${eventId} for ${walletAddress} held by the kill switch`);
+      this.armPhases(event, new Date(Date.now() + CLAIM_RETRY_INTERVAL));
+      return {
+        walletAddress,
+        success: false,
+        tripped: true,
+        breaker: BREAKERS.KILL_SWITCH,
+        message: 'Phased rebalance held by the kill switch',
+        operations: [],
+        eventId
+      };
+    }
+    
+    logger.info(`Resuming phased rebalance ${eventId} for ${walletAddress}`);
+    
+    try {
+      return await this.advancePhases(walletAddress, event);
+    } catch (error) {
+      logger.error(`Error resuming phased rebalance ${eventId} for ${walletAddress}:`, error);
+      
+      // The event stays waiting; the phase timer retries instead of the queue
+      this.armPhases(event, new Date(Date.now() + CLAIM_RETRY_INTERVAL));
+      error.retryable = false;
+      throw error;
+    }
+  }
+  
+  /**
+   * Run every phase that is due, then finish the rebalance or wait for the next phase
+   *
+   * Phases whose transactions are still being signed or confirmed are settled from their
+   * Transaction records first. Claims run once the unstake they claim is confirmed, and those
+   * that are not claimable yet are retried every CLAIM_RETRY_INTERVAL until MAX_CLAIM_WAIT
+   * after their expected unlock. Deposits run once every claim has finished, scaled down to
+   * the APT that confirmed claims returned.
+   * @param {string} walletAddress - User's wallet address
+   * @param {Object} event - RebalanceEvent document with phases
+   * @returns {Promise<Object>} Rebalancing result with the phase states
+   */
+  async advancePhases(walletAddress, event) {
+    const isFinished = phase => FINISHED_PHASE_STATUSES.includes(phase.status);
+    const submit = event.phases.find(phase => phase.kind === 'submit');
+    const claims = event.phases.filter(phase => phase.kind === 'claim');
+    
+    for (const phase of event.phases.filter(phase => phase.status === 'in_progress')) {
+      await this.syncOperationTransactions(phase.operations);
+      this.settlePhase(phase);
+    }
+    
+    // Claims wait for the unstake requests to confirm; nothing unbonds from one that did not
+    for (const phase of claims.filter(claim => claim.status === 'pending' && isFinished(submit))) {
+      const unstaked = submit.operations.some(op =>
+        op.type === OPERATION_TYPES.UNSTAKE && op.protocol === phase.protocol && op.status === 'success'
+      );
+      if (!unstaked) {
+        this.skipPhase(phase, 'Unstake request was not confirmed');
+        continue;
+      }
+      
+      if (this.getPhaseDueTime(phase) > Date.now()) continue;
+      
+      await this.runPhase(walletAddress, event, phase, phase.operations.map(op => this.fromEventOperation(op)));
+    }
+    
+    const deposit = event.phases.find(phase => phase.kind === 'deposit');
+    if (deposit && deposit.status === 'pending' && claims.every(isFinished)) {
+      // Only deposit what confirmed claims actually returned
+      const sumAmounts = operations => operations.reduce((sum, op) => sum + op.amount, 0);
+      const planned = sumAmounts(claims.flatMap(claim => claim.operations));
+      const claimed = sumAmounts(claims.flatMap(claim => claim.operations.filter(op => op.status === 'success')));
+      const scale = planned > 0 ? Math.min(1, claimed / planned) : 0;
+      
+      const operations = deposit.operations
+        .map(op => this.fromEventOperation(op, scale))
+        .filter(op => parseFloat(op.amount) >= MIN_OPERATION_AMOUNT);
+      
+      if (operations.length > 0) {
+        await this.runPhase(walletAddress, event, deposit, operations);
+      } else {
+        this.skipPhase(deposit, 'No claimed funds to deposit');
+      }
+    }
+    
+    const operations = event.phases.flatMap(phase => phase.operations.map(op => op.toObject ? op.toObject() : op));
+    const pending = event.phases.filter(phase => !isFinished(phase));
+    const phases = this.describePhases(event.phases);
+    
+    if (pending.length > 0) {
+      event.currentPhase = pending[0].index;
+      await event.updateProgress('waiting', operations);
+      this.armPhases(event);
+      
+      return {
+        walletAddress,
+        success: true,
+        waiting: true,
+        message: pending[0].status === 'in_progress' ?
+          `Rebalance waiting for ${pending.length} phase(s), phase ${pending[0].index + 1} awaiting its transactions` :
+          `Rebalance waiting for ${pending.length} phase(s), next at ${new Date(this.getPhaseDueTime(pending[0])).toISOString()}`,
+        operations: operations.filter(op => op.status === 'success'),
+        failedOperations: operations.filter(op => op.status === 'failed'),
+        phases,
+        eventId: event._id
+      };
+    }
+    
+    // All phases finished; closing the event starts the cooldown
+    this.scheduler.cancel(`phases:${event._id}`);
+    event.currentPhase = undefined;
+    await event.updateProgress('in_progress', operations);
+    await event.complete();
+    
+    logger.info(`Phased rebalance ${event._id} for ${walletAddress} finished (${event.status})`);
+    
+    return {
+      walletAddress,
+      success: event.failedOperations === 0,
+      message: `Phased rebalance finished with ${event.successfulOperations} successful operations`,
+      operations: operations.filter(op => op.status === 'success'),
+      failedOperations: operations.filter(op => op.status === 'failed'),
+      phases,
+      eventId: event._id
+    };
+  }
+  
+  /**
+   * Execute rebalance operations for a wallet
+   *
+   * An automation account with an active delegation is signed for by the delegate, one
+   * operation at a time and each checked against the delegation policy. Any other wallet
+   * gets the strategy prepared for it to sign, tracked through confirmation by the
+   * transaction manager; those operations are pending until their transactions settle.
+   * @param {string} walletAddress - User's wallet address
+   * @param {Array} operations - Operations to execute
+   * @param {Object} options - { gasTier }
+   * @returns {Promise<Object>} { successful, pending, failed }
+   */
+  async executeOperations(walletAddress, operations, { gasTier } = {}) {
+    if (await delegationManager.hasActiveDelegation(walletAddress)) {
+      const { successful, failed } = await delegationManager.executeOperations(walletAddress, operations, { gasTier, source: 'auto-rebalance' });
+      return { successful, pending: [], failed };
+    }
+    
+    const strategy = await transactionManager.executeStrategy(walletAddress, operations, { gasTier, source: 'auto-rebalance' });
+    
+    // A script batch is reported once for all its steps
+    const expand = entry => entry.steps ? entry.steps.map(step => ({ ...step, result: entry.result, error: entry.error })) : [entry];
+    const successful = (strategy.operations || []).flatMap(expand);
+    const failed = (strategy.failedOperations || []).flatMap(expand);
+    
+    // Nothing of an aborted strategy, or one that could not be planned, is left to sign
+    if (strategy.aborted || (!strategy.success && successful.length + failed.length === 0)) {
+      const steps = successful.length + failed.length > 0 ? [...successful, ...failed] : operations;
+      return { successful: [], pending: [], failed: steps.map(op => ({ ...op, error: op.error || strategy.error })) };
+    }
+    
+    // Mock transactions never reach the chain, so preparing them is all there is to execute
+    return {
+      successful: successful.filter(op => op.result?.mock),
+      pending: successful.filter(op => !op.result?.mock),
+      failed
+    };
+  }
+  
+  /**
+   * List the prepared transactions of pending operations in signing order
+   * @param {Array} operations - Pending operations from executeOperations
+   * @returns {Array} { transactionId, transaction } once per transaction (script steps share one)
+   */
+  getSignableTransactions(operations) {
+    const transactions = new Map();
+    
+    operations.forEach(({ result }) => {
+      if (!transactions.has(result.transactionId)) {
+        transactions.set(result.transactionId, { transactionId: result.transactionId, transaction: result.transaction });
+      }
+    });
+    
+    return [...transactions.values()];
+  }
+  
+  /**
+   * Apply a transaction lifecycle change to the rebalance that prepared the transaction
+   * @param {Object} transaction - Transaction description from the transaction manager
+   * @returns {Promise<void>}
+   */
+  async handleTransactionUpdate(transaction) {
+    if (transaction.source !== 'auto-rebalance' || transaction.mock) return;
+    if (transaction.status !== 'submitted' && !TRANSACTION_OPERATION_STATUSES[transaction.status]) return;
+    
+    const event = await RebalanceEvent.findByTransaction(transaction.transactionId);
+    
+    if (event?.status === 'awaiting_signature') {
+      await this.settleRebalanceTransactions(event);
+    } else if (event?.status === 'waiting' && transaction.status !== 'submitted') {
+      // Phases advance under the wallet lock, like any other resume
+      await this.executeRebalance(event.walletAddress, { resumeEventId: event._id, wait: false });
+    }
+  }
+  
+  /**
+   * Update pending operations from the transactions they are tracked through
+   * @param {Array} operations - Operation subdocuments, updated in place
+   * @returns {Promise<void>}
+   */
+  async syncOperationTransactions(operations) {
+    const tracked = operations.filter(op => op.status === 'pending' && op.transactionId);
+    if (tracked.length === 0) return;
+    
+    const records = await Transaction.find({ _id: { $in: [...new Set(tracked.map(op => op.transactionId))] } });
+    const recordsById = new Map(records.map(record => [record._id.toString(), record]));
+    
+    tracked.forEach(op => {
+      const record = recordsById.get(op.transactionId);
+      if (!record) return;
+      
+      op.transactionHash = record.hash || op.transactionHash;
+      
+      const status = TRANSACTION_OPERATION_STATUSES[record.status];
+      if (status) {
+        op.status = status;
+        op.error = record.error?.message;
+        op.executedAt = record.completionTimestamp || new Date();
+      }
+    });
+  }
+  
+  /**
+   * Record the settled transactions of a rebalance awaiting signature, closing it once none is pending
+   * @param {Object} event - RebalanceEvent document awaiting signature
+   * @returns {Promise<Object>} Updated event
+   */
+  async settleRebalanceTransactions(event) {
+    await this.syncOperationTransactions(event.operations);
+    const operations = event.operations.map(op => op.toObject());
+    
+    if (operations.some(op => op.status === 'pending')) {
+      return event.updateProgress('awaiting_signature', operations);
+    }
+    
+    // Closing the event starts the cooldown
+    await event.updateProgress('in_progress', operations);
+    await event.complete();
+    
+    logger.info(`Rebalance ${event._id} for ${event.walletAddress} settled (${event.status})`);
+    return event;
+  }
+  
+  /**
+   * Execute the operations of one phase and record their outcomes on the phase
+   *
+   * The phase stays in progress while any of its transactions awaits signature or confirmation.
+   * @param {string} walletAddress - User's wallet address
+   * @param {Object} event - RebalanceEvent document
+   * @param {Object} phase - Phase subdocument of the event
+   * @param {Array} operations - Executable operations for the phase
+   * @returns {Promise<Array>} Operations prepared for the wallet to sign
+   */
+  async runPhase(walletAddress, event, phase, operations) {
+    phase.status = 'in_progress';
+    phase.startedAt = new Date();
+    phase.attempts = (phase.attempts || 0) + 1;
+    event.currentPhase = phase.index;
+    await event.save();
+    
+    let executionResult;
+    try {
+      executionResult = await this.executeOperations(walletAddress, operations, { gasTier: event.settings?.gasTier });
+    } catch (error) {
+      executionResult = { successful: [], pending: [], failed: operations.map(op => ({ ...op, error: error.message })) };
+    }
+    
+    // Operations of the phase that did not run (e.g. scaled below the minimum) are skipped
+    const executed = [
+      ...executionResult.successful.map(op => this.toEventOperation(op, 'success')),
+      ...executionResult.pending.map(op => this.toEventOperation(op, 'pending')),
+      ...executionResult.failed.map(op => this.toEventOperation(op, 'failed'))
+    ];
+    const skipped = phase.operations
+      .filter(op => !operations.some(executable => executable.protocol === op.protocol && executable.type === op.type))
+      .map(op => this.toEventOperation(op, 'skipped'));
+    
+    phase.operations = [...executed, ...skipped];
+    this.settlePhase(phase);
+    
+    return executionResult.pending;
+  }
+  
+  /**
+   * Finish a phase once none of its operations is pending
+   *
+   * A phase completes only when every operation it executed is confirmed. A failed claim
+   * goes back to pending for a retry until MAX_CLAIM_WAIT after its expected unlock.
+   * @param {Object} phase - Phase subdocument
+   */
+  settlePhase(phase) {
+    if (phase.operations.some(op => op.status === 'pending')) return;
+    
+    const executed = phase.operations.filter(op => op.status !== 'skipped');
+    const now = Date.now();
+    
+    phase.status = executed.length > 0 && executed.every(op => op.status === 'success') ? 'completed' : 'failed';
+    phase.error = executed.find(op => op.status === 'failed')?.error;
+    phase.completedAt = new Date(now);
+    
+    if (phase.kind === 'claim' && phase.status === 'failed' && now < new Date(phase.readyAt).getTime() + MAX_CLAIM_WAIT) {
+      logger.info(`Claim from ${phase.protocol} not available yet, retrying later`);
+      phase.status = 'pending';
+      phase.completedAt = undefined;
+      phase.nextAttemptAt = new Date(now + CLAIM_RETRY_INTERVAL);
+    }
+  }
+  
+  /**
+   * Mark a phase and its operations as skipped
+   * @param {Object} phase - Phase subdocument
+   * @param {string} reason - Why the phase is skipped
+   */
+  skipPhase(phase, reason) {
+    phase.status = 'skipped';
+    phase.error = reason;
+    phase.completedAt = new Date();
+    phase.operations.forEach(op => {
+      op.status = 'skipped';
+    });
+  }
+  
+  /**
+   * Get when a pending phase can next run
+   * @param {Object} phase - Phase subdocument
+   * @returns {number} Timestamp of the next attempt
+   */
+  getPhaseDueTime(phase) {
+    const readyAt = phase.readyAt ? new Date(phase.readyAt).getTime() : Date.now();
+    const nextAttemptAt = phase.nextAttemptAt ? new Date(phase.nextAttemptAt).getTime() : 0;
+    return Math.max(readyAt, nextAttemptAt);
+  }
+  
+  /**
+   * Arm the timer that resumes a waiting rebalance when its next phase is due
+   *
+   * Phases waiting on their transactions resume as those settle; the timer then only
+   * checks on them every CLAIM_RETRY_INTERVAL in case a lifecycle change was missed.
+   * @param {Object} event - RebalanceEvent document with phases
+   * @param {Date} runAt - Resume time (defaults to the earliest due claim)
+   */
+  armPhases(event, runAt = null) {
+    const submitted = event.phases.every(phase => phase.kind !== 'submit' || FINISHED_PHASE_STATUSES.includes(phase.status));
+    const dueTimes = event.phases
+      .filter(phase => submitted && phase.kind === 'claim' && phase.status === 'pending')
+      .map(phase => this.getPhaseDueTime(phase));
+    const settling = event.phases.some(phase => phase.status === 'in_progress');
+    const resumeAt = runAt || new Date(dueTimes.length > 0 ?
+      Math.min(...dueTimes) :
+      Date.now() + (settling ? CLAIM_RETRY_INTERVAL : 0));
+    
+    // A resume time that passed while the server was down runs shortly after restart
+    this.scheduler.schedule(
+      `phases:${event._id}`,
+      this.scheduler.normalizeSpec({ runAt: resumeAt, catchUp: CATCH_UP_POLICIES.ONCE }),
+      {},
+      () => this.executeRebalance(event.walletAddress, { resumeEventId: event._id, wait: false })
+    );
+  }
+  
+  /**
+   * Describe phases with their ETAs for the API
+   * @param {Array} phases - Planned phases or phase subdocuments
+   * @returns {Array} Phase descriptions
+   */
+  describePhases(phases) {
+    const now = Date.now();
+    
+    return phases.map(phase => {
+      const status = phase.status || 'pending';
+      const dueAt = status === 'pending' ? this.getPhaseDueTime(phase) : null;
+      
+      return {
+        index: phase.index,
+        kind: phase.kind,
+        protocol: phase.protocol,
+        status,
+        readyAt: phase.readyAt ? new Date(phase.readyAt).toISOString() : undefined,
+        eta: dueAt ? new Date(dueAt).toISOString() : null,
+        timeRemaining: dueAt ? Math.max(0, dueAt - now) : null,
+        attempts: phase.attempts || 0,
+        completedAt: phase.completedAt ? new Date(phase.completedAt).toISOString() : undefined,
+        error: phase.error,
+        operations: phase.operations.map(op => ({
+          protocol: op.protocol,
+          type: op.type,
+          amount: parseFloat(op.amount),
+          status: op.status || 'pending',
+          transactionHash: op.transactionHash
+        }))
+      };
+    });
+  }
+  
+  /**
+   * Get the rebalances of a wallet that are waiting on later phases
+   * @param {string} walletAddress - User's wallet address
+   * @returns {Promise<Array>} Waiting rebalances with their phases, ETAs and the transactions left to sign
+   */
+  async getPendingPhases(walletAddress) {
+    const events = await RebalanceEvent.findWaiting(walletAddress);
+    
+    return Promise.all(events.map(async event => ({
+      eventId: event._id,
+      walletAddress: event.walletAddress,
+      startTime: event.startTime ? event.startTime.toISOString() : undefined,
+      currentPhase: event.currentPhase,
+      phases: this.describePhases(event.phases),
+      transactions: await this.getUnsignedTransactions(event.phases.flatMap(phase => phase.operations))
+    })));
+  }
+  
+  /**
+   * Get the prepared transactions of pending operations that the wallet has not signed yet
+   * @param {Array} operations - Event operation records
+   * @returns {Promise<Array>} { transactionId, transaction } in signing order
+   */
+  async getUnsignedTransactions(operations) {
+    const transactionIds = operations
+      .filter(op => op.status === 'pending' && op.transactionId)
+      .map(op => op.transactionId);
+    if (transactionIds.length === 0) return [];
+    
+    const records = await Transaction.find({ _id: { $in: transactionIds }, status: 'pending', 'metadata.bcs': { $exists: true } });
+    
+    return records
+      .sort((a, b) => Number(a.metadata.sequenceNumber) - Number(b.metadata.sequenceNumber))
+      .map(record => ({
+        transactionId: record._id.toString(),
+        transaction: {
+          bcs: record.metadata.bcs,
+          sequenceNumber: record.metadata.sequenceNumber,
+          ...(record.metadata.sponsored && { sponsored: true, feePayer: record.metadata.feePayer }),
+          expiresAt: record.expiresAt?.toISOString()
+        }
+      }));
+  }
+  
+  /**
+   * Store portfolio state, target allocation and drift analysis on a rebalance event
+   * @param {Object} event - RebalanceEvent document
+   * @param {Object} portfolioData - Current portfolio data
+   * @param {Object} recommendation - AI recommendation
+   * @param {Object} driftAnalysis - Result of calculateDrift
+   * @param {Object} settings - Resolved wallet settings
+   */
+  recordAnalysis(event, portfolioData, recommendation, driftAnalysis, settings) {
+    const aptPrice = portfolioData.apt?.valueUSD / portfolioData.apt?.amount || undefined;
+    
+    event.previousState = {
+      totalValueUSD: parseFloat(portfolioData.totalValueUSD || 0),
+      aptPrice,
+      allocation: driftAnalysis.drifts
+        .filter(drift => drift.current > 0)
+        .map(drift => ({ protocol: drift.protocol, percentage: drift.current }))
+    };
+    
+    event.targetAllocation = (recommendation.allocation || []).map(item => ({
+      protocol: item.protocol,
+      percentage: parseFloat(item.percentage)
+    }));
+    
+    event.driftAnalysis = {
+      maxDrift: driftAnalysis.maxDrift,
+      averageDrift: driftAnalysis.avgDrift,
+      driftDetails: driftAnalysis.drifts.map(drift => ({
+        protocol: drift.protocol,
+        currentPercentage: drift.current,
+        targetPercentage: drift.target,
+        drift: drift.drift,
+        action: drift.action,
+        bandLower: drift.band.lower,
+        bandUpper: drift.band.upper,
+        outOfBand: drift.outOfBand
+      })),
+      rebalanceNeeded: driftAnalysis.needsRebalancing,
+      threshold: settings.minRebalanceThreshold
+    };
+  }
+  
+  /**
+   * Store the market conditions and volatility reading on a rebalance event
+   * @param {Object} event - RebalanceEvent document
+   * @param {Object} portfolioData - Current portfolio data
+   * @param {Object} marketConditions - Result of checkMarketVolatility
+   */
+  recordMarketConditions(event, portfolioData, marketConditions) {
+    event.marketConditions = {
+      aptPrice: portfolioData.apt?.valueUSD / portfolioData.apt?.amount || undefined,
+      volatilityIndex: marketConditions.volatility,
+      volatilityThreshold: marketConditions.threshold,
+      volatilityAvailable: marketConditions.available,
+      isVolatile: marketConditions.isVolatile,
+      volatilityReadings: marketConditions.assets
+    };
+  }
+  
+  /**
+   * Store the gas forecast of a rebalance and how it compares to the expected yield gain
+   * @param {Object} event - RebalanceEvent document
+   * @param {Object} gasCost - Result of evaluateGasCost
+   * @param {Object} settings - Resolved wallet settings
+   */
+  recordGasForecast(event, gasCost, settings) {
+    event.gasForecast = {
+      tier: gasCost.gas.tier,
+      gasUnitPrice: gasCost.gas.gasUnitPrice,
+      costAPT: gasCost.gas.costAPT,
+      costUSD: gasCost.gas.costUSD,
+      expectedGainUSD: gasCost.expectedGainUSD,
+      maxShareOfGain: settings.maxGasShareOfGain ?? undefined,
+      withinBudget: gasCost.withinBudget
+    };
+    
+    if (event.marketConditions) {
+      event.marketConditions.gasPrice = gasCost.gas.gasUnitPrice;
+    }
+  }
+  
+  /**
+   * Convert an executed operation into a RebalanceEvent operation record
+   * @param {Object} operation - Operation with optional execution result
+   * @param {string} status - Operation status (pending/success/failed/skipped)
+   * @returns {Object} Event operation record
+   */
+  toEventOperation(operation, status) {
+    const knownTypes = Object.values(OPERATION_TYPES);
+    
+    return {
+      protocol: operation.protocol,
+      type: knownTypes.includes(operation.type) ? operation.type : 'other',
+      amount: parseFloat(operation.amount) || 0,
+      amountUSD: parseFloat(operation.amountUSD) || undefined,
+      contractAddress: operation.contractAddress,
+      functionName: operation.functionName,
+      status,
+      transactionId: operation.result?.transactionId || operation.transactionId,
+      transactionHash: operation.result?.hash || operation.hash,
+      error: operation.error,
+      executedAt: status === 'success' || status === 'failed' ? new Date() : undefined,
+      details: operation.type === OPERATION_TYPES.SWAP ?
+        { fromProtocol: operation.fromProtocol, toProtocol: operation.toProtocol } :
+        undefined
+    };
+  }
+  
+  /**
+   * Convert a RebalanceEvent operation record back into an executable operation
+   * @param {Object} operation - Event operation record
+   * @param {number} scale - Factor applied to the amount
+   * @returns {Object} Executable operation
+   */
+  fromEventOperation(operation, scale = 1) {
+    return {
+      protocol: operation.protocol,
+      type: operation.type,
+      amount: (operation.amount * scale).toFixed(4),
+      contractAddress: operation.contractAddress,
+      functionName: operation.functionName
+    };
+  }
+  
+  /**
+   * Get the settings snapshot stored with each rebalance event
+   * @param {Object} settings - Resolved wallet settings
+   * @returns {Object} Settings snapshot
+   */
+  getEventSettings(settings) {
+    return {
+      minRebalanceThreshold: settings.minRebalanceThreshold,
+      toleranceBands: settings.toleranceBands,
+      maxSlippage: settings.maxSlippage,
+      preserveStakedPositions: settings.preserveStakedPositions,
+      volatilityThreshold: settings.volatilityThreshold,
+      gasBuffer: settings.gasBuffer,
+      gasTier: settings.gasTier,
+      maxGasShareOfGain: settings.maxGasShareOfGain,
+      maxRetries: settings.retryAttempts
+    };
+  }
+  
+  /**
+   * Generate the fewest, smallest operations that bring every position within tolerance
+   *
+   * Positions outside their tolerance band move to the nearest edge of the band and
+   * positions inside it are only used to absorb or fund what the breaching positions
+   * cannot net between themselves. Flows are netted so funds only pass through native APT when needed,
+   * liquid staking tokens are swapped directly when that is cheaper than unstaking and
+   * restaking, and the plan is capped by maxPortionToRebalance and maxOperationsPerRebalance.
+   * @param {Object} portfolioData - Current portfolio data
+   * @param {Object} recommendation - AI recommendation
+   * @param {Object} options - Additional options (settings, gasUnitPrice)
+   * @returns {Promise<Array>} Array of operations to execute, withdrawals first
+   */
+  async generateRebalanceOperations(portfolioData, recommendation, options = {}) {
+    logger.info('Generating rebalance operations');
+    
+    const settings = options.settings || await this.getRebalanceSettings(portfolioData.address);
+    const driftAnalysis = this.calculateDrift(portfolioData, recommendation, settings);
+    const totalValueUSD = parseFloat(portfolioData.totalValueUSD || 0);
+    
+    if (totalValueUSD <= 0) return [];
+    
+    // Get APT price for calculations
+    const aptPrice = portfolioData.apt?.valueUSD / portfolioData.apt?.amount || 10; // Fallback price
+    const gasUnitPrice = options.gasUnitPrice || DEFAULT_GAS_UNIT_PRICE;
+    
+    const flows = this.getRebalanceFlows(driftAnalysis, totalValueUSD, settings);
+    let transfers = this.matchTransfers(flows, settings, gasUnitPrice, aptPrice);
+    
+    // Cap the value moved in a single rebalance
+    const movedUSD = transfers.reduce((sum, transfer) => sum + transfer.amountUSD, 0);
+    const maxMovedUSD = settings.maxPortionToRebalance * totalValueUSD;
+    if (movedUSD > maxMovedUSD) {
+      const scale = maxMovedUSD / movedUSD;
+      transfers = transfers.map(transfer => ({ ...transfer, amountUSD: transfer.amountUSD * scale }));
+    }
+    
+    // Drop transfers too small to be worth a transaction
+    transfers = transfers.filter(transfer => transfer.amountUSD / aptPrice >= MIN_OPERATION_AMOUNT);
+    
+    const selected = this.selectTransfers(transfers, settings.maxOperationsPerRebalance);
+    
+    return this.buildOperations(selected, aptPrice);
+  }
+  
+  /**
+   * Split drift into positions that must shrink (sources) and grow (sinks)
+   *
+   * Positions outside their band move to the nearest band edge. Positions inside their
+   * band are kept as spare capacity, limited to moving toward their target.
+   * @param {Object} driftAnalysis - Result of calculateDrift
+   * @param {number} totalValueUSD - Total portfolio value
+   * @param {Object} settings - Resolved wallet settings
+   * @returns {Object} Sources, sinks, spare sources and sinks, and the native APT band (USD)
+   */
+  getRebalanceFlows(driftAnalysis, totalValueUSD, settings) {
+    const toUSD = percentage => (percentage / 100) * totalValueUSD;
+    const flows = {
+      sources: [],
+      sinks: [],
+      spareSources: [],
+      spareSinks: [],
+      native: { protocol: 'native', type: 'holding', currentUSD: 0, minUSD: 0, maxUSD: totalValueUSD }
+    };
+    
+    driftAnalysis.drifts.forEach(drift => {
+      if (drift.protocol === 'native') {
+        flows.native.currentUSD = toUSD(drift.current);
+        flows.native.minUSD = toUSD(drift.band.min);
+        flows.native.maxUSD = toUSD(drift.band.max);
+        return;
+      }
+      
+      // Only positions we can transact with are moved
+      if (!WITHDRAW_OPERATIONS[drift.type] ||
+          !protocols.supports(drift.protocol, WITHDRAW_OPERATIONS[drift.type]) ||
+          !protocols.supports(drift.protocol, DEPOSIT_OPERATIONS[drift.type])) {
+        return;
+      }
+      
+      const position = { protocol: drift.protocol, type: drift.type };
+      
+      // Preserved staked positions may only move to another liquid staking token
+      const swapOnly = settings.preserveStakedPositions && drift.type === 'staking';
+      
+      if (drift.current > drift.band.max) {
+        flows.sources.push({ ...position, swapOnly, amountUSD: toUSD(drift.current - drift.band.max) });
+      } else if (drift.current < drift.band.min) {
+        flows.sinks.push({ ...position, amountUSD: toUSD(drift.band.min - drift.current) });
+      } else if (drift.current > drift.target && !swapOnly) {
+        flows.spareSources.push({ ...position, amountUSD: toUSD(drift.current - drift.target) });
+      } else if (drift.current < drift.target) {
+        flows.spareSinks.push({ ...position, amountUSD: toUSD(drift.target - drift.current) });
+      }
+    });
+    
+    return flows;
+  }
+  
+  /**
+   * Net sources against sinks into the cheapest set of transfers
+   * @param {Object} flows - Result of getRebalanceFlows (mutated)
+   * @param {Object} settings - Resolved wallet settings
+   * @param {number} gasUnitPrice - Gas unit price in octas
+   * @param {number} aptPrice - APT price in USD
+   * @returns {Array} Transfers with mode swap, deposit, withdraw or route
+   */
+  matchTransfers(flows, settings, gasUnitPrice, aptPrice) {
+    const { sources, sinks, spareSources, spareSinks, native } = flows;
+    const transfers = [];
+    const largestFirst = (a, b) => b.amountUSD - a.amountUSD;
+    const nativeSpare = () => Math.max(0, native.currentUSD - native.minUSD);
+    const nativeRoom = () => Math.max(0, native.maxUSD - native.currentUSD);
+    
+    const move = (from, to, mode, limitUSD = Infinity) => {
+      const amountUSD = Math.min(from.amountUSD, to.amountUSD, limitUSD);
+      if (amountUSD <= 0) return;
+      
+      from.amountUSD -= amountUSD;
+      to.amountUSD -= amountUSD;
+      if (mode === 'deposit') native.currentUSD -= amountUSD;
+      if (mode === 'withdraw') native.currentUSD += amountUSD;
+      transfers.push({ from: from.protocol, fromType: from.type, to: to.protocol, toType: to.type, mode, amountUSD });
+    };
+    
+    // Native APT is funded or drained like any other position, without an operation of its own
+    const nativeFunds = () => ({ ...native, amountUSD: Infinity });
+    const withdrawTo = (source, limitUSD) => move(source, nativeFunds(), 'withdraw', limitUSD);
+    const depositFrom = (sink, limitUSD) => move(nativeFunds(), sink, 'deposit', limitUSD);
+    
+    // Swap liquid staking tokens directly when cheaper than unstake-then-stake
+    const liquidStakingTokens = protocols.getLiquidStakingTokens();
+    const isLiquidStaking = item => item.type === 'staking' && liquidStakingTokens[item.protocol.toLowerCase()];
+    
+    sources.filter(isLiquidStaking).sort(largestFirst).forEach(source => {
+      sinks.filter(isLiquidStaking).sort(largestFirst).forEach(sink => {
+        if (source.amountUSD <= 0 || sink.amountUSD <= 0) return;
+        
+        const amountUSD = Math.min(source.amountUSD, sink.amountUSD);
+        if (this.isDirectSwapCheaper(amountUSD, settings, gasUnitPrice, aptPrice)) {
+          move(source, sink, 'swap');
+        }
+      });
+    });
+    
+    const withdrawable = sources.filter(source => !source.swapOnly).sort(largestFirst);
+    sinks.sort(largestFirst);
+    
+    // Fund deposits from idle native APT, which needs no withdrawal
+    sinks.forEach(sink => depositFrom(sink, nativeSpare()));
+    
+    // Route breaching positions into each other and refill native APT below its band,
+    // drawing on in-band positions above target only when breaching ones run out
+    [...withdrawable, ...spareSources.sort(largestFirst)].forEach(source => {
+      sinks.forEach(sink => move(source, sink, 'route'));
+      withdrawTo(source, Math.max(0, native.minUSD - native.currentUSD));
+    });
+    
+    // Surplus from breaching positions fills native APT up to its band, then in-band
+    // positions below target, and whatever is left stays in native APT
+    withdrawable.forEach(source => {
+      withdrawTo(source, nativeRoom());
+      spareSinks.sort(largestFirst).forEach(sink => move(source, sink, 'route'));
+      withdrawTo(source);
+    });
+    
+    // Native APT above its band is deployed into in-band positions below target
+    spareSinks.sort(largestFirst).forEach(sink => {
+      depositFrom(sink, Math.max(0, native.currentUSD - native.maxUSD));
+    });
+    
+    return transfers;
+  }
+  
+  /**
+   * Compare a direct liquid staking token swap with unstaking and restaking
+   * @param {number} amountUSD - Value to move
+   * @param {Object} settings - Resolved wallet settings
+   * @param {number} gasUnitPrice - Gas unit price in octas
+   * @param {number} aptPrice - APT price in USD
+   * @returns {boolean} Whether the direct swap is cheaper
+   */
+  isDirectSwapCheaper(amountUSD, settings, gasUnitPrice, aptPrice) {
+    const gasCostUSD = type => this.estimateOperationGas({ type }, settings, gasUnitPrice, aptPrice).costUSD;
+    
+    const swapCost = amountUSD * CONVERSION_FEES.swap + gasCostUSD(OPERATION_TYPES.SWAP);
+    const routeCost = amountUSD * CONVERSION_FEES.unstake +
+      gasCostUSD(OPERATION_TYPES.UNSTAKE) +
+      gasCostUSD(OPERATION_TYPES.CLAIM) +
+      gasCostUSD(OPERATION_TYPES.STAKE);
+    
+    return swapCost < routeCost;
+  }
+  
+  /**
+   * Keep the largest transfers that fit within the operation limit
+   * @param {Array} transfers - Candidate transfers
+   * @param {number} maxOperations - Maximum number of operations
+   * @returns {Array} Selected transfers
+   */
+  selectTransfers(transfers, maxOperations) {
+    const withdrawals = new Set();
+    const deposits = new Set();
+    const selected = [];
+    let operationCount = 0;
+    
+    [...transfers].sort((a, b) => b.amountUSD - a.amountUSD).forEach(transfer => {
+      const needsWithdrawal = (transfer.mode === 'withdraw' || transfer.mode === 'route') && !withdrawals.has(transfer.from);
+      const needsDeposit = (transfer.mode === 'deposit' || transfer.mode === 'route') && !deposits.has(transfer.to);
+      const newOperations = transfer.mode === 'swap' ? 1 : Number(needsWithdrawal) + Number(needsDeposit);
+      
+      if (operationCount + newOperations > maxOperations) return;
+      
+      operationCount += newOperations;
+      if (needsWithdrawal) withdrawals.add(transfer.from);
+      if (needsDeposit) deposits.add(transfer.to);
+      selected.push(transfer);
+    });
+    
+    return selected;
+  }
+  
+  /**
+   * Aggregate transfers into one operation per protocol and direction
+   *
+   * Deposits funded by unstaking a token with an unbonding period cannot run until
+   * the APT is claimed, so they become separate operations flagged awaitsUnbonding.
+   * @param {Array} transfers - Selected transfers
+   * @param {number} aptPrice - APT price in USD
+   * @returns {Array} Operations ordered withdrawals, swaps, deposits, then deposits awaiting unbonding
+   */
+  buildOperations(transfers, aptPrice) {
+    const withdrawals = {};
+    const deposits = {};
+    const deferredDeposits = {};
+    const swaps = [];
+    const liquidStakingTokens = protocols.getLiquidStakingTokens();
+    
+    const awaitsUnbonding = transfer => transfer.mode === 'route' &&
+      transfer.fromType === 'staking' &&
+      protocols.getUnbondingPeriod(transfer.from) > 0;
+    
+    const accumulate = (map, protocol, type, amountUSD) => {
+      if (!map[protocol]) map[protocol] = { protocol, type, amountUSD: 0 };
+      map[protocol].amountUSD += amountUSD;
+    };
+    
+    transfers.forEach(transfer => {
+      if (transfer.mode === 'swap') {
+        swaps.push(transfer);
+      }
+      if (transfer.mode === 'withdraw' || transfer.mode === 'route') {
+        accumulate(withdrawals, transfer.from, transfer.fromType, transfer.amountUSD);
+      }
+      if (transfer.mode === 'deposit' || transfer.mode === 'route') {
+        accumulate(awaitsUnbonding(transfer) ? deferredDeposits : deposits, transfer.to, transfer.toType, transfer.amountUSD);
+      }
+    });
+    
+    const createOperation = (protocol, type, amountUSD) => ({
+      protocol,
+      type,
+      amount: (amountUSD / aptPrice).toFixed(4),
+      amountUSD: amountUSD.toFixed(2),
+      ...protocols.resolveOperation(protocol, type)
+    });
+    
+    // Withdrawals first so their proceeds can fund deposits
+    return [
+      ...Object.values(withdrawals).map(item => {
+        const operation = createOperation(item.protocol, WITHDRAW_OPERATIONS[item.type], item.amountUSD);
+        const unbondingPeriod = this.getUnbondingPeriod(operation);
+        return unbondingPeriod ? { ...operation, unbondingPeriod } : operation;
+      }),
+      ...swaps.map(transfer => ({
+        ...createOperation(LST_SWAP_PROTOCOL, OPERATION_TYPES.SWAP, transfer.amountUSD),
+        fromProtocol: transfer.from,
+        toProtocol: transfer.to,
+        fromToken: liquidStakingTokens[transfer.from.toLowerCase()],
+        toToken: liquidStakingTokens[transfer.to.toLowerCase()]
+      })),
+      ...Object.values(deposits).map(item =>
+        createOperation(item.protocol, DEPOSIT_OPERATIONS[item.type], item.amountUSD)
+      ),
+      ...Object.values(deferredDeposits).map(item => ({
+        ...createOperation(item.protocol, DEPOSIT_OPERATIONS[item.type], item.amountUSD),
+        awaitsUnbonding: true
+      }))
+    ];
+  }
+  
+  /**
+   * Get how long the APT from an operation stays locked before it can be claimed
+   * @param {Object} operation - Rebalance operation
+   * @returns {number} Unbonding period in milliseconds, 0 when funds are available immediately
+   */
+  getUnbondingPeriod(operation) {
+    if (operation.type !== OPERATION_TYPES.UNSTAKE) return 0;
+    return protocols.getUnbondingPeriod(operation.protocol);
+  }
+  
+  /**
+   * Build a dry-run plan of what executeRebalance would do, without executing anything
+   * @param {string} walletAddress - User's wallet address
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Rebalance plan with operations, gas estimates and projections
+   */
+  async previewRebalance(walletAddress, options = {}) {
+    try {
+      logger.info(`Previewing rebalance for wallet: ${walletAddress}`);
+      
+      const settings = await this.getRebalanceSettings(walletAddress);
+      const portfolioData = await this.getPortfolio(walletAddress);
+      const riskProfile = options.riskProfile || await this.determineRiskProfile(walletAddress, portfolioData);
+      const recommendation = await aiRecommendation.generateRecommendation({
+        walletAddress,
+        riskProfile,
+        amount: portfolioData.totalValueUSD || 100,
+        cached: true
+      });
+      
+      // Same analysis and planning steps executeRebalance uses
+      const analysis = await this.checkRebalanceNeeded(walletAddress, { portfolioData, recommendation, riskProfile });
+      const driftAnalysis = this.calculateDrift(portfolioData, recommendation, settings);
+      const gasUnitPrice = await this.getGasUnitPrice(settings.gasTier);
+      const operations = await this.generateRebalanceOperations(portfolioData, recommendation, { ...options, settings, gasUnitPrice });
+      
+      const aptPrice = portfolioData.apt?.valueUSD / portfolioData.apt?.amount || 10; // Fallback price
+      
+      // Claims and the deposits they fund run after unbonding, in later phases
+      const phases = this.planPhases(operations);
+      const phasedOperations = phases.flatMap(phase => phase.operations.map(operation => ({ ...operation, phase: phase.index })));
+      
+      const planOperations = phasedOperations.map((operation, index) => ({
+        step: index + 1,
+        phase: operation.phase,
+        protocol: operation.protocol,
+        type: operation.type,
+        fromProtocol: operation.fromProtocol,
+        toProtocol: operation.toProtocol,
+        amountAPT: parseFloat(operation.amount),
+        amountUSD: parseFloat(operation.amountUSD),
+        contractAddress: operation.contractAddress,
+        functionName: operation.functionName,
+        function: `${operation.contractAddress}${operation.functionName}`,
+        estimatedGas: this.estimateOperationGas(operation, settings, gasUnitPrice, aptPrice)
+      }));
+      
+      const gasCostAPT = planOperations.reduce((sum, op) => sum + op.estimatedGas.costAPT, 0);
+      
+      // Project the allocation and blended APR after the plan executes, and weigh the gas against the gain
+      const gasCost = await this.evaluateGasCost(planOperations, { portfolioData, recommendation, driftAnalysis, settings });
+      
+      return {
+        walletAddress,
+        dryRun: true,
+        needsRebalancing: analysis.needsRebalancing,
+        cooldownRemaining: analysis.cooldownRemaining,
+        phasesPending: analysis.phasesPending,
+        marketConditions: analysis.marketConditions,
+        maxDrift: driftAnalysis.maxDrift,
+        avgDrift: driftAnalysis.avgDrift,
+        breaches: driftAnalysis.breaches,
+        driftDetails: driftAnalysis.drifts,
+        aptPrice,
+        operations: planOperations,
+        phases: phases.length > 1 ? this.describePhases(phases) : [],
+        totals: {
+          operations: planOperations.length,
+          amountMovedUSD: planOperations.reduce((sum, op) => sum + op.amountUSD, 0),
+          gasCostAPT,
+          gasCostUSD: gasCostAPT * aptPrice
+        },
+        gasForecast: {
+          ...gasCost.gas,
+          expectedGainUSD: gasCost.expectedGainUSD,
+          gainHorizonDays: GAS_GAIN_HORIZON_DAYS,
+          maxShareOfGain: settings.maxGasShareOfGain,
+          maxGasUSD: gasCost.maxGasUSD,
+          withinBudget: gasCost.withinBudget
+        },
+        currentAllocation: gasCost.currentAllocation,
+        projectedAllocation: gasCost.projectedAllocation,
+        apr: gasCost.apr,
+        settings,
+        generatedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error(`Error previewing rebalance for ${walletAddress}:`, error);
+      throw new Error(`Failed to preview rebalance: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get the current gas unit price of a tier from the network
+   * @param {string} tier - Gas tier (slow, normal or fast); the default tier when omitted
+   * @returns {Promise<number>} Gas unit price in octas
+   */
+  async getGasUnitPrice(tier) {
+    return this.gasStrategy.getGasUnitPrice(GAS_TIERS[tier] ? tier : undefined);
+  }
+  
+  /**
+   * Estimate gas for an operation, applying the wallet's gas buffer
+   * @param {Object} operation - Rebalance operation
+   * @param {Object} settings - Resolved wallet settings
+   * @param {number} gasUnitPrice - Gas unit price in octas
+   * @param {number} aptPrice - APT price in USD
+   * @returns {Object} Gas estimate
+   */
+  estimateOperationGas(operation, settings, gasUnitPrice, aptPrice) {
+    return this.gasStrategy.estimateOperationGas(operation, { gasUnitPrice, gasBuffer: settings.gasBuffer, aptPrice });
+  }
+  
+  /**
+   * Weigh the gas cost of a rebalance against the yield it is expected to gain
+   *
+   * The gain is the improvement in blended APR earned on the portfolio over
+   * GAS_GAIN_HORIZON_DAYS. Without a maxGasShareOfGain setting every rebalance is
+   * within budget; with one, a rebalance that gains nothing never is.
+   * @param {Array} operations - Planned operations with USD amounts
+   * @param {Object} context - { portfolioData, recommendation, driftAnalysis, settings }
+   * @returns {Promise<Object>} { gas, currentAllocation, projectedAllocation, apr, expectedGainUSD, maxGasUSD, withinBudget }
+   */
+  async evaluateGasCost(operations, { portfolioData, recommendation, driftAnalysis, settings }) {
+    const totalValueUSD = parseFloat(portfolioData.totalValueUSD || 0);
+    const aptPrice = portfolioData.apt?.valueUSD / portfolioData.apt?.amount || 10; // Fallback price
+    
+    const gas = await this.gasStrategy.forecast(operations, {
+      tier: GAS_TIERS[settings.gasTier] ? settings.gasTier : undefined,
+      gasBuffer: settings.gasBuffer,
+      aptPrice
+    });
+    
+    const currentAllocation = driftAnalysis.drifts
+      .filter(drift => drift.current > 0)
+      .map(drift => ({ protocol: drift.protocol, type: drift.type, percentage: drift.current }));
+    const projectedAllocation = this.projectAllocation(
+      currentAllocation,
+      operations.map(operation => ({ ...operation, amountUSD: parseFloat(operation.amountUSD) || 0 })),
+      totalValueUSD,
+      gas.costUSD
+    );
+    
+    const aprs = await this.getProtocolAprs(recommendation);
+    const currentApr = this.calculateBlendedApr(currentAllocation, aprs);
+    const projectedApr = this.calculateBlendedApr(projectedAllocation, aprs);
+    
+    const expectedGainUSD = Math.max(0, ((projectedApr - currentApr) / 100) * totalValueUSD * (GAS_GAIN_HORIZON_DAYS / 365));
+    const maxGasUSD = settings.maxGasShareOfGain ? expectedGainUSD * (settings.maxGasShareOfGain / 100) : null;
+    
+    return {
+      gas,
+      currentAllocation,
+      projectedAllocation,
+      apr: {
+        current: currentApr,
+        projected: projectedApr,
+        change: projectedApr - currentApr
+      },
+      expectedGainUSD,
+      maxGasUSD,
+      withinBudget: maxGasUSD === null || gas.costUSD <= maxGasUSD
+    };
+  }
+  
+  /**
+   * Apply planned operations to the current allocation
+   * @param {Array} currentAllocation - Current allocation percentages
+   * @param {Array} operations - Planned operations with USD amounts
+   * @param {number} totalValueUSD - Total portfolio value
+   * @param {number} gasCostUSD - Total gas cost, paid from native APT
+   * @returns {Array} Projected allocation percentages
+   */
+  projectAllocation(currentAllocation, operations, totalValueUSD, gasCostUSD = 0) {
+    if (totalValueUSD <= 0) return currentAllocation;
+    
+    const values = currentAllocation.reduce((map, item) => {
+      map[item.protocol] = { ...item, valueUSD: (item.percentage / 100) * totalValueUSD };
+      return map;
+    }, {});
+    
+    const ensure = (protocol, type) => {
+      if (!values[protocol]) values[protocol] = { protocol, type, valueUSD: 0 };
+      return values[protocol];
+    };
+    
+    const withdrawTypes = Object.values(WITHDRAW_OPERATIONS);
+    const typeByOperation = {
+      [OPERATION_TYPES.STAKE]: 'staking',
+      [OPERATION_TYPES.UNSTAKE]: 'staking',
+      [OPERATION_TYPES.LEND]: 'lending',
+      [OPERATION_TYPES.WITHDRAW]: 'lending',
+      [OPERATION_TYPES.ADD_LIQUIDITY]: 'liquidity',
+      [OPERATION_TYPES.REMOVE_LIQUIDITY]: 'liquidity'
+    };
+    
+    // Withdrawals move value into native APT; deposits draw from it
+    operations.forEach(op => {
+      // Claims collect APT the unstake already counted toward native APT
+      if (op.type === OPERATION_TYPES.CLAIM) return;
+      
+      // Direct swaps move value between liquid staking positions
+      if (op.type === OPERATION_TYPES.SWAP) {
+        ensure(op.fromProtocol, 'staking').valueUSD -= op.amountUSD;
+        ensure(op.toProtocol, 'staking').valueUSD += op.amountUSD;
+        return;
+      }
+      
+      const position = ensure(op.protocol, typeByOperation[op.type]);
+      const native = ensure('native', 'holding');
+      
+      if (withdrawTypes.includes(op.type)) {
+        position.valueUSD -= op.amountUSD;
+        native.valueUSD += op.amountUSD;
+      } else {
+        position.valueUSD += op.amountUSD;
+        native.valueUSD -= op.amountUSD;
+      }
+    });
+    
+    ensure('native', 'holding').valueUSD -= gasCostUSD;
+    
+    const projectedTotal = totalValueUSD - gasCostUSD;
+    return Object.values(values)
+      .map(item => ({
+        protocol: item.protocol,
+        type: item.type,
+        percentage: Math.max(0, (item.valueUSD / projectedTotal) * 100)
+      }))
+      .filter(item => item.percentage > 0.005)
+      .sort((a, b) => b.percentage - a.percentage);
+  }
+  
+  /**
+   * Resolve APRs per protocol and position type
+   * @param {Object} recommendation - AI recommendation (expectedApr takes precedence)
+   * @returns {Promise<Object>} Map of protocol -> { staking, lending, liquidity, recommended }
+   */
+  async getProtocolAprs(recommendation) {
+    const aprs = {};
+    
+    try {
+      const stakingData = await stakingOptimizer.getStakingData();
+      Object.entries(stakingData.protocols || {}).forEach(([protocol, data]) => {
+        aprs[protocol.toLowerCase()] = {
+          staking: parseFloat(data.staking?.apr) || 0,
+          lending: parseFloat(data.lending?.apr) || 0,
+          liquidity: parseFloat(data.liquidity?.apr) || 0
+        };
+      });
+    } catch (error) {
+      logger.warn('Failed to fetch protocol APRs for preview:', error);
+    }
+    
+    (recommendation.allocation || []).forEach(item => {
+      const key = item.protocol.toLowerCase();
+      if (item.expectedApr !== undefined) {
+        aprs[key] = { ...(aprs[key] || {}), recommended: parseFloat(item.expectedApr) || 0 };
+      }
+    });
+    
+    return aprs;
+  }
+  
+  /**
+   * Calculate the blended APR of an allocation
+   * @param {Array} allocation - Allocation items with protocol, type and percentage
+   * @param {Object} aprs - APR map from getProtocolAprs
+   * @returns {number} Blended APR percentage
+   */
+  calculateBlendedApr(allocation, aprs) {
+    return allocation.reduce((sum, item) => {
+      if (item.protocol === 'native') return sum;
+      
+      const protocolAprs = aprs[item.protocol.toLowerCase()] || {};
+      const apr = protocolAprs.recommended ?? protocolAprs[item.type] ?? 0;
+      return sum + (item.percentage / 100) * apr;
+    }, 0);
+  }
+  
+  /**
+   * Get rebalance history for a wallet
+   * @param {string} walletAddress - User's wallet address
+   * @param {number} limit - Maximum number of entries to return
+   * @returns {Promise<Array>} Rebalance history entries
+   */
+  async getRebalanceHistory(walletAddress, limit = 10) {
+    const events = await RebalanceEvent.findByWallet(walletAddress, limit);
+    
+    return events.map(event => ({
+      id: event._id,
+      timestamp: event.timestamp.toISOString(),
+      type: event.type,
+      status: event.status,
+      operations: event.operations?.length || 0,
+      successfulOperations: event.successfulOperations || 0,
+      failedOperations: event.failedOperations || 0,
+      driftBefore: event.driftAnalysis?.maxDrift,
+      scheduledTime: event.schedule?.scheduledTime ? event.schedule.scheduledTime.toISOString() : undefined,
+      error: event.error?.message,
+      notes: event.notes,
+      success: event.status === 'completed'
+    }));
+  }
+  
+  /**
+   * Schedule a rebalance, either once or on a recurring cron or calendar schedule
+   * @param {string} walletAddress - User's wallet address
+   * @param {Object} options - Schedule options (delayMs, runAt, cron, calendar, timezone,
+   *   catchUp, skipWeekends) and options passed to the rebalance
+   * @returns {Promise<Object>} Schedule result
+   */
+  async scheduleRebalance(walletAddress, options = {}) {
+    try {
+      const settings = await this.getRebalanceSettings(walletAddress);
+      const { scheduleOptions, runOptions } = this.splitScheduleOptions(options);
+      const { onlyIfNeeded, ...executeOptions } = runOptions;
+      
+      // One-off rebalances default to running after the cooldown period
+      if (!scheduleOptions.runAt && !scheduleOptions.cron && !scheduleOptions.calendar) {
+        scheduleOptions.delayMs = scheduleOptions.delayMs || settings.cooldownPeriod;
+      }
+      
+      // Validate the schedule before replacing the current one
+      const spec = this.scheduler.normalizeSpec(scheduleOptions);
+      
+      // Clear any existing scheduled rebalance
+      await this.clearScheduledRebalance(walletAddress);
+      
+      // Check if portfolio analysis is needed before scheduling
+      if (onlyIfNeeded) {
+        const analysis = await this.checkRebalanceNeeded(walletAddress);
+        
+        if (!analysis.needsRebalancing) {
+          logger.info(`Not scheduling rebalance for ${walletAddress} - not needed`);
+          return {
+            walletAddress,
+            scheduled: false,
+            message: 'Rebalance not needed based on current portfolio',
+            driftAnalysis: analysis
           };
         }
       }
       
-      // Schedule the rebalance
-      const scheduledTime = Date.now() + delayMs;
-      const timeoutId = setTimeout(() => {
-        this.executeRebalance(walletAddress, options)
-          .catch(error => {
-            logger.error(`Scheduled rebalance failed for ${walletAddress}:`, error);
-          });
-      }, delayMs);
-      
-      // Store the timeout ID for potential cancellation
-      this.scheduledRebalances.set(walletAddress, {
-        timeoutId,
-        scheduledTime,
-        options
+      // Persist the schedule so it survives restarts
+      const nextRunAt = this.scheduler.getNextRun(spec) || new Date(spec.runAt);
+      const event = await RebalanceEvent.createEvent({
+        walletAddress,
+        type: 'scheduled',
+        trigger: 'time',
+        settings: this.getEventSettings(settings),
+        schedule: {
+          kind: spec.type === SCHEDULE_TYPES.ONCE ? 'once' : 'recurring',
+          spec,
+          scheduledTime: nextRunAt,
+          active: true,
+          options: executeOptions
+        }
       });
       
-      logger.info(`Scheduled rebalance for ${walletAddress} at ${new Date(scheduledTime).toISOString()}`);
+      this.armScheduledRebalance(event);
+      
+      logger.info(`Scheduled rebalance for ${walletAddress} at ${nextRunAt.toISOString()} (${spec.type})`);
       
       return {
-        walletAddress,
         scheduled: true,
-        scheduledTime: new Date(scheduledTime).toISOString(),
-        timeRemaining: delayMs
+        ...this.getScheduledRebalance(walletAddress)
       };
     } catch (error) {
       logger.error(`Error scheduling rebalance for ${walletAddress}:`, error);
@@ -826,16 +2866,113 @@ class AutoRebalancer {
     }
   }
   
+  /**
+   * Separate schedule options from the options passed to the rebalance
+   * @param {Object} options - Combined options
+   * @returns {Object} scheduleOptions (defined values only) and runOptions
+   */
+  splitScheduleOptions(options = {}) {
+    return Object.entries(options).reduce((split, [key, value]) => {
+      if (!SCHEDULE_OPTIONS.includes(key)) {
+        split.runOptions[key] = value;
+      } else if (value !== undefined && value !== null) {
+        split.scheduleOptions[key] = value;
+      }
+      return split;
+    }, { scheduleOptions: {}, runOptions: {} });
+  }
+  
+  /**
+   * Get the schedule spec of a persisted schedule or monitor
+   * @param {Object} event - RebalanceEvent document with a schedule
+   * @returns {Object} Normalized schedule spec
+   */
+  getScheduleSpec(event) {
+    if (event.schedule.spec) return event.schedule.spec;
+    
+    // Schedules stored before cron and calendar support
+    return event.schedule.kind === 'monitor' ?
+      this.scheduler.normalizeSpec({ checkInterval: event.schedule.checkInterval || DEFAULT_CHECK_INTERVAL }) :
+      this.scheduler.normalizeSpec({ runAt: event.schedule.scheduledTime });
+  }
+  
+  /**
+   * Arm the scheduler for a persisted scheduled rebalance
+   * @param {Object} event - RebalanceEvent document with a 'once' or 'recurring' schedule
+   */
+  armScheduledRebalance(event) {
+    const walletAddress = event.walletAddress;
+    
+    // Missed runs (e.g. while the server was down) follow the schedule's catch-up policy
+    const { nextRunAt } = this.scheduler.schedule(
+      `schedule:${walletAddress}`,
+      this.getScheduleSpec(event),
+      { anchor: event.startTime, lastRunAt: event.schedule.lastRunAt },
+      (runAt, info) => this.runScheduledRebalance(event, runAt, info)
+    );
+    
+    if (!nextRunAt) {
+      logger.info(`Scheduled rebalance for ${walletAddress} has no remaining runs`);
+      event.deactivateSchedule('Missed scheduled rebalance skipped').catch(error => {
+        logger.error(`Failed to deactivate schedule for ${walletAddress}:`, error);
+      });
+      return;
+    }
+    
+    this.scheduledRebalances.set(walletAddress, {
+      eventId: event._id,
+      options: event.schedule.options || {}
+    });
+  }
+  
+  /**
+   * Run one fire time of a scheduled rebalance
+   * @param {Object} event - RebalanceEvent document holding the schedule
+   * @param {Date} runAt - Fire time being run
+   * @param {Object} info - { catchUp, nextRunAt } from the scheduler
+   * @returns {Promise<Object>} Rebalancing result
+   */
+  async runScheduledRebalance(event, runAt, { catchUp, nextRunAt }) {
+    const walletAddress = event.walletAddress;
+    const options = event.schedule.options || {};
+    
+    logger.info(`Running ${catchUp ? 'missed ' : ''}scheduled rebalance for ${walletAddress} (${runAt.toISOString()})`);
+    
+    event.schedule.lastRunAt = runAt;
+    
+    // A one-off schedule becomes the record of its own rebalance
+    if (event.schedule.kind === 'once') {
+      this.scheduledRebalances.delete(walletAddress);
+      event.schedule.active = false;
+      await event.save();
+      return this.executeRebalance(walletAddress, { ...options, event });
+    }
+    
+    event.schedule.scheduledTime = nextRunAt;
+    await event.save();
+    return this.executeRebalance(walletAddress, { ...options, type: 'scheduled', trigger: 'time' });
+  }
+  
   /**
    * Clear a scheduled rebalance
    * @param {string} walletAddress - User's wallet address
-   * @returns {boolean} Whether a scheduled rebalance was cleared
+   * @returns {Promise<boolean>} Whether a scheduled rebalance was cleared
    */
-  clearScheduledRebalance(walletAddress) {
-    const scheduled = this.scheduledRebalances.get(walletAddress);
-    if (scheduled) {
-      clearTimeout(scheduled.timeoutId);
-      this.scheduledRebalances.delete(walletAddress);
+  async clearScheduledRebalance(walletAddress) {
+    const scheduled = this.scheduler.cancel(`schedule:${walletAddress}`);
+    this.scheduledRebalances.delete(walletAddress);
+    
+    const events = await RebalanceEvent.find({
+      walletAddress,
+      'schedule.kind': { $in: ['once', 'recurring'] },
+      'schedule.active': true
+    });
+    
+    for (const event of events) {
+      await event.deactivateSchedule('Scheduled rebalance cancelled');
+    }
+    
+    if (scheduled || events.length > 0) {
       logger.info(`Cleared scheduled rebalance for ${walletAddress}`);
       return true;
     }
@@ -845,63 +2982,246 @@ class AutoRebalancer {
   /**
    * Get scheduled rebalance info
    * @param {string} walletAddress - User's wallet address
-   * @returns {Object|null} Scheduled rebalance info or null if none
+   * @returns {Object|null} Scheduled rebalance info with upcoming fire times, or null if none
    */
   getScheduledRebalance(walletAddress) {
     const scheduled = this.scheduledRebalances.get(walletAddress);
-    if (!scheduled) return null;
+    const status = this.scheduler.getStatus(`schedule:${walletAddress}`);
+    if (!scheduled || !status) return null;
     
     const now = Date.now();
-    const timeRemaining = Math.max(0, scheduled.scheduledTime - now);
     
     return {
       walletAddress,
-      scheduledTime: new Date(scheduled.scheduledTime).toISOString(),
-      timeRemaining,
+      scheduledTime: status.nextRunAt,
+      timeRemaining: status.nextRunAt ? Math.max(0, new Date(status.nextRunAt).getTime() - now) : null,
+      schedule: status.spec,
+      nextRuns: status.nextRuns,
+      lastRunAt: status.lastRunAt,
       options: scheduled.options
     };
   }
   
   /**
-   * Set auto-rebalance settings for a user
-   * @param {string} walletAddress - User's wallet address
-   * @param {Object} settings - New settings
-   * @returns {Object} Updated settings
+   * List rebalance jobs in the queue
+   * @param {Object} filters - Optional status and walletAddress filters
+   * @returns {Object} Jobs and queue statistics
    */
-  async setRebalanceSettings(walletAddress, settings = {}) {
+  getRebalanceJobs(filters = {}) {
+    return {
+      jobs: this.queue.listJobs(filters),
+      stats: this.queue.getStats()
+    };
+  }
+  
+  /**
+   * Get a single rebalance job
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Job description or null if unknown
+   */
+  getRebalanceJob(jobId) {
+    return this.queue.getJob(jobId);
+  }
+  
+  /**
+   * Re-arm persisted schedules, monitors and waiting phased rebalances after a restart
+   * @returns {Promise<Object>} Number of restored schedules, monitors and phased rebalances
+   */
+  async restoreState() {
+    const restored = { schedules: 0, monitors: 0, phased: 0, signing: 0, proposals: 0 };
+    
     try {
-      // This would typically update settings in a database
-      // For now, we'll just update in-memory settings
+      await this.circuitBreaker.loadKillSwitch();
+      
+      const events = await RebalanceEvent.findActiveSchedules();
+      
+      for (const event of events) {
+        const isSchedule = event.schedule.kind === 'once' || event.schedule.kind === 'recurring';
+        
+        if (isSchedule && !this.scheduledRebalances.has(event.walletAddress)) {
+          this.armScheduledRebalance(event);
+          restored.schedules++;
+        } else if (event.schedule.kind === 'monitor' && !this.autoRebalanceMonitoring.has(event.walletAddress)) {
+          this.armMonitoring(event);
+          restored.monitors++;
+        }
+      }
+      
+      const waiting = await RebalanceEvent.findWaiting();
       
-      // Update settings with valid values
-      if (settings.minRebalanceThreshold !== undefined) {
-        this.settings.minRebalanceThreshold = Math.max(1, Math.min(20, settings.minRebalanceThreshold));
+      for (const event of waiting) {
+        this.armPhases(event);
+        restored.phased++;
       }
       
-      if (settings.maxSlippage !== undefined) {
-        this.settings.maxSlippage = Math.max(0.1, Math.min(5, settings.maxSlippage));
+      // Transactions that settled while the server was down are applied now
+      const awaitingSignature = await RebalanceEvent.findAwaitingSignature();
+      
+      for (const event of awaitingSignature) {
+        await this.settleRebalanceTransactions(event);
+        restored.signing++;
       }
       
-      if (settings.cooldownPeriod !== undefined) {
-        // Convert hours to milliseconds if needed
-        const cooldown = settings.cooldownPeriod > 1000 ? 
-          settings.cooldownPeriod : 
-          settings.cooldownPeriod * 60 * 60 * 1000;
-          
-        this.settings.cooldownPeriod = Math.max(1 * 60 * 60 * 1000, cooldown); // Min 1 hour
+      // Windows that ended while the server was down close shortly after restart
+      const proposals = await RebalanceProposal.findOpen();
+      
+      for (const proposal of proposals) {
+        this.armProposal(proposal);
+        restored.proposals++;
       }
       
-      if (settings.preserveStakedPositions !== undefined) {
-        this.settings.preserveStakedPositions = Boolean(settings.preserveStakedPositions);
+      logger.info(`Restored ${restored.schedules} scheduled rebalances, ${restored.monitors} monitors, ${restored.phased} phased rebalances, ` +
+        `${restored.signing} rebalances awaiting signature and ${restored.proposals} proposals`);
+      return restored;
+    } catch (error) {
+      logger.error('Failed to restore auto-rebalance state:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Validate and clamp user-supplied rebalance settings
+   * @param {Object} settings - Raw settings
+   * @returns {Object} Sanitized settings containing only recognized fields
+   */
+  sanitizeSettings(settings = {}) {
+    const sanitized = {};
+    
+    if (settings.minRebalanceThreshold !== undefined) {
+      sanitized.minRebalanceThreshold = Math.max(1, Math.min(20, parseFloat(settings.minRebalanceThreshold) || DEFAULT_SETTINGS.minRebalanceThreshold));
+    }
+    
+    if (settings.maxSlippage !== undefined) {
+      sanitized.maxSlippage = Math.max(0.1, Math.min(5, parseFloat(settings.maxSlippage) || DEFAULT_SETTINGS.maxSlippage));
+    }
+    
+    if (settings.cooldownPeriod !== undefined) {
+      // Convert hours to milliseconds if needed
+      const cooldownPeriod = parseFloat(settings.cooldownPeriod) || 0;
+      const cooldown = cooldownPeriod > 1000 ? 
+        cooldownPeriod : 
+        cooldownPeriod * 60 * 60 * 1000;
+        
+      sanitized.cooldownPeriod = Math.max(1 * 60 * 60 * 1000, cooldown); // Min 1 hour
+    }
+    
+    if (settings.volatilityThreshold !== undefined) {
+      sanitized.volatilityThreshold = Math.max(1, Math.min(100, parseFloat(settings.volatilityThreshold) || DEFAULT_SETTINGS.volatilityThreshold));
+    }
+    
+    if (settings.preserveStakedPositions !== undefined) {
+      sanitized.preserveStakedPositions = Boolean(settings.preserveStakedPositions);
+    }
+    
+    if (settings.maxOperationsPerRebalance !== undefined) {
+      sanitized.maxOperationsPerRebalance = Math.max(1, Math.min(10, parseInt(settings.maxOperationsPerRebalance) || DEFAULT_SETTINGS.maxOperationsPerRebalance));
+    }
+    
+    if (settings.maxPortionToRebalance !== undefined) {
+      sanitized.maxPortionToRebalance = Math.max(0.05, Math.min(1, parseFloat(settings.maxPortionToRebalance) || DEFAULT_SETTINGS.maxPortionToRebalance));
+    }
+    
+    if (settings.toleranceBands !== undefined) {
+      sanitized.toleranceBands = this.sanitizeToleranceBands(settings.toleranceBands);
+    }
+    
+    if (settings.gasTier !== undefined) {
+      const gasTier = String(settings.gasTier).toLowerCase();
+      sanitized.gasTier = GAS_TIERS[gasTier] ? gasTier : DEFAULT_SETTINGS.gasTier;
+    }
+    
+    if (settings.gasBuffer !== undefined) {
+      sanitized.gasBuffer = Math.max(1, Math.min(2, parseFloat(settings.gasBuffer) || DEFAULT_SETTINGS.gasBuffer));
+    }
+    
+    if (settings.maxGasShareOfGain !== undefined) {
+      // Empty or zero removes the limit
+      const share = parseFloat(settings.maxGasShareOfGain);
+      sanitized.maxGasShareOfGain = share > 0 ? Math.max(1, Math.min(100, share)) : null;
+    }
+    
+    if (settings.maxDailyNotionalUSD !== undefined) {
+      sanitized.maxDailyNotionalUSD = Math.max(100, Math.min(10000000, parseFloat(settings.maxDailyNotionalUSD) || DEFAULT_SETTINGS.maxDailyNotionalUSD));
+    }
+    
+    if (settings.maxConsecutiveFailures !== undefined) {
+      sanitized.maxConsecutiveFailures = Math.max(1, Math.min(20, parseInt(settings.maxConsecutiveFailures) || DEFAULT_SETTINGS.maxConsecutiveFailures));
+    }
+    
+    if (settings.maxDrawdownPercent !== undefined) {
+      sanitized.maxDrawdownPercent = Math.max(1, Math.min(100, parseFloat(settings.maxDrawdownPercent) || DEFAULT_SETTINGS.maxDrawdownPercent));
+    }
+    
+    if (settings.proposalTTL !== undefined) {
+      // Hours or milliseconds, like the cooldown period; between 1 hour and 7 days
+      const proposalTTL = parseFloat(settings.proposalTTL) || 0;
+      const ttl = proposalTTL > 1000 ? proposalTTL : proposalTTL * 60 * 60 * 1000;
+      
+      sanitized.proposalTTL = ttl > 0 ?
+        Math.max(60 * 60 * 1000, Math.min(7 * 24 * 60 * 60 * 1000, ttl)) :
+        DEFAULT_SETTINGS.proposalTTL;
+    }
+    
+    if (settings.proposalMaxMarketMove !== undefined) {
+      sanitized.proposalMaxMarketMove = Math.max(0.5, Math.min(50, parseFloat(settings.proposalMaxMarketMove) || DEFAULT_SETTINGS.proposalMaxMarketMove));
+    }
+    
+    if (settings.deniedProtocols !== undefined) {
+      const protocols = typeof settings.deniedProtocols === 'string' ?
+        settings.deniedProtocols.split(',') :
+        settings.deniedProtocols || [];
+      sanitized.deniedProtocols = [...new Set(protocols
+        .map(protocol => String(protocol).trim().toLowerCase())
+        .filter(protocol => /^[a-z0-9_-]+$/.test(protocol)))];
+    }
+    
+    return sanitized;
+  }
+  
+  /**
+   * Validate and clamp tolerance bands keyed by protocol or position type
+   * @param {Object} bands - Raw bands, e.g. { staking: { lower: 8, upper: 8 } }
+   * @returns {Object} Bands with both widths set; a missing side mirrors the other
+   */
+  sanitizeToleranceBands(bands) {
+    if (!bands || typeof bands !== 'object') return {};
+    
+    const clamp = value => Math.max(0.5, Math.min(50, value));
+    
+    return Object.entries(bands).reduce((sanitized, [key, band]) => {
+      const name = String(key).trim().toLowerCase();
+      const lower = parseFloat(band?.lower);
+      const upper = parseFloat(band?.upper);
+      
+      if (!/^[a-z0-9_-]+$/.test(name) || (!Number.isFinite(lower) && !Number.isFinite(upper))) {
+        return sanitized;
       }
       
-      if (settings.maxOperationsPerRebalance !== undefined) {
-        this.settings.maxOperationsPerRebalance = Math.max(1, Math.min(10, settings.maxOperationsPerRebalance));
+      sanitized[name] = {
+        lower: clamp(Number.isFinite(lower) ? lower : upper),
+        upper: clamp(Number.isFinite(upper) ? upper : lower)
+      };
+      return sanitized;
+    }, {});
+  }
+  
+  /**
+   * Set auto-rebalance settings for a wallet
+   * @param {string} walletAddress - User's wallet address
+   * @param {Object} settings - New settings
+   * @returns {Promise<Object>} Updated settings merged over the defaults
+   */
+  async setRebalanceSettings(walletAddress, settings = {}) {
+    try {
+      const sanitized = this.sanitizeSettings(settings);
+      
+      if (Object.keys(sanitized).length > 0) {
+        await RebalanceSettings.updateForWallet(walletAddress, sanitized);
       }
       
       logger.info(`Updated rebalance settings for ${walletAddress}`);
       
-      return { ...this.settings };
+      return this.getRebalanceSettings(walletAddress);
     } catch (error) {
       logger.error(`Error setting rebalance settings for ${walletAddress}:`, error);
       throw error;
@@ -909,17 +3229,24 @@ class AutoRebalancer {
   }
   
   /**
-   * Get current rebalance settings
-   * @returns {Object} Current settings
+   * Get the effective rebalance settings for a wallet
+   * @param {string} walletAddress - User's wallet address (defaults only if omitted)
+   * @returns {Promise<Object>} Wallet settings merged over the defaults
    */
-  getRebalanceSettings() {
-    return { ...this.settings };
+  async getRebalanceSettings(walletAddress = null) {
+    if (!walletAddress) {
+      return { ...this.settings };
+    }
+    
+    const overrides = await RebalanceSettings.getOverrides(walletAddress);
+    return { ...this.settings, ...overrides };
   }
   
   /**
    * Monitor a wallet for drift and auto-rebalance when needed
    * @param {string} walletAddress - User's wallet address
-   * @param {Object} options - Monitoring options
+   * @param {Object} options - Check schedule (checkInterval, cron, calendar, timezone,
+   *   catchUp, skipWeekends) and options passed to triggered rebalances
    * @returns {Object} Monitoring status
    */
   async enableAutoRebalanceMonitoring(walletAddress, options = {}) {
@@ -931,6 +3258,10 @@ class AutoRebalancer {
         return existing;
       }
       
+      // Validate the check schedule before touching the current monitor
+      const { scheduleOptions, runOptions } = this.splitScheduleOptions(options);
+      const spec = this.scheduler.normalizeSpec({ checkInterval: DEFAULT_CHECK_INTERVAL, ...scheduleOptions });
+      
       // Check current portfolio status
       const analysis = await this.checkRebalanceNeeded(walletAddress);
       
@@ -940,71 +3271,136 @@ class AutoRebalancer {
         
         // Schedule immediate rebalance (small delay to not block the response)
         return this.scheduleRebalance(walletAddress, {
-          delayMs: 5000, // 5 seconds
-          ...options
+          ...runOptions,
+          delayMs: 5000 // 5 seconds
         });
       }
       
-      // Otherwise, schedule for next check
-      const checkInterval = options.checkInterval || (4 * 60 * 60 * 1000); // Default 4 hours
+      logger.info(`Scheduling auto-rebalance monitoring for ${walletAddress} (${spec.type})`);
       
-      logger.info(`Scheduling auto-rebalance monitoring for ${walletAddress} every ${checkInterval/3600000} hours`);
+      // Replace any previous monitor for this wallet
+      await this.disableAutoRebalanceMonitoring(walletAddress);
       
-      // Store interval ID for later cleanup
-      const intervalId = setInterval(async () => {
-        try {
-          // Check if rebalance is needed
-          const checkResult = await this.checkRebalanceNeeded(walletAddress);
-          
-          if (checkResult.needsRebalancing && !checkResult.marketConditions.isVolatile) {
-            logger.info(`Auto-rebalance check triggered rebalance for ${walletAddress}`);
-            
-            // Execute rebalance
-            await this.executeRebalance(walletAddress, options);
-          } else {
-            logger.info(`Auto-rebalance check: no action needed for ${walletAddress}`);
-          }
-        } catch (error) {
-          logger.error(`Error in auto-rebalance check for ${walletAddress}:`, error);
+      // Persist monitoring info so it is re-armed after restarts
+      const event = await RebalanceEvent.createEvent({
+        walletAddress,
+        type: 'drift',
+        trigger: 'drift',
+        settings: this.getEventSettings(analysis.settings),
+        schedule: {
+          kind: 'monitor',
+          spec,
+          checkInterval: spec.intervalMs,
+          scheduledTime: this.scheduler.getNextRun(spec),
+          active: true,
+          options: runOptions
         }
-      }, checkInterval);
-      
-      // Store monitoring info
-      this.autoRebalanceMonitoring = this.autoRebalanceMonitoring || new Map();
-      this.autoRebalanceMonitoring.set(walletAddress, {
-        intervalId,
-        startTime: Date.now(),
-        options,
-        checkInterval
       });
       
-      return {
-        walletAddress,
-        monitoring: true,
-        checkInterval,
-        nextCheck: new Date(Date.now() + checkInterval).toISOString()
-      };
+      this.armMonitoring(event);
+      
+      return this.getAutoRebalanceMonitoringStatus(walletAddress);
     } catch (error) {
       logger.error(`Error enabling auto-rebalance monitoring for ${walletAddress}:`, error);
       throw error;
     }
   }
   
+  /**
+   * Arm the scheduler for a persisted drift monitor
+   * @param {Object} event - RebalanceEvent document with a 'monitor' schedule
+   */
+  armMonitoring(event) {
+    const walletAddress = event.walletAddress;
+    
+    this.scheduler.schedule(
+      `monitor:${walletAddress}`,
+      this.getScheduleSpec(event),
+      { anchor: event.startTime, lastRunAt: event.schedule.lastRunAt },
+      (runAt, info) => this.runMonitoringCheck(event, runAt, info)
+    );
+    
+    // Store monitoring info
+    this.autoRebalanceMonitoring.set(walletAddress, {
+      eventId: event._id,
+      startTime: event.startTime ? event.startTime.getTime() : Date.now(),
+      options: event.schedule.options || {}
+    });
+  }
+  
+  /**
+   * Run one scheduled drift check and rebalance when needed
+   * @param {Object} event - RebalanceEvent document holding the monitor
+   * @param {Date} runAt - Fire time being run
+   * @param {Object} info - { nextRunAt } from the scheduler
+   */
+  async runMonitoringCheck(event, runAt, { nextRunAt }) {
+    const walletAddress = event.walletAddress;
+    const options = event.schedule.options || {};
+    
+    event.schedule.lastRunAt = runAt;
+    event.schedule.scheduledTime = nextRunAt;
+    await event.save();
+    
+    // Tripped breakers stop automated checks before any analysis runs
+    const settings = await this.getRebalanceSettings(walletAddress);
+    const trip = await this.circuitBreaker.check(walletAddress, settings);
+    if (trip) {
+      // Repeated checks against the same trip are not recorded again
+      if (this.circuitBreaker.getActiveTrip(walletAddress) === trip.breaker) {
+        logger.info(`Auto-rebalance check skipped for ${walletAddress}: circuit breaker ${trip.breaker} still tripped`);
+        return;
+      }
+      
+      const tripEvent = await this.createRunEvent(walletAddress, { type: 'drift', trigger: 'drift' }, settings);
+      await this.recordCircuitBreakerTrip(walletAddress, trip, tripEvent);
+      return;
+    }
+    
+    // Skip this check while a rebalance for the wallet is queued or running
+    if (this.queue.hasPendingJob(walletAddress)) {
+      logger.info(`Auto-rebalance check skipped for ${walletAddress}: rebalance already queued`);
+      return;
+    }
+    
+    // Pending proposals expire once the market moves past their limits
+    await this.refreshProposals(walletAddress);
+    
+    // Check if rebalance is needed
+    const checkResult = await this.checkRebalanceNeeded(walletAddress);
+    
+    if (checkResult.needsRebalancing && !checkResult.marketConditions.isVolatile) {
+      logger.info(`Auto-rebalance check triggered rebalance for ${walletAddress}`);
+      
+      // Execute rebalance
+      await this.executeRebalance(walletAddress, { ...options, type: 'drift', trigger: 'drift' });
+    } else {
+      logger.info(`Auto-rebalance check: no action needed for ${walletAddress}`);
+    }
+  }
+  
   /**
    * Disable auto-rebalance monitoring for a wallet
    * @param {string} walletAddress - User's wallet address
-   * @returns {boolean} Whether monitoring was disabled
+   * @returns {Promise<boolean>} Whether monitoring was disabled
    */
-  disableAutoRebalanceMonitoring(walletAddress) {
-    if (!this.autoRebalanceMonitoring) return false;
+  async disableAutoRebalanceMonitoring(walletAddress) {
+    const monitoring = this.scheduler.cancel(`monitor:${walletAddress}`);
+    this.autoRebalanceMonitoring.delete(walletAddress);
     
-    const monitoring = this.autoRebalanceMonitoring.get(walletAddress);
-    if (monitoring) {
-      clearInterval(monitoring.intervalId);
-      this.autoRebalanceMonitoring.delete(walletAddress);
-      
+    const events = await RebalanceEvent.find({
+      walletAddress,
+      'schedule.kind': 'monitor',
+      'schedule.active': true
+    });
+    
+    for (const event of events) {
+      await event.deactivateSchedule('Auto-rebalance monitoring disabled');
+    }
+    
+    if (monitoring || events.length > 0) {
       // Also clear any scheduled rebalance
-      this.clearScheduledRebalance(walletAddress);
+      await this.clearScheduledRebalance(walletAddress);
       
       logger.info(`Disabled auto-rebalance monitoring for ${walletAddress}`);
       return true;
@@ -1016,28 +3412,28 @@ class AutoRebalancer {
   /**
    * Get auto-rebalance monitoring status
    * @param {string} walletAddress - User's wallet address
-   * @returns {Object|null} Monitoring status or null if not monitored
+   * @returns {Object|null} Monitoring status with upcoming check times, or null if not monitored
    */
   getAutoRebalanceMonitoringStatus(walletAddress) {
-    if (!this.autoRebalanceMonitoring) return null;
-    
     const monitoring = this.autoRebalanceMonitoring.get(walletAddress);
-    if (!monitoring) return null;
+    const status = this.scheduler.getStatus(`monitor:${walletAddress}`);
+    if (!monitoring || !status) return null;
     
     const now = Date.now();
-    const elapsed = now - monitoring.startTime;
-    const nextCheck = monitoring.startTime + monitoring.checkInterval - (elapsed % monitoring.checkInterval);
     
     return {
       walletAddress,
       monitoring: true,
       startTime: new Date(monitoring.startTime).toISOString(),
-      checkInterval: monitoring.checkInterval,
-      nextCheck: new Date(nextCheck).toISOString(),
-      timeUntilNextCheck: nextCheck - now,
+      checkInterval: status.spec.intervalMs,
+      schedule: status.spec,
+      nextCheck: status.nextRunAt,
+      nextChecks: status.nextRuns,
+      timeUntilNextCheck: status.nextRunAt ? Math.max(0, new Date(status.nextRunAt).getTime() - now) : null,
+      lastCheck: status.lastRunAt,
       options: monitoring.options
     };
   }
 }
 
-module.exports = new AutoRebalancer();
\ No newline at end of file
+module.exports = new AutoRebalancer();
@@ -0,0 +1,281 @@
+/**
+ * circuit_breaker.js
+ *
+ * Safety limits for CompounDefi automated rebalancing
+ * Stops rebalances that would exceed a wallet's limits and provides a
+ * platform-wide kill switch that pauses all automation
+ *
+ * Features:
+ * - Cap on the USD value moved per wallet in a rolling 24 hours
+ * - Stop after a number of consecutive failed rebalances
+ * - Stop when the portfolio lost too much value since the last rebalance
+ * - Platform-wide and per-wallet protocol deny-lists
+ * - Admin kill switch that survives restarts
+ */
+
+const RebalanceEvent = require('../models/rebalanceEvent');
+const RebalanceSettings = require('../models/rebalanceSettings');
+const PlatformControl = require('../models/platformControl');
+const { getLogger } = require('../utils/logging');
+
+// Instantiate logger once for the module
+const logger = getLogger('circuit_breaker');
+
+// Breakers that can stop a rebalance
+const BREAKERS = {
+  KILL_SWITCH: 'kill_switch',
+  CONSECUTIVE_FAILURES: 'consecutive_failures',
+  DAILY_NOTIONAL: 'daily_notional',
+  DENIED_PROTOCOL: 'denied_protocol',
+  DRAWDOWN: 'drawdown'
+};
+
+// Window for the notional limit
+const NOTIONAL_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Normalize a list of protocol names
+ * @param {Array|string} protocols - Protocol names, or a comma-separated string
+ * @returns {Array<string>} Lowercase protocol names
+ */
+function normalizeProtocols(protocols) {
+  const list = typeof protocols === 'string' ? protocols.split(',') : protocols || [];
+  return list.map(protocol => String(protocol).trim().toLowerCase()).filter(Boolean);
+}
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {Array<string>} options.deniedProtocols - Protocols denied for every wallet
+   * @param {boolean} options.killSwitch - Start with the kill switch engaged
+   */
+  constructor({ deniedProtocols = [], killSwitch = false } = {}) {
+    this.deniedProtocols = normalizeProtocols(deniedProtocols);
+    this.killSwitch = {
+      engaged: Boolean(killSwitch),
+      reason: killSwitch ? 'Engaged by configuration' : undefined,
+      changedBy: killSwitch ? 'config' : undefined,
+      changedAt: killSwitch ? new Date() : undefined
+    };
+    this.activeTrips = new Map(); // Map of wallet address -> last tripped breaker
+  }
+
+  /**
+   * Load the persisted kill switch state (the stored state wins over configuration)
+   * @returns {Promise<Object>} Kill switch state
+   */
+  async loadKillSwitch() {
+    const stored = await PlatformControl.getSwitch(PlatformControl.KILL_SWITCH);
+
+    if (stored) {
+      this.killSwitch = {
+        engaged: stored.engaged,
+        reason: stored.reason,
+        changedBy: stored.changedBy,
+        changedAt: stored.changedAt
+      };
+    }
+
+    if (this.killSwitch.engaged) {
+      logger.warn(`Kill switch engaged: all automated rebalancing is paused (${this.killSwitch.reason || 'no reason given'})`);
+    }
+
+    return this.getKillSwitch();
+  }
+
+  /**
+   * Get the kill switch state
+   * @returns {Object} { engaged, reason, changedBy, changedAt }
+   */
+  getKillSwitch() {
+    return { ...this.killSwitch };
+  }
+
+  /**
+   * Check whether the kill switch is engaged
+   * @returns {boolean} Whether automation is paused
+   */
+  isKillSwitchEngaged() {
+    return this.killSwitch.engaged;
+  }
+
+  /**
+   * Engage or release the kill switch
+   * @param {boolean} engaged - Whether automation is paused
+   * @param {Object} options - { reason, changedBy }
+   * @returns {Promise<Object>} Kill switch state
+   */
+  async setKillSwitch(engaged, { reason, changedBy } = {}) {
+    // Applied in memory first so automation stops before the write completes
+    this.killSwitch = { engaged: Boolean(engaged), reason, changedBy, changedAt: new Date() };
+
+    if (!engaged) {
+      this.activeTrips.forEach((breaker, walletAddress) => {
+        if (breaker === BREAKERS.KILL_SWITCH) this.activeTrips.delete(walletAddress);
+      });
+    }
+
+    logger.warn(`Kill switch ${engaged ? 'engaged' : 'released'} by ${changedBy || 'unknown'}${reason ? `: ${reason}` : ''}`);
+
+    await PlatformControl.setSwitch(PlatformControl.KILL_SWITCH, Boolean(engaged), { reason, changedBy });
+    return this.getKillSwitch();
+  }
+
+  /**
+   * Get the protocols a wallet may not rebalance into or out of
+   * @param {Object} settings - Resolved wallet settings
+   * @returns {Array<string>} Platform and wallet deny-lists combined
+   */
+  getDeniedProtocols(settings) {
+    return [...new Set([...this.deniedProtocols, ...normalizeProtocols(settings.deniedProtocols)])];
+  }
+
+  /**
+   * Check every breaker that the given inputs allow
+   *
+   * The kill switch, consecutive failures and notional already moved are always checked.
+   * Planned operations add the deny-list and the notional they would move; portfolio data
+   * adds the drawdown check.
+   * @param {string} walletAddress - User's wallet address
+   * @param {Object} settings - Resolved wallet settings
+   * @param {Object} context - Optional { portfolioData, operations }
+   * @returns {Promise<Object|null>} Trip { breaker, reason, details }, or null when clear
+   */
+  async check(walletAddress, settings, { portfolioData, operations } = {}) {
+    if (this.killSwitch.engaged) {
+      return this.trip(BREAKERS.KILL_SWITCH, `Automation paused by an administrator${this.killSwitch.reason ? `: ${this.killSwitch.reason}` : ''}`, {
+        changedBy: this.killSwitch.changedBy,
+        changedAt: this.killSwitch.changedAt
+      });
+    }
+
+    const usage = await this.getUsage(walletAddress, portfolioData);
+
+    if (usage.consecutiveFailures >= settings.maxConsecutiveFailures) {
+      return this.trip(BREAKERS.CONSECUTIVE_FAILURES, `${usage.consecutiveFailures} consecutive failed rebalances (limit ${settings.maxConsecutiveFailures})`, {
+        consecutiveFailures: usage.consecutiveFailures,
+        limit: settings.maxConsecutiveFailures
+      });
+    }
+
+    const plannedUSD = (operations || [])
+      .filter(op => op.type !== 'claim')
+      .reduce((sum, op) => sum + (parseFloat(op.amountUSD) || 0), 0);
+
+    if (usage.notionalMovedUSD + plannedUSD > settings.maxDailyNotionalUSD || usage.notionalMovedUSD >= settings.maxDailyNotionalUSD) {
+      return this.trip(BREAKERS.DAILY_NOTIONAL, `Moving $${plannedUSD.toFixed(2)} would exceed the 24h limit of $${settings.maxDailyNotionalUSD} ($${usage.notionalMovedUSD.toFixed(2)} already moved)`, {
+        movedUSD: usage.notionalMovedUSD,
+        plannedUSD,
+        limit: settings.maxDailyNotionalUSD
+      });
+    }
+
+    const denied = this.getDeniedProtocols(settings);
+    const touched = (operations || [])
+      .flatMap(op => [op.protocol, op.fromProtocol, op.toProtocol])
+      .filter(Boolean)
+      .map(protocol => protocol.toLowerCase());
+    const deniedTouched = [...new Set(touched.filter(protocol => denied.includes(protocol)))];
+
+    if (deniedTouched.length > 0) {
+      return this.trip(BREAKERS.DENIED_PROTOCOL, `Plan uses denied protocol(s): ${deniedTouched.join(', ')}`, {
+        protocols: deniedTouched
+      });
+    }
+
+    if (usage.drawdownPercent !== null && usage.drawdownPercent > settings.maxDrawdownPercent) {
+      return this.trip(BREAKERS.DRAWDOWN, `Portfolio down ${usage.drawdownPercent.toFixed(2)}% since the last rebalance (limit ${settings.maxDrawdownPercent}%)`, {
+        drawdownPercent: usage.drawdownPercent,
+        referenceValueUSD: usage.referenceValueUSD,
+        limit: settings.maxDrawdownPercent
+      });
+    }
+
+    this.activeTrips.delete(walletAddress);
+    return null;
+  }
+
+  /**
+   * Measure what the breakers are compared against
+   * @param {string} walletAddress - User's wallet address
+   * @param {Object} portfolioData - Current portfolio data (drawdown is null without it)
+   * @returns {Promise<Object>} Consecutive failures, notional moved and drawdown
+   */
+  async getUsage(walletAddress, portfolioData = null) {
+    const reset = await RebalanceSettings.getBreakerReset(walletAddress);
+    const consecutiveFailures = await RebalanceEvent.countConsecutiveFailures(walletAddress, reset?.at);
+    const notionalMovedUSD = await RebalanceEvent.getNotionalMoved(walletAddress, new Date(Date.now() - NOTIONAL_WINDOW));
+
+    let referenceValueUSD = null;
+    let drawdownPercent = null;
+
+    if (portfolioData) {
+      // Value after the last rebalance, or at the last reset when that is more recent
+      const lastExecuted = await RebalanceEvent.findLastExecuted(walletAddress);
+      if (lastExecuted) {
+        referenceValueUSD = lastExecuted.newState?.totalValueUSD || lastExecuted.previousState?.totalValueUSD || null;
+      }
+      if (reset?.totalValueUSD && (!lastExecuted || new Date(reset.at) > lastExecuted.endTime)) {
+        referenceValueUSD = reset.totalValueUSD;
+      }
+
+      const currentValueUSD = parseFloat(portfolioData.totalValueUSD || 0);
+      if (referenceValueUSD > 0) {
+        drawdownPercent = Math.max(0, (referenceValueUSD - currentValueUSD) / referenceValueUSD * 100);
+      }
+    }
+
+    return { consecutiveFailures, notionalMovedUSD, referenceValueUSD, drawdownPercent, resetAt: reset?.at || null };
+  }
+
+  /**
+   * Remember a trip for a wallet
+   * @param {string} walletAddress - User's wallet address
+   * @param {Object} trip - Trip returned by check
+   * @returns {boolean} Whether the trip is new for the wallet (and worth a notification)
+   */
+  registerTrip(walletAddress, trip) {
+    const previous = this.activeTrips.get(walletAddress);
+    this.activeTrips.set(walletAddress, trip.breaker);
+    return previous !== trip.breaker;
+  }
+
+  /**
+   * Get the breaker that last stopped a wallet's rebalance, if it has not cleared since
+   * @param {string} walletAddress - User's wallet address
+   * @returns {string|null} Breaker name
+   */
+  getActiveTrip(walletAddress) {
+    return this.activeTrips.get(walletAddress) || null;
+  }
+
+  /**
+   * Reset the consecutive-failure and drawdown breakers for a wallet
+   *
+   * The 24h notional limit is not reset; it clears as the window moves on.
+   * @param {string} walletAddress - User's wallet address
+   * @param {number} totalValueUSD - Current portfolio value, the new drawdown reference
+   * @returns {Promise<void>}
+   */
+  async reset(walletAddress, totalValueUSD) {
+    await RebalanceSettings.recordBreakerReset(walletAddress, totalValueUSD);
+    this.activeTrips.delete(walletAddress);
+    logger.info(`Circuit breakers reset for ${walletAddress}`);
+  }
+
+  /**
+   * Build a trip result
+   * @param {string} breaker - Breaker name from BREAKERS
+   * @param {string} reason - Human-readable reason
+   * @param {Object} details - Measured values
+   * @returns {Object} Trip
+   */
+  trip(breaker, reason, details = {}) {
+    return { breaker, reason, details };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  BREAKERS
+};
@@ -0,0 +1,455 @@
+/**
+ * delegation_manager.js
+ *
+ * Delegated execution for CompounDefi hands-off automation
+ * A browser wallet cannot sign while its owner is away, so an owner can opt in to an
+ * automation account: an Aptos resource account they create and fund, whose
+ * authentication key is a server-held delegate key. Automation signs for that account,
+ * and only within the limits the owner set.
+ *
+ * Features:
+ * - Delegate keys generated per automation account and stored encrypted (AES-256-GCM)
+ * - The owner authorizes on chain by creating the resource account with the delegate's key
+ * - Every operation checked by the delegation policy before it is signed
+ * - Every signing decision written to the delegation audit log
+ * - Revocation stops signing at once and hands the account back by rotating its key to the owner's
+ */
+
+const crypto = require('crypto');
+const {
+  Account, AccountAddress, Ed25519PrivateKey, Hex, createResourceAddress
+} = require('@aptos-labs/ts-sdk');
+const Delegation = require('../models/delegation');
+const DelegationAudit = require('../models/delegationAudit');
+const transactionManager = require('./transaction_manager');
+const { DelegationPolicy, DAILY_WINDOW } = require('./delegation_policy');
+const { encryptSecret, decryptSecret } = require('../utils/encryptionUtils');
+const { OCTAS_PER_APT } = require('../protocols/helpers');
+const protocols = require('../protocols');
+const { getLogger } = require('../utils/logging');
+const env = require('../config/env');
+
+// Instantiate logger once for the module
+const logger = getLogger('delegation_manager');
+
+// Entry function the owner signs to create and fund the automation account
+const CREATE_ACCOUNT_FUNCTION = '0x1::resource_account::create_resource_account_and_fund';
+
+// Entry function that hands the automation account back to its owner on revocation
+const ROTATE_KEY_FUNCTION = '0x1::account::rotate_authentication_key_call';
+
+class DelegationManager {
+  constructor() {
+    this.policy = new DelegationPolicy({
+      limits: { maxPerTransaction: env.DELEGATION.maxPerTransaction, maxPerDay: env.DELEGATION.maxPerDay }
+    });
+  }
+
+  /**
+   * Start a delegation: generate the delegate key and the transaction that authorizes it
+   *
+   * The delegation stays pending until the owner signs the returned payload, which creates
+   * the automation account with the delegate's key, and reports it through confirmDelegation.
+   * A pending delegation that is not confirmed in time expires, so it stops blocking new ones.
+   * @param {string} ownerAddress - Owner's wallet address
+   * @param {Object} terms - { allowedFunctions, maxPerTransaction, maxPerDay, fundAmount, userId }
+   *   (fundAmount in APT moved into the account when it is created)
+   * @returns {Promise<Object>} Delegation description with the payload the owner signs
+   */
+  async createDelegation(ownerAddress, { allowedFunctions, maxPerTransaction, maxPerDay, fundAmount = 0, userId } = {}) {
+    if (!env.DELEGATION.encryptionKey) {
+      throw this.createError('Delegated execution is not available', 'delegation_unavailable');
+    }
+
+    const network = transactionManager.network;
+    const validated = this.policy.validateTerms({ allowedFunctions, maxPerTransaction, maxPerDay }, network);
+    const fund = parseFloat(fundAmount) || 0;
+    if (fund < 0) {
+      throw this.createError('fundAmount cannot be negative', 'invalid_delegation');
+    }
+
+    await Delegation.expirePending(ownerAddress, env.DELEGATION.pendingTTL);
+    const open = await Delegation.findOpen(ownerAddress);
+    if (open) {
+      throw this.createError(`A delegation is already ${open.status} for this wallet`, 'delegation_exists');
+    }
+
+    // A fresh Ed25519 account's address is its authentication key
+    const delegate = Account.generate();
+    const seed = crypto.randomBytes(16).toString('hex');
+    const accountAddress = createResourceAddress(AccountAddress.from(ownerAddress), Hex.fromHexInput(seed).toUint8Array()).toString();
+
+    const delegation = await Delegation.create({
+      ownerAddress,
+      userId,
+      accountAddress,
+      seed,
+      delegateAuthKey: delegate.accountAddress.toString(),
+      encryptedKey: encryptSecret(delegate.privateKey.toString(), env.DELEGATION.encryptionKey),
+      fundAmount: fund,
+      ...validated
+    });
+
+    logger.info(`Delegation ${delegation._id} created for ${ownerAddress}, automation account ${accountAddress}`);
+
+    return this.describeDelegation(delegation);
+  }
+
+  /**
+   * Activate a delegation once the owner created the automation account on chain
+   * @param {string} ownerAddress - Owner's wallet address
+   * @param {string} delegationId - Delegation ID
+   * @param {string} hash - Hash of the owner's transaction that created the account
+   * @returns {Promise<Object>} Delegation description
+   */
+  async confirmDelegation(ownerAddress, delegationId, hash) {
+    await Delegation.expirePending(ownerAddress, env.DELEGATION.pendingTTL);
+    const delegation = await this.findDelegation(ownerAddress, delegationId);
+    if (delegation.status !== 'pending') {
+      throw this.createError(`Delegation is ${delegation.status}`, 'invalid_delegation_state');
+    }
+
+    const status = await transactionManager.checkTransactionStatus(hash);
+    if (status.status !== 'confirmed') {
+      throw this.createError(`Authorization transaction is ${status.status}`, 'delegation_not_authorized');
+    }
+
+    // Only the owner can create the resource account at this address, so the delegate's key on it is the authorization
+    const aptos = await this.getClient();
+    const account = await aptos.getAccountInfo({ accountAddress: delegation.accountAddress });
+    if (String(account.authentication_key).toLowerCase() !== delegation.delegateAuthKey.toLowerCase()) {
+      throw this.createError('The automation account is not controlled by the delegate key', 'delegation_not_authorized');
+    }
+
+    await delegation.activate(hash);
+    await this.audit(delegation, { action: 'activate', hash });
+
+    logger.info(`Delegation ${delegation._id} active for ${delegation.accountAddress}`);
+    return this.describeDelegation(delegation);
+  }
+
+  /**
+   * Revoke a delegation
+   *
+   * The delegate stops signing immediately. If the automation account exists, its key is then
+   * rotated to the owner's so the owner controls it, and the delegate key is destroyed. When the
+   * hand-back fails the key is kept so revoking again can retry it. Expired delegations can be
+   * revoked too, to take back an account the owner created after the authorization lapsed.
+   * @param {string} ownerAddress - Owner's wallet address
+   * @param {string} delegationId - Delegation ID
+   * @param {string} reason - Why it was revoked
+   * @returns {Promise<Object>} Delegation description
+   */
+  async revokeDelegation(ownerAddress, delegationId, reason = 'Revoked by owner') {
+    const delegation = await this.findDelegation(ownerAddress, delegationId, { withKey: true });
+    if (delegation.status === 'revoked' && delegation.handBack?.status !== 'failed') {
+      return this.describeDelegation(delegation);
+    }
+
+    await delegation.revoke(reason);
+    logger.info(`Delegation ${delegation._id} revoked for ${delegation.accountAddress}: ${reason}`);
+
+    try {
+      const aptos = await this.getClient();
+      const account = await aptos.getAccountInfo({ accountAddress: delegation.accountAddress }).catch(() => null);
+
+      if (!account || String(account.authentication_key).toLowerCase() !== delegation.delegateAuthKey.toLowerCase()) {
+        delegation.handBack = { status: 'not_required', completedAt: new Date() };
+      } else {
+        const owner = await aptos.getAccountInfo({ accountAddress: ownerAddress });
+        const transaction = await aptos.transaction.build.simple({
+          sender: delegation.accountAddress,
+          data: { function: ROTATE_KEY_FUNCTION, functionArguments: [owner.authentication_key] }
+        });
+
+        const entry = await this.audit(delegation, { action: 'revoke', function: ROTATE_KEY_FUNCTION, status: 'signed', reason });
+        const senderAuthenticator = aptos.transaction.sign({ signer: this.loadSigner(delegation), transaction });
+        const pending = await aptos.transaction.submit.simple({ transaction, senderAuthenticator });
+        await DelegationAudit.updateOne({ _id: entry._id }, { $set: { hash: pending.hash, status: 'submitted' } });
+        await aptos.waitForTransaction({ transactionHash: pending.hash });
+
+        delegation.handBack = { status: 'completed', hash: pending.hash, completedAt: new Date() };
+      }
+
+      delegation.encryptedKey = undefined;
+    } catch (error) {
+      logger.error(`Failed to hand automation account ${delegation.accountAddress} back to ${ownerAddress}:`, error);
+      delegation.handBack = { status: 'failed', error: error.message };
+    }
+
+    await delegation.save();
+    return this.describeDelegation(delegation);
+  }
+
+  /**
+   * Check whether an automation account has an active delegation
+   * @param {string} accountAddress - Wallet address
+   * @returns {Promise<boolean>} True when automation can sign for it
+   */
+  async hasActiveDelegation(accountAddress) {
+    return Boolean(await Delegation.exists({ accountAddress, status: 'active' }));
+  }
+
+  /**
+   * Sign and submit operations for an automation account, one after the other
+   *
+   * Each operation waits for the previous one to execute, since later operations spend
+   * what earlier ones withdraw; the first failure skips the rest.
+   * @param {string} accountAddress - Automation account address
+   * @param {Array} operations - Operations ({ protocol, type, amount, fromProtocol, toProtocol, pool })
+   * @param {Object} options - { gasTier, source }
+   * @returns {Promise<Object>} { successful, failed } with hash and transactionId on successful operations
+   */
+  async executeOperations(accountAddress, operations, options = {}) {
+    const successful = [];
+    const failed = [];
+
+    for (const [index, operation] of operations.entries()) {
+      try {
+        successful.push(await this.executeOperation(accountAddress, operation, options));
+      } catch (error) {
+        failed.push({ ...operation, error: error.message });
+        failed.push(...operations.slice(index + 1).map(skipped => ({
+          ...skipped,
+          error: 'Skipped after an earlier operation failed'
+        })));
+        break;
+      }
+    }
+
+    return { successful, failed };
+  }
+
+  /**
+   * Check an operation against the delegation policy, then sign and submit it for an automation account
+   * @param {string} accountAddress - Automation account address
+   * @param {Object} operation - { protocol, type, amount, fromProtocol, toProtocol, pool }
+   * @param {Object} options - { gasTier, source }
+   * @returns {Promise<Object>} Operation with its transactionId and hash, once executed
+   */
+  async executeOperation(accountAddress, operation, { gasTier, source = 'auto-rebalance' } = {}) {
+    const delegation = await Delegation.findActive(accountAddress).select('+encryptedKey');
+    if (!delegation) {
+      throw this.createError(`No active delegation for ${accountAddress}`, 'delegation_not_found');
+    }
+
+    const network = transactionManager.network;
+    const fn = protocols.getEntryFunction(operation.protocol, operation.type, network);
+    const amount = parseFloat(operation.amount);
+    const details = { function: fn, protocol: operation.protocol, type: operation.type, amount, source };
+
+    await this.enforcePolicy(delegation, details, network);
+    const signer = transactionManager.mockMode ? null : this.loadSigner(delegation);
+
+    // Built from the registry only: callers cannot point the delegate at another contract
+    const prepared = await transactionManager.executeOperation(
+      accountAddress,
+      operation.protocol,
+      operation.type,
+      amount,
+      null,
+      null,
+      {
+        fromProtocol: operation.fromProtocol,
+        toProtocol: operation.toProtocol,
+        pool: operation.pool,
+        gasTier,
+        source,
+        publicKey: signer?.publicKey.toString(),
+        metadata: { delegationId: delegation._id.toString() }
+      }
+    );
+
+    if (!prepared.success) {
+      throw new Error(prepared.error);
+    }
+    if (prepared.mock) {
+      return { ...operation, transactionId: prepared.transactionId, hash: prepared.hash };
+    }
+
+    // The built transaction must call exactly what the policy approved
+    if (String(prepared.data.function).toLowerCase() !== String(fn).toLowerCase()) {
+      await this.enforcePolicy(delegation, { ...details, function: prepared.data.function }, network);
+    }
+
+    const aptos = await this.getClient();
+    const transaction = transactionManager.deserializeTransaction(prepared.transaction.bcs);
+    const senderAuthenticator = aptos.transaction.sign({ signer, transaction });
+
+    // Written before the transaction leaves the server, so nothing signed goes unrecorded
+    const entry = await this.audit(delegation, {
+      action: 'sign',
+      status: 'signed',
+      transactionId: prepared.transactionId,
+      ...details
+    });
+
+    let hash;
+    try {
+      ({ hash } = await aptos.transaction.submit.simple({ transaction, senderAuthenticator }));
+    } catch (error) {
+      await DelegationAudit.updateOne({ _id: entry._id }, { $set: { status: 'submit_failed', reason: error.message } });
+      throw error;
+    }
+
+    await DelegationAudit.updateOne({ _id: entry._id }, { $set: { hash, status: 'submitted' } });
+    await transactionManager.recordSubmission(accountAddress, { hash, transactionId: prepared.transactionId });
+    logger.info(`Delegate signed ${operation.type} on ${operation.protocol} for ${accountAddress}: ${hash}`);
+
+    await aptos.waitForTransaction({ transactionHash: hash });
+    return { ...operation, transactionId: prepared.transactionId, hash };
+  }
+
+  /**
+   * Refuse an operation the delegation policy does not allow, recording the refusal
+   * @param {Object} delegation - Delegation document
+   * @param {Object} details - { function, protocol, type, amount, source }
+   * @param {string} network - Network
+   * @returns {Promise<void>}
+   */
+  async enforcePolicy(delegation, details, network) {
+    const signedToday = await DelegationAudit.getSignedAmountSince(delegation._id, new Date(Date.now() - DAILY_WINDOW));
+    const decision = this.policy.check(delegation, details, { signedToday, network });
+
+    if (!decision.allowed) {
+      await this.audit(delegation, { action: 'deny', status: 'denied', reason: `${decision.code}: ${decision.reason}`, ...details });
+      logger.warn(`Delegate refused ${details.type} on ${details.protocol} for ${delegation.accountAddress}: ${decision.reason}`);
+      throw this.createError(decision.reason, 'delegation_denied');
+    }
+  }
+
+  /**
+   * Get the delegations of an owner, newest first
+   * @param {string} ownerAddress - Owner's wallet address
+   * @returns {Promise<Array<Object>>} Delegation descriptions
+   */
+  async getDelegations(ownerAddress) {
+    await Delegation.expirePending(ownerAddress, env.DELEGATION.pendingTTL);
+    const delegations = await Delegation.find({ ownerAddress }).sort({ createdAt: -1 });
+    return delegations.map(delegation => this.describeDelegation(delegation));
+  }
+
+  /**
+   * Get the audit log of a delegation
+   * @param {string} ownerAddress - Owner's wallet address
+   * @param {string} delegationId - Delegation ID
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array<Object>>} Audit entries, newest first
+   */
+  async getAuditLog(ownerAddress, delegationId, limit = 100) {
+    const delegation = await this.findDelegation(ownerAddress, delegationId);
+    return DelegationAudit.getLog(delegation._id, limit);
+  }
+
+  /**
+   * Find a delegation of an owner
+   * @param {string} ownerAddress - Owner's wallet address
+   * @param {string} delegationId - Delegation ID
+   * @param {Object} options - { withKey } to load the encrypted delegate key
+   * @returns {Promise<Object>} Delegation document
+   */
+  async findDelegation(ownerAddress, delegationId, { withKey = false } = {}) {
+    const query = /^[0-9a-f]{24}$/i.test(delegationId || '') ?
+      Delegation.findOne({ _id: delegationId, ownerAddress }) :
+      null;
+    const delegation = query && await (withKey ? query.select('+encryptedKey') : query);
+
+    if (!delegation) {
+      throw this.createError('Delegation not found', 'delegation_not_found');
+    }
+    return delegation;
+  }
+
+  /**
+   * Decrypt the delegate key of a delegation into a signer for its automation account
+   * @param {Object} delegation - Delegation document loaded with its encrypted key
+   * @returns {Object} Account that signs as the automation account
+   */
+  loadSigner(delegation) {
+    if (!delegation.encryptedKey?.ciphertext) {
+      throw this.createError('The delegate key of this delegation was destroyed', 'invalid_delegation_state');
+    }
+
+    const privateKey = new Ed25519PrivateKey(decryptSecret(delegation.encryptedKey, env.DELEGATION.encryptionKey));
+    return Account.fromPrivateKey({ privateKey, address: AccountAddress.from(delegation.accountAddress) });
+  }
+
+  /**
+   * Get the Aptos client of the transaction manager
+   * @returns {Promise<Object>} Aptos client
+   */
+  async getClient() {
+    if (!transactionManager.initialized) {
+      await transactionManager.initialize();
+    }
+    return transactionManager.aptosClient;
+  }
+
+  /**
+   * Write an entry to the delegation audit log
+   * @param {Object} delegation - Delegation document
+   * @param {Object} entry - { action, status, transactionId, hash, function, protocol, type, amount, source, reason }
+   * @returns {Promise<Object>} Audit entry
+   */
+  audit(delegation, entry) {
+    return DelegationAudit.create({
+      delegationId: delegation._id,
+      ownerAddress: delegation.ownerAddress,
+      accountAddress: delegation.accountAddress,
+      ...entry
+    });
+  }
+
+  /**
+   * Describe a delegation for the API, without its key and with the authorization payload while pending
+   * @param {Object} delegation - Delegation document
+   * @returns {Object} Delegation description
+   */
+  describeDelegation(delegation) {
+    return {
+      delegationId: delegation._id.toString(),
+      ownerAddress: delegation.ownerAddress,
+      accountAddress: delegation.accountAddress,
+      delegateAuthKey: delegation.delegateAuthKey,
+      status: delegation.status,
+      allowedFunctions: delegation.allowedFunctions,
+      maxPerTransaction: delegation.maxPerTransaction,
+      maxPerDay: delegation.maxPerDay,
+      fundAmount: delegation.fundAmount,
+      authorizationHash: delegation.authorizationHash,
+      activatedAt: delegation.activatedAt,
+      revokedAt: delegation.revokedAt,
+      revokeReason: delegation.revokeReason,
+      handBack: delegation.handBack?.status ? delegation.handBack : undefined,
+      createdAt: delegation.createdAt,
+      expiresAt: delegation.status === 'pending' ?
+        new Date(delegation.createdAt.getTime() + env.DELEGATION.pendingTTL) :
+        undefined,
+      // Until the owner signs it, the transaction that authorizes the delegate
+      payload: delegation.status === 'pending' ? {
+        type: 'entry_function_payload',
+        function: CREATE_ACCOUNT_FUNCTION,
+        type_arguments: [],
+        arguments: [
+          `0x${delegation.seed}`,
+          delegation.delegateAuthKey,
+          Math.floor((delegation.fundAmount || 0) * OCTAS_PER_APT).toString()
+        ]
+      } : undefined
+    };
+  }
+
+  /**
+   * Create a delegation error the routes map to a status code
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @returns {Error} Coded error
+   */
+  createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new DelegationManager();
@@ -0,0 +1,138 @@
+/**
+ * delegation_policy.js
+ *
+ * Policy engine of CompounDefi delegated execution
+ * Checks every operation before the server-held delegate key signs it for an
+ * automation account, against the limits its owner set
+ *
+ * Features:
+ * - Only entry functions the owner allowed, and that the protocol registry still lists
+ * - Cap on the amount of a single transaction
+ * - Cap on the amount signed in a rolling 24 hours
+ * - Revoked and unconfirmed delegations never sign
+ */
+
+const protocols = require('../protocols');
+
+// Window for the daily cap
+const DAILY_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+
+// Reasons the policy refuses an operation
+const DENIALS = {
+  INACTIVE: 'delegation_inactive',
+  FUNCTION: 'function_not_allowed',
+  TRANSACTION_CAP: 'transaction_cap_exceeded',
+  DAILY_CAP: 'daily_cap_exceeded'
+};
+
+class DelegationPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {Object} options.registry - Protocol registry the allow-list is drawn from
+   * @param {Object} options.limits - Highest caps a delegation may have ({ maxPerTransaction, maxPerDay } in APT)
+   */
+  constructor({ registry = protocols, limits } = {}) {
+    this.registry = registry;
+    this.limits = limits;
+  }
+
+  /**
+   * Validate the terms an owner grants a delegation
+   * @param {Object} terms - { allowedFunctions, maxPerTransaction, maxPerDay }; no functions allows every registry operation
+   * @param {string} network - Network (defaults to the registry's network)
+   * @returns {Object} Normalized { allowedFunctions, maxPerTransaction, maxPerDay }
+   */
+  validateTerms({ allowedFunctions, maxPerTransaction, maxPerDay }, network = this.registry.getNetwork()) {
+    const registered = this.registry.listEntryFunctions(network);
+    const requested = Array.isArray(allowedFunctions) && allowedFunctions.length > 0 ? allowedFunctions : registered;
+
+    const unknown = requested.filter(fn => !this.isRegistered(fn, network));
+    if (unknown.length > 0) {
+      throw this.createError(`Not in the protocol registry: ${unknown.join(', ')}`);
+    }
+
+    const perTransaction = parseFloat(maxPerTransaction);
+    const perDay = parseFloat(maxPerDay);
+    if (!(perTransaction > 0) || perTransaction > this.limits.maxPerTransaction) {
+      throw this.createError(`maxPerTransaction must be above 0 and at most ${this.limits.maxPerTransaction} APT`);
+    }
+    if (!(perDay >= perTransaction) || perDay > this.limits.maxPerDay) {
+      throw this.createError(`maxPerDay must be at least maxPerTransaction and at most ${this.limits.maxPerDay} APT`);
+    }
+
+    return {
+      allowedFunctions: [...new Set(requested.map(fn => fn.toLowerCase()))],
+      maxPerTransaction: perTransaction,
+      maxPerDay: perDay
+    };
+  }
+
+  /**
+   * Check whether an entry function is in the protocol registry
+   * @param {string} fn - Entry function
+   * @param {string} network - Network
+   * @returns {boolean} True when a registered operation calls it
+   */
+  isRegistered(fn, network = this.registry.getNetwork()) {
+    const name = String(fn || '').toLowerCase();
+    return Boolean(name) && this.registry.listEntryFunctions(network).some(entryFunction => entryFunction.toLowerCase() === name);
+  }
+
+  /**
+   * Check an operation against a delegation
+   * @param {Object} delegation - Delegation document
+   * @param {Object} operation - { function, amount } with the amount in APT
+   * @param {Object} context - { signedToday, network } with the APT signed in the last 24 hours
+   * @returns {Object} { allowed: true } or { allowed: false, code, reason }
+   */
+  check(delegation, { function: fn, amount }, { signedToday = 0, network = this.registry.getNetwork() } = {}) {
+    const value = parseFloat(amount) || 0;
+
+    if (delegation.status !== 'active') {
+      return this.deny(DENIALS.INACTIVE, `Delegation is ${delegation.status}`);
+    }
+
+    const name = String(fn || '').toLowerCase();
+    if (!delegation.allowedFunctions.includes(name) || !this.isRegistered(name, network)) {
+      return this.deny(DENIALS.FUNCTION, `${fn || 'This transaction'} is not allowed for this delegation`);
+    }
+
+    if (value > delegation.maxPerTransaction) {
+      return this.deny(DENIALS.TRANSACTION_CAP, `${value} APT exceeds the ${delegation.maxPerTransaction} APT per-transaction cap`);
+    }
+
+    if (signedToday + value > delegation.maxPerDay) {
+      return this.deny(DENIALS.DAILY_CAP,
+        `${value} APT would exceed the ${delegation.maxPerDay} APT daily cap (${signedToday} APT signed in the last 24 hours)`);
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Describe a refusal
+   * @param {string} code - Denial code
+   * @param {string} reason - Why
+   * @returns {Object} { allowed: false, code, reason }
+   */
+  deny(code, reason) {
+    return { allowed: false, code, reason };
+  }
+
+  /**
+   * Create a delegation terms validation error
+   * @param {string} message - Error message
+   * @returns {Error} Error with code 'invalid_delegation'
+   */
+  createError(message) {
+    const error = new Error(message);
+    error.code = 'invalid_delegation';
+    return error;
+  }
+}
+
+module.exports = {
+  DelegationPolicy,
+  DENIALS,
+  DAILY_WINDOW
+};
@@ -0,0 +1,1279 @@
+/**
+ * fake_chain.js
+ *
+ * In-process fake Aptos chain for CompounDefi end-to-end tests
+ * Implements the subset of the ts-sdk Aptos client the server uses against
+ * deterministic in-memory state, so money-moving flows run offline from the
+ * prepared transaction to its confirmation. Selected with FAKE_CHAIN=true and
+ * never available in production.
+ *
+ * Features:
+ * - Accounts holding APT, liquid staking tokens and other coins, deposits and LP positions
+ * - Registry operations executed with their effects: stake, unstake with unbonding, claim,
+ *   lend, deposit, withdraw, liquidity changes and swaps at configurable exchange rates
+ * - The framework functions automation needs: APT transfers, resource accounts, key rotation
+ * - Registered Move scripts that declare decode, run as their steps in one all-or-nothing transaction
+ * - Sequence numbers, expiration, gas charged to the sender or fee payer, a mempool for gaps
+ * - Scriptable behaviors: aborts, slippage, unbonding periods, slow confirmation, dropped transactions
+ * - Scenario files that seed accounts, rates and behaviors
+ * - Exchange rate view functions of liquid staking tokens
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AccountAddress, Hex, createResourceAddress } = require('@aptos-labs/ts-sdk');
+const protocols = require('../protocols');
+const env = require('../config/env');
+const { COIN_TYPES } = require('../protocols/helpers');
+const { normalizeAddress } = require('../utils/simulationUtils');
+const { getLogger } = require('../utils/logging');
+
+// Instantiate logger once for the module
+const logger = getLogger('fake_chain');
+
+// Chain ID of local test networks
+const CHAIN_ID = 4;
+
+// Transaction defaults of the ts-sdk
+const DEFAULT_MAX_GAS_AMOUNT = 200000;
+const DEFAULT_EXPIRATION_SECONDS = 20;
+
+// Gas units an executed transaction uses unless a behavior says otherwise
+const DEFAULT_GAS_USED = 600;
+
+// Gas unit prices the fake node estimates (octas)
+const DEFAULT_GAS_PRICES = {
+  deprioritized_gas_estimate: 100,
+  gas_estimate: 100,
+  prioritized_gas_estimate: 150
+};
+
+// Framework entry functions the fake chain executes besides registry operations
+const FRAMEWORK_FUNCTIONS = {
+  TRANSFER: '0x1::aptos_account::transfer',
+  CREATE_RESOURCE_ACCOUNT: '0x1::resource_account::create_resource_account_and_fund',
+  ROTATE_KEY: '0x1::account::rotate_authentication_key_call'
+};
+
+// Account resources liquidity positions are stored in, as the adapters read them
+const LP_RESOURCES = {
+  liquidswap: { struct: '::lp_account::LpBalance', field: 'balance' },
+  pancakeswap: { struct: '::router::LiquidityPosition', field: 'balance' },
+  cetus: { struct: '::pool::LpToken', field: 'value' }
+};
+
+// Aborts raised by the fake protocols: [name, code, message]
+const ABORTS = {
+  INSUFFICIENT_BALANCE: ['EINSUFFICIENT_BALANCE', 0x10006, 'Not enough coins to complete transaction'],
+  INSUFFICIENT_POSITION: ['EINSUFFICIENT_POSITION', 0x10007, 'Position is smaller than the amount'],
+  MIN_OUTPUT: ['EMIN_OUTPUT_NOT_MET', 0x10008, 'Output is below the minimum amount out'],
+  NOTHING_TO_CLAIM: ['ENOTHING_TO_CLAIM', 0x30009, 'No unstaked APT has finished unbonding'],
+  ACCOUNT_EXISTS: ['EACCOUNT_ALREADY_EXISTS', 0x80001, 'Account already exists'],
+  UNSUPPORTED: ['EUNSUPPORTED', 0xC0001, 'Operation is not supported by this protocol'],
+  SCRIPTED: ['EABORTED', 0x70001, 'Aborted by a fake chain behavior']
+};
+
+// Fields of raw transactions that are u64
+const U64_FIELDS = ['sequence_number', 'max_gas_amount', 'gas_unit_price', 'expiration_timestamp_secs'];
+
+/**
+ * A Move abort raised while executing a transaction
+ */
+class MoveAbort extends Error {
+  /**
+   * @param {string} vmStatus - VM status the transaction fails with
+   */
+  constructor(vmStatus) {
+    super(vmStatus);
+    this.vmStatus = vmStatus;
+  }
+}
+
+/**
+ * Create an abort in the format of the node's vm_status
+ * @param {string} module - Aborting module (address::module)
+ * @param {Array} abort - [name, code, message] from ABORTS
+ * @returns {MoveAbort} Abort
+ */
+function moveAbort(module, [name, code, message]) {
+  return new MoveAbort(`Move abort in ${module}: ${name}(0x${code.toString(16)}): ${message}`);
+}
+
+/**
+ * Create an error shaped like the ts-sdk's AptosApiError
+ * @param {number} status - HTTP status
+ * @param {string} errorCode - Node error code (e.g. vm_error)
+ * @param {string} message - Error message
+ * @returns {Error} Error with status and data
+ */
+function apiError(status, errorCode, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.data = { message, error_code: errorCode };
+  return error;
+}
+
+/**
+ * Normalize an entry function ID so addresses compare equal however they are written
+ * @param {string} fn - Entry function (address::module::function)
+ * @returns {string} Lowercase function with a 64-character address
+ */
+function normalizeFunction(fn) {
+  const [address, ...rest] = String(fn || '').toLowerCase().split('::');
+  return [normalizeAddress(address), ...rest].join('::');
+}
+
+/**
+ * Encode a value the way the fake chain serializes transactions and signatures (hex of JSON)
+ * @param {Object} value - Value to encode
+ * @returns {string} Hex string
+ */
+function encode(value) {
+  const json = JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item);
+  return `0x${Buffer.from(json, 'utf8').toString('hex')}`;
+}
+
+/**
+ * Decode a value encoded by encode
+ * @param {string} hex - Hex string
+ * @returns {Object} Decoded value
+ */
+function decode(hex) {
+  return JSON.parse(Buffer.from(String(hex).replace(/^0x/, ''), 'hex').toString('utf8'));
+}
+
+/**
+ * Read a transaction argument as the fake chain stores it
+ * @param {*} arg - Plain value, or a BCS value such as U64 (Move script arguments)
+ * @returns {string} Argument
+ */
+function toArgument(arg) {
+  return arg !== null && typeof arg === 'object' && 'value' in arg ? String(arg.value) : String(arg);
+}
+
+/**
+ * A transaction built by the fake chain, in the shape of the ts-sdk's SimpleTransaction
+ */
+class FakeTransaction {
+  /**
+   * @param {Object} rawTransaction - { sender, sequence_number, max_gas_amount, gas_unit_price, expiration_timestamp_secs, chain_id, payload }
+   * @param {string} feePayerAddress - Fee payer, when the transaction has one
+   */
+  constructor(rawTransaction, feePayerAddress) {
+    this.rawTransaction = rawTransaction;
+    this.feePayerAddress = feePayerAddress;
+  }
+
+  bcsToHex() {
+    return encode({
+      rawTransaction: this.rawTransaction,
+      ...(this.feePayerAddress && { feePayerAddress: normalizeAddress(this.feePayerAddress.toString()) })
+    });
+  }
+}
+
+/**
+ * A signature made by the fake chain, in the shape of the ts-sdk's AccountAuthenticator
+ */
+class FakeAuthenticator {
+  /**
+   * @param {Object} fields - { address, authKey, transaction } (authKey is null when the signer cannot tell)
+   */
+  constructor({ address, authKey, transaction }) {
+    this.address = address;
+    this.authKey = authKey;
+    this.transaction = transaction;
+  }
+
+  bcsToHex() {
+    return encode({ address: this.address, authKey: this.authKey, transaction: this.transaction });
+  }
+}
+
+class FakeChain {
+  /**
+   * @param {Object} options - Chain options
+   * @param {Object} options.registry - Protocol registry operations are resolved with
+   * @param {string} options.network - Network of the registry addresses (defaults to the registry's)
+   * @param {Object} options.scenario - Scenario to load (see loadScenario)
+   */
+  constructor({ registry = protocols, network, scenario } = {}) {
+    this.registry = registry;
+    this.network = network || registry.getNetwork();
+    this.reset();
+
+    // Transaction API of the ts-sdk client
+    this.transaction = {
+      build: { simple: args => this.buildTransaction(args) },
+      simulate: { simple: args => this.simulateTransaction(args) },
+      submit: { simple: args => this.submitTransaction(args) },
+      sign: ({ signer, transaction }) => this.sign(signer, transaction),
+      signAsFeePayer: ({ signer, transaction }) => this.sign(signer, transaction)
+    };
+
+    if (scenario) {
+      this.loadScenario(scenario);
+    }
+  }
+
+  /**
+   * Clear every account, transaction, rate and behavior
+   */
+  reset() {
+    this.accounts = new Map(); // Map of address -> account state
+    this.transactions = new Map(); // Map of hash -> committed transaction
+    this.mempool = new Map(); // Map of hash -> submitted transaction waiting to execute
+    this.version = 0;
+    this.timeOffset = 0;
+    this.exchangeRates = {}; // Map of protocol -> APT per liquid staking token
+    this.prices = {}; // Map of coin type -> APT per whole token
+    this.gasPrices = { ...DEFAULT_GAS_PRICES };
+    this.behaviors = [];
+    this.functions = null;
+  }
+
+  /**
+   * Seed the chain from a scenario
+   *
+   * Amounts are whole tokens. Coins are keyed by coin type, or by protocol name for
+   * its liquid staking token; deposits and liquidity by protocol name.
+   * @param {Object} scenario - { accounts: { [address]: { apt, coins, deposits, liquidity, authenticationKey } },
+   *   exchangeRates, prices, gasPrices, behaviors }
+   * @returns {FakeChain} This chain
+   */
+  loadScenario({ accounts = {}, exchangeRates = {}, prices = {}, gasPrices = {}, behaviors = [] } = {}) {
+    Object.entries(accounts).forEach(([address, seed]) => {
+      const account = this.createAccount(address, seed.authenticationKey);
+
+      if (seed.apt) this.fund(address, seed.apt);
+      Object.entries(seed.coins || {}).forEach(([coin, amount]) => this.fund(address, amount, coin));
+      Object.entries(seed.deposits || {}).forEach(([protocol, amount]) => {
+        account.deposits[protocol] = (account.deposits[protocol] || 0n) + this.toRaw(COIN_TYPES.APT, amount);
+      });
+      Object.entries(seed.liquidity || {}).forEach(([protocol, amount]) => {
+        account.liquidity[protocol] = (account.liquidity[protocol] || 0n) + this.toRaw(COIN_TYPES.APT, amount);
+      });
+    });
+
+    Object.entries(exchangeRates).forEach(([protocol, rate]) => this.setExchangeRate(protocol, rate));
+    Object.entries(prices).forEach(([coin, price]) => {
+      this.prices[this.resolveCoinType(coin)] = parseFloat(price);
+    });
+    Object.assign(this.gasPrices, gasPrices);
+    behaviors.forEach(behavior => this.addBehavior(behavior));
+
+    return this;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Test controls
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Create an account, or return the existing one
+   * @param {string} address - Account address
+   * @param {string} authenticationKey - Authentication key (defaults to the address)
+   * @returns {Object} Account state
+   */
+  createAccount(address, authenticationKey) {
+    const account = this.ensureAccount(this.accounts, address);
+    if (authenticationKey) {
+      account.authenticationKey = normalizeAddress(authenticationKey);
+    }
+    return account;
+  }
+
+  /**
+   * Mint coins into an account, creating it when needed
+   * @param {string} address - Account address
+   * @param {number} amount - Whole tokens
+   * @param {string} coin - Coin type, or a protocol name for its liquid staking token (defaults to APT)
+   */
+  fund(address, amount, coin = COIN_TYPES.APT) {
+    const coinType = this.resolveCoinType(coin);
+    const account = this.ensureAccount(this.accounts, address);
+    account.coins[coinType] = (account.coins[coinType] || 0n) + this.toRaw(coinType, amount);
+  }
+
+  /**
+   * Set how much APT one liquid staking token of a protocol is worth
+   * @param {string} protocol - Staking protocol
+   * @param {number} rate - APT per token
+   */
+  setExchangeRate(protocol, rate) {
+    this.exchangeRates[String(protocol).toLowerCase()] = parseFloat(rate);
+  }
+
+  /**
+   * Script how matching transactions behave
+   *
+   * A behavior matches on any of protocol, type, function and sender, and applies
+   * when transactions are simulated, submitted or both (the default). It is used up
+   * after `times` submissions, or applies until cleared.
+   * @param {Object} behavior - { protocol, type, function, sender, on, times } with effects
+   *   { abort (true, an abort name or { name, code, message }), slippage (%), unbondingPeriod (ms),
+   *   gasUsed, pendingPolls (status lookups the transaction stays pending for), drop }
+   * @returns {Object} The stored behavior
+   */
+  addBehavior(behavior) {
+    const stored = {
+      on: 'both',
+      ...behavior,
+      ...(behavior.protocol && { protocol: String(behavior.protocol).toLowerCase() }),
+      ...(behavior.function && { function: normalizeFunction(behavior.function) }),
+      ...(behavior.sender && { sender: normalizeAddress(behavior.sender) })
+    };
+    this.behaviors.push(stored);
+    return stored;
+  }
+
+  /**
+   * Remove every scripted behavior
+   */
+  clearBehaviors() {
+    this.behaviors = [];
+  }
+
+  /**
+   * Move the chain's clock forward (unbonding and expiration follow it)
+   * @param {number} ms - Milliseconds
+   */
+  advanceTime(ms) {
+    this.timeOffset += ms;
+    this.processMempool();
+  }
+
+  /**
+   * Get the chain's current time
+   * @returns {number} Milliseconds since the epoch
+   */
+  now() {
+    return Date.now() + this.timeOffset;
+  }
+
+  /**
+   * Get a coin balance in whole tokens
+   * @param {string} address - Account address
+   * @param {string} coin - Coin type, or a protocol name for its liquid staking token (defaults to APT)
+   * @returns {number} Balance
+   */
+  getBalance(address, coin = COIN_TYPES.APT) {
+    const coinType = this.resolveCoinType(coin);
+    const raw = this.accounts.get(normalizeAddress(address))?.coins[coinType] || 0n;
+    return this.fromRaw(coinType, raw);
+  }
+
+  /**
+   * Get a copy of an account's state
+   * @param {string} address - Account address
+   * @returns {Object|null} { address, sequenceNumber, authenticationKey, coins, deposits, liquidity, unbonding } with raw amounts
+   */
+  getAccountState(address) {
+    const account = this.accounts.get(normalizeAddress(address));
+    return account ? structuredClone(account) : null;
+  }
+
+  /**
+   * Read a transaction encoded by a FakeTransaction's bcsToHex
+   * @param {string} bcs - Encoded transaction
+   * @returns {FakeTransaction} Transaction
+   */
+  deserializeTransaction(bcs) {
+    const { rawTransaction, feePayerAddress } = decode(bcs);
+    U64_FIELDS.forEach(field => {
+      rawTransaction[field] = BigInt(rawTransaction[field]);
+    });
+    return new FakeTransaction(rawTransaction, feePayerAddress);
+  }
+
+  /**
+   * Read a signature encoded by a FakeAuthenticator's bcsToHex
+   * @param {string} hex - Encoded signature
+   * @returns {FakeAuthenticator} Signature
+   */
+  deserializeAuthenticator(hex) {
+    const fields = decode(hex);
+    if (!fields.address || !fields.transaction) {
+      throw new Error('Not a fake chain authenticator');
+    }
+    return new FakeAuthenticator(fields);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Aptos client API
+  // ---------------------------------------------------------------------------
+
+  async getLedgerInfo() {
+    return {
+      chain_id: CHAIN_ID,
+      epoch: '1',
+      ledger_version: String(this.version),
+      oldest_ledger_version: '0',
+      ledger_timestamp: String(this.now() * 1000),
+      node_role: 'full_node',
+      block_height: String(this.version)
+    };
+  }
+
+  async getGasPriceEstimation() {
+    return { ...this.gasPrices };
+  }
+
+  async getAccountInfo({ accountAddress }) {
+    const account = this.getExistingAccount(accountAddress);
+    return {
+      sequence_number: account.sequenceNumber.toString(),
+      authentication_key: account.authenticationKey
+    };
+  }
+
+  async getAccountAPTAmount({ accountAddress }) {
+    return Number(this.accounts.get(normalizeAddress(accountAddress))?.coins[COIN_TYPES.APT] || 0n);
+  }
+
+  async getAccountResources({ accountAddress }) {
+    const account = this.getExistingAccount(accountAddress);
+    const resources = [{
+      type: '0x1::account::Account',
+      data: { authentication_key: account.authenticationKey, sequence_number: account.sequenceNumber.toString() }
+    }];
+
+    Object.entries(account.coins).forEach(([coinType, raw]) => {
+      resources.push({ type: `0x1::coin::CoinStore<${coinType}>`, data: { coin: { value: raw.toString() }, frozen: false } });
+    });
+
+    Object.entries(account.deposits).filter(([, raw]) => raw > 0n).forEach(([protocol, raw]) => {
+      resources.push({ type: `${this.registry.getAddress(protocol, this.network)}::fake_chain::Deposit`, data: { value: raw.toString() } });
+    });
+
+    Object.entries(account.liquidity).filter(([, position]) => position.balance > 0n).forEach(([protocol, position]) => {
+      const layout = LP_RESOURCES[protocol] || { struct: '::fake_chain::LiquidityPosition', field: 'balance' };
+      resources.push({
+        type: `${this.registry.getAddress(protocol, this.network)}${layout.struct}`,
+        data: { [layout.field]: position.balance.toString(), pool_type: position.poolType }
+      });
+    });
+
+    account.unbonding.forEach(entry => {
+      resources.push({
+        type: `${this.registry.getAddress(entry.protocol, this.network)}::fake_chain::Unbonding`,
+        data: { amount: entry.amount.toString(), claimable_at_secs: String(Math.floor(entry.claimableAt / 1000)) }
+      });
+    });
+
+    return resources;
+  }
+
+  async getAccountCoinsData({ accountAddress }) {
+    const account = this.accounts.get(normalizeAddress(accountAddress));
+    if (!account) return [];
+
+    return Object.entries(account.coins).map(([coinType, raw]) => ({
+      amount: raw.toString(),
+      asset_type: coinType,
+      owner_address: account.address,
+      is_frozen: false,
+      is_primary: true,
+      token_standard: 'v1',
+      metadata: {
+        asset_type: coinType,
+        symbol: this.getSymbol(coinType),
+        name: this.getSymbol(coinType),
+        decimals: this.getDecimals(coinType),
+        token_standard: 'v1'
+      }
+    }));
+  }
+
+  /**
+   * Call a view function; the fake chain serves the liquid staking exchange rates adapters declare
+   * @param {Object} args - { payload: { function, functionArguments } }
+   * @returns {Promise<Array<string>>} [apt, supply] backing the token at its exchange rate
+   */
+  async view({ payload }) {
+    const name = String(payload.function).toLowerCase();
+    const adapter = this.registry.listProtocols({ network: this.network }).find(candidate => candidate.exchangeRate &&
+      `${this.registry.getAddress(candidate.name, this.network)}${candidate.exchangeRate.function}`.toLowerCase() === name);
+
+    if (!adapter) {
+      throw apiError(400, 'invalid_input', `Function ${payload.function} is not a view function on the fake chain`);
+    }
+
+    const supply = 10n ** BigInt(adapter.token?.decimals ?? 8);
+    const rate = this.exchangeRates[adapter.name] ?? 1;
+    return [BigInt(Math.round(rate * Number(supply))).toString(), supply.toString()];
+  }
+
+  async getAccountTransactions({ accountAddress, options = {} }) {
+    const sender = normalizeAddress(accountAddress);
+    const offset = options.offset || 0;
+    const limit = options.limit || 25;
+
+    return [...this.transactions.values()]
+      .filter(transaction => transaction.sender === sender)
+      .slice(offset, offset + limit);
+  }
+
+  async getTransactionByHash({ transactionHash }) {
+    const pending = this.mempool.get(transactionHash);
+    if (pending) {
+      pending.pendingPolls = Math.max(0, pending.pendingPolls - 1);
+      this.processMempool();
+    }
+
+    if (this.mempool.has(transactionHash)) {
+      return this.describePending(this.mempool.get(transactionHash));
+    }
+
+    const committed = this.transactions.get(transactionHash);
+    if (!committed) {
+      throw apiError(404, 'transaction_not_found', `Transaction not found by Transaction hash(${transactionHash})`);
+    }
+    return committed;
+  }
+
+  async waitForTransaction({ transactionHash, options = {} }) {
+    const pending = this.mempool.get(transactionHash);
+    if (pending) {
+      pending.pendingPolls = 0;
+      this.processMempool();
+    }
+
+    const committed = this.transactions.get(transactionHash);
+    if (!committed) {
+      throw new Error(`Fetching transaction ${transactionHash} failed and timed out`);
+    }
+    if (!committed.success && options.checkSuccess !== false) {
+      const error = new Error(`Transaction ${transactionHash} failed with an error: ${committed.vm_status}`);
+      error.transaction = committed;
+      throw error;
+    }
+    return committed;
+  }
+
+  async signAndSubmitTransaction({ signer, transaction, feePayer }) {
+    return this.submitTransaction({
+      transaction,
+      senderAuthenticator: this.sign(signer, transaction),
+      ...(feePayer && { feePayerAuthenticator: this.sign(feePayer, transaction) })
+    });
+  }
+
+  /**
+   * Build a transaction (transaction.build.simple)
+   * @param {Object} args - { sender, data, withFeePayer, options: { maxGasAmount, gasUnitPrice, accountSequenceNumber, expireTimestamp } }
+   * @returns {Promise<FakeTransaction>} Transaction
+   */
+  async buildTransaction({ sender, data, withFeePayer, options = {} }) {
+    if (data.bytecode) {
+      const script = this.findScript(data.bytecode);
+      if (typeof script?.decode !== 'function') {
+        throw new Error(`The fake chain only runs registered Move scripts that declare decode${script ? ` (${script.name} does not)` : ''}`);
+      }
+    } else if (!this.isKnownFunction(data.function)) {
+      const module = data.function.split('::').slice(0, 2).join('::');
+      throw apiError(404, 'module_not_found', `Module not found by Address(${module})`);
+    }
+
+    const account = this.getExistingAccount(sender);
+    const rawTransaction = {
+      sender: account.address,
+      sequence_number: BigInt(options.accountSequenceNumber ?? account.sequenceNumber),
+      max_gas_amount: BigInt(options.maxGasAmount || DEFAULT_MAX_GAS_AMOUNT),
+      gas_unit_price: BigInt(options.gasUnitPrice || this.gasPrices.gas_estimate),
+      expiration_timestamp_secs: BigInt(options.expireTimestamp || Math.floor(this.now() / 1000) + DEFAULT_EXPIRATION_SECONDS),
+      chain_id: CHAIN_ID,
+      payload: {
+        ...(data.bytecode ? { bytecode: data.bytecode } : { function: data.function }),
+        type_arguments: (data.typeArguments || []).map(String),
+        arguments: (data.functionArguments || []).map(toArgument)
+      }
+    };
+
+    return new FakeTransaction(rawTransaction, withFeePayer ? normalizeAddress('0x0') : undefined);
+  }
+
+  /**
+   * Simulate a transaction against the current state (transaction.simulate.simple)
+   * @param {Object} args - { transaction } (public keys are accepted and ignored)
+   * @returns {Promise<Array<Object>>} [simulated transaction]
+   */
+  async simulateTransaction({ transaction }) {
+    const raw = transaction.rawTransaction;
+    const sender = this.getExistingAccount(raw.sender);
+    if (raw.sequence_number < sender.sequenceNumber) {
+      throw apiError(400, 'vm_error', 'Invalid transaction: Type: Validation Code: SEQUENCE_NUMBER_TOO_OLD');
+    }
+
+    const matched = this.matchBehaviors(raw, 'simulate');
+    const outcome = this.execute(structuredClone(this.accounts), raw, {
+      feePayer: this.getFeePayer(transaction),
+      effect: Object.assign({}, ...matched)
+    });
+
+    return [this.describeOutcome(raw, outcome, { hash: this.hashOf(transaction), version: this.version })];
+  }
+
+  /**
+   * Sign a transaction (transaction.sign and transaction.signAsFeePayer)
+   *
+   * Signatures are not cryptographic: the signer's address is recorded, with its
+   * authentication key when the signer can tell, and checked on submission.
+   * @param {Object} signer - Account
+   * @param {FakeTransaction} transaction - Transaction
+   * @returns {FakeAuthenticator} Signature
+   */
+  sign(signer, transaction) {
+    const authKey = signer.publicKey?.authKey?.()?.toString();
+    return new FakeAuthenticator({
+      address: normalizeAddress(signer.accountAddress.toString()),
+      authKey: authKey ? normalizeAddress(authKey) : null,
+      transaction: this.hashOf(transaction)
+    });
+  }
+
+  /**
+   * Submit a signed transaction (transaction.submit.simple)
+   * @param {Object} args - { transaction, senderAuthenticator, feePayerAuthenticator }
+   * @returns {Promise<Object>} Pending transaction
+   */
+  async submitTransaction({ transaction, senderAuthenticator, feePayerAuthenticator }) {
+    const raw = transaction.rawTransaction;
+    const hash = this.hashOf(transaction);
+    const sender = this.accounts.get(normalizeAddress(raw.sender));
+    const feePayer = this.getFeePayer(transaction);
+
+    if (!sender) {
+      throw apiError(400, 'vm_error', 'Invalid transaction: Type: Validation Code: SENDING_ACCOUNT_DOES_NOT_EXIST');
+    }
+    this.verifySignature(sender, senderAuthenticator, hash);
+    if (transaction.feePayerAddress) {
+      this.verifySignature(this.getExistingAccount(feePayer), feePayerAuthenticator, hash);
+    }
+    if (Number(raw.expiration_timestamp_secs) * 1000 <= this.now()) {
+      throw apiError(400, 'vm_error', 'Invalid transaction: Type: Validation Code: TRANSACTION_EXPIRED');
+    }
+    if (raw.sequence_number < sender.sequenceNumber) {
+      throw apiError(400, 'vm_error', 'Invalid transaction: Type: Validation Code: SEQUENCE_NUMBER_TOO_OLD');
+    }
+    const payer = this.accounts.get(feePayer);
+    if ((payer?.coins[COIN_TYPES.APT] || 0n) < raw.max_gas_amount * raw.gas_unit_price) {
+      throw apiError(400, 'vm_error', 'Invalid transaction: Type: Validation Code: INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE');
+    }
+
+    const matched = this.matchBehaviors(raw, 'submit');
+    const effect = Object.assign({}, ...matched);
+    this.consumeBehaviors(matched);
+
+    const entry = { hash, raw, feePayer, effect, pendingPolls: effect.pendingPolls || 0 };
+    if (effect.drop) {
+      logger.debug(`Dropped transaction ${hash} as scripted`);
+    } else if (!this.transactions.has(hash)) {
+      this.mempool.set(hash, entry);
+      this.processMempool();
+    }
+
+    return this.describePending(entry);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Execution
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Execute every mempool transaction that is next in its sender's sequence
+   */
+  processMempool() {
+    let progressed = true;
+
+    while (progressed) {
+      progressed = false;
+
+      for (const entry of this.mempool.values()) {
+        const sender = this.accounts.get(normalizeAddress(entry.raw.sender));
+        const expired = Number(entry.raw.expiration_timestamp_secs) * 1000 <= this.now();
+
+        // Expired or superseded transactions are discarded, as the node would
+        if (expired || entry.raw.sequence_number < sender.sequenceNumber) {
+          this.mempool.delete(entry.hash);
+          progressed = true;
+        } else if (entry.pendingPolls === 0 && entry.raw.sequence_number === sender.sequenceNumber) {
+          this.mempool.delete(entry.hash);
+          this.commit(entry);
+          progressed = true;
+        }
+      }
+    }
+  }
+
+  /**
+   * Execute a transaction and write it to the ledger
+   * @param {Object} entry - Mempool entry { hash, raw, feePayer, effect }
+   */
+  commit(entry) {
+    const outcome = this.execute(this.accounts, entry.raw, entry);
+    this.accounts = outcome.accounts;
+    this.version += 1;
+
+    const committed = this.describeOutcome(entry.raw, outcome, { hash: entry.hash, version: this.version });
+    this.transactions.set(entry.hash, committed);
+    logger.debug(`Committed ${entry.raw.payload.function || 'script'} from ${entry.raw.sender}: ${committed.vm_status}`);
+  }
+
+  /**
+   * Execute a transaction against a set of accounts
+   *
+   * Aborts roll back the payload's changes; gas and the sequence number are charged whatever the outcome.
+   * @param {Map} accounts - Accounts to execute against (modified for gas and sequence number)
+   * @param {Object} raw - Raw transaction
+   * @param {Object} context - { feePayer, effect }
+   * @returns {Object} { accounts, success, vmStatus, gasUsed, events }
+   */
+  execute(accounts, raw, { feePayer, effect }) {
+    let gasUsed = Number(effect.gasUsed || DEFAULT_GAS_USED);
+    let state = accounts;
+    let events = [];
+    let vmStatus = 'Executed successfully';
+
+    try {
+      if (gasUsed > Number(raw.max_gas_amount)) {
+        gasUsed = Number(raw.max_gas_amount);
+        throw new MoveAbort('Out of gas');
+      }
+
+      const draft = structuredClone(accounts);
+      this.runPayload({ accounts: draft, events, raw, effect, sender: draft.get(normalizeAddress(raw.sender)) });
+      state = draft;
+    } catch (error) {
+      if (!(error instanceof MoveAbort)) throw error;
+      vmStatus = error.vmStatus;
+      events = [];
+    }
+
+    const payer = state.get(feePayer);
+    if (payer) {
+      const fee = BigInt(gasUsed) * raw.gas_unit_price;
+      const balance = payer.coins[COIN_TYPES.APT] || 0n;
+      payer.coins[COIN_TYPES.APT] = balance > fee ? balance - fee : 0n;
+    }
+    state.get(normalizeAddress(raw.sender)).sequenceNumber += 1n;
+
+    return { accounts: state, success: vmStatus === 'Executed successfully', vmStatus, gasUsed, events };
+  }
+
+  /**
+   * Apply a transaction's payload
+   *
+   * A Move script runs its steps one after the other; an abort in any step rolls
+   * back every step, since execute only keeps the draft state when all of them succeed.
+   * @param {Object} context - { accounts, events, raw, effect, sender }
+   */
+  runPayload(context) {
+    const { raw, effect } = context;
+
+    if (raw.payload.bytecode) {
+      this.getScriptSteps(raw.payload).forEach(payload => this.runPayload({ ...context, raw: { ...raw, payload } }));
+      return;
+    }
+
+    const fn = normalizeFunction(raw.payload.function);
+    const module = fn.split('::').slice(0, 2).join('::');
+
+    if (effect.abort) {
+      const scripted = typeof effect.abort === 'object' ? effect.abort : { name: effect.abort };
+      throw moveAbort(module, [
+        typeof scripted.name === 'string' ? scripted.name : ABORTS.SCRIPTED[0],
+        scripted.code || ABORTS.SCRIPTED[1],
+        scripted.message || ABORTS.SCRIPTED[2]
+      ]);
+    }
+
+    const framework = Object.entries(FRAMEWORK_FUNCTIONS).find(([, name]) => normalizeFunction(name) === fn);
+    if (framework) {
+      this.runFrameworkFunction(framework[0], context);
+      return;
+    }
+
+    const operation = this.getFunctions()[fn];
+    this.runOperation({ ...context, ...operation, module });
+  }
+
+  /**
+   * Apply a framework function
+   * @param {string} name - Key of FRAMEWORK_FUNCTIONS
+   * @param {Object} context - { accounts, events, raw, sender }
+   */
+  runFrameworkFunction(name, { accounts, events, raw, sender }) {
+    const args = raw.payload.arguments;
+
+    if (name === 'TRANSFER') {
+      const [to, amount] = args;
+      this.withdraw(accounts, events, sender.address, COIN_TYPES.APT, BigInt(amount));
+      this.deposit(accounts, events, to, COIN_TYPES.APT, BigInt(amount));
+    } else if (name === 'CREATE_RESOURCE_ACCOUNT') {
+      const [seed, authKey, amount] = args;
+      const address = normalizeAddress(createResourceAddress(AccountAddress.from(sender.address), Hex.fromHexInput(seed).toUint8Array()).toString());
+      if (accounts.has(address)) {
+        throw moveAbort('0x1::account', ABORTS.ACCOUNT_EXISTS);
+      }
+
+      const account = this.ensureAccount(accounts, address);
+      account.authenticationKey = authKey && authKey !== '0x' ? normalizeAddress(authKey) : sender.authenticationKey;
+      this.withdraw(accounts, events, sender.address, COIN_TYPES.APT, BigInt(amount || 0));
+      this.deposit(accounts, events, address, COIN_TYPES.APT, BigInt(amount || 0));
+    } else if (name === 'ROTATE_KEY') {
+      sender.authenticationKey = normalizeAddress(args[0]);
+    }
+  }
+
+  /**
+   * Apply a registry operation
+   *
+   * Arguments are read as the registry encodes them: [amount], [amount, minAmountOut]
+   * or [poolId, amount, minAmountOut], all in raw units.
+   * @param {Object} context - { accounts, events, raw, effect, sender, protocol, type, module }
+   */
+  runOperation({ accounts, events, raw, effect, sender, protocol, type, module }) {
+    const args = raw.payload.arguments;
+    const [amount, minAmountOut] = (args.length > 2 ? args.slice(1) : args).map(arg => BigInt(arg));
+    const token = this.registry.getCoinType(protocol, this.network);
+    const address = sender.address;
+
+    const withSlippage = value => value * BigInt(Math.round((100 - (effect.slippage || 0)) * 100)) / 10000n;
+    const checkMinimum = value => {
+      if (minAmountOut !== undefined && value < minAmountOut) {
+        throw moveAbort(module, ABORTS.MIN_OUTPUT);
+      }
+      return value;
+    };
+    const takePosition = (positions, key) => {
+      if ((positions[key] || 0n) < amount) {
+        throw moveAbort(module, ABORTS.INSUFFICIENT_POSITION);
+      }
+      positions[key] -= amount;
+    };
+
+    switch (type) {
+      case 'stake':
+        if (!token) throw moveAbort(module, ABORTS.UNSUPPORTED);
+        this.withdraw(accounts, events, address, COIN_TYPES.APT, amount);
+        this.deposit(accounts, events, address, token, checkMinimum(withSlippage(this.convert(amount, COIN_TYPES.APT, token))));
+        break;
+
+      case 'unstake': {
+        if (!token) throw moveAbort(module, ABORTS.UNSUPPORTED);
+        this.withdraw(accounts, events, address, token, amount);
+        const unstaked = this.convert(amount, token, COIN_TYPES.APT);
+        const period = effect.unbondingPeriod ?? this.registry.getUnbondingPeriod(protocol);
+
+        if (period > 0) {
+          sender.unbonding.push({ protocol, amount: unstaked, claimableAt: this.now() + period });
+        } else {
+          this.deposit(accounts, events, address, COIN_TYPES.APT, unstaked);
+        }
+        break;
+      }
+
+      case 'claim': {
+        const now = this.now();
+        const matured = sender.unbonding.filter(entry => entry.protocol === protocol && entry.claimableAt <= now);
+        if (matured.length === 0) {
+          throw moveAbort(module, ABORTS.NOTHING_TO_CLAIM);
+        }
+
+        // Claims up to the amount, oldest first (0 claims everything that matured)
+        let remaining = amount > 0n ? amount : matured.reduce((sum, entry) => sum + entry.amount, 0n);
+        let claimed = 0n;
+        matured.forEach(entry => {
+          const taken = entry.amount < remaining ? entry.amount : remaining;
+          entry.amount -= taken;
+          remaining -= taken;
+          claimed += taken;
+        });
+        sender.unbonding = sender.unbonding.filter(entry => entry.amount > 0n);
+        this.deposit(accounts, events, address, COIN_TYPES.APT, claimed);
+        break;
+      }
+
+      case 'lend':
+      case 'deposit':
+        this.withdraw(accounts, events, address, COIN_TYPES.APT, amount);
+        sender.deposits[protocol] = (sender.deposits[protocol] || 0n) + amount;
+        break;
+
+      case 'withdraw':
+        takePosition(sender.deposits, protocol);
+        this.deposit(accounts, events, address, COIN_TYPES.APT, amount);
+        break;
+
+      case 'addLiquidity': {
+        this.withdraw(accounts, events, address, COIN_TYPES.APT, amount);
+        const position = sender.liquidity[protocol] || { balance: 0n };
+        position.balance += checkMinimum(withSlippage(amount));
+        position.poolType = raw.payload.type_arguments.map(coinType => this.getSymbol(coinType)).join('-') || 'Standard';
+        sender.liquidity[protocol] = position;
+        break;
+      }
+
+      case 'removeLiquidity': {
+        const position = sender.liquidity[protocol] || { balance: 0n };
+        if (position.balance < amount) {
+          throw moveAbort(module, ABORTS.INSUFFICIENT_POSITION);
+        }
+        position.balance -= amount;
+        this.deposit(accounts, events, address, COIN_TYPES.APT, checkMinimum(withSlippage(amount)));
+        break;
+      }
+
+      case 'swap': {
+        const [fromCoinType, toCoinType] = raw.payload.type_arguments;
+        this.withdraw(accounts, events, address, fromCoinType, amount);
+        this.deposit(accounts, events, address, toCoinType, checkMinimum(withSlippage(this.convert(amount, fromCoinType, toCoinType))));
+        break;
+      }
+
+      default:
+        throw moveAbort(module, ABORTS.UNSUPPORTED);
+    }
+  }
+
+  /**
+   * Take coins from an account, emitting a CoinWithdraw event
+   * @param {Map} accounts - Accounts
+   * @param {Array} events - Transaction events
+   * @param {string} address - Account address
+   * @param {string} coinType - Coin type
+   * @param {bigint} amount - Raw amount
+   */
+  withdraw(accounts, events, address, coinType, amount) {
+    const account = this.ensureAccount(accounts, address);
+    if ((account.coins[coinType] || 0n) < amount) {
+      throw moveAbort('0x1::coin', ABORTS.INSUFFICIENT_BALANCE);
+    }
+
+    account.coins[coinType] -= amount;
+    events.push({ type: '0x1::coin::CoinWithdraw', data: { account: account.address, coin_type: coinType, amount: amount.toString() } });
+  }
+
+  /**
+   * Give coins to an account, creating it when needed and emitting a CoinDeposit event
+   * @param {Map} accounts - Accounts
+   * @param {Array} events - Transaction events
+   * @param {string} address - Account address
+   * @param {string} coinType - Coin type
+   * @param {bigint} amount - Raw amount
+   */
+  deposit(accounts, events, address, coinType, amount) {
+    const account = this.ensureAccount(accounts, address);
+    account.coins[coinType] = (account.coins[coinType] || 0n) + amount;
+    events.push({ type: '0x1::coin::CoinDeposit', data: { account: account.address, coin_type: coinType, amount: amount.toString() } });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Find the behaviors that apply to a transaction
+   * @param {Object} raw - Raw transaction
+   * @param {string} phase - simulate or submit
+   * @returns {Array<Object>} Matching behaviors, in the order they were added
+   */
+  matchBehaviors(raw, phase) {
+    const payloads = raw.payload.bytecode ? this.getScriptSteps(raw.payload) : [raw.payload];
+    const calls = payloads.map(payload => {
+      const fn = normalizeFunction(payload.function);
+      return { fn, ...this.getFunctions()[fn] };
+    });
+    const sender = normalizeAddress(raw.sender);
+
+    // A Move script matches when any of its steps does
+    return this.behaviors.filter(behavior =>
+      (behavior.on === 'both' || behavior.on === phase) &&
+      (!behavior.sender || behavior.sender === sender) &&
+      calls.some(call =>
+        (!behavior.protocol || behavior.protocol === call.protocol) &&
+        (!behavior.type || behavior.type === call.type) &&
+        (!behavior.function || behavior.function === call.fn)));
+  }
+
+  /**
+   * Use up one submission of behaviors limited by `times`
+   * @param {Array<Object>} behaviors - Matched behaviors
+   */
+  consumeBehaviors(behaviors) {
+    behaviors.filter(behavior => behavior.times !== undefined).forEach(behavior => {
+      behavior.times -= 1;
+    });
+    this.behaviors = this.behaviors.filter(behavior => behavior.times === undefined || behavior.times > 0);
+  }
+
+  /**
+   * Map the registry's entry functions to their operations
+   * @returns {Object} Map of normalized function -> { protocol, type }
+   */
+  getFunctions() {
+    if (!this.functions) {
+      this.functions = {};
+      this.registry.listProtocols({ network: this.network }).forEach(adapter => {
+        Object.keys(adapter.operations).forEach(type => {
+          const fn = this.registry.getEntryFunction(adapter.name, type, this.network);
+          if (fn) this.functions[normalizeFunction(fn)] = { protocol: adapter.name, type };
+        });
+      });
+    }
+    return this.functions;
+  }
+
+  /**
+   * Find the registered Move script compiled to some bytecode
+   * @param {string} bytecode - Script bytecode (hex)
+   * @returns {Object|null} Move script
+   */
+  findScript(bytecode) {
+    const code = String(bytecode).toLowerCase();
+    return [...this.registry.scripts.values()].find(script =>
+      String(script.bytecode[this.network] || '').toLowerCase() === code) || null;
+  }
+
+  /**
+   * Split a Move script payload into the entry function payloads of its steps
+   * @param {Object} payload - Script payload { bytecode, type_arguments, arguments }
+   * @returns {Array<Object>} Payloads { function, type_arguments, arguments }, in step order
+   */
+  getScriptSteps({ bytecode, type_arguments: typeArguments, arguments: args }) {
+    const script = this.findScript(bytecode);
+    const decoded = script.decode(args, typeArguments);
+
+    return script.steps.map((step, index) => ({
+      function: this.registry.getEntryFunction(step.protocol, step.type, this.network),
+      type_arguments: (decoded[index].typeArguments || []).map(String),
+      arguments: decoded[index].functionArguments.map(toArgument)
+    }));
+  }
+
+  /**
+   * Check whether the fake chain can execute an entry function
+   * @param {string} fn - Entry function
+   * @returns {boolean} True for registry operations and supported framework functions
+   */
+  isKnownFunction(fn) {
+    const name = normalizeFunction(fn);
+    return Boolean(this.getFunctions()[name]) ||
+      Object.values(FRAMEWORK_FUNCTIONS).some(framework => normalizeFunction(framework) === name);
+  }
+
+  /**
+   * Reject a signature that is missing, for another account or transaction, or by a key the account does not use
+   * @param {Object} account - Signing account
+   * @param {FakeAuthenticator} authenticator - Signature
+   * @param {string} hash - Transaction hash
+   */
+  verifySignature(account, authenticator, hash) {
+    const valid = authenticator instanceof FakeAuthenticator &&
+      authenticator.address === account.address &&
+      authenticator.transaction === hash &&
+      (!authenticator.authKey || authenticator.authKey === account.authenticationKey);
+
+    if (!valid) {
+      throw apiError(400, 'vm_error', 'Invalid transaction: Type: Validation Code: INVALID_SIGNATURE');
+    }
+  }
+
+  /**
+   * Get the account paying a transaction's gas
+   * @param {FakeTransaction} transaction - Transaction
+   * @returns {string} Fee payer, or the sender
+   */
+  getFeePayer(transaction) {
+    return normalizeAddress((transaction.feePayerAddress || transaction.rawTransaction.sender).toString());
+  }
+
+  /**
+   * Hash a transaction deterministically
+   * @param {FakeTransaction} transaction - Transaction
+   * @returns {string} Hash
+   */
+  hashOf(transaction) {
+    return `0x${crypto.createHash('sha256').update(new FakeTransaction(transaction.rawTransaction, transaction.feePayerAddress).bcsToHex()).digest('hex')}`;
+  }
+
+  /**
+   * Describe a transaction waiting in the mempool
+   * @param {Object} entry - Mempool entry
+   * @returns {Object} Pending transaction response
+   */
+  describePending({ hash, raw }) {
+    const { bytecode, ...payload } = raw.payload;
+
+    return {
+      type: 'pending_transaction',
+      hash,
+      sender: normalizeAddress(raw.sender),
+      sequence_number: raw.sequence_number.toString(),
+      max_gas_amount: raw.max_gas_amount.toString(),
+      gas_unit_price: raw.gas_unit_price.toString(),
+      expiration_timestamp_secs: raw.expiration_timestamp_secs.toString(),
+      payload: bytecode ?
+        { type: 'script_payload', code: { bytecode }, ...payload } :
+        { type: 'entry_function_payload', ...payload }
+    };
+  }
+
+  /**
+   * Describe an executed or simulated transaction
+   * @param {Object} raw - Raw transaction
+   * @param {Object} outcome - Result of execute
+   * @param {Object} ledger - { hash, version }
+   * @returns {Object} User transaction response
+   */
+  describeOutcome(raw, outcome, { hash, version }) {
+    return {
+      ...this.describePending({ hash, raw }),
+      type: 'user_transaction',
+      version: String(version),
+      success: outcome.success,
+      vm_status: outcome.vmStatus,
+      gas_used: String(outcome.gasUsed),
+      timestamp: String(this.now() * 1000),
+      events: outcome.events,
+      changes: []
+    };
+  }
+
+  /**
+   * Get an account, or fail as the node does for unknown accounts
+   * @param {string} address - Account address
+   * @returns {Object} Account state
+   */
+  getExistingAccount(address) {
+    const account = this.accounts.get(normalizeAddress(address?.toString()));
+    if (!account) {
+      throw apiError(404, 'account_not_found', `Account not found by Address(${address})`);
+    }
+    return account;
+  }
+
+  /**
+   * Get an account from a set of accounts, creating it when needed
+   * @param {Map} accounts - Accounts
+   * @param {string} address - Account address
+   * @returns {Object} Account state
+   */
+  ensureAccount(accounts, address) {
+    const normalized = normalizeAddress(address?.toString());
+    if (!accounts.has(normalized)) {
+      accounts.set(normalized, {
+        address: normalized,
+        sequenceNumber: 0n,
+        authenticationKey: normalized,
+        coins: {}, // Map of coin type -> raw amount
+        deposits: {}, // Map of protocol -> octas lent or deposited
+        liquidity: {}, // Map of protocol -> { balance, poolType }
+        unbonding: [] // [{ protocol, amount, claimableAt }]
+      });
+    }
+    return accounts.get(normalized);
+  }
+
+  /**
+   * Resolve a coin given by type, or by protocol name for its liquid staking token
+   * @param {string} coin - Coin type or protocol name
+   * @returns {string} Coin type
+   */
+  resolveCoinType(coin) {
+    if (String(coin).includes('::')) return coin;
+    if (String(coin).toUpperCase() === 'APT') return COIN_TYPES.APT;
+
+    const coinType = this.registry.getCoinType(coin, this.network);
+    if (!coinType) {
+      throw new Error(`Unknown coin ${coin}`);
+    }
+    return coinType;
+  }
+
+  /**
+   * Find the protocol whose liquid staking token a coin is
+   * @param {string} coinType - Coin type
+   * @returns {Object|null} Token from the registry
+   */
+  findToken(coinType) {
+    return this.registry.getTokens(this.network).find(token => token.coinType === coinType) || null;
+  }
+
+  getDecimals(coinType) {
+    if (coinType === COIN_TYPES.USDC) return 6;
+    return this.findToken(coinType)?.decimals ?? 8;
+  }
+
+  getSymbol(coinType) {
+    if (coinType === COIN_TYPES.APT) return 'APT';
+    return this.findToken(coinType)?.symbol || coinType.split('::').pop();
+  }
+
+  /**
+   * Get what one whole token is worth in APT
+   * @param {string} coinType - Coin type
+   * @returns {number} APT per token (liquid staking tokens use their exchange rate, other coins 1 unless priced)
+   */
+  getPrice(coinType) {
+    if (coinType === COIN_TYPES.APT) return 1;
+
+    const token = this.findToken(coinType);
+    if (token && this.exchangeRates[token.protocol] !== undefined) {
+      return this.exchangeRates[token.protocol];
+    }
+    return this.prices[coinType] ?? 1;
+  }
+
+  /**
+   * Convert a raw amount of one coin into another at their prices
+   * @param {bigint} amount - Raw amount
+   * @param {string} fromCoinType - Coin converted from
+   * @param {string} toCoinType - Coin converted to
+   * @returns {bigint} Raw amount
+   */
+  convert(amount, fromCoinType, toCoinType) {
+    const value = this.fromRaw(fromCoinType, amount) * this.getPrice(fromCoinType) / this.getPrice(toCoinType);
+    return this.toRaw(toCoinType, value);
+  }
+
+  toRaw(coinType, amount) {
+    return BigInt(Math.floor(parseFloat(amount) * 10 ** this.getDecimals(coinType)));
+  }
+
+  fromRaw(coinType, raw) {
+    return Number(raw) / 10 ** this.getDecimals(coinType);
+  }
+}
+
+// Chain shared by the server's clients, created on first use
+let sharedChain = null;
+
+/**
+ * Get the fake chain the server's Aptos clients use when FAKE_CHAIN is enabled
+ *
+ * Seeded from the FAKE_CHAIN_SCENARIO file (JSON, see FakeChain.loadScenario) when set.
+ * @returns {FakeChain} Shared fake chain
+ */
+function getFakeChain() {
+  if (!sharedChain) {
+    if (env.NODE_ENV === 'production') {
+      throw new Error('The fake chain is not available in production');
+    }
+
+    const scenario = env.FAKE_CHAIN.scenario ?
+      JSON.parse(fs.readFileSync(path.resolve(env.FAKE_CHAIN.scenario), 'utf8')) :
+      undefined;
+    sharedChain = new FakeChain({ scenario });
+    logger.warn(`Using the in-process fake Aptos chain${env.FAKE_CHAIN.scenario ? ` (scenario ${env.FAKE_CHAIN.scenario})` : ''}`);
+  }
+  return sharedChain;
+}
+
+module.exports = {
+  FakeChain,
+  getFakeChain,
+  FRAMEWORK_FUNCTIONS
+};
@@ -0,0 +1,207 @@
+/**
+ * gas_strategy.js
+ *
+ * Gas pricing for CompounDefi transactions
+ * Turns the network's gas estimate into slow, normal and fast price tiers and
+ * forecasts what a strategy or rebalance costs before it executes
+ *
+ * Features:
+ * - Slow, normal and fast tiers from the deprioritized, regular and prioritized network estimates
+ * - Short-lived cache of the network estimate, with a fallback price when it is unavailable
+ * - Per-operation gas estimates: expected cost, and the buffered maximum transactions are built with
+ * - Total APT and USD cost forecasts in the chosen tier, compared across all tiers
+ */
+
+const { OCTAS_PER_APT } = require('../protocols/helpers');
+const { getLogger } = require('../utils/logging');
+const env = require('../config/env');
+
+// Instantiate logger once for the module
+const logger = getLogger('gas_strategy');
+
+// Gas price tiers and the field of the network gas estimate each one is priced from
+const GAS_TIERS = {
+  slow: 'deprioritized_gas_estimate',
+  normal: 'gas_estimate',
+  fast: 'prioritized_gas_estimate'
+};
+
+// Tier used when neither the request nor the configuration chooses one
+const DEFAULT_GAS_TIER = 'normal';
+
+// Typical gas units consumed per operation type, used for forecasts
+const GAS_UNIT_ESTIMATES = {
+  stake: 1500,
+  unstake: 1800,
+  claim: 1500,
+  lend: 2000,
+  withdraw: 2000,
+  addLiquidity: 3500,
+  removeLiquidity: 3500,
+  swap: 2500
+};
+
+// Fallback gas unit price in octas when the network estimate is unavailable
+const DEFAULT_GAS_UNIT_PRICE = 100;
+
+class GasStrategy {
+  /**
+   * @param {Object} options - Strategy options
+   * @param {Function} options.getClient - Returns the Aptos client gas estimates are read from
+   * @param {string} options.defaultTier - Tier used when none is chosen
+   * @param {number} options.cacheTTL - How long a network gas estimate is reused (ms)
+   */
+  constructor({ getClient, defaultTier = env.GAS.defaultTier, cacheTTL = env.GAS.priceCacheTTL } = {}) {
+    this.getClient = getClient;
+    this.defaultTier = GAS_TIERS[defaultTier] ? defaultTier : DEFAULT_GAS_TIER;
+    this.cacheTTL = cacheTTL;
+    this.cached = null; // { prices, fetchedAt } of the last network estimate
+  }
+
+  /**
+   * Resolve the tier to price a transaction with
+   * @param {string} tier - Requested tier (slow, normal or fast); empty for the default tier
+   * @returns {string} Tier name
+   */
+  resolveTier(tier) {
+    if (tier === undefined || tier === null || tier === '') {
+      return this.defaultTier;
+    }
+
+    const name = String(tier).toLowerCase();
+    if (!GAS_TIERS[name]) {
+      throw this.createError(`Unknown gas tier: ${tier}. Use ${Object.keys(GAS_TIERS).join(', ')}`);
+    }
+    return name;
+  }
+
+  /**
+   * Get the gas unit price of every tier
+   *
+   * Tiers the network does not estimate fall back to the normal price, and slow is
+   * never priced above normal nor fast below it. When the estimate is unavailable
+   * every tier uses the default price and the next call asks the network again.
+   * @returns {Promise<Object>} { slow, normal, fast } in octas, with source 'network' or 'default'
+   */
+  async getGasPrices() {
+    if (this.cached && Date.now() - this.cached.fetchedAt < this.cacheTTL) {
+      return this.cached.prices;
+    }
+
+    try {
+      const estimation = await this.getClient().getGasPriceEstimation();
+      const normal = parseInt(estimation[GAS_TIERS.normal]) || DEFAULT_GAS_UNIT_PRICE;
+      const prices = {
+        slow: Math.min(parseInt(estimation[GAS_TIERS.slow]) || normal, normal),
+        normal,
+        fast: Math.max(parseInt(estimation[GAS_TIERS.fast]) || normal, normal),
+        source: 'network'
+      };
+
+      this.cached = { prices, fetchedAt: Date.now() };
+      return prices;
+    } catch (error) {
+      logger.warn('Failed to fetch gas price estimation, using default:', error);
+      return {
+        slow: DEFAULT_GAS_UNIT_PRICE,
+        normal: DEFAULT_GAS_UNIT_PRICE,
+        fast: DEFAULT_GAS_UNIT_PRICE,
+        source: 'default'
+      };
+    }
+  }
+
+  /**
+   * Get the gas unit price of a tier
+   * @param {string} tier - Tier name; empty for the default tier
+   * @returns {Promise<number>} Gas unit price in octas
+   */
+  async getGasUnitPrice(tier) {
+    const resolved = this.resolveTier(tier);
+    const prices = await this.getGasPrices();
+    return prices[resolved];
+  }
+
+  /**
+   * Estimate the gas of an operation
+   *
+   * The cost is what the operation is expected to pay (gas units at the unit price);
+   * the gas buffer only raises maxGasAmount, the ceiling the transaction is built with.
+   * @param {Object} operation - Operation with a type
+   * @param {Object} options - { gasUnitPrice, gasBuffer, aptPrice }
+   * @returns {Object} { gasUnits, gasUnitPrice, maxGasAmount, costAPT, costUSD, maxCostAPT }
+   */
+  estimateOperationGas(operation, { gasUnitPrice = DEFAULT_GAS_UNIT_PRICE, gasBuffer = env.REBALANCER.gasBuffer, aptPrice = 0 } = {}) {
+    const gasUnits = GAS_UNIT_ESTIMATES[operation.type] || GAS_UNIT_ESTIMATES.swap;
+    const maxGasAmount = Math.ceil(gasUnits * gasBuffer);
+    const costAPT = (gasUnits * gasUnitPrice) / OCTAS_PER_APT;
+
+    return {
+      gasUnits,
+      gasUnitPrice,
+      maxGasAmount,
+      costAPT,
+      costUSD: costAPT * aptPrice,
+      maxCostAPT: (maxGasAmount * gasUnitPrice) / OCTAS_PER_APT
+    };
+  }
+
+  /**
+   * Forecast the gas cost of a set of operations before they execute
+   * @param {Array} operations - Operations with a type
+   * @param {Object} options - { tier, gasBuffer, aptPrice } (aptPrice in USD, 0 to skip USD costs)
+   * @returns {Promise<Object>} { tier, gasUnitPrice, gasBuffer, priceSource, operations, maxGasAmount,
+   *   costAPT, costUSD, maxCostAPT, tiers } with tiers holding { gasUnitPrice, costAPT, costUSD } of every tier;
+   *   costs are expected, maxCostAPT is the most the buffered transactions can be charged
+   */
+  async forecast(operations, { tier, gasBuffer, aptPrice = 0 } = {}) {
+    const resolved = this.resolveTier(tier);
+    const prices = await this.getGasPrices();
+    const buffer = gasBuffer || env.REBALANCER.gasBuffer;
+
+    const estimate = gasUnitPrice => operations.map(operation =>
+      this.estimateOperationGas(operation, { gasUnitPrice, gasBuffer: buffer, aptPrice }));
+    const total = (estimates, field) => estimates.reduce((sum, item) => sum + item[field], 0);
+
+    const estimates = estimate(prices[resolved]);
+    const tiers = Object.keys(GAS_TIERS).reduce((result, name) => {
+      const tierEstimates = estimate(prices[name]);
+      result[name] = {
+        gasUnitPrice: prices[name],
+        costAPT: total(tierEstimates, 'costAPT'),
+        costUSD: total(tierEstimates, 'costUSD')
+      };
+      return result;
+    }, {});
+
+    return {
+      tier: resolved,
+      gasUnitPrice: prices[resolved],
+      gasBuffer: buffer,
+      priceSource: prices.source,
+      operations: estimates,
+      maxGasAmount: total(estimates, 'maxGasAmount'),
+      costAPT: total(estimates, 'costAPT'),
+      costUSD: total(estimates, 'costUSD'),
+      maxCostAPT: total(estimates, 'maxCostAPT'),
+      tiers
+    };
+  }
+
+  /**
+   * Create a gas tier validation error
+   * @param {string} message - Error message
+   * @returns {Error} Error with code 'invalid_gas_tier'
+   */
+  createError(message) {
+    const error = new Error(message);
+    error.code = 'invalid_gas_tier';
+    return error;
+  }
+}
+
+module.exports = {
+  GasStrategy,
+  GAS_TIERS,
+  DEFAULT_GAS_UNIT_PRICE
+};
@@ -636,7 +636,7 @@ async function createRecommendationNotification(params) {
  * @returns {Promise<Object>} Created notification
  */
 async function createRebalanceNotification(params) {
-  const { userId, status, operationsCount, failedOperations, startApr, endApr } = params;
+  const { userId, status, operationsCount, failedOperations, startApr, endApr, walletAddress, breaker, reason, proposalId, expiresAt } = params;
   
   let title, message, priority;
   
@@ -666,6 +666,21 @@ async function createRebalanceNotification(params) {
       message = `Automatic portfolio rebalancing failed. Please try manual rebalancing.`;
       priority = PRIORITY.HIGH;
       break;
+    case 'circuit_breaker':
+      title = 'Automated Rebalancing Halted';
+      message = `A circuit breaker stopped rebalancing your portfolio: ${reason}.`;
+      priority = PRIORITY.HIGH;
+      break;
+    case 'proposal':
+      title = 'Rebalance Awaiting Your Approval';
+      message = `A rebalance with ${operationsCount} operations is ready to review and sign. It expires ${new Date(expiresAt).toUTCString()}.`;
+      priority = PRIORITY.HIGH;
+      break;
+    case 'proposal_expired':
+      title = 'Rebalance Proposal Expired';
+      message = `A rebalance proposal expired before it was approved: ${reason}.`;
+      priority = PRIORITY.LOW;
+      break;
     default:
       title = 'Rebalance Update';
       message = `Portfolio rebalance status: ${status}`;
@@ -682,7 +697,12 @@ async function createRebalanceNotification(params) {
       status,
       operationsCount: operationsCount || 0,
       failedOperations: failedOperations || 0,
-      aprChange: endApr && startApr ? (endApr - startApr).toFixed(2) : null
+      aprChange: endApr && startApr ? (endApr - startApr).toFixed(2) : null,
+      walletAddress,
+      breaker,
+      reason,
+      proposalId,
+      expiresAt
     }
   });
 }
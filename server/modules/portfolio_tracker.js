@@ -3,7 +3,10 @@
 
 const { Aptos, AptosConfig, Network } = require('@aptos-labs/ts-sdk');
 const axios = require('axios');
-const { fetchAptosTokenPrice } = require('../utils/marketDataUtils');
+const { getAptPrice } = require('../utils/marketDataUtils');
+const protocols = require('../protocols');
+const env = require('../config/env');
+const { getFakeChain } = require('./fake_chain');
 
 // Initialize Aptos clients for different networks
 const APTOS_RPC_ENDPOINTS = {
@@ -20,15 +23,27 @@ const APTOS_RPC_ENDPOINTS = {
   ]
 };
 
-// Known token addresses for liquid staking derivatives
-const KNOWN_TOKENS = {
-  // Liquid staking tokens
-  "0x1::aptos_coin::AptosCoin": { symbol: "APT", name: "Aptos Coin", decimals: 8 },
-  "0x111ae3e5bc816a5e63c2da97d0aa3886519e0cd5e4b046659fa35796bd11542a::stapt_token::StakedApt": { symbol: "stAPT", name: "Amnis Staked APT", decimals: 8 },
-  "0xfaf4e633ae9eb31366c9ca24214231760926576c7b625313b3688b5e900731f6::stake_token::StakedAptos": { symbol: "sthAPT", name: "Thala Staked APT", decimals: 8 },
-  "0x952c1b1fc8eb75ee80f432c9d0a84fcda1d5c7481501a7eca9199f1596a60b53::staked_apt_coin::StakedAptCoin": { symbol: "tAPT", name: "Tortuga Staked APT", decimals: 8 },
-  "0xd11107bdf0d6d7040c6c0bfbdecb6545191fdf13e8d8d259952f53e1713f61b5::ditto_staked_apt::DittoStakedApt": { symbol: "dAPT", name: "Ditto Staked APT", decimals: 8 }
-};
+// Known token addresses, including the liquid staking tokens of every staking protocol
+const KNOWN_TOKENS = protocols.listProtocols({ type: 'staking' }).reduce((tokens, adapter) => {
+  const coinType = protocols.getCoinType(adapter.name);
+  if (coinType) {
+    tokens[coinType] = { symbol: adapter.token.symbol, name: adapter.token.name, decimals: adapter.token.decimals };
+  }
+  return tokens;
+}, {
+  "0x1::aptos_coin::AptosCoin": { symbol: "APT", name: "Aptos Coin", decimals: 8 }
+});
+
+/**
+ * Create empty staked positions, one per liquid staking token
+ * @returns {Object} Map of token symbol -> { amount: 0 }
+ */
+function createEmptyStakedPositions() {
+  return Object.values(protocols.getLiquidStakingTokens()).reduce((positions, token) => {
+    positions[token] = { amount: 0 };
+    return positions;
+  }, {});
+}
 
 /**
  * Get portfolio data for a specific wallet address
@@ -48,7 +63,7 @@ async function getPortfolioData(walletAddress, options = {}) {
     const aptosClient = await getAptosClient();
     
     // Get APT price for valuation
-    const aptPrice = await fetchAptosTokenPrice();
+    const aptPrice = await getAptPrice();
     
     // Get wallet balances
     const [
@@ -92,10 +107,14 @@ async function getPortfolioData(walletAddress, options = {}) {
 }
 
 /**
- * Initialize and get an Aptos client
+ * Initialize and get an Aptos client (the fake chain when FAKE_CHAIN is enabled)
  * @returns {Promise<Aptos>} Initialized Aptos client
  */
 async function getAptosClient() {
+  if (env.FAKE_CHAIN.enabled) {
+    return getFakeChain();
+  }
+  
   try {
     const network = process.env.APTOS_NETWORK === 'TESTNET' ? Network.TESTNET : Network.MAINNET;
     const endpoints = network === Network.TESTNET ? APTOS_RPC_ENDPOINTS.TESTNET : APTOS_RPC_ENDPOINTS.MAINNET;
@@ -141,8 +160,10 @@ async function getAptosClient() {
  */
 async function getWalletCoinBalances(aptosClient, walletAddress) {
   try {
-    const response = await aptosClient.getAccountCoinsData({ accountAddress: walletAddress });
-    return response.current_coin_balances || [];
+    const coins = await aptosClient.getAccountCoinsData({ accountAddress: walletAddress });
+    
+    // The indexer names the coin type asset_type
+    return coins.map(coin => ({ ...coin, coin_type: coin.asset_type }));
   } catch (error) {
     console.error('Error fetching wallet coin balances:', error);
     return [];
@@ -161,42 +182,19 @@ async function getStakedPositions(aptosClient, walletAddress) {
       accountAddress: walletAddress
     });
     
-    const stakedPositions = {
-      stAPT: { amount: 0 }, // Amnis
-      sthAPT: { amount: 0 }, // Thala
-      tAPT: { amount: 0 },   // Tortuga
-      dAPT: { amount: 0 }    // Ditto
-    };
+    const stakedPositions = createEmptyStakedPositions();
     
-    // Look for staked token resources
-    for (const resource of resources) {
-      // Amnis stAPT
-      if (resource.type.includes('0x111ae3e5bc816a5e63c2da97d0aa3886519e0cd5e4b046659fa35796bd11542a::stapt_token::StakedApt')) {
-        stakedPositions.stAPT.amount = parseFloat(resource.data.coin?.value || 0) / 1e8;
-      }
-      // Thala sthAPT
-      else if (resource.type.includes('0xfaf4e633ae9eb31366c9ca24214231760926576c7b625313b3688b5e900731f6::stake_token::StakedAptos')) {
-        stakedPositions.sthAPT.amount = parseFloat(resource.data.value || 0) / 1e8;
-      }
-      // Tortuga tAPT
-      else if (resource.type.includes('0x952c1b1fc8eb75ee80f432c9d0a84fcda1d5c7481501a7eca9199f1596a60b53::staked_apt_coin::StakedAptCoin')) {
-        stakedPositions.tAPT.amount = parseFloat(resource.data.value || 0) / 1e8;
-      }
-      // Ditto dAPT
-      else if (resource.type.includes('0xd11107bdf0d6d7040c6c0bfbdecb6545191fdf13e8d8d259952f53e1713f61b5::ditto_staked_apt::DittoStakedApt')) {
-        stakedPositions.dAPT.amount = parseFloat(resource.data.value || 0) / 1e8;
-      }
-    }
+    // Liquid staking tokens read by each protocol adapter
+    protocols.readPositions(resources)
+      .filter(position => position.type === 'staking' && position.token)
+      .forEach(position => {
+        stakedPositions[position.token].amount += position.amount;
+      });
     
     return stakedPositions;
   } catch (error) {
     console.error('Error fetching staked positions:', error);
-    return {
-      stAPT: { amount: 0 },
-      sthAPT: { amount: 0 },
-      tAPT: { amount: 0 },
-      dAPT: { amount: 0 }
-    };
+    return createEmptyStakedPositions();
   }
 }
 
@@ -212,72 +210,13 @@ async function getLiquidityPositions(aptosClient, walletAddress) {
       accountAddress: walletAddress
     });
     
-    let hasLiquidity = false;
-    let estimatedValueUSD = 0;
-    const positions = [];
+    // LP positions read by each protocol adapter
+    const positions = protocols.readPositions(resources)
+      .filter(position => position.type === 'liquidity')
+      .map(({ protocol, poolType, balance, valueUSD }) => ({ protocol, poolType, balance, valueUSD }));
     
-    // Check for PancakeSwap LP tokens
-    const pancakePositions = resources.filter(r => 
-      r.type.includes('0xc7efb4076dbe143cbcd98cfaaa929ecfc8f299203dfff63b95ccb6bfe19850fa::router::LiquidityPosition')
-    );
-    
-    if (pancakePositions.length > 0) {
-      hasLiquidity = true;
-      
-      for (const position of pancakePositions) {
-        if (position.data.balance && parseFloat(position.data.balance) > 0) {
-          positions.push({
-            protocol: 'pancakeswap',
-            poolType: position.data.pool_type || 'Unknown',
-            balance: parseFloat(position.data.balance) / 1e8,
-            valueUSD: parseFloat(position.data.usd_value || 0)
-          });
-          estimatedValueUSD += parseFloat(position.data.usd_value || 0);
-        }
-      }
-    }
-    
-    // Check for Liquidswap LP tokens
-    const liquidswapPositions = resources.filter(r => 
-      r.type.includes('0x190d44266241744264b964a37b8f09863167a12d3e70cda39376cfb4e3561e12::lp_account::LpBalance')
-    );
-    
-    if (liquidswapPositions.length > 0) {
-      hasLiquidity = true;
-      
-      for (const position of liquidswapPositions) {
-        if (position.data.balance && parseFloat(position.data.balance) > 0) {
-          positions.push({
-            protocol: 'liquidswap',
-            poolType: position.data.pool_type || 'Unknown',
-            balance: parseFloat(position.data.balance) / 1e8,
-            valueUSD: parseFloat(position.data.usd_value || 0)
-          });
-          estimatedValueUSD += parseFloat(position.data.usd_value || 0);
-        }
-      }
-    }
-    
-    // Check for Cetus LP tokens
-    const cetusPositions = resources.filter(r => 
-      r.type.includes('0x27156bd56eb5637b9adde4d915b596f92d2f28f0ade2eaef48fa73e360e4e8a6::pool::LpToken')
-    );
-    
-    if (cetusPositions.length > 0) {
-      hasLiquidity = true;
-      
-      for (const position of cetusPositions) {
-        if (position.data.value && parseFloat(position.data.value) > 0) {
-          positions.push({
-            protocol: 'cetus',
-            poolType: 'Standard',
-            balance: parseFloat(position.data.value) / 1e8,
-            valueUSD: parseFloat(position.data.usd_value || 0)
-          });
-          estimatedValueUSD += parseFloat(position.data.usd_value || 0);
-        }
-      }
-    }
+    const hasLiquidity = positions.length > 0;
+    const estimatedValueUSD = positions.reduce((sum, position) => sum + position.valueUSD, 0);
     
     return {
       hasLiquidity,
@@ -299,13 +238,14 @@ async function getLiquidityPositions(aptosClient, walletAddress) {
  * @param {Aptos} aptosClient - Initialized Aptos client
  * @param {string} walletAddress - Wallet address
  * @param {number} limit - Maximum number of transactions to return
+ * @param {Object} options - { details } also returns the sender, payload, events and changes
  * @returns {Promise<Array>} Recent transactions
  */
-async function getRecentTransactions(aptosClient, walletAddress, limit = 20) {
+async function getRecentTransactions(aptosClient, walletAddress, limit = 20, { details = false } = {}) {
   try {
     const transactions = await aptosClient.getAccountTransactions({
       accountAddress: walletAddress,
-      limit
+      options: { limit }
     });
     
     return transactions.map(tx => ({
@@ -316,7 +256,13 @@ async function getRecentTransactions(aptosClient, walletAddress, limit = 20) {
       success: tx.success,
       vmStatus: tx.vm_status,
       gasUsed: tx.gas_used,
-      gasUnitPrice: tx.gas_unit_price
+      gasUnitPrice: tx.gas_unit_price,
+      ...(details && {
+        sender: tx.sender,
+        payload: tx.payload,
+        events: tx.events,
+        changes: tx.changes
+      })
     }));
   } catch (error) {
     console.error('Error fetching recent transactions:', error);
@@ -335,7 +281,7 @@ async function getHistoricalPerformance(walletAddress) {
     // For now, we'll return dummy data
     const historicalData = [];
     const now = new Date();
-    const aptPrice = await fetchAptosTokenPrice();
+    const aptPrice = await getAptPrice();
     
     // Generate 30 days of historical data
     for (let i = 30; i >= 0; i--) {
@@ -386,6 +332,11 @@ function formatPortfolioData(walletAddress, coinBalances, stakedPositions, liqui
     
     // Process coin balances
     for (const coin of coinBalances) {
+      // Liquid staking tokens are counted with the staked positions
+      if (KNOWN_TOKENS[coin.coin_type] && stakedPositions[KNOWN_TOKENS[coin.coin_type].symbol]) {
+        continue;
+      }
+      
       const tokenInfo = KNOWN_TOKENS[coin.coin_type] || {
         symbol: getSymbolFromType(coin.coin_type),
         name: getNameFromType(coin.coin_type),
@@ -409,6 +360,7 @@ function formatPortfolioData(walletAddress, coinBalances, stakedPositions, liqui
         portfolio.otherTokens.push({
           symbol: tokenInfo.symbol,
           name: tokenInfo.name,
+          coinType: coin.coin_type,
           amount: amount.toFixed(6),
           valueUSD: valueUSD.toFixed(2)
         });
@@ -548,5 +500,6 @@ module.exports = {
   getPortfolioData,
   calculateRiskMetrics,
   calculatePerformanceMetrics,
-  getHistoricalPerformance
+  getHistoricalPerformance,
+  getRecentTransactions
 };
\ No newline at end of file
@@ -0,0 +1,238 @@
+/**
+ * rate_history.js
+ *
+ * APR and TVL history of CompounDefi protocol products
+ * Records what every protocol product yields on an interval and serves that
+ * history downsampled, so a high APR can be told apart from a one-day spike
+ *
+ * Features:
+ * - Periodic StakingRates snapshots of APR, APY and TVL per protocol product
+ * - History queries by protocol, product and time range
+ * - Downsampling into fixed buckets with the average, lowest and highest APR and where it came from
+ */
+
+const { StakingRates } = require('../models/marketData');
+const stakingOptimizer = require('./staking_optimizer');
+const { getProtocolAPRs } = require('../utils/marketDataUtils');
+const { getLogger } = require('../utils/logging');
+const config = require('../config');
+
+// Instantiate logger once for the module
+const logger = getLogger('rate_history');
+
+const MINUTE_MS = 60 * 1000;
+
+// Bucket length units accepted in intervals such as 30m, 6h, 1d or 1w
+const INTERVAL_UNITS = {
+  m: MINUTE_MS,
+  h: 60 * MINUTE_MS,
+  d: 24 * 60 * MINUTE_MS,
+  w: 7 * 24 * 60 * MINUTE_MS
+};
+
+// Intervals picked from when a query names none, shortest first
+const DEFAULT_INTERVALS = ['1h', '6h', '1d', '1w'];
+
+// Range returned when a query names no start
+const DEFAULT_RANGE_MS = 30 * INTERVAL_UNITS.d;
+
+// Products a protocol can offer (getProtocolAPRs reports liquidity as amm)
+const PRODUCTS = ['staking', 'lending', 'liquidity'];
+
+class RateHistory {
+  constructor() {
+    const { recordInterval, maxPoints } = config.env.RATE_HISTORY;
+
+    this.recordInterval = recordInterval; // Time between snapshots (ms)
+    this.maxPoints = maxPoints; // Most buckets a query returns per product
+    this.timer = null;
+  }
+
+  /**
+   * Start recording snapshots
+   */
+  start() {
+    if (this.timer) return;
+
+    logger.info(`Recording protocol APR history every ${this.recordInterval / 60000} minutes`);
+    this.recordRates();
+    this.timer = setInterval(() => this.recordRates(), this.recordInterval);
+  }
+
+  /**
+   * Stop recording snapshots
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Record the current APR, APY and TVL of every product getStakingData reports
+   *
+   * Hardcoded fallback APRs are not measurements and are never recorded as history.
+   * TVL comes from getProtocolAPRs, which has it for the products DeFiLlama lists.
+   * @returns {Promise<number>} Number of products recorded
+   */
+  async recordRates() {
+    try {
+      const [stakingData, marketRates] = await Promise.all([
+        stakingOptimizer.getStakingData(),
+        getProtocolAPRs().catch(error => {
+          logger.warn(`Recording APRs without TVL: ${error.message}`);
+          return { protocols: {} };
+        })
+      ]);
+
+      const timestamp = new Date();
+      const records = [];
+      for (const [protocol, products] of Object.entries(stakingData.protocols)) {
+        for (const product of PRODUCTS) {
+          const rate = products[product];
+          if (!rate || typeof rate.apr !== 'number' || rate.source === 'fallback') continue;
+
+          const market = marketRates.protocols?.[protocol]?.[product === 'liquidity' ? 'amm' : product];
+          records.push({
+            timestamp,
+            protocol,
+            product,
+            apr: rate.apr,
+            apy: parseFloat(((Math.pow(1 + rate.apr / 100 / 365, 365) - 1) * 100).toFixed(2)),
+            source: rate.source,
+            tvlUSD: market?.tvl
+          });
+        }
+      }
+
+      if (records.length > 0) {
+        await StakingRates.insertMany(records);
+      }
+      logger.debug(`Recorded APR history for ${records.length} products`);
+      return records.length;
+    } catch (error) {
+      logger.error('Failed to record APR history:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Get the downsampled APR and TVL history of protocol products
+   * @param {Object} query - { protocol, product, from, to, interval }; interval is a bucket length
+   *   such as 1h or 1d, picked from the range when omitted
+   * @returns {Promise<Object>} { from, to, interval, series: [{ protocol, product, points }] }
+   */
+  async getHistory({ protocol, product, from, to, interval } = {}) {
+    const endDate = this.parseDate(to, 'to') || new Date();
+    const startDate = this.parseDate(from, 'from') || new Date(endDate.getTime() - DEFAULT_RANGE_MS);
+    if (startDate >= endDate) {
+      throw this.createError('The from date must be before the to date');
+    }
+
+    if (product && !PRODUCTS.includes(product)) {
+      throw this.createError(`Unknown product: ${product}. Use ${PRODUCTS.join(', ')}`);
+    }
+
+    const range = endDate.getTime() - startDate.getTime();
+    const bucket = interval ? this.parseInterval(interval) : this.pickInterval(range);
+    if (range / bucket.ms > this.maxPoints) {
+      throw this.createError(`Interval ${bucket.label} returns more than ${this.maxPoints} points for this range; use a longer one`);
+    }
+
+    const buckets = await StakingRates.getDownsampledHistory({
+      protocol,
+      product,
+      startDate,
+      endDate,
+      bucketMs: bucket.ms
+    });
+
+    const series = new Map();
+    for (const { _id, apr, minApr, maxApr, apy, tvlUSD, sources, samples } of buckets) {
+      const key = `${_id.protocol}:${_id.product}`;
+      if (!series.has(key)) {
+        series.set(key, { protocol: _id.protocol, product: _id.product, points: [] });
+      }
+
+      series.get(key).points.push({
+        timestamp: new Date(_id.bucket).toISOString(),
+        apr: this.round(apr),
+        minApr: this.round(minApr),
+        maxApr: this.round(maxApr),
+        apy: this.round(apy),
+        tvlUSD: tvlUSD ?? null,
+        sources: sources.filter(Boolean),
+        samples
+      });
+    }
+
+    return {
+      from: startDate.toISOString(),
+      to: endDate.toISOString(),
+      interval: bucket.label,
+      series: [...series.values()]
+    };
+  }
+
+  /**
+   * Parse a bucket length such as 30m, 6h, 1d or 1w
+   * @param {string} interval - Interval
+   * @returns {Object} { label, ms }
+   */
+  parseInterval(interval) {
+    const match = /^(\d+)([mhdw])$/.exec(String(interval).trim());
+    const ms = match ? parseInt(match[1]) * INTERVAL_UNITS[match[2]] : 0;
+    if (!(ms > 0)) {
+      throw this.createError(`Invalid interval: ${interval}. Use a length such as 1h, 6h, 1d or 1w`);
+    }
+    return { label: `${parseInt(match[1])}${match[2]}`, ms };
+  }
+
+  /**
+   * Pick the shortest default interval that keeps a range within the point limit
+   * @param {number} range - Query range (ms)
+   * @returns {Object} { label, ms }
+   */
+  pickInterval(range) {
+    const intervals = DEFAULT_INTERVALS.map(label => this.parseInterval(label));
+    return intervals.find(bucket => range / bucket.ms <= this.maxPoints) || intervals[intervals.length - 1];
+  }
+
+  /**
+   * Parse a query date
+   * @param {string} value - Date string or timestamp
+   * @param {string} name - Parameter name for the error message
+   * @returns {Date|undefined} Date, or undefined when not given
+   */
+  parseDate(value, name) {
+    if (!value) return undefined;
+    const date = new Date(/^\d+$/.test(value) ? parseInt(value) : value);
+    if (isNaN(date.getTime())) {
+      throw this.createError(`Invalid ${name} date: ${value}`);
+    }
+    return date;
+  }
+
+  /**
+   * Round a bucket average for display
+   * @param {number} value - Value
+   * @returns {number|null} Value with two decimals, null when missing
+   */
+  round(value) {
+    return typeof value === 'number' ? parseFloat(value.toFixed(2)) : null;
+  }
+
+  /**
+   * Create a history query error
+   * @param {string} message - Error message
+   * @returns {Error} Error with code 'invalid_parameters'
+   */
+  createError(message) {
+    const error = new Error(message);
+    error.code = 'invalid_parameters';
+    return error;
+  }
+}
+
+module.exports = new RateHistory();
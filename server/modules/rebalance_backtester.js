@@ -0,0 +1,500 @@
+/**
+ * rebalance_backtester.js
+ *
+ * Backtesting engine for CompounDefi auto-rebalancing strategies
+ * Replays stored APT prices and protocol APRs through the auto-rebalancer's
+ * drift and operation planning logic to compare rebalance parameter sets
+ *
+ * Features:
+ * - Replays TokenPrice and StakingRates history at every stored price point
+ * - Reuses calculateDrift and generateRebalanceOperations from the auto-rebalancer
+ * - Charges simulated gas and slippage on every operation
+ * - Reports final value, realized yield, turnover and drawdown per parameter set
+ *
+ * All positions are APT-denominated, so APT price moves change value but not
+ * allocation; drift comes from differing yields. Impermanent loss is not modeled.
+ */
+
+const { TokenPrice, StakingRates } = require('../models/marketData');
+const autoRebalancer = require('./auto_rebalancer');
+const stakingOptimizer = require('./staking_optimizer');
+const protocols = require('../protocols');
+const { getLogger } = require('../utils/logging');
+
+// Instantiate logger once for the module
+const logger = getLogger('rebalance_backtester');
+
+// Backtest defaults
+const DEFAULT_OPTIONS = {
+  days: 30, // Length of the replay window when no start date is given
+  initialValueUSD: 10000, // Starting portfolio value
+  riskProfile: 'balanced', // Strategy providing the target allocation
+  simulatedSlippage: 0.3, // Realized slippage percentage per operation, capped at maxSlippage
+  gasUnitPrice: 100, // Gas unit price in octas
+  checkInterval: 4 // Hours between drift checks
+};
+
+// Maximum number of parameter sets compared in one backtest
+const MAX_PARAMETER_SETS = 10;
+
+// How far before the start date to look for the APR in effect at the start
+const RATE_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const YEAR_MS = 365 * 24 * HOUR_MS;
+
+// Operations that move funds back into native APT
+const WITHDRAW_TYPES = ['unstake', 'withdraw', 'removeLiquidity'];
+
+class RebalanceBacktester {
+  /**
+   * Replay historical market data for one or more rebalance parameter sets
+   * @param {Object} params - Backtest parameters
+   * @param {string|Date} params.startDate - Start of the replay window
+   * @param {string|Date} params.endDate - End of the replay window (defaults to now)
+   * @param {number} params.days - Window length when no start date is given
+   * @param {number} params.initialValueUSD - Starting portfolio value
+   * @param {string} params.riskProfile - Strategy used as the target allocation
+   * @param {Array} params.allocation - Custom target allocation (overrides riskProfile)
+   * @param {string} params.walletAddress - Wallet whose settings are used as the base
+   * @param {Array} params.parameterSets - Settings to compare (checkInterval in hours)
+   * @returns {Promise<Object>} Results per parameter set and a buy-and-hold benchmark
+   */
+  async runBacktest(params = {}) {
+    // Omitted parameters keep their defaults
+    const options = Object.entries(params).reduce((merged, [key, value]) => {
+      if (value !== undefined && value !== null) merged[key] = value;
+      return merged;
+    }, { ...DEFAULT_OPTIONS });
+    const parameterSets = params.parameterSets && params.parameterSets.length > 0 ? params.parameterSets : [{}];
+
+    if (parameterSets.length > MAX_PARAMETER_SETS) {
+      throw this.createError(`At most ${MAX_PARAMETER_SETS} parameter sets can be backtested at once`, 'invalid_parameters');
+    }
+
+    const endDate = params.endDate ? new Date(params.endDate) : new Date();
+    const startDate = params.startDate ?
+      new Date(params.startDate) :
+      new Date(endDate.getTime() - options.days * 24 * HOUR_MS);
+
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || startDate >= endDate) {
+      throw this.createError('Backtest requires a valid date range', 'invalid_parameters');
+    }
+
+    logger.info(`Running backtest of ${parameterSets.length} parameter set(s) from ${startDate.toISOString()} to ${endDate.toISOString()}`);
+
+    const recommendation = this.resolveTargetAllocation(options);
+    const warnings = [];
+
+    const prices = await this.loadPriceSeries(startDate, endDate);
+    const rates = await this.loadRateSeries(recommendation.allocation, startDate, endDate, warnings);
+    const baseSettings = await autoRebalancer.getRebalanceSettings(params.walletAddress || null);
+
+    const market = { prices, rates, recommendation };
+    const results = [];
+
+    for (const [index, parameterSet] of parameterSets.entries()) {
+      const settings = { ...baseSettings, ...autoRebalancer.sanitizeSettings(parameterSet) };
+      const checkInterval = Math.max(1, parseFloat(parameterSet.checkInterval) || options.checkInterval);
+
+      const result = await this.simulate(market, settings, {
+        ...options,
+        checkInterval,
+        rebalance: true
+      });
+
+      results.push({
+        label: parameterSet.label || `Set ${index + 1}`,
+        parameters: {
+          minRebalanceThreshold: settings.minRebalanceThreshold,
+          checkInterval,
+          cooldownPeriod: settings.cooldownPeriod,
+          maxSlippage: settings.maxSlippage,
+          maxOperationsPerRebalance: settings.maxOperationsPerRebalance,
+          preserveStakedPositions: settings.preserveStakedPositions
+        },
+        ...result
+      });
+    }
+
+    // Buy-and-hold benchmark with the same starting allocation
+    const benchmark = await this.simulate(market, baseSettings, { ...options, rebalance: false });
+
+    return {
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      dataPoints: prices.length,
+      initialValueUSD: options.initialValueUSD,
+      targetAllocation: recommendation.allocation,
+      results,
+      benchmark,
+      warnings
+    };
+  }
+
+  /**
+   * Resolve the target allocation used as the recommendation during replay
+   * @param {Object} options - Backtest options
+   * @returns {Object} Recommendation-shaped object with allocation and position types
+   */
+  resolveTargetAllocation(options) {
+    const allocation = options.allocation ||
+      stakingOptimizer.strategies[options.riskProfile]?.allocation;
+
+    if (!allocation || allocation.length === 0) {
+      throw this.createError(`Unknown risk profile: ${options.riskProfile}`, 'invalid_parameters');
+    }
+
+    return {
+      allocation: allocation.map(item => ({
+        protocol: item.protocol.toLowerCase(),
+        percentage: parseFloat(item.percentage),
+        product: item.product,
+        type: this.resolvePositionType(item.protocol, item.product)
+      }))
+    };
+  }
+
+  /**
+   * Determine how a target position is held
+   * @param {string} protocol - Protocol name
+   * @param {string} product - Product description
+   * @returns {string} Position type (staking, lending, liquidity or holding)
+   */
+  resolvePositionType(protocol, product) {
+    if (protocols.getLiquidStakingTokens()[protocol.toLowerCase()]) {
+      return 'staking';
+    }
+    return autoRebalancer.determineProtocolType(product);
+  }
+
+  /**
+   * Load the APT price series for the replay window
+   * @param {Date} startDate - Start of the window
+   * @param {Date} endDate - End of the window
+   * @returns {Promise<Array>} Price points sorted by time
+   */
+  async loadPriceSeries(startDate, endDate) {
+    const history = await TokenPrice.getPriceHistory('APT', startDate, endDate);
+
+    const prices = history
+      .filter(point => point.price > 0)
+      .map(point => ({ time: new Date(point.lastUpdated).getTime(), price: point.price }));
+
+    if (prices.length < 2) {
+      throw this.createError('Not enough APT price history stored for the requested period', 'insufficient_data');
+    }
+
+    return prices;
+  }
+
+  /**
+   * Load APR series for every protocol in the target allocation
+   * @param {Array} allocation - Target allocation
+   * @param {Date} startDate - Start of the window
+   * @param {Date} endDate - End of the window
+   * @param {Array} warnings - Collects protocols without rate history
+   * @returns {Promise<Object>} Map of protocol -> rate points sorted by time
+   */
+  async loadRateSeries(allocation, startDate, endDate, warnings) {
+    const protocols = allocation.map(item => item.protocol);
+    const history = await StakingRates.getRatesBetween(
+      protocols,
+      new Date(startDate.getTime() - RATE_LOOKBACK_MS),
+      endDate
+    );
+
+    const rates = {};
+
+    allocation.forEach(item => {
+      const protocolRates = history.filter(rate => rate.protocol === item.protocol);
+
+      // Prefer rates for the same kind of product, e.g. lending rather than staking APR
+      const matching = protocolRates.filter(rate =>
+        this.resolvePositionType(rate.protocol, rate.product) === item.type
+      );
+      const series = matching.length > 0 ? matching : protocolRates;
+
+      if (series.length === 0) {
+        warnings.push(`No APR history for ${item.protocol}; assuming 0% yield`);
+      }
+
+      rates[item.protocol] = series.map(rate => ({
+        time: new Date(rate.timestamp).getTime(),
+        apr: rate.apr
+      }));
+    });
+
+    return rates;
+  }
+
+  /**
+   * Get the APR in effect for a protocol at a point in time
+   * @param {Array} series - Rate points sorted by time
+   * @param {number} time - Timestamp
+   * @returns {number} APR percentage
+   */
+  getRateAt(series, time) {
+    if (!series || series.length === 0) return 0;
+
+    let apr = series[0].apr;
+    for (const point of series) {
+      if (point.time > time) break;
+      apr = point.apr;
+    }
+    return apr;
+  }
+
+  /**
+   * Run one simulation over the price series
+   * @param {Object} market - Price series, rate series and target recommendation
+   * @param {Object} settings - Rebalance settings
+   * @param {Object} options - Simulation options
+   * @returns {Promise<Object>} Simulation metrics
+   */
+  async simulate(market, settings, options) {
+    const { prices, rates, recommendation } = market;
+    const startPrice = prices[0].price;
+
+    // Start fully deployed at the target allocation
+    const holdings = { native: 0, positions: {} };
+    recommendation.allocation.forEach(item => {
+      const units = (item.percentage / 100) * options.initialValueUSD / startPrice;
+      if (item.type === 'holding') {
+        holdings.native += units;
+      } else {
+        holdings.positions[item.protocol] = { type: item.type, units };
+      }
+    });
+
+    const metrics = {
+      rebalances: 0,
+      operations: 0,
+      skippedOperations: 0,
+      turnoverUSD: 0,
+      gasCostAPT: 0,
+      gasCostUSD: 0,
+      slippageCostUSD: 0,
+      realizedYieldAPT: 0,
+      realizedYieldUSD: 0
+    };
+
+    const checkIntervalMs = options.checkInterval * HOUR_MS;
+    let nextCheck = prices[0].time + checkIntervalMs;
+    let lastRebalance = null;
+    let peakValue = options.initialValueUSD;
+    let maxDrawdown = 0;
+
+    for (let i = 1; i < prices.length; i++) {
+      const { time, price } = prices[i];
+      const elapsed = time - prices[i - 1].time;
+
+      // Accrue yield at the APR in effect over the elapsed period
+      Object.entries(holdings.positions).forEach(([protocol, position]) => {
+        const apr = this.getRateAt(rates[protocol], prices[i - 1].time);
+        const earned = position.units * (apr / 100) * (elapsed / YEAR_MS);
+        position.units += earned;
+        metrics.realizedYieldAPT += earned;
+        metrics.realizedYieldUSD += earned * price;
+      });
+
+      if (options.rebalance && time >= nextCheck) {
+        nextCheck = time + checkIntervalMs;
+
+        const cooledDown = !lastRebalance || time - lastRebalance >= settings.cooldownPeriod;
+        if (cooledDown) {
+          const executed = await this.rebalance(holdings, price, recommendation, settings, options, metrics);
+          if (executed) {
+            lastRebalance = time;
+            metrics.rebalances++;
+          }
+        }
+      }
+
+      const value = this.getHoldingsValueAPT(holdings) * price;
+      peakValue = Math.max(peakValue, value);
+      maxDrawdown = Math.max(maxDrawdown, (peakValue - value) / peakValue * 100);
+    }
+
+    const finalPrice = prices[prices.length - 1].price;
+    const finalValueAPT = this.getHoldingsValueAPT(holdings);
+    const finalValueUSD = finalValueAPT * finalPrice;
+    const initialValueAPT = options.initialValueUSD / startPrice;
+
+    return {
+      finalValueUSD,
+      finalValueAPT,
+      returnPct: (finalValueUSD / options.initialValueUSD - 1) * 100,
+      realizedYieldAPT: metrics.realizedYieldAPT,
+      realizedYieldUSD: metrics.realizedYieldUSD,
+      realizedYieldPct: metrics.realizedYieldAPT / initialValueAPT * 100,
+      rebalances: metrics.rebalances,
+      operations: metrics.operations,
+      skippedOperations: metrics.skippedOperations,
+      turnoverUSD: metrics.turnoverUSD,
+      turnoverRatio: metrics.turnoverUSD / options.initialValueUSD,
+      gasCostAPT: metrics.gasCostAPT,
+      gasCostUSD: metrics.gasCostUSD,
+      slippageCostUSD: metrics.slippageCostUSD,
+      maxDrawdownPct: maxDrawdown,
+      finalAllocation: this.describeAllocation(holdings, finalValueAPT)
+    };
+  }
+
+  /**
+   * Check drift and apply the planned operations to the simulated holdings
+   * @param {Object} holdings - Simulated holdings (mutated)
+   * @param {number} price - APT price at this point
+   * @param {Object} recommendation - Target allocation
+   * @param {Object} settings - Rebalance settings
+   * @param {Object} options - Simulation options
+   * @param {Object} metrics - Running metrics (mutated)
+   * @returns {Promise<boolean>} Whether any operation was executed
+   */
+  async rebalance(holdings, price, recommendation, settings, options, metrics) {
+    const portfolio = this.buildPortfolio(holdings, price);
+    const driftAnalysis = autoRebalancer.calculateDrift(portfolio, recommendation, settings);
+
+    if (!driftAnalysis.needsRebalancing) {
+      return false;
+    }
+
+    const operations = await autoRebalancer.generateRebalanceOperations(portfolio, recommendation, {
+      settings,
+      gasUnitPrice: options.gasUnitPrice
+    });
+
+    const slippage = Math.min(options.simulatedSlippage, settings.maxSlippage) / 100;
+    let executed = 0;
+
+    for (const operation of operations) {
+      const gas = autoRebalancer.estimateOperationGas(operation, settings, options.gasUnitPrice, price);
+      let amountAPT = parseFloat(operation.amountUSD) / price;
+
+      // Gas is paid from native APT, including the proceeds of a withdrawal
+      if (operation.type === 'swap') {
+        const from = holdings.positions[operation.fromProtocol];
+        amountAPT = Math.min(amountAPT, from ? from.units : 0);
+        if (amountAPT <= 0 || holdings.native < gas.costAPT) {
+          metrics.skippedOperations++;
+          continue;
+        }
+
+        if (!holdings.positions[operation.toProtocol]) {
+          holdings.positions[operation.toProtocol] = { type: 'staking', units: 0 };
+        }
+
+        from.units -= amountAPT;
+        holdings.positions[operation.toProtocol].units += amountAPT * (1 - slippage);
+      } else if (WITHDRAW_TYPES.includes(operation.type)) {
+        const position = holdings.positions[operation.protocol];
+        amountAPT = Math.min(amountAPT, position ? position.units : 0);
+        if (amountAPT <= 0 || holdings.native + amountAPT * (1 - slippage) < gas.costAPT) {
+          metrics.skippedOperations++;
+          continue;
+        }
+
+        position.units -= amountAPT;
+        holdings.native += amountAPT * (1 - slippage);
+      } else {
+        amountAPT = Math.min(amountAPT, holdings.native - gas.costAPT);
+        if (amountAPT <= 0) {
+          metrics.skippedOperations++;
+          continue;
+        }
+
+        const type = recommendation.allocation.find(item => item.protocol === operation.protocol.toLowerCase())?.type;
+        if (!holdings.positions[operation.protocol]) {
+          holdings.positions[operation.protocol] = { type, units: 0 };
+        }
+
+        holdings.native -= amountAPT;
+        holdings.positions[operation.protocol].units += amountAPT * (1 - slippage);
+      }
+
+      holdings.native -= gas.costAPT;
+
+      metrics.operations++;
+      metrics.turnoverUSD += amountAPT * price;
+      metrics.gasCostAPT += gas.costAPT;
+      metrics.gasCostUSD += gas.costUSD;
+      metrics.slippageCostUSD += amountAPT * slippage * price;
+      executed++;
+    }
+
+    return executed > 0;
+  }
+
+  /**
+   * Convert simulated holdings into the portfolio shape calculateDrift expects
+   * @param {Object} holdings - Simulated holdings
+   * @param {number} price - APT price
+   * @returns {Object} Portfolio data
+   */
+  buildPortfolio(holdings, price) {
+    const portfolio = {
+      address: null,
+      totalValueUSD: this.getHoldingsValueAPT(holdings) * price,
+      apt: { amount: holdings.native, valueUSD: holdings.native * price },
+      ammLiquidity: { hasLiquidity: false, positions: [] },
+      lendingPositions: []
+    };
+
+    Object.entries(holdings.positions).forEach(([protocol, position]) => {
+      const valueUSD = position.units * price;
+
+      if (position.type === 'staking') {
+        portfolio[protocols.getLiquidStakingTokens()[protocol]] = { amount: position.units, valueUSD };
+      } else if (position.type === 'liquidity') {
+        portfolio.ammLiquidity.hasLiquidity = true;
+        portfolio.ammLiquidity.positions.push({ protocol, valueUSD });
+      } else if (position.type === 'lending') {
+        portfolio.lendingPositions.push({ protocol, amount: position.units, valueUSD });
+      }
+    });
+
+    return portfolio;
+  }
+
+  /**
+   * Total value of simulated holdings in APT
+   * @param {Object} holdings - Simulated holdings
+   * @returns {number} Value in APT
+   */
+  getHoldingsValueAPT(holdings) {
+    return Object.values(holdings.positions)
+      .reduce((total, position) => total + position.units, holdings.native);
+  }
+
+  /**
+   * Describe simulated holdings as allocation percentages
+   * @param {Object} holdings - Simulated holdings
+   * @param {number} totalAPT - Total value in APT
+   * @returns {Array} Allocation items
+   */
+  describeAllocation(holdings, totalAPT) {
+    if (totalAPT <= 0) return [];
+
+    return [
+      { protocol: 'native', percentage: holdings.native / totalAPT * 100 },
+      ...Object.entries(holdings.positions).map(([protocol, position]) => ({
+        protocol,
+        percentage: position.units / totalAPT * 100
+      }))
+    ].filter(item => item.percentage > 0.005);
+  }
+
+  /**
+   * Create an error with a machine-readable code
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new RebalanceBacktester();
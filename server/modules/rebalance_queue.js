@@ -0,0 +1,314 @@
+/**
+ * rebalance_queue.js
+ *
+ * In-process job queue for CompounDefi portfolio rebalancing
+ * Runs rebalance jobs on a bounded pool of workers with per-wallet locking
+ *
+ * Features:
+ * - Configurable number of concurrent workers
+ * - At most one running job per wallet; other wallets are never blocked
+ * - Retry with exponential backoff for failed attempts
+ * - Inspection of queued, running, completed and failed jobs
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { getLogger } = require('../utils/logging');
+
+// Instantiate logger once for the module
+const logger = getLogger('rebalance_queue');
+
+// Job states
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Number of finished jobs kept for inspection
+const MAX_FINISHED_JOBS = 200;
+
+class RebalanceQueue extends EventEmitter {
+  /**
+   * @param {Object} options - Queue options
+   * @param {Function} options.processor - Async function executing a job: (job) => result
+   * @param {number} options.concurrency - Maximum number of jobs running at once
+   */
+  constructor({ processor, concurrency = 4 } = {}) {
+    super();
+
+    if (typeof processor !== 'function') {
+      throw new Error('A job processor function is required');
+    }
+
+    this.processor = processor;
+    this.concurrency = Math.max(1, concurrency);
+    this.jobs = new Map(); // Map of job ID -> job record
+    this.waiters = new Map(); // Map of job ID -> { resolve, reject }
+    this.lockedWallets = new Set(); // Wallets with a running job
+    this.running = 0;
+    this.wakeTimer = null;
+  }
+
+  /**
+   * Add a rebalance job to the queue
+   * @param {string} walletAddress - User's wallet address
+   * @param {Object} options - Options passed to the processor
+   * @param {Object} retryPolicy - Retry policy
+   * @param {number} retryPolicy.retryAttempts - Number of retries after the first attempt
+   * @param {number} retryPolicy.retryDelay - Base delay between retries (ms), doubled per retry
+   * @returns {Object} Job record and a promise settling with the job result
+   */
+  enqueue(walletAddress, options = {}, { retryAttempts = 0, retryDelay = 0 } = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      walletAddress,
+      options,
+      status: JOB_STATUS.QUEUED,
+      attempts: 0,
+      maxAttempts: 1 + Math.max(0, retryAttempts),
+      retryDelay: Math.max(0, retryDelay),
+      createdAt: Date.now(),
+      nextRunAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      lastError: null,
+      result: null
+    };
+
+    const promise = new Promise((resolve, reject) => {
+      this.waiters.set(job.id, { resolve, reject });
+    });
+    // Callers that do not wait for the result should not trigger unhandled rejections
+    promise.catch(() => {});
+
+    this.jobs.set(job.id, job);
+    logger.info(`Queued rebalance job ${job.id} for ${walletAddress}`);
+    this.emit('queued', this.describeJob(job));
+
+    this.drain();
+
+    return { job: this.describeJob(job), promise };
+  }
+
+  /**
+   * Start as many ready jobs as the worker pool allows
+   */
+  drain() {
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+
+    while (this.running < this.concurrency) {
+      const job = this.nextReadyJob();
+      if (!job) break;
+      this.runJob(job);
+    }
+
+    // Wake up again when the earliest delayed retry becomes due
+    const delayed = this.getJobsByStatus(JOB_STATUS.QUEUED)
+      .filter(job => job.nextRunAt > Date.now());
+
+    if (delayed.length > 0 && this.running < this.concurrency) {
+      const wakeAt = Math.min(...delayed.map(job => job.nextRunAt));
+      this.wakeTimer = setTimeout(() => this.drain(), Math.max(0, wakeAt - Date.now()));
+    }
+  }
+
+  /**
+   * Find the oldest queued job that is due and whose wallet is not locked
+   * @returns {Object|null} Job record or null
+   */
+  nextReadyJob() {
+    const now = Date.now();
+
+    for (const job of this.jobs.values()) {
+      if (job.status === JOB_STATUS.QUEUED &&
+          job.nextRunAt <= now &&
+          !this.lockedWallets.has(job.walletAddress)) {
+        return job;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Run a single attempt of a job
+   * @param {Object} job - Job record
+   */
+  async runJob(job) {
+    this.running++;
+    this.lockedWallets.add(job.walletAddress);
+
+    job.status = JOB_STATUS.RUNNING;
+    job.attempts++;
+    job.startedAt = Date.now();
+    this.emit('started', this.describeJob(job));
+
+    try {
+      const result = await this.processor(job);
+
+      job.status = JOB_STATUS.COMPLETED;
+      job.finishedAt = Date.now();
+      job.result = result;
+
+      this.settle(job, null, result);
+      this.emit('completed', this.describeJob(job));
+    } catch (error) {
+      job.lastError = error.message;
+
+      const retryable = error.retryable !== false && job.attempts < job.maxAttempts;
+
+      if (retryable) {
+        const backoff = job.retryDelay * Math.pow(2, job.attempts - 1);
+        job.status = JOB_STATUS.QUEUED;
+        job.nextRunAt = Date.now() + backoff;
+
+        logger.warn(`Rebalance job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${backoff}ms: ${error.message}`);
+        this.emit('retrying', this.describeJob(job));
+      } else {
+        job.status = JOB_STATUS.FAILED;
+        job.finishedAt = Date.now();
+
+        logger.error(`Rebalance job ${job.id} failed after ${job.attempts} attempt(s): ${error.message}`);
+        this.settle(job, error);
+        this.emit('failed', this.describeJob(job));
+      }
+    } finally {
+      this.running--;
+      this.lockedWallets.delete(job.walletAddress);
+      this.pruneFinishedJobs();
+      this.drain();
+    }
+  }
+
+  /**
+   * Resolve or reject the promise handed out by enqueue
+   * @param {Object} job - Job record
+   * @param {Error|null} error - Failure, if any
+   * @param {*} result - Job result
+   */
+  settle(job, error, result) {
+    const waiter = this.waiters.get(job.id);
+    if (!waiter) return;
+
+    this.waiters.delete(job.id);
+    if (error) {
+      waiter.reject(error);
+    } else {
+      waiter.resolve(result);
+    }
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond the retention limit
+   */
+  pruneFinishedJobs() {
+    const finished = [...this.jobs.values()]
+      .filter(job => job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED)
+      .sort((a, b) => a.finishedAt - b.finishedAt);
+
+    while (finished.length > MAX_FINISHED_JOBS) {
+      this.jobs.delete(finished.shift().id);
+    }
+  }
+
+  /**
+   * Check whether a wallet has a queued or running job
+   * @param {string} walletAddress - User's wallet address
+   * @returns {boolean} Whether the wallet has unfinished work
+   */
+  hasPendingJob(walletAddress) {
+    for (const job of this.jobs.values()) {
+      if (job.walletAddress === walletAddress &&
+          (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Get job records with a given status
+   * @param {string} status - Job status
+   * @returns {Array} Job records
+   */
+  getJobsByStatus(status) {
+    return [...this.jobs.values()].filter(job => job.status === status);
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Job description or null if unknown
+   */
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this.describeJob(job) : null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filters - Optional status and walletAddress filters
+   * @returns {Array} Job descriptions
+   */
+  listJobs({ status, walletAddress } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => !status || job.status === status)
+      .filter(job => !walletAddress || job.walletAddress === walletAddress)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(job => this.describeJob(job));
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} Job counts by status and worker usage
+   */
+  getStats() {
+    const counts = Object.values(JOB_STATUS).reduce((map, status) => {
+      map[status] = 0;
+      return map;
+    }, {});
+
+    for (const job of this.jobs.values()) {
+      counts[job.status]++;
+    }
+
+    return {
+      ...counts,
+      concurrency: this.concurrency,
+      activeWorkers: this.running
+    };
+  }
+
+  /**
+   * Convert a job record into a serializable description
+   * @param {Object} job - Job record
+   * @returns {Object} Job description
+   */
+  describeJob(job) {
+    const toISO = (timestamp) => timestamp ? new Date(timestamp).toISOString() : null;
+
+    return {
+      id: job.id,
+      walletAddress: job.walletAddress,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      createdAt: toISO(job.createdAt),
+      startedAt: toISO(job.startedAt),
+      finishedAt: toISO(job.finishedAt),
+      nextRunAt: job.status === JOB_STATUS.QUEUED ? toISO(job.nextRunAt) : null,
+      lastError: job.lastError,
+      eventId: job.result?.eventId || null
+    };
+  }
+}
+
+module.exports = {
+  RebalanceQueue,
+  JOB_STATUS
+};
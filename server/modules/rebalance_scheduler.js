@@ -0,0 +1,657 @@
+/**
+ * rebalance_scheduler.js
+ *
+ * Schedule engine for CompounDefi auto-rebalancing
+ * Computes fire times for one-off, interval, cron and calendar schedules and
+ * arms the timers that run them
+ *
+ * Features:
+ * - Five-field cron expressions with names, ranges, steps, L and @macros
+ * - Calendar schedules (daily, weekly, monthly) with optional weekend skipping
+ * - Wall-clock times evaluated in any IANA timezone, across DST changes
+ * - Missed-run catch-up policies applied when a schedule is re-armed
+ * - Timers for delays longer than setTimeout supports
+ */
+
+const { getLogger } = require('../utils/logging');
+
+// Instantiate logger once for the module
+const logger = getLogger('rebalance_scheduler');
+
+// Schedule types
+const SCHEDULE_TYPES = {
+  ONCE: 'once',
+  INTERVAL: 'interval',
+  CRON: 'cron',
+  CALENDAR: 'calendar'
+};
+
+// What to do with runs missed while the server was down
+const CATCH_UP_POLICIES = {
+  SKIP: 'skip', // Drop missed runs and wait for the next one
+  ONCE: 'once', // Run once for any number of missed runs
+  ALL: 'all' // Replay every missed run, up to MAX_CATCH_UP_RUNS
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const MIN_INTERVAL = 5 * MINUTE_MS; // Shortest allowed interval schedule
+const MAX_TIMER_DELAY = 2147483647; // Longest delay setTimeout supports (~24.8 days)
+const MAX_CATCH_UP_RUNS = 10;
+const MAX_MISSED_SCAN = 10000; // Fire times scanned to find the latest missed run
+const CATCH_UP_DELAY = 5000; // Missed runs start shortly after re-arming
+const MAX_SEARCH_DAYS = 5 * 366; // Schedules with no run within 5 years never fire
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// Cron fields in expression order
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES }
+];
+
+// Sentinel for the last day of the month
+const LAST_DAY = -1;
+
+// Cached Intl formatters per timezone
+const formatters = new Map();
+
+/**
+ * Get a formatter that splits an instant into wall-clock fields for a timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Get the wall-clock fields of an instant in a timezone
+ * @param {number} timestamp - Instant (ms)
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} year, month (1-12), day, hour, minute, second
+ */
+function getZonedParts(timestamp, timezone) {
+  return getFormatter(timezone).formatToParts(new Date(timestamp)).reduce((parts, part) => {
+    if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+    return parts;
+  }, {});
+}
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @param {number} timestamp - Instant (ms)
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Offset in ms (positive east of UTC)
+ */
+function getZoneOffset(timestamp, timezone) {
+  const parts = getZonedParts(timestamp, timezone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (timestamp - (timestamp % 1000));
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ *
+ * Times skipped by a DST change resolve to the same offset past the gap, and times
+ * repeated by one resolve to their first occurrence.
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {number} hour - Hour
+ * @param {number} minute - Minute
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Instant (ms)
+ */
+function zonedTimeToTimestamp(year, month, day, hour, minute, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Offsets in effect on either side of any change on this day
+  const before = getZoneOffset(wallClock - DAY_MS / 2, timezone);
+  const after = getZoneOffset(wallClock + DAY_MS / 2, timezone);
+
+  const candidates = [wallClock - before, wallClock - after]
+    .filter(timestamp => timestamp + getZoneOffset(timestamp, timezone) === wallClock);
+
+  // No instant shows this wall-clock time: it falls in a gap, so keep the offset from before it
+  return candidates.length > 0 ? Math.min(...candidates) : wallClock - before;
+}
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} expression - Field expression, e.g. '1-5', '0/15', 'MON,FRI'
+ * @param {Object} field - Field definition from CRON_FIELDS
+ * @returns {Set} Matching values
+ */
+function parseCronField(expression, field) {
+  const values = new Set();
+
+  const toValue = token => {
+    const upper = token.toUpperCase();
+    if (field.names && field.names.includes(upper)) {
+      return field.names.indexOf(upper) + (field.name === 'month' ? 1 : 0);
+    }
+    if (!/^\d+$/.test(token)) {
+      throw new Error(`Invalid ${field.name} value "${token}"`);
+    }
+
+    const value = parseInt(token, 10);
+    if (value < field.min || value > field.max) {
+      throw new Error(`${field.name} value ${value} outside ${field.min}-${field.max}`);
+    }
+    return value;
+  };
+
+  expression.split(',').forEach(part => {
+    if (field.name === 'dayOfMonth' && part.toUpperCase() === 'L') {
+      values.add(LAST_DAY);
+      return;
+    }
+
+    const [range, stepToken] = part.split('/');
+    const step = stepToken === undefined ? 1 : parseInt(stepToken, 10);
+    if (!(step >= 1) || (stepToken !== undefined && !/^\d+$/.test(stepToken))) {
+      throw new Error(`Invalid step in ${field.name} "${part}"`);
+    }
+
+    let start, end;
+    if (range === '*') {
+      start = field.min;
+      end = field.name === 'dayOfWeek' ? 6 : field.max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(toValue);
+    } else {
+      start = toValue(range);
+      end = stepToken === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid range in ${field.name} "${part}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // 7 is an alias for Sunday
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Compile a cron expression into a matcher
+ * @param {string} expression - Five-field cron expression or @macro
+ * @returns {Object} Matcher with value sets per field
+ */
+function compileCron(expression) {
+  const source = CRON_MACROS[expression.trim().toLowerCase()] || expression;
+  const tokens = source.trim().split(/\s+/);
+
+  if (tokens.length !== CRON_FIELDS.length) {
+    throw new Error('Cron expressions need 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = tokens.map((token, index) =>
+    parseCronField(token, CRON_FIELDS[index])
+  );
+
+  // Standard cron matches either day field when both are restricted
+  const domRestricted = tokens[2] !== '*';
+  const dowRestricted = tokens[4] !== '*';
+
+  return {
+    minutes,
+    hours,
+    months,
+    daysOfMonth,
+    daysOfWeek,
+    dayMatch: domRestricted && dowRestricted ? 'any' : 'all'
+  };
+}
+
+/**
+ * Compile a calendar schedule into a matcher
+ * @param {Object} calendar - { frequency, time, daysOfWeek, daysOfMonth }
+ * @returns {Object} Matcher with value sets per field
+ */
+function compileCalendar(calendar) {
+  const frequency = calendar.frequency || 'daily';
+  const match = /^(\d{1,2}):(\d{2})$/.exec(calendar.time || '00:00');
+
+  if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+    throw new Error('Calendar time must be HH:MM');
+  }
+
+  const everyDay = parseCronField('*', CRON_FIELDS[2]);
+  let daysOfMonth = everyDay;
+  let daysOfWeek = parseCronField('*', CRON_FIELDS[4]);
+
+  if (frequency === 'weekly') {
+    const days = calendar.daysOfWeek && calendar.daysOfWeek.length ? calendar.daysOfWeek : [0];
+    daysOfWeek = parseCronField(days.join(','), CRON_FIELDS[4]);
+  } else if (frequency === 'monthly') {
+    const days = calendar.daysOfMonth && calendar.daysOfMonth.length ? calendar.daysOfMonth : [1];
+    daysOfMonth = parseCronField(
+      days.map(day => (String(day).toLowerCase() === 'last' ? 'L' : day)).join(','),
+      CRON_FIELDS[2]
+    );
+  } else if (frequency !== 'daily') {
+    throw new Error(`Unknown calendar frequency "${frequency}"`);
+  }
+
+  return {
+    minutes: new Set([parseInt(match[2], 10)]),
+    hours: new Set([parseInt(match[1], 10)]),
+    months: parseCronField('*', CRON_FIELDS[3]),
+    daysOfMonth,
+    daysOfWeek,
+    dayMatch: 'all'
+  };
+}
+
+/**
+ * Check whether a calendar day matches a compiled schedule
+ * @param {Object} matcher - Compiled matcher
+ * @param {Object} spec - Normalized schedule spec
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {boolean} Whether the schedule can fire on this day
+ */
+function matchesDay(matcher, spec, year, month, day) {
+  if (!matcher.months.has(month)) return false;
+
+  const dayOfWeek = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  if (spec.skipWeekends && (dayOfWeek === 0 || dayOfWeek === 6)) return false;
+
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const domMatch = matcher.daysOfMonth.has(day) || (day === lastDay && matcher.daysOfMonth.has(LAST_DAY));
+  const dowMatch = matcher.daysOfWeek.has(dayOfWeek);
+
+  return matcher.dayMatch === 'any' ? domMatch || dowMatch : domMatch && dowMatch;
+}
+
+class RebalanceScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {string} options.timezone - Default timezone for wall-clock schedules
+   * @param {string} options.catchUp - Default catch-up policy
+   */
+  constructor({ timezone = 'UTC', catchUp = CATCH_UP_POLICIES.ONCE } = {}) {
+    this.timezone = timezone;
+    this.catchUp = catchUp;
+    this.entries = new Map(); // Map of schedule key -> armed schedule
+    this.matchers = new Map(); // Map of cron/calendar source -> compiled matcher
+  }
+
+  /**
+   * Validate schedule options into a persisted schedule spec
+   * @param {Object} options - One of delayMs, runAt, checkInterval, cron or calendar,
+   *   plus optional timezone, catchUp and skipWeekends
+   * @returns {Object} Normalized schedule spec
+   */
+  normalizeSpec(options = {}) {
+    const { delayMs, runAt, checkInterval, cron, calendar, skipWeekends } = options;
+    const timezone = options.timezone || this.timezone;
+    const catchUp = options.catchUp || this.catchUp;
+
+    if (!Object.values(CATCH_UP_POLICIES).includes(catchUp)) {
+      throw this.createError(`Unknown catch-up policy "${catchUp}"`);
+    }
+
+    try {
+      getFormatter(timezone);
+    } catch (error) {
+      throw this.createError(`Unknown timezone "${timezone}"`);
+    }
+
+    let spec;
+    if (cron) {
+      spec = { type: SCHEDULE_TYPES.CRON, cron: String(cron).trim() };
+    } else if (calendar) {
+      spec = {
+        type: SCHEDULE_TYPES.CALENDAR,
+        calendar: {
+          frequency: calendar.frequency || 'daily',
+          time: calendar.time || '00:00',
+          daysOfWeek: calendar.daysOfWeek,
+          daysOfMonth: calendar.daysOfMonth
+        }
+      };
+    } else if (checkInterval !== undefined) {
+      spec = { type: SCHEDULE_TYPES.INTERVAL, intervalMs: Math.max(MIN_INTERVAL, parseInt(checkInterval, 10) || 0) };
+    } else {
+      const time = runAt !== undefined ? new Date(runAt).getTime() : Date.now() + (parseInt(delayMs, 10) || 0);
+      if (!Number.isFinite(time)) {
+        throw this.createError('runAt must be a valid date');
+      }
+      spec = { type: SCHEDULE_TYPES.ONCE, runAt: new Date(time).toISOString() };
+    }
+
+    spec = { ...spec, timezone, catchUp, skipWeekends: Boolean(skipWeekends) };
+
+    if (spec.type === SCHEDULE_TYPES.CRON || spec.type === SCHEDULE_TYPES.CALENDAR) {
+      try {
+        this.getMatcher(spec);
+      } catch (error) {
+        throw this.createError(error.message);
+      }
+
+      if (!this.getNextRun(spec)) {
+        throw this.createError('Schedule never fires');
+      }
+    }
+
+    return spec;
+  }
+
+  /**
+   * Get the compiled matcher for a cron or calendar spec
+   * @param {Object} spec - Schedule spec
+   * @returns {Object} Compiled matcher
+   */
+  getMatcher(spec) {
+    const source = spec.type === SCHEDULE_TYPES.CRON ? spec.cron : JSON.stringify(spec.calendar);
+    const key = `${spec.type}:${source}`;
+
+    if (!this.matchers.has(key)) {
+      this.matchers.set(key, spec.type === SCHEDULE_TYPES.CRON ? compileCron(spec.cron) : compileCalendar(spec.calendar));
+    }
+    return this.matchers.get(key);
+  }
+
+  /**
+   * Compute the first fire time strictly after an instant
+   * @param {Object} spec - Normalized schedule spec
+   * @param {Date|number} after - Instant to search from (defaults to now)
+   * @param {Date|number} anchor - Start of an interval schedule
+   * @returns {Date|null} Next fire time, or null when the schedule is finished
+   */
+  getNextRun(spec, after = Date.now(), anchor = null) {
+    const from = new Date(after).getTime();
+
+    if (spec.type === SCHEDULE_TYPES.ONCE) {
+      const runAt = new Date(spec.runAt).getTime();
+      return runAt > from ? new Date(runAt) : null;
+    }
+
+    if (spec.type === SCHEDULE_TYPES.INTERVAL) {
+      const start = anchor ? new Date(anchor).getTime() : from;
+      const elapsed = Math.max(0, from - start);
+      return new Date(start + (Math.floor(elapsed / spec.intervalMs) + 1) * spec.intervalMs);
+    }
+
+    const matcher = this.getMatcher(spec);
+    const start = getZonedParts(from, spec.timezone);
+    const hours = [...matcher.hours].sort((a, b) => a - b);
+    const minutes = [...matcher.minutes].sort((a, b) => a - b);
+
+    // Walk calendar days in the schedule's timezone
+    for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+      const date = new Date(Date.UTC(start.year, start.month - 1, start.day) + offset * DAY_MS);
+      const year = date.getUTCFullYear();
+      const month = date.getUTCMonth() + 1;
+      const day = date.getUTCDate();
+
+      if (!matchesDay(matcher, spec, year, month, day)) continue;
+
+      for (const hour of hours) {
+        if (offset === 0 && hour < start.hour) continue;
+
+        for (const minute of minutes) {
+          if (offset === 0 && hour === start.hour && minute < start.minute) continue;
+
+          const timestamp = zonedTimeToTimestamp(year, month, day, hour, minute, spec.timezone);
+          if (timestamp > from) return new Date(timestamp);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Compute the next several fire times
+   * @param {Object} spec - Normalized schedule spec
+   * @param {number} count - Number of fire times
+   * @param {Date|number} after - Instant to search from (defaults to now)
+   * @param {Date|number} anchor - Start of an interval schedule
+   * @returns {Array<Date>} Fire times in order
+   */
+  getNextRuns(spec, count = 5, after = Date.now(), anchor = null) {
+    const runs = [];
+    let next = this.getNextRun(spec, after, anchor);
+
+    while (next && runs.length < count) {
+      runs.push(next);
+      next = this.getNextRun(spec, next, anchor);
+    }
+
+    return runs;
+  }
+
+  /**
+   * Compute the fire times missed between two instants, as the catch-up policy allows
+   * @param {Object} spec - Normalized schedule spec
+   * @param {Date|number} since - Last run (or creation) of the schedule
+   * @param {Date|number} until - Current time
+   * @param {Date|number} anchor - Start of an interval schedule
+   * @returns {Array<Date>} Missed fire times to run now
+   */
+  getMissedRuns(spec, since, until = Date.now(), anchor = null) {
+    const end = new Date(until).getTime();
+    const missed = [];
+
+    // A one-off schedule created with a past time counts as missed
+    let next = spec.type === SCHEDULE_TYPES.ONCE && new Date(spec.runAt).getTime() <= new Date(since).getTime() ?
+      new Date(spec.runAt) :
+      this.getNextRun(spec, since, anchor);
+
+    if (spec.catchUp === CATCH_UP_POLICIES.SKIP || !next || next.getTime() > end) {
+      return [];
+    }
+
+    if (spec.catchUp === CATCH_UP_POLICIES.ALL) {
+      while (next && next.getTime() <= end && missed.length < MAX_CATCH_UP_RUNS) {
+        missed.push(next);
+        next = this.getNextRun(spec, next, anchor);
+      }
+      return missed;
+    }
+
+    // A single catch-up run stands for the most recent missed fire time
+    let latest = next;
+    for (let checked = 0; next && next.getTime() <= end && checked < MAX_MISSED_SCAN; checked++) {
+      latest = next;
+      next = this.getNextRun(spec, next, anchor);
+    }
+    return [latest];
+  }
+
+  /**
+   * Arm a schedule, replaying missed runs according to its catch-up policy
+   * @param {string} key - Schedule key (one armed schedule per key)
+   * @param {Object} spec - Normalized schedule spec
+   * @param {Object} state - { anchor, lastRunAt } from the persisted schedule
+   * @param {Function} onFire - Async callback: (runAt, { catchUp, nextRunAt }) => void
+   * @returns {Object} Next fire time and number of catch-up runs
+   */
+  schedule(key, spec, state = {}, onFire) {
+    this.cancel(key);
+
+    const anchor = state.anchor ? new Date(state.anchor).getTime() : Date.now();
+    const since = state.lastRunAt ? new Date(state.lastRunAt).getTime() : anchor;
+    const missed = this.getMissedRuns(spec, since, Date.now(), anchor);
+
+    const entry = { key, spec, anchor, onFire, timer: null, nextRunAt: null, lastRunAt: state.lastRunAt || null };
+    this.entries.set(key, entry);
+
+    if (missed.length > 0) {
+      logger.info(`Catching up ${missed.length} missed run(s) for ${key} (policy: ${spec.catchUp})`);
+      entry.timer = setTimeout(() => this.runCatchUp(entry, missed), CATCH_UP_DELAY);
+      entry.nextRunAt = new Date(Date.now() + CATCH_UP_DELAY);
+    } else {
+      this.armNext(entry);
+    }
+
+    return { nextRunAt: entry.nextRunAt, catchUpRuns: missed.length };
+  }
+
+  /**
+   * Run missed fire times in order, then arm the next regular run
+   * @param {Object} entry - Armed schedule
+   * @param {Array<Date>} missed - Missed fire times
+   */
+  async runCatchUp(entry, missed) {
+    for (const runAt of missed) {
+      if (this.entries.get(entry.key) !== entry) return;
+      await this.fire(entry, runAt, true);
+    }
+
+    if (this.entries.get(entry.key) === entry) {
+      this.armNext(entry);
+    }
+  }
+
+  /**
+   * Arm the timer for the next fire time, or finish the schedule
+   * @param {Object} entry - Armed schedule
+   */
+  armNext(entry) {
+    const nextRunAt = this.getNextRun(entry.spec, Date.now(), entry.anchor);
+    entry.nextRunAt = nextRunAt;
+
+    if (!nextRunAt) {
+      this.entries.delete(entry.key);
+      return;
+    }
+
+    const wait = () => {
+      const delay = nextRunAt.getTime() - Date.now();
+
+      // setTimeout cannot wait longer than MAX_TIMER_DELAY, so long waits are chained
+      if (delay > MAX_TIMER_DELAY) {
+        entry.timer = setTimeout(wait, MAX_TIMER_DELAY);
+        return;
+      }
+
+      entry.timer = setTimeout(async () => {
+        if (this.entries.get(entry.key) !== entry) return;
+
+        // Arm the following run before firing so a slow rebalance never delays it
+        this.armNext(entry);
+        await this.fire(entry, nextRunAt, false);
+      }, Math.max(0, delay));
+    };
+
+    wait();
+  }
+
+  /**
+   * Invoke a schedule's callback
+   * @param {Object} entry - Armed schedule
+   * @param {Date} runAt - Fire time being run
+   * @param {boolean} catchUp - Whether this is a missed run
+   */
+  async fire(entry, runAt, catchUp) {
+    entry.lastRunAt = runAt;
+
+    try {
+      await entry.onFire(runAt, { catchUp, nextRunAt: this.getNextRun(entry.spec, Date.now(), entry.anchor) });
+    } catch (error) {
+      logger.error(`Scheduled run failed for ${entry.key}:`, error);
+    }
+  }
+
+  /**
+   * Cancel an armed schedule
+   * @param {string} key - Schedule key
+   * @returns {boolean} Whether a schedule was cancelled
+   */
+  cancel(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    clearTimeout(entry.timer);
+    this.entries.delete(key);
+    return true;
+  }
+
+  /**
+   * Check whether a schedule is armed
+   * @param {string} key - Schedule key
+   * @returns {boolean} Whether the schedule is armed
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Describe an armed schedule with its upcoming fire times
+   * @param {string} key - Schedule key
+   * @param {number} count - Number of upcoming fire times
+   * @returns {Object|null} Schedule status or null if not armed
+   */
+  getStatus(key, count = 5) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    const upcoming = this.getNextRuns(entry.spec, count, Date.now(), entry.anchor);
+
+    // A pending catch-up run comes before the regular schedule
+    const nextRunAt = entry.nextRunAt && (!upcoming[0] || entry.nextRunAt < upcoming[0]) ?
+      entry.nextRunAt :
+      upcoming[0] || null;
+
+    return {
+      spec: entry.spec,
+      nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+      nextRuns: upcoming.map(run => run.toISOString()),
+      lastRunAt: entry.lastRunAt ? new Date(entry.lastRunAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Create a schedule validation error
+   * @param {string} message - Error message
+   * @returns {Error} Error with code 'invalid_schedule'
+   */
+  createError(message) {
+    const error = new Error(message);
+    error.code = 'invalid_schedule';
+    return error;
+  }
+}
+
+module.exports = {
+  RebalanceScheduler,
+  SCHEDULE_TYPES,
+  CATCH_UP_POLICIES
+};
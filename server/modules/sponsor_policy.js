@@ -0,0 +1,167 @@
+/**
+ * sponsor_policy.js
+ *
+ * Policy of the platform sponsor account for CompounDefi fee-payer transactions
+ * Decides whether the sponsor pays the gas of a transaction, so wallets holding
+ * stAPT but too little APT can still onboard and rebalance
+ *
+ * Features:
+ * - Only entry functions of registered protocols (plus configured extras) and the
+ *   registry's Move scripts are sponsored
+ * - Daily gas budget per wallet by subscription tier, per UTC day
+ * - Expired subscriptions fall back to the free tier's budget
+ * - Reservations are taken from the budget atomically before a transaction is built,
+ *   and count against it until the transaction settles at the fee paid
+ */
+
+const protocols = require('../protocols');
+const User = require('../models/user');
+const SponsorBudget = require('../models/sponsorBudget');
+const env = require('../config/env');
+
+class SponsorPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {Object} options.registry - Protocol registry whose entry functions are sponsored
+   * @param {Object} options.dailyBudget - APT per wallet per day by tier ({ free, premium, enterprise })
+   * @param {Array<string>} options.allowedFunctions - Extra entry functions to sponsor
+   */
+  constructor({ registry = protocols, dailyBudget = env.SPONSOR.dailyBudget, allowedFunctions = env.SPONSOR.allowedFunctions } = {}) {
+    this.registry = registry;
+    this.dailyBudget = dailyBudget;
+    this.allowedFunctions = allowedFunctions.map(fn => fn.toLowerCase());
+  }
+
+  /**
+   * Check whether a transaction payload may be sponsored
+   * @param {Object} data - Entry function data ({ function }) or script data ({ bytecode })
+   * @param {string} network - Network (defaults to the registry's network)
+   * @returns {boolean} True for a registered protocol operation, a configured extra or a registered Move script
+   */
+  isAllowed(data, network = this.registry.getNetwork()) {
+    if (data.bytecode) {
+      return [...this.registry.scripts.values()].some(script =>
+        script.bytecode[network.toLowerCase()] === data.bytecode);
+    }
+
+    const name = String(data.function || '').toLowerCase();
+    if (!name) return false;
+    if (this.allowedFunctions.includes(name)) return true;
+
+    return this.registry.listEntryFunctions(network).some(entryFunction => entryFunction.toLowerCase() === name);
+  }
+
+  /**
+   * Resolve the subscription tier a wallet is sponsored under
+   *
+   * Wallets not linked to a user and users whose subscription expired get the free tier.
+   * @param {string} walletAddress - Wallet address
+   * @returns {Promise<Object>} { tier, userId }
+   */
+  async resolveTier(walletAddress) {
+    const user = await User.findByWallet(walletAddress);
+    if (!user) {
+      return { tier: 'free', userId: undefined };
+    }
+
+    const expired = user.subscriptionExpiry && user.subscriptionExpiry < new Date();
+    return {
+      tier: expired ? 'free' : user.subscriptionStatus || 'free',
+      userId: user._id
+    };
+  }
+
+  /**
+   * Get a wallet's sponsored gas budget and how much of it is left
+   * @param {string} walletAddress - Wallet address
+   * @returns {Promise<Object>} { walletAddress, tier, userId, eligible, dailyBudgetAPT, usedAPT, remainingAPT, day, windowStart }
+   */
+  async getAllowance(walletAddress) {
+    const { tier, userId } = await this.resolveTier(walletAddress);
+    const dailyBudgetAPT = this.dailyBudget[tier] || 0;
+    const day = SponsorBudget.dayOf();
+    const usedAPT = await SponsorBudget.getUsed(walletAddress, day);
+
+    return {
+      walletAddress,
+      tier,
+      userId,
+      eligible: dailyBudgetAPT > 0,
+      dailyBudgetAPT,
+      usedAPT,
+      remainingAPT: Math.max(dailyBudgetAPT - usedAPT, 0),
+      day,
+      windowStart: new Date(`${day}T00:00:00.000Z`)
+    };
+  }
+
+  /**
+   * Authorize the sponsor to pay the gas of a transaction and reserve its maximum fee
+   *
+   * The fee is taken from the day's budget in one conditional write, so concurrent
+   * transactions of a wallet cannot all pass the check and overspend it. A caller that
+   * does not go on to use the reservation gives it back with release.
+   * @param {string} walletAddress - Sender wallet address
+   * @param {Object} transaction - { data, maxFeeAPT, network } with the maximum gas fee in APT
+   * @returns {Promise<Object>} Allowance from getAllowance, with the reserved budgetDay and reservedAPT
+   */
+  async reserve(walletAddress, { data, maxFeeAPT, network }) {
+    if (!this.isAllowed(data, network)) {
+      throw this.createError(`${data.function || 'This script'} cannot be sponsored`, 'sponsorship_not_allowed');
+    }
+
+    const allowance = await this.getAllowance(walletAddress);
+    if (!allowance.eligible) {
+      throw this.createError(`The ${allowance.tier} tier does not include sponsored gas`, 'sponsorship_not_eligible');
+    }
+
+    const reserved = await SponsorBudget.reserve(walletAddress, allowance.day, maxFeeAPT, allowance.dailyBudgetAPT);
+    if (!reserved) {
+      const remainingAPT = Math.max(allowance.dailyBudgetAPT - await SponsorBudget.getUsed(walletAddress, allowance.day), 0);
+      throw this.createError(
+        `Sponsored gas budget exceeded: ${maxFeeAPT.toFixed(6)} APT needed, ${remainingAPT.toFixed(6)} of ${allowance.dailyBudgetAPT} APT left today`,
+        'sponsorship_budget_exceeded'
+      );
+    }
+
+    return { ...allowance, budgetDay: allowance.day, reservedAPT: maxFeeAPT };
+  }
+
+  /**
+   * Give a reservation back to the budget it was taken from
+   * @param {string} walletAddress - Sender wallet address
+   * @param {Object} reservation - { budgetDay, reservedAPT } from reserve
+   * @returns {Promise<void>}
+   */
+  async release(walletAddress, { budgetDay, reservedAPT }) {
+    await SponsorBudget.adjust(walletAddress, budgetDay, -reservedAPT);
+  }
+
+  /**
+   * Replace the reservation of a settled or released ledger entry with the fee actually paid
+   * @param {Object} entry - SponsorLedger entry, as updated by settle or release
+   * @returns {Promise<void>}
+   */
+  async meter(entry) {
+    if (!entry.budgetDay) return;
+
+    const paidAPT = entry.status === 'settled' ? entry.spentAPT : 0;
+    await SponsorBudget.adjust(entry.walletAddress, entry.budgetDay, paidAPT - entry.reservedAPT);
+  }
+
+  /**
+   * Create a sponsorship error the routes map to a status code
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @returns {Error} Coded error
+   */
+  createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = {
+  SponsorPolicy
+};
@@ -1,22 +1,15 @@
 // staking_optimizer.js
 // Core module for CompounDefi staking optimization and yield analysis
 
-const axios = require('axios');
 const { Aptos } = require('@aptos-labs/ts-sdk');
 const { aiClient } = require('../utils/aiClients');
-const { formatStakingData, calculateAPR } = require('../utils/marketDataUtils');
+const protocolRegistry = require('../protocols');
+const stakingRateCollector = require('./staking_rate_collector');
 
-// Contract addresses for supported staking/lending protocols
-const contracts = {
-  amnis: "0x111ae3e5bc816a5e63c2da97d0aa3886519e0cd5e4b046659fa35796bd11542a",
-  thala: "0xfaf4e633ae9eb31366c9ca24214231760926576c7b625313b3688b5e900731f6",
-  tortuga: "0x952c1b1fc8eb75ee80f432c9d0a84fcda1d5c7481501a7eca9199f1596a60b53",
-  ditto: "0xd11107bdf0d6d7040c6c0bfbdecb6545191fdf13e8d8d259952f53e1713f61b5",
-  aries: "0x9770fa9c725cbd97eb50b2be5f7416efdfd1f1554beb0750d4dae4c64e860da3",
-  echo: "0xeab7ea4d635b6b6add79d5045c4a45d8148d88287b1cfa1c3b6a4b56f46839ed",
-  pancakeswap: "0xc7efb4076dbe143cbcd98cfaaa929ecfc8f299203dfff63b95ccb6bfe19850fa",
-  liquidswap: "0x190d44266241744264b964a37b8f09863167a12d3e70cda39376cfb4e3561e12",
-  cetus: "0x27156bd56eb5637b9adde4d915b596f92d2f28f0ade2eaef48fa73e360e4e8a6"
+// Product names shown for each kind of position (staking shows the liquid staking token)
+const PRODUCT_NAMES = {
+  lending: 'Lending',
+  liquidity: 'Liquidity Pool'
 };
 
 // Risk profiles for different protocols
@@ -84,88 +77,48 @@ const strategies = {
 
 /**
  * Get current staking and lending rate data from supported protocols
+ *
+ * Liquid staking APRs come from on-chain exchange rate growth when there is enough
+ * history, otherwise from the protocol's API or its fallback rate. Every APR
+ * carries its source ('exchange_rate', 'api' or 'fallback') and asOf.
  * @returns {Promise<Object>} Formatted staking data with APRs and protocol information
  */
 async function getStakingData() {
   try {
-    // Initialize protocols data structure
-    let protocols = {
-      amnis: { staking: { apr: 0, product: "stAPT" }, lending: { apr: 0, product: "Lending" } },
-      thala: { staking: { apr: 0, product: "sthAPT" }, lending: { apr: 0, product: "Lending" } },
-      tortuga: { staking: { apr: 0, product: "tAPT" } },
-      ditto: { staking: { apr: 0, product: "dAPT" } },
-      echo: { lending: { apr: 0, product: "Lending" } },
-      aries: { lending: { apr: 0, product: "Lending" } },
-      pancakeswap: { liquidity: { apr: 0, product: "Liquidity Pool" } },
-      liquidswap: { liquidity: { apr: 0, product: "Liquidity Pool" } },
-      cetus: { liquidity: { apr: 0, product: "Liquidity Pool" } }
-    };
-    
-    // Fetch staking rates from on-chain or API sources
-    const [
-      amnisData,
-      thalaData,
-      tortugaData,
-      dittoData,
-      echoData,
-      ariesData,
-      pancakeswapData,
-      liquidswapData,
-      cetusData
-    ] = await Promise.allSettled([
-      fetchAmnisStakingRate(),
-      fetchThalaStakingRate(),
-      fetchTortugaStakingRate(),
-      fetchDittoStakingRate(),
-      fetchEchoLendingRate(),
-      fetchAriesLendingRate(),
-      fetchPancakeswapLiquidityRate(),
-      fetchLiquidswapLiquidityRate(),
-      fetchCetusLiquidityRate()
+    // Fetch rates from every protocol adapter with an APR fetcher (fallback rates on failure)
+    const [rates, onChainAprs] = await Promise.all([
+      protocolRegistry.fetchAprDetails(),
+      stakingRateCollector.getStakingAprs()
     ]);
     
-    // Update protocol data with fetched rates
-    if (amnisData.status === 'fulfilled') {
-      protocols.amnis.staking.apr = amnisData.value.staking || 4.2;
-      protocols.amnis.lending.apr = amnisData.value.lending || 3.5;
-    }
-    
-    if (thalaData.status === 'fulfilled') {
-      protocols.thala.staking.apr = thalaData.value.staking || 4.0;
-      protocols.thala.lending.apr = thalaData.value.lending || 3.3;
-    }
-    
-    if (tortugaData.status === 'fulfilled') {
-      protocols.tortuga.staking.apr = tortugaData.value.staking || 3.8;
-    }
-    
-    if (dittoData.status === 'fulfilled') {
-      protocols.ditto.staking.apr = dittoData.value.staking || 3.9;
-    }
-    
-    if (echoData.status === 'fulfilled') {
-      protocols.echo.lending.apr = echoData.value.lending || 5.8;
-    }
-    
-    if (ariesData.status === 'fulfilled') {
-      protocols.aries.lending.apr = ariesData.value.lending || 6.2;
-    }
-    
-    if (pancakeswapData.status === 'fulfilled') {
-      protocols.pancakeswap.liquidity.apr = pancakeswapData.value.liquidity || 7.5;
-    }
-    
-    if (liquidswapData.status === 'fulfilled') {
-      protocols.liquidswap.liquidity.apr = liquidswapData.value.liquidity || 7.0;
-    }
-    
-    if (cetusData.status === 'fulfilled') {
-      protocols.cetus.liquidity.apr = cetusData.value.liquidity || 6.8;
+    const protocols = {};
+    for (const [protocol, categories] of Object.entries(rates)) {
+      protocols[protocol] = {};
+      for (const [category, rate] of Object.entries(categories)) {
+        protocols[protocol][category] = {
+          ...rate,
+          product: category === 'staking' ? protocolRegistry.getAdapter(protocol).token.symbol : PRODUCT_NAMES[category]
+        };
+      }
+      
+      // Prefer the APR derived from the liquid staking token's exchange rate
+      const derived = onChainAprs[protocol];
+      if (derived && protocols[protocol].staking) {
+        if (derived.apr !== null) {
+          Object.assign(protocols[protocol].staking, {
+            apr: derived.apr,
+            source: derived.source,
+            asOf: derived.asOf,
+            window: derived.window
+          });
+        }
+        protocols[protocol].staking.trailing = derived.trailing;
+      }
     }
     
     // Format and add additional data
     const formattedData = {
-      protocols: formatStakingData(protocols),
+      protocols,
       strategies,
       recommendedProtocol: findHighestYieldProtocol(protocols),
       lastUpdated: new Date().toISOString()
@@ -457,8 +410,8 @@ async function getActionItems(walletAddress, portfolioData, stakingData, riskPro
       
       // Add contract addresses if missing
       actionItems = actionItems.map(item => {
-        if (!item.contractAddress && item.protocol && contracts[item.protocol.toLowerCase()]) {
-          item.contractAddress = contracts[item.protocol.toLowerCase()];
+        if (!item.contractAddress && item.protocol && protocolRegistry.getAddress(item.protocol)) {
+          item.contractAddress = protocolRegistry.getAddress(item.protocol);
         }
         return item;
       });
@@ -495,8 +448,7 @@ function getFallbackActionItems(portfolioData, riskProfile) {
           protocol: "amnis",
           type: "stake",
           amount: (aptAmount * 0.5).toFixed(2),
-          contractAddress: contracts.amnis,
-          functionName: "::staking::stake"
+          ...protocolRegistry.resolveOperation("amnis", "stake")
         },
         {
           action: "Diversify staking across protocols",
@@ -504,8 +456,7 @@ function getFallbackActionItems(portfolioData, riskProfile) {
           protocol: "thala",
           type: "stake",
           amount: (aptAmount * 0.3).toFixed(2),
-          contractAddress: contracts.thala,
-          functionName: "::staking::stake_apt"
+          ...protocolRegistry.resolveOperation("thala", "stake")
         }
       ];
       
@@ -517,8 +468,7 @@ function getFallbackActionItems(portfolioData, riskProfile) {
           protocol: "amnis",
           type: "stake",
           amount: (aptAmount * 0.4).toFixed(2),
-          contractAddress: contracts.amnis,
-          functionName: "::staking::stake"
+          ...protocolRegistry.resolveOperation("amnis", "stake")
         },
         {
           action: `Provide ${(aptAmount * 0.3).toFixed(2)} APT as liquidity`,
@@ -526,8 +476,7 @@ function getFallbackActionItems(portfolioData, riskProfile) {
           protocol: "pancakeswap",
           type: "addLiquidity",
           amount: (aptAmount * 0.3).toFixed(2),
-          contractAddress: contracts.pancakeswap,
-          functionName: "::router::add_liquidity"
+          ...protocolRegistry.resolveOperation("pancakeswap", "addLiquidity")
         }
       ];
       
@@ -539,8 +488,7 @@ function getFallbackActionItems(portfolioData, riskProfile) {
           protocol: "echo",
           type: "lend",
           amount: (aptAmount * 0.4).toFixed(2),
-          contractAddress: contracts.echo,
-          functionName: "::lending::supply"
+          ...protocolRegistry.resolveOperation("echo", "lend")
         },
         {
           action: `Provide ${(aptAmount * 0.4).toFixed(2)} APT as liquidity`,
@@ -548,8 +496,7 @@ function getFallbackActionItems(portfolioData, riskProfile) {
           protocol: "pancakeswap",
           type: "addLiquidity",
           amount: (aptAmount * 0.4).toFixed(2),
-          contractAddress: contracts.pancakeswap,
-          functionName: "::router::add_liquidity"
+          ...protocolRegistry.resolveOperation("pancakeswap", "addLiquidity")
         }
       ];
       
@@ -561,8 +508,7 @@ function getFallbackActionItems(portfolioData, riskProfile) {
           protocol: "amnis",
           type: "stake",
           amount: (aptAmount * 0.5).toFixed(2),
-          contractAddress: contracts.amnis,
-          functionName: "::staking::stake"
+          ...protocolRegistry.resolveOperation("amnis", "stake")
         }
       ];
   }
@@ -618,112 +564,11 @@ function extractJsonFromAIResponse(response) {
   }
 }
 
-// --------------------------------
-// Protocol-specific rate fetchers
-// --------------------------------
-
-async function fetchAmnisStakingRate() {
-  try {
-    const response = await axios.get('https://api.amnis.finance/v1/statistics');
-    return {
-      staking: parseFloat(response.data.stakingApr) || 4.2,
-      lending: parseFloat(response.data.lendingApr) || 3.5
-    };
-  } catch (error) {
-    console.error('Error fetching Amnis rates:', error);
-    return { staking: 4.2, lending: 3.5 }; // Fallback rates
-  }
-}
-
-async function fetchThalaStakingRate() {
-  try {
-    const response = await axios.get('https://api.thala.fi/stats');
-    return {
-      staking: parseFloat(response.data.sthApt.apr) || 4.0,
-      lending: parseFloat(response.data.lending.apr) || 3.3
-    };
-  } catch (error) {
-    console.error('Error fetching Thala rates:', error);
-    return { staking: 4.0, lending: 3.3 }; // Fallback rates
-  }
-}
-
-async function fetchTortugaStakingRate() {
-  try {
-    const response = await axios.get('https://app.tortuga.finance/api/stats');
-    return { staking: parseFloat(response.data.tAptApr) || 3.8 };
-  } catch (error) {
-    console.error('Error fetching Tortuga rates:', error);
-    return { staking: 3.8 }; // Fallback rate
-  }
-}
-
-async function fetchDittoStakingRate() {
-  try {
-    const response = await axios.get('https://api.dittofinance.io/stats');
-    return { staking: parseFloat(response.data.dAptApr) || 3.9 };
-  } catch (error) {
-    console.error('Error fetching Ditto rates:', error);
-    return { staking: 3.9 }; // Fallback rate
-  }
-}
-
-async function fetchEchoLendingRate() {
-  try {
-    const response = await axios.get('https://api.echo.finance/markets');
-    return { lending: parseFloat(response.data.aptLendingApr) || 5.8 };
-  } catch (error) {
-    console.error('Error fetching Echo rates:', error);
-    return { lending: 5.8 }; // Fallback rate
-  }
-}
-
-async function fetchAriesLendingRate() {
-  try {
-    const response = await axios.get('https://api.aries.markets/markets');
-    return { lending: parseFloat(response.data.aptLendingApr) || 6.2 };
-  } catch (error) {
-    console.error('Error fetching Aries rates:', error);
-    return { lending: 6.2 }; // Fallback rate
-  }
-}
-
-async function fetchPancakeswapLiquidityRate() {
-  try {
-    const response = await axios.get('https://api.pancakeswap.finance/aptos/apr');
-    return { liquidity: parseFloat(response.data.aptUsdc) || 7.5 };
-  } catch (error) {
-    console.error('Error fetching PancakeSwap rates:', error);
-    return { liquidity: 7.5 }; // Fallback rate
-  }
-}
-
-async function fetchLiquidswapLiquidityRate() {
-  try {
-    const response = await axios.get('https://api.liquidswap.finance/pools');
-    return { liquidity: parseFloat(response.data.aptUsdc) || 7.0 };
-  } catch (error) {
-    console.error('Error fetching Liquidswap rates:', error);
-    return { liquidity: 7.0 }; // Fallback rate
-  }
-}
-
-async function fetchCetusLiquidityRate() {
-  try {
-    const response = await axios.get('https://api.cetus.zone/v1/pools');
-    return { liquidity: parseFloat(response.data.aptUsdc) || 6.8 };
-  } catch (error) {
-    console.error('Error fetching Cetus rates:', error);
-    return { liquidity: 6.8 }; // Fallback rate
-  }
-}
-
 module.exports = {
   getStakingData,
   getPersonalizedRecommendations,
   determineRiskProfile,
   calculatePotentialEarnings,
-  contracts,
   riskProfiles,
   strategies
 };
\ No newline at end of file
@@ -0,0 +1,211 @@
+/**
+ * staking_rate_collector.js
+ *
+ * On-chain staking yield collector for CompounDefi
+ * Reads the APT-per-token exchange rate of every liquid staking token on an
+ * interval and derives trailing APRs from how fast it grows, so displayed
+ * staking yields can be checked against the chain
+ *
+ * Features:
+ * - Exchange rates read through the view function each protocol adapter declares
+ * - Readings stored as ExchangeRate history with the ledger version they were read at
+ * - Trailing 1d, 7d and 30d APRs from rate growth
+ * - Every APR carries its source and asOf; windows without enough history are left out
+ */
+
+const { ExchangeRate } = require('../models/marketData');
+const protocols = require('../protocols');
+const transactionManager = require('./transaction_manager');
+const { getLogger } = require('../utils/logging');
+const config = require('../config');
+
+// Instantiate logger once for the module
+const logger = getLogger('staking_rate_collector');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+// Trailing windows APRs are derived over, in days
+const TRAILING_WINDOWS = {
+  '1d': 1,
+  '7d': 7,
+  '30d': 30
+};
+
+// Windows the headline APR is taken from, most preferred first
+const HEADLINE_WINDOWS = ['7d', '30d', '1d'];
+
+class StakingRateCollector {
+  constructor() {
+    const {
+      sampleInterval,
+      minCoverage,
+      maxStaleness
+    } = config.env.STAKING_RATES;
+
+    this.sampleInterval = sampleInterval; // Time between exchange rate samples (ms)
+    this.minCoverage = minCoverage; // Share of a window its samples must span
+    this.maxStaleness = maxStaleness; // Maximum age of the latest sample (ms)
+    this.samplingTimer = null;
+    this.sampling = false;
+  }
+
+  /**
+   * Start sampling exchange rates into ExchangeRate history
+   */
+  start() {
+    if (this.samplingTimer) return;
+
+    logger.info(`Sampling liquid staking exchange rates every ${this.sampleInterval / 60000} minutes`);
+    this.sampleRates();
+    this.samplingTimer = setInterval(() => this.sampleRates(), this.sampleInterval);
+  }
+
+  /**
+   * Stop sampling exchange rates
+   */
+  stop() {
+    if (this.samplingTimer) {
+      clearInterval(this.samplingTimer);
+      this.samplingTimer = null;
+    }
+  }
+
+  /**
+   * List the liquid staking protocols that declare an on-chain exchange rate
+   * @returns {Array<Object>} Protocol adapters
+   */
+  listProtocols() {
+    return protocols.listProtocols({ type: 'staking', network: protocols.getNetwork() })
+      .filter(adapter => adapter.exchangeRate);
+  }
+
+  /**
+   * Read every exchange rate at the current ledger version and store them as history points
+   * @returns {Promise<void>}
+   */
+  async sampleRates() {
+    if (this.sampling) return;
+    this.sampling = true;
+
+    try {
+      const aptos = transactionManager.aptosClient;
+      if (!aptos) {
+        logger.warn('Skipping exchange rate samples: Aptos client not initialized');
+        return;
+      }
+
+      const { ledger_version: ledgerVersion } = await aptos.getLedgerInfo();
+
+      for (const adapter of this.listProtocols()) {
+        try {
+          const rate = await protocols.readExchangeRate(aptos, adapter.name, { ledgerVersion });
+          if (!rate) {
+            logger.warn(`Skipping ${adapter.name} exchange rate sample: no rate returned`);
+            continue;
+          }
+
+          await ExchangeRate.recordRate(adapter.name, {
+            token: adapter.token?.symbol,
+            rate,
+            ledgerVersion
+          });
+        } catch (error) {
+          logger.warn(`Failed to read the ${adapter.name} exchange rate: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to sample exchange rates:', error);
+    } finally {
+      this.sampling = false;
+    }
+  }
+
+  /**
+   * Derive the trailing APRs of one liquid staking token from its exchange rate history
+   * @param {string} protocol - Protocol name
+   * @param {number} now - Time the windows end at (ms)
+   * @returns {Promise<Object>} { asOf, trailing: { 1d, 7d, 30d } } with null for windows that cannot be measured
+   */
+  async getTrailingAprs(protocol, now = Date.now()) {
+    const longestWindow = Math.max(...Object.values(TRAILING_WINDOWS)) * DAY_MS;
+    const history = await ExchangeRate.getRateHistory(protocol, new Date(now - longestWindow - this.sampleInterval), new Date(now));
+    const points = history
+      .filter(point => point.rate > 0)
+      .map(point => ({ time: new Date(point.timestamp).getTime(), rate: point.rate }));
+
+    const latest = points[points.length - 1];
+    const trailing = Object.keys(TRAILING_WINDOWS).reduce((windows, window) => {
+      windows[window] = null;
+      return windows;
+    }, {});
+
+    if (!latest) {
+      return { asOf: null, trailing };
+    }
+
+    const asOf = new Date(latest.time).toISOString();
+    if (now - latest.time > this.maxStaleness) {
+      logger.warn(`Exchange rate of ${protocol} is stale (last sampled ${asOf})`);
+      return { asOf, trailing };
+    }
+
+    for (const [window, days] of Object.entries(TRAILING_WINDOWS)) {
+      // Allow one sampling interval of slack so a sample just before the window still counts
+      const start = points.find(point => point.time >= now - days * DAY_MS - this.sampleInterval);
+      const elapsed = latest.time - start.time;
+
+      if (elapsed >= days * DAY_MS * this.minCoverage) {
+        trailing[window] = {
+          apr: this.computeApr(start.rate, latest.rate, elapsed),
+          source: 'exchange_rate',
+          asOf,
+          since: new Date(start.time).toISOString()
+        };
+      }
+    }
+
+    return { asOf, trailing };
+  }
+
+  /**
+   * Annualize the growth of an exchange rate
+   * @param {number} startRate - APT per token at the start
+   * @param {number} endRate - APT per token at the end
+   * @param {number} elapsed - Time between the two readings (ms)
+   * @returns {number} APR (%)
+   */
+  computeApr(startRate, endRate, elapsed) {
+    return parseFloat(((endRate / startRate - 1) * (YEAR_MS / elapsed) * 100).toFixed(2));
+  }
+
+  /**
+   * Derive the staking APRs of every liquid staking token with exchange rate history
+   * @returns {Promise<Object>} Map of protocol name -> { apr, source, asOf, window, trailing };
+   *   apr is null when no window has enough fresh history
+   */
+  async getStakingAprs() {
+    const aprs = {};
+
+    for (const adapter of this.listProtocols()) {
+      try {
+        const { asOf, trailing } = await this.getTrailingAprs(adapter.name);
+        const window = HEADLINE_WINDOWS.find(candidate => trailing[candidate]);
+
+        aprs[adapter.name] = {
+          apr: window ? trailing[window].apr : null,
+          source: window ? 'exchange_rate' : null,
+          asOf,
+          window: window || null,
+          trailing
+        };
+      } catch (error) {
+        logger.error(`Failed to derive staking APRs for ${adapter.name}:`, error);
+      }
+    }
+
+    return aprs;
+  }
+}
+
+module.exports = new StakingRateCollector();
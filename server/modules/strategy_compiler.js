@@ -0,0 +1,160 @@
+/**
+ * strategy_compiler.js
+ *
+ * Execution planner for CompounDefi multi-step strategies
+ * Decides whether a strategy can run as one all-or-nothing transaction and,
+ * when it cannot, how to unwind the steps that completed before a failure
+ *
+ * An Aptos transaction calls one entry function, so several steps only run in one
+ * transaction through a precompiled Move script registered in server/protocols/scripts.
+ * No scripts ship yet: until one is registered, every multi-step strategy runs step by step.
+ *
+ * Features:
+ * - Single operations run in one transaction
+ * - Strategies a registered Move script batches run atomically in one transaction
+ * - Other strategies run step by step, one transaction per operation
+ * - Compensation plan that reverses each completed step, newest first
+ * - Steps that cannot be reversed automatically are flagged for manual handling
+ */
+
+const protocols = require('../protocols');
+
+// How a strategy is executed
+const EXECUTION_MODES = {
+  SINGLE: 'single', // One operation in one transaction: nothing to unwind
+  ATOMIC: 'atomic', // Several steps in one Move script transaction: everything happens or nothing does
+  SEQUENTIAL: 'sequential' // One transaction per step, unwound by compensation on failure
+};
+
+// Operation that reverses each operation type (null when there is nothing to reverse)
+const COMPENSATIONS = {
+  stake: { type: 'unstake' },
+  lend: { type: 'withdraw' },
+  withdraw: { type: 'lend' },
+  addLiquidity: { type: 'removeLiquidity' },
+  removeLiquidity: { type: 'addLiquidity' },
+  swap: { type: 'swap', reverse: true },
+  claim: null
+};
+
+// Why an operation type cannot be reversed automatically
+const MANUAL_COMPENSATIONS = {
+  unstake: 'Unstaked APT is unbonding and can only be restaked once it is claimed'
+};
+
+class StrategyCompiler {
+  /**
+   * @param {Object} registry - Protocol registry (defaults to the shared registry)
+   */
+  constructor(registry = protocols) {
+    this.registry = registry;
+  }
+
+  /**
+   * Plan how a strategy executes
+   * @param {Array} operations - Operations in execution order ({ protocol, type, amount, fromProtocol, toProtocol })
+   * @param {Object} options - { network }
+   * @returns {Object} { mode, batch, script, transactions, reason, steps, compensation }
+   */
+  compile(operations, { network = this.registry.getNetwork() } = {}) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new Error('A strategy needs at least one operation');
+    }
+
+    const steps = operations.map((operation, index) => ({
+      step: index,
+      protocol: operation.protocol,
+      type: operation.type,
+      amount: parseFloat(operation.amount),
+      fromProtocol: operation.fromProtocol,
+      toProtocol: operation.toProtocol
+    }));
+
+    if (operations.length === 1) {
+      return {
+        mode: EXECUTION_MODES.SINGLE,
+        batch: 'entry_function',
+        transactions: 1,
+        reason: 'A single operation runs in one transaction',
+        steps,
+        compensation: []
+      };
+    }
+
+    const script = this.registry.findScript(operations, network);
+    if (script) {
+      return {
+        mode: EXECUTION_MODES.ATOMIC,
+        batch: 'script',
+        script: script.name,
+        transactions: 1,
+        reason: `The ${script.name} Move script runs every step in one transaction`,
+        steps,
+        compensation: []
+      };
+    }
+
+    return {
+      mode: EXECUTION_MODES.SEQUENTIAL,
+      batch: null,
+      transactions: operations.length,
+      reason: 'No Move script batches these operations, so each step is its own transaction',
+      steps,
+      compensation: steps.map(step => this.compensationFor(step, network))
+    };
+  }
+
+  /**
+   * Plan the operation that reverses a completed step
+   * @param {Object} step - Completed step ({ step, protocol, type, amount, fromProtocol, toProtocol })
+   * @param {string} network - Network
+   * @returns {Object} Compensation: { step, protocol, type, amount, ... } to execute, or
+   *   { step, manual: true, reason } / { step, required: false, reason } when there is none to run
+   */
+  compensationFor(step, network = this.registry.getNetwork()) {
+    if (MANUAL_COMPENSATIONS[step.type]) {
+      return { step: step.step, manual: true, reason: MANUAL_COMPENSATIONS[step.type] };
+    }
+
+    const compensation = COMPENSATIONS[step.type];
+    if (compensation === null) {
+      return { step: step.step, required: false, reason: `Nothing to reverse after ${step.type}` };
+    }
+    if (!compensation) {
+      return { step: step.step, manual: true, reason: `No known way to reverse ${step.type}` };
+    }
+
+    const operation = {
+      step: step.step,
+      protocol: step.protocol,
+      type: compensation.type,
+      amount: step.amount,
+      fromProtocol: compensation.reverse ? step.toProtocol : step.fromProtocol,
+      toProtocol: compensation.reverse ? step.fromProtocol : step.toProtocol
+    };
+
+    if (!this.registry.supports(operation.protocol, operation.type, network)) {
+      return { step: step.step, manual: true, reason: `${step.protocol} has no ${operation.type} operation` };
+    }
+
+    const unbondingPeriod = operation.type === 'unstake' ? this.registry.getUnbondingPeriod(operation.protocol) : 0;
+    return unbondingPeriod > 0 ? { ...operation, unbondingPeriod } : operation;
+  }
+
+  /**
+   * Plan the compensation of the completed steps of a failed strategy
+   * @param {Array} completedSteps - Steps that executed
+   * @param {Object} options - { network }
+   * @returns {Array<Object>} Compensations, newest step first
+   */
+  planCompensation(completedSteps, { network = this.registry.getNetwork() } = {}) {
+    return [...completedSteps]
+      .sort((a, b) => b.step - a.step)
+      .map(step => this.compensationFor(step, network));
+  }
+}
+
+module.exports = {
+  StrategyCompiler,
+  EXECUTION_MODES
+};
@@ -0,0 +1,468 @@
+/**
+ * transaction_exporter.js
+ *
+ * Transaction history export for CompounDefi wallets
+ * Turns recorded and on-chain transactions into rows accountants and crypto tax tools can import
+ *
+ * Features:
+ * - Merges recorded Transactions with the wallet's recent on-chain transactions
+ * - Reads the assets sent and received from the events of committed transactions
+ * - Values fees and amounts in USD at the stored price closest to execution
+ * - CSV, JSON and Koinly universal CSV formats, filtered by date range and type
+ */
+
+const Transaction = require('../models/transaction');
+const { TokenPrice } = require('../models/marketData');
+const transactionManager = require('./transaction_manager');
+const { getRecentTransactions } = require('./portfolio_tracker');
+const protocols = require('../protocols');
+const { readBalanceChanges, normalizeAddress } = require('../utils/simulationUtils');
+const { OCTAS_PER_APT } = require('../protocols/helpers');
+const { getLogger } = require('../utils/logging');
+
+// Instantiate logger once for the module
+const logger = getLogger('transaction_exporter');
+
+// Supported export formats
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  json: { contentType: 'application/json', extension: 'json' },
+  koinly: { contentType: 'text/csv', extension: 'csv' } // Koinly universal CSV template
+};
+
+// Most rows a single export returns
+const MAX_EXPORT_ROWS = 5000;
+
+// On-chain transactions merged in, most recent first
+const CHAIN_HISTORY_LIMIT = 100;
+
+// Furthest a stored price may be from a transaction to value it
+const PRICE_MATCH_WINDOW_MS = 6 * 60 * 60 * 1000;
+
+// Columns of the CSV format: [row field, header]
+const CSV_COLUMNS = [
+  ['timestamp', 'Timestamp (UTC)'],
+  ['type', 'Type'],
+  ['protocol', 'Protocol'],
+  ['status', 'Status'],
+  ['sentAmount', 'Sent Amount'],
+  ['sentAsset', 'Sent Asset'],
+  ['receivedAmount', 'Received Amount'],
+  ['receivedAsset', 'Received Asset'],
+  ['feeAPT', 'Fee (APT)'],
+  ['feeUSD', 'Fee (USD)'],
+  ['valueUSD', 'Value (USD)'],
+  ['txHash', 'Tx Hash'],
+  ['note', 'Note']
+];
+
+// Columns of the Koinly universal CSV template
+const KOINLY_COLUMNS = [
+  'Date', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency',
+  'Fee Amount', 'Fee Currency', 'Net Worth Amount', 'Net Worth Currency', 'Label', 'Description', 'TxHash'
+];
+
+// Koinly labels of the operation types it treats specially
+const KOINLY_LABELS = {
+  stake: 'stake',
+  unstake: 'unstake',
+  addLiquidity: 'liquidity in',
+  removeLiquidity: 'liquidity out',
+  claim: 'reward'
+};
+
+// Operation types that send APT into a protocol, and those that return it
+const OUTFLOW_TYPES = ['stake', 'lend', 'addLiquidity', 'swap', 'deposit'];
+const INFLOW_TYPES = ['unstake', 'withdraw', 'removeLiquidity', 'claim'];
+
+class TransactionExporter {
+  /**
+   * Export the transaction history of a wallet
+   * @param {string} walletAddress - Wallet address
+   * @param {Object} options - { format, from, to, types }
+   * @returns {Promise<Object>} { format, contentType, filename, count, body }
+   */
+  async exportTransactions(walletAddress, options = {}) {
+    const format = (options.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      throw this.createError(`Unknown export format: ${options.format}. Use ${Object.keys(EXPORT_FORMATS).join(', ')}`, 'invalid_parameters');
+    }
+
+    const filters = this.parseFilters(options);
+    const rows = await this.buildRows(walletAddress, filters);
+
+    const body = format === 'json' ?
+      JSON.stringify({
+        walletAddress,
+        generatedAt: new Date().toISOString(),
+        filters: { from: filters.from, to: filters.to, types: filters.types },
+        count: rows.length,
+        transactions: rows
+      }, null, 2) :
+      format === 'koinly' ? this.formatKoinly(rows) : this.formatCsv(rows);
+
+    const day = new Date().toISOString().slice(0, 10);
+    return {
+      format,
+      contentType: EXPORT_FORMATS[format].contentType,
+      filename: `compoundefi-${format}-${walletAddress.slice(0, 10)}-${day}.${EXPORT_FORMATS[format].extension}`,
+      count: rows.length,
+      body
+    };
+  }
+
+  /**
+   * Validate the date range and type filters of an export
+   * @param {Object} options - { from, to, types } (types as an array or comma-separated list)
+   * @returns {Object} { from, to, types } with dates parsed
+   */
+  parseFilters({ from, to, types } = {}) {
+    const parseDate = (value, name) => {
+      if (!value) return undefined;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw this.createError(`Invalid ${name} date: ${value}`, 'invalid_parameters');
+      }
+      return date;
+    };
+
+    const filters = {
+      from: parseDate(from, 'from'),
+      to: parseDate(to, 'to'),
+      types: (Array.isArray(types) ? types : String(types || '').split(','))
+        .map(type => type.trim())
+        .filter(Boolean)
+    };
+
+    if (filters.from && filters.to && filters.from > filters.to) {
+      throw this.createError('The from date must be before the to date', 'invalid_parameters');
+    }
+
+    return filters;
+  }
+
+  /**
+   * Build the export rows of a wallet, oldest first
+   *
+   * Recorded transactions keep their protocol and operation type; on-chain data adds the
+   * exact assets moved and the fee. On-chain transactions that were never recorded are
+   * classified from their entry function.
+   * @param {string} walletAddress - Wallet address
+   * @param {Object} filters - { from, to, types }
+   * @returns {Promise<Array<Object>>} Export rows
+   */
+  async buildRows(walletAddress, filters) {
+    const [records, chainTransactions] = await Promise.all([
+      Transaction.findByWallet(walletAddress, MAX_EXPORT_ROWS, filters),
+      this.loadChainTransactions(walletAddress)
+    ]);
+
+    const chainByHash = new Map(chainTransactions.map(tx => [tx.hash, tx]));
+    const rows = [];
+
+    // Only transactions that reached the chain belong in accounting records
+    records
+      .filter(record => record.hash && !record.isSimulated && ['confirmed', 'failed'].includes(record.status))
+      .forEach(record => {
+        rows.push(this.fromRecord(record, chainByHash.get(record.hash), walletAddress));
+        chainByHash.delete(record.hash);
+      });
+
+    chainByHash.forEach(tx => rows.push(this.fromChainTransaction(tx, walletAddress)));
+
+    const filtered = rows
+      .filter(row => !filters.from || new Date(row.timestamp) >= filters.from)
+      .filter(row => !filters.to || new Date(row.timestamp) <= filters.to)
+      .filter(row => filters.types.length === 0 || filters.types.includes(row.type))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .slice(-MAX_EXPORT_ROWS);
+
+    await this.attachPrices(filtered);
+    return filtered;
+  }
+
+  /**
+   * Load the wallet's recent on-chain transactions, with their events
+   * @param {string} walletAddress - Wallet address
+   * @returns {Promise<Array>} User transactions, or an empty array when the node is unavailable
+   */
+  async loadChainTransactions(walletAddress) {
+    try {
+      if (!transactionManager.initialized) {
+        await transactionManager.initialize();
+      }
+      const transactions = await getRecentTransactions(
+        transactionManager.aptosClient,
+        walletAddress,
+        CHAIN_HISTORY_LIMIT,
+        { details: true }
+      );
+      return transactions.filter(tx => tx.type === 'user_transaction');
+    } catch (error) {
+      logger.warn(`Exporting recorded transactions only, on-chain history unavailable: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Build the export row of a recorded transaction
+   * @param {Object} record - Transaction document
+   * @param {Object} chainTx - The same transaction read from the chain, if available
+   * @param {string} walletAddress - Wallet address
+   * @returns {Object} Export row
+   */
+  fromRecord(record, chainTx, walletAddress) {
+    const transaction = transactionManager.describeTransaction(record);
+    const row = {
+      timestamp: new Date(transaction.completedAt || transaction.submittedAt || transaction.createdAt).toISOString(),
+      type: transaction.type,
+      protocol: transaction.protocol,
+      status: transaction.status,
+      ...this.emptyAmounts(),
+      feeAPT: transaction.networkFee ?? null,
+      feeUSD: null,
+      valueUSD: null,
+      txHash: transaction.hash,
+      version: transaction.version ?? null,
+      source: 'recorded'
+    };
+
+    if (chainTx) {
+      return {
+        ...row,
+        ...this.readChainAmounts(chainTx, walletAddress),
+        timestamp: this.readChainTimestamp(chainTx),
+        version: Number(chainTx.version)
+      };
+    }
+
+    // Without chain data the recorded APT amount is the best available
+    if (row.status === 'confirmed') {
+      if (OUTFLOW_TYPES.includes(row.type)) {
+        Object.assign(row, { sentAmount: transaction.amount, sentAsset: 'APT' });
+      } else if (INFLOW_TYPES.includes(row.type)) {
+        Object.assign(row, { receivedAmount: transaction.amount, receivedAsset: 'APT' });
+      }
+    }
+
+    return row;
+  }
+
+  /**
+   * Build the export row of an on-chain transaction that was not recorded
+   * @param {Object} tx - Transaction from getRecentTransactions with details
+   * @param {string} walletAddress - Wallet address
+   * @returns {Object} Export row
+   */
+  fromChainTransaction(tx, walletAddress) {
+    return {
+      timestamp: this.readChainTimestamp(tx),
+      type: transactionManager.getTransactionType(tx),
+      protocol: this.resolveProtocol(tx.payload?.function),
+      status: tx.success ? 'confirmed' : 'failed',
+      ...this.emptyAmounts(),
+      feeAPT: null,
+      feeUSD: null,
+      valueUSD: null,
+      txHash: tx.hash,
+      version: Number(tx.version),
+      source: 'chain',
+      ...this.readChainAmounts(tx, walletAddress)
+    };
+  }
+
+  /**
+   * Read the fee and the assets sent and received from a committed transaction
+   *
+   * The largest outflow and inflow are reported; any further assets moved are listed in the note.
+   * @param {Object} tx - Transaction from getRecentTransactions with details
+   * @param {string} walletAddress - Wallet address
+   * @returns {Object} { feeAPT, sentAmount, sentAsset, receivedAmount, receivedAsset, note }
+   */
+  readChainAmounts(tx, walletAddress) {
+    const changes = tx.success ? readBalanceChanges(tx, walletAddress) : [];
+    const bySize = (a, b) => Math.abs(b.amount ?? 0) - Math.abs(a.amount ?? 0);
+    const [sent, ...otherSent] = changes.filter(change => change.raw.startsWith('-')).sort(bySize);
+    const [received, ...otherReceived] = changes.filter(change => !change.raw.startsWith('-')).sort(bySize);
+    const others = [...otherSent, ...otherReceived];
+
+    // The sender pays gas; transactions sent by someone else only move assets
+    const paysFee = normalizeAddress(tx.sender) === normalizeAddress(walletAddress);
+
+    return {
+      feeAPT: paysFee ? (parseInt(tx.gasUsed || 0) * parseInt(tx.gasUnitPrice || 0)) / OCTAS_PER_APT : 0,
+      sentAmount: sent ? Math.abs(sent.amount ?? Number(sent.raw)) : null,
+      sentAsset: sent ? sent.symbol : null,
+      receivedAmount: received ? received.amount ?? Number(received.raw) : null,
+      receivedAsset: received ? received.symbol : null,
+      note: others.length > 0 ?
+        `Also moved ${others.map(change => `${change.amount ?? change.raw} ${change.symbol}`).join(', ')}` :
+        null
+    };
+  }
+
+  /**
+   * Read the commit time of an on-chain transaction
+   * @param {Object} tx - Transaction with a timestamp in microseconds
+   * @returns {string} ISO timestamp
+   */
+  readChainTimestamp(tx) {
+    return new Date(Number(tx.timestamp) / 1000).toISOString();
+  }
+
+  /**
+   * Empty asset columns of a row
+   * @returns {Object} { sentAmount, sentAsset, receivedAmount, receivedAsset, note }
+   */
+  emptyAmounts() {
+    return { sentAmount: null, sentAsset: null, receivedAmount: null, receivedAsset: null, note: null };
+  }
+
+  /**
+   * Resolve the protocol of an entry function from its module address
+   * @param {string} entryFunction - Entry function, e.g. 0x1::module::function
+   * @returns {string|null} Protocol name
+   */
+  resolveProtocol(entryFunction) {
+    if (!entryFunction) return null;
+
+    const address = normalizeAddress(entryFunction.split('::')[0]);
+    const match = Object.entries(protocols.getAddresses())
+      .find(([, protocolAddress]) => normalizeAddress(protocolAddress) === address);
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Value fees and amounts in USD at the stored price closest to each transaction
+   * @param {Array<Object>} rows - Export rows, oldest first (updated in place)
+   * @returns {Promise<void>}
+   */
+  async attachPrices(rows) {
+    if (rows.length === 0) return;
+
+    const start = new Date(new Date(rows[0].timestamp).getTime() - PRICE_MATCH_WINDOW_MS);
+    const end = new Date(new Date(rows[rows.length - 1].timestamp).getTime() + PRICE_MATCH_WINDOW_MS);
+    const symbols = new Set(['APT']);
+    rows.forEach(row => [row.sentAsset, row.receivedAsset].filter(Boolean).forEach(symbol => symbols.add(symbol)));
+
+    const series = {};
+    for (const symbol of symbols) {
+      try {
+        const history = await TokenPrice.getPriceHistory(symbol, start, end);
+        series[symbol] = history
+          .filter(point => point.price > 0)
+          .map(point => ({ time: new Date(point.lastUpdated).getTime(), price: point.price }));
+      } catch (error) {
+        logger.warn(`No ${symbol} price history for the export: ${error.message}`);
+        series[symbol] = [];
+      }
+    }
+
+    const priceAt = (symbol, time) => {
+      let closest = null;
+      (series[symbol] || []).forEach(point => {
+        if (Math.abs(point.time - time) <= PRICE_MATCH_WINDOW_MS &&
+            (!closest || Math.abs(point.time - time) < Math.abs(closest.time - time))) {
+          closest = point;
+        }
+      });
+      return closest ? closest.price : null;
+    };
+
+    rows.forEach(row => {
+      const time = new Date(row.timestamp).getTime();
+      const aptPrice = priceAt('APT', time);
+      const sentPrice = row.sentAsset && priceAt(row.sentAsset, time);
+      const receivedPrice = row.receivedAsset && priceAt(row.receivedAsset, time);
+
+      row.priceAPTUSD = aptPrice;
+      row.feeUSD = row.feeAPT !== null && aptPrice !== null ? this.round(row.feeAPT * aptPrice) : null;
+      row.valueUSD = sentPrice ? this.round(row.sentAmount * sentPrice) :
+        receivedPrice ? this.round(row.receivedAmount * receivedPrice) : null;
+    });
+  }
+
+  /**
+   * Format rows as CSV
+   * @param {Array<Object>} rows - Export rows
+   * @returns {string} CSV with a header row
+   */
+  formatCsv(rows) {
+    const lines = [CSV_COLUMNS.map(([, header]) => header)];
+    rows.forEach(row => lines.push(CSV_COLUMNS.map(([field]) => row[field])));
+    return this.toCsv(lines);
+  }
+
+  /**
+   * Format rows as a Koinly universal CSV import
+   * @param {Array<Object>} rows - Export rows
+   * @returns {string} CSV with Koinly's headers
+   */
+  formatKoinly(rows) {
+    const lines = [KOINLY_COLUMNS];
+
+    rows.forEach(row => {
+      const failed = row.status !== 'confirmed';
+      lines.push([
+        row.timestamp.replace('T', ' ').replace(/\.\d+Z$/, ' UTC'),
+        failed ? null : row.sentAmount,
+        failed ? null : row.sentAsset,
+        failed ? null : row.receivedAmount,
+        failed ? null : row.receivedAsset,
+        row.feeAPT || null,
+        row.feeAPT ? 'APT' : null,
+        row.valueUSD,
+        row.valueUSD !== null ? 'USD' : null,
+        // A failed transaction only costs its fee
+        failed ? 'cost' : KOINLY_LABELS[row.type] || null,
+        [row.protocol, row.type, failed && 'failed', row.note].filter(Boolean).join(' '),
+        row.txHash
+      ]);
+    });
+
+    return this.toCsv(lines);
+  }
+
+  /**
+   * Serialize lines of values as CSV
+   *
+   * Text that a spreadsheet would evaluate as a formula is prefixed with a quote.
+   * @param {Array<Array>} lines - Rows of values
+   * @returns {string} CSV text
+   */
+  toCsv(lines) {
+    const escape = value => {
+      if (value === null || value === undefined) return '';
+      let text = String(value);
+      if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return lines.map(line => line.map(escape).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Round a USD value to cents, keeping sub-cent fees visible
+   * @param {number} value - USD value
+   * @returns {number} Rounded value
+   */
+  round(value) {
+    return Math.abs(value) < 0.01 ? Number(value.toPrecision(2)) : Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Create an error the route maps to a status code
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @returns {Error} Coded error
+   */
+  createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new TransactionExporter();
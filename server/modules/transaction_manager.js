@@ -1,5 +1,54 @@
 // modules/transaction_manager.js - Transaction management for CompounDefi
-const { Aptos, AptosConfig, Network, Types } = require('@aptos-labs/ts-sdk');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const {
+  Aptos, AptosConfig, Network, Types, Ed25519PublicKey, Ed25519PrivateKey, Account,
+  AccountAuthenticator, SimpleTransaction, Deserializer, Hex
+} = require('@aptos-labs/ts-sdk');
+const protocols = require('../protocols');
+const env = require('../config/env');
+const Transaction = require('../models/transaction');
+const SponsorLedger = require('../models/sponsorLedger');
+const notificationSystem = require('./notification_system');
+const { StrategyCompiler, EXECUTION_MODES } = require('./strategy_compiler');
+const { GasStrategy } = require('./gas_strategy');
+const { getFakeChain } = require('./fake_chain');
+const { SponsorPolicy } = require('./sponsor_policy');
+const { getAptPrice } = require('../utils/marketDataUtils');
+const { summarizeSimulation, isInsufficientBalance } = require('../utils/simulationUtils');
+const { OCTAS_PER_APT } = require('../protocols/helpers');
+
+// Slippage bound for swaps and liquidity changes when the caller gives none (%)
+const DEFAULT_MAX_SLIPPAGE = 2.0;
+
+// Prefix of mock transaction hashes, which can never be a real (hex) hash
+const MOCK_HASH_PREFIX = 'mock-';
+
+const TRANSACTION_HASH_PATTERN = /^0x[0-9a-f]{64}$/i;
+
+// Notification status sent for each lifecycle status (createTransactionNotification)
+const LIFECYCLE_NOTIFICATIONS = {
+  submitted: 'pending',
+  confirmed: 'success',
+  failed: 'failed',
+  expired: 'expired'
+};
+
+/**
+ * Give a ts-sdk client the readers of what prepareTransaction serializes and wallets sign
+ *
+ * The fake chain implements the same two methods for its own encoding, so callers
+ * read transactions and signatures through whichever client is configured.
+ * @param {Aptos} client - ts-sdk client
+ * @returns {Aptos} The client, with deserializeTransaction and deserializeAuthenticator
+ */
+function withBcsReaders(client) {
+  return Object.assign(client, {
+    deserializeTransaction: bcs => SimpleTransaction.deserialize(new Deserializer(Hex.fromHexInput(bcs).toUint8Array())),
+    deserializeAuthenticator: hex => AccountAuthenticator.deserialize(new Deserializer(Hex.fromHexInput(hex).toUint8Array()))
+  });
+}
 
 /**
  * Transaction Manager Module - Handles transaction preparation, submission, and tracking
@@ -8,8 +57,6 @@ const { Aptos, AptosConfig, Network, Types } = require('@aptos-labs/ts-sdk');
 class TransactionManager {
   constructor(config = {}) {
     this.aptosClient = null;
-    this.pendingTransactions = {};
-    this.transactionHistory = [];
     this.initialized = false;
     this.network = config.network || Network.MAINNET;
     this.rpcEndpoint = config.rpcEndpoint || null;
@@ -19,23 +66,14 @@ class TransactionManager {
       onSuccess: null,
       onFail: null
     };
-    this.contractAddresses = {
-      // Liquid Staking Protocols
-      amnis: "0x111ae3e5bc816a5e63c2da97d0aa3886519e0cd5e4b046659fa35796bd11542a",
-      thala: "0xfaf4e633ae9eb31366c9ca24214231760926576c7b625313b3688b5e900731f6",
-      tortuga: "0x952c1b1fc8eb75ee80f432c9d0a84fcda1d5c7481501a7eca9199f1596a60b53",
-      ditto: "0xd11107bdf0d6d7040c6c0bfbdecb6545191fdf13e8d8d259952f53e1713f61b5",
-      
-      // Lending/Borrowing Protocols
-      aries: "0x9770fa9c725cbd97eb50b2be5f7416efdfd1f1554beb0750d4dae4c64e860da3",
-      echelon: "0xf8197c9fa1a397568a47b7a6c5a9b09fa97c8f29f9dcc347232c22e3b24b1f09",
-      echo: "0xeab7ea4d635b6b6add79d5045c4a45d8148d88287b1cfa1c3b6a4b56f46839ed",
-      
-      // DEXes and AMMs
-      pancakeswap: "0xc7efb4076dbe143cbcd98cfaaa929ecfc8f299203dfff63b95ccb6bfe19850fa",
-      liquidswap: "0x190d44266241744264b964a37b8f09863167a12d3e70cda39376cfb4e3561e12",
-      cetus: "0x27156bd56eb5637b9adde4d915b596f92d2f28f0ade2eaef48fa73e360e4e8a6"
-    };
+    this.contractAddresses = {}; // Per-protocol overrides of the registry addresses
+    this.mockMode = Boolean(config.mockMode ?? env.TRANSACTION_MOCK_MODE); // Test-only: nothing touches the chain
+    this.events = new EventEmitter(); // Emits 'transaction' with every lifecycle change
+    this.events.setMaxListeners(0);
+    this.strategyCompiler = new StrategyCompiler();
+    this.gasStrategy = new GasStrategy({ getClient: () => this.aptosClient }); // Slow, normal and fast gas prices
+    this.sponsorPolicy = new SponsorPolicy(); // Decides which transactions the sponsor pays gas for
+    this.sponsor = undefined; // Fee payer account, loaded from SPONSOR_PRIVATE_KEY on first use (null when unset)
   }
 
   /**
@@ -50,6 +88,10 @@ class TransactionManager {
         return true;
       }
 
+      if (options.mockMode !== undefined) {
+        this.mockMode = Boolean(options.mockMode);
+      }
+      
       // Configure Aptos client
       const networkConfig = options.network || this.network;
       const endpoint = options.rpcEndpoint || this.rpcEndpoint;
@@ -59,7 +101,7 @@ class TransactionManager {
         ...(endpoint && { clientConfig: { FULLNODE_URL: endpoint } })
       });
       
-      this.aptosClient = new Aptos(aptosConfig);
+      this.aptosClient = env.FAKE_CHAIN.enabled ? getFakeChain() : withBcsReaders(new Aptos(aptosConfig));
       
       // Test connection
       await this.aptosClient.getLedgerInfo();
@@ -72,14 +114,6 @@ class TransactionManager {
         };
       }
       
-      // Load transaction history from storage if provided
-      if (options.loadHistory && typeof options.loadHistory === 'function') {
-        const history = await options.loadHistory();
-        if (Array.isArray(history)) {
-          this.transactionHistory = history;
-        }
-      }
-      
       this.initialized = true;
       console.log(`Transaction manager initialized on ${networkConfig}`);
       return true;
@@ -88,7 +122,7 @@ class TransactionManager {
       // Try to create a minimal client for some functionality
       try {
         const fallbackConfig = new AptosConfig({ network: Network.MAINNET });
-        this.aptosClient = new Aptos(fallbackConfig);
+        this.aptosClient = withBcsReaders(new Aptos(fallbackConfig));
         console.warn('Using fallback Aptos configuration');
       } catch (fallbackError) {
         console.error('Fallback configuration also failed:', fallbackError);
@@ -120,23 +154,43 @@ class TransactionManager {
   }
 
   /**
-   * Execute a single operation on a DeFi protocol
+   * Build the unsigned transaction for a single operation on a DeFi protocol
+   *
+   * The server never holds the wallet's key: the result carries the BCS-serialized
+   * SimpleTransaction (transaction.bcs) for the wallet to sign and submit. Deserialize it with
+   * SimpleTransaction.deserialize(new Deserializer(Hex.fromHexInput(bcs).toUint8Array())).
+   * Every operation is simulated first: the simulation sets the gas limit (with the gas buffer)
+   * and an operation whose simulation fails is blocked and comes back with blocked: true.
+   * Each operation is recorded as a Transaction (transactionId) that stays pending until the
+   * wallet reports the submitted hash through recordSubmission.
+   * With details.sponsored the platform sponsor pays the gas: the transaction is built with the
+   * sponsor as fee payer under the sponsor policy, and the wallet only signs it and hands the
+   * signature to submitSponsoredTransaction instead of submitting it.
+   * In mock mode nothing is built on chain and the result is flagged mock with a non-hex hash.
+   * @param {string} walletAddress - Sender wallet address
    * @param {string} protocol - Protocol name
    * @param {string} type - Operation type (e.g., stake, unstake)
-   * @param {string} amount - Amount to operate with
+   * @param {string} amount - Amount to operate with (APT)
    * @param {string} contractAddress - Contract address (optional)
    * @param {string} functionName - Function name to call (optional)
-   * @returns {Promise<Object>} Transaction result
+   * @param {Object} details - Optional { fromProtocol, toProtocol, pool, maxSlippage, gasTier, gasBuffer, publicKey,
+   *   sponsored, accountSequenceNumber, source, userId, recommendationId, metadata }
+   * @returns {Promise<Object>} Unsigned transaction, or { success: false, error, code }
    */
-  async executeOperation(protocol, type, amount, contractAddress, functionName) {
+  async executeOperation(walletAddress, protocol, type, amount, contractAddress, functionName, details = {}) {
     try {
       if (!this.initialized) {
         await this.initialize();
       }
       
+      // Mock mode is for tests and local development only
+      if (this.mockMode && env.NODE_ENV === 'production') {
+        throw new Error('Transaction mock mode cannot be enabled in production');
+      }
+      
       // Validate inputs
-      if (!protocol || !type || !amount) {
-        throw new Error('Protocol, type, and amount are required');
+      if (!walletAddress || !protocol || !type || !amount) {
+        throw new Error('Wallet address, protocol, type, and amount are required');
       }
       
       // Parse amount and ensure it's positive
@@ -147,7 +201,7 @@ class TransactionManager {
       
       // Resolve contract address if not provided
       if (!contractAddress) {
-        contractAddress = this.contractAddresses[protocol.toLowerCase()];
+        contractAddress = this.getContractAddress(protocol);
         if (!contractAddress) {
           throw new Error(`No contract address found for protocol: ${protocol}`);
         }
@@ -155,7 +209,10 @@ class TransactionManager {
       
       // Determine function name if not provided
       if (!functionName) {
-        functionName = this.determineFunctionName(protocol, type);
+        functionName = protocols.getFunctionName(protocol, type);
+        if (!functionName) {
+          throw new Error(`${protocol} does not support ${type} operations`);
+        }
       }
       
       // Create transaction ID
@@ -173,55 +230,73 @@ class TransactionManager {
         });
       }
       
-      // Convert APT to Octas (APT * 10^8)
-      const amountInOctas = BigInt(Math.floor(parsedAmount * 100000000));
-      
-      // Prepare transaction payload
-      const payload = {
-        function: `${contractAddress}${functionName}`,
-        type_arguments: [],
-        arguments: [amountInOctas.toString()]
-      };
-      
-      console.log(`Executing ${type} operation on ${protocol} for ${amount} APT`);
-      console.log('Function:', `${contractAddress}${functionName}`);
+      // Entry function, type arguments and arguments come from the protocol adapter
+      const data = protocols.buildEntryFunctionData(
+        {
+          protocol,
+          type,
+          amount: parsedAmount,
+          contractAddress,
+          functionName,
+          fromProtocol: details.fromProtocol,
+          toProtocol: details.toProtocol,
+          pool: details.pool
+        },
+        { maxSlippage: details.maxSlippage ?? DEFAULT_MAX_SLIPPAGE, network: this.network }
+      );
       
-      // This would normally use the wallet adapter to sign and submit the transaction
-      // Since we're in a Node.js environment without browser wallet access,
-      // this is a placeholder that would be replaced in the frontend implementation
+      const record = new Transaction({
+        walletAddress,
+        userId: details.userId,
+        recommendationId: details.recommendationId,
+        ...this.resolveRecordType(type),
+        protocol,
+        amount: parsedAmount,
+        contractAddress,
+        functionName,
+        functionArgs: data.functionArguments,
+        network: this.network.toUpperCase(),
+        source: details.source || 'api',
+        isSimulated: this.mockMode,
+        metadata: { ...details.metadata, txId, function: data.function, typeArguments: data.typeArguments }
+      });
       
-      // Simulate success for testing purposes
       const result = {
         success: true,
         txId,
-        hash: `0x${Array.from({length: 64}, () => Math.floor(Math.random() * 16).toString(16)).join('')}`,
+        transactionId: record._id.toString(),
+        sender: walletAddress,
         protocol,
         type,
         amount: parsedAmount.toString(),
+        data,
         timestamp: new Date().toISOString()
       };
       
-      // Add to transaction history
-      this.addToTransactionHistory({
-        txId,
-        hash: result.hash,
-        protocol,
-        type,
-        amount: parsedAmount.toString(),
-        contractAddress,
-        functionName,
-        status: 'confirmed',
-        timestamp: result.timestamp
-      });
+      const prepared = await this.prepareTransaction(walletAddress, data, record, details);
       
-      // Call onSuccess callback if provided
-      if (this.transactionCallbacks.onSuccess) {
-        this.transactionCallbacks.onSuccess(result);
+      if (prepared.blocked) {
+        console.warn(`Blocked ${type} on ${protocol}: ${prepared.simulation.abort.message}`);
+        
+        return {
+          success: false,
+          blocked: true,
+          error: `Simulation failed: ${prepared.simulation.abort.message}`,
+          transactionId: record._id.toString(),
+          simulation: prepared.simulation,
+          protocol,
+          type,
+          amount
+        };
       }
       
+      Object.assign(result, prepared, prepared.mock && { hash: `${MOCK_HASH_PREFIX}${txId}` });
+      
+      console.log(`Prepared ${this.mockMode ? 'mock ' : ''}${type} transaction on ${protocol} for ${parsedAmount} APT (${data.function})`);
+      
       return result;
     } catch (error) {
-      console.error(`Error executing ${type} operation on ${protocol}:`, error);
+      console.error(`Error preparing ${type} operation on ${protocol}:`, error);
       
       // Call onFail callback if provided
       if (this.transactionCallbacks.onFail) {
@@ -236,6 +311,7 @@ class TransactionManager {
       return {
         success: false,
         error: error.message,
+        code: error.code,
         protocol,
         type,
         amount
@@ -244,59 +320,391 @@ class TransactionManager {
   }
 
   /**
-   * Execute a series of operations as a strategy
-   * @param {Array} operations - Array of operations to execute
-   * @returns {Promise<Object>} Strategy execution result
+   * Simulate, build and record a transaction
+   *
+   * The record is saved pending once the transaction is built, or failed when the
+   * simulation blocks it; mock mode saves it without touching the chain. A sponsored
+   * transaction must pass the sponsor policy, which reserves its maximum gas fee from the
+   * wallet's budget before it is built; the reservation is released when the build fails
+   * and is otherwise held in the sponsor ledger until the transaction settles.
+   *
+   * A strategy step that spends what an earlier step receives cannot simulate before that
+   * step executes. When its simulation only fails on the balance, it is built at the gas
+   * estimate of its operation and marked dependent, to be simulated again before it is submitted.
+   * @param {string} walletAddress - Sender wallet address
+   * @param {Object} data - Entry function or script data
+   * @param {Object} record - Unsaved Transaction document of the transaction
+   * @param {Object} details - Optional { gasTier, gasBuffer, publicKey, sponsored, accountSequenceNumber, fundedByStrategy }
+   * @returns {Promise<Object>} { status, simulation, transaction }, { blocked: true, simulation } or { mock: true, status }
+   */
+  async prepareTransaction(walletAddress, data, record, details = {}) {
+    if (this.mockMode) {
+      await record.save();
+      this.publishLifecycle(record);
+      return { mock: true, status: 'mock' };
+    }
+    
+    const sponsor = details.sponsored ? this.getSponsorAccount() : null;
+    let simulation = await this.simulateOperation(walletAddress, data, details);
+    
+    if (!simulation.success && details.fundedByStrategy && isInsufficientBalance(simulation.abort)) {
+      simulation = this.estimateDependentStep(record, simulation, details);
+    }
+    
+    if (!simulation.success) {
+      await record.markAsFailed({
+        code: 'simulation_failed',
+        message: simulation.abort.message,
+        details: { vmStatus: simulation.vmStatus, abort: simulation.abort }
+      });
+      this.publishLifecycle(record);
+      return { blocked: true, simulation };
+    }
+    
+    const allowance = sponsor && await this.sponsorPolicy.reserve(walletAddress, {
+      data,
+      maxFeeAPT: simulation.maxGasFeeAPT,
+      network: this.network
+    });
+    
+    let transaction;
+    let bcs;
+    try {
+      transaction = await this.aptosClient.transaction.build.simple({
+        sender: walletAddress,
+        data,
+        ...(sponsor && { withFeePayer: true }),
+        options: {
+          maxGasAmount: simulation.maxGasAmount,
+          gasUnitPrice: simulation.gasUnitPrice,
+          ...(details.accountSequenceNumber !== undefined && { accountSequenceNumber: details.accountSequenceNumber })
+        }
+      });
+      
+      // The wallet signs with the sponsor already named as fee payer
+      if (sponsor) {
+        transaction.feePayerAddress = sponsor.accountAddress;
+      }
+      bcs = transaction.bcsToHex().toString();
+      
+      record.expiresAt = new Date(Number(transaction.rawTransaction.expiration_timestamp_secs) * 1000);
+      record.networkFee = simulation.gasFeeAPT;
+      record.metadata.sequenceNumber = transaction.rawTransaction.sequence_number.toString();
+      record.metadata.gasTier = simulation.gasTier;
+      if (simulation.dependent) {
+        record.metadata.dependent = true;
+      }
+      
+      // Kept so the wallet can sign it later, e.g. a rebalance phase prepared while it was away
+      record.metadata.bcs = bcs;
+      
+      if (sponsor) {
+        // The sponsor only co-signs the transaction built here, never one the wallet sends back
+        record.metadata.sponsored = true;
+        record.metadata.feePayer = sponsor.accountAddress.toString();
+        
+        await SponsorLedger.reserve({
+          walletAddress,
+          userId: record.userId || allowance.userId,
+          transactionId: record._id,
+          function: data.function || `script:${record.metadata.script}`,
+          protocol: record.protocol,
+          type: record.subType || record.type,
+          tier: allowance.tier,
+          feePayer: record.metadata.feePayer,
+          reservedAPT: allowance.reservedAPT,
+          budgetDay: allowance.budgetDay
+        });
+      }
+      
+      // Pending until the wallet reports the submitted hash, or hands over its signature when sponsored
+      await record.save();
+    } catch (error) {
+      if (allowance) {
+        await SponsorLedger.release(record._id);
+        await this.sponsorPolicy.release(walletAddress, allowance);
+      }
+      throw error;
+    }
+    
+    const { rawTransaction } = transaction;
+    this.publishLifecycle(record);
+    
+    return {
+      status: 'awaiting_signature',
+      simulation,
+      transaction: {
+        bcs,
+        sequenceNumber: rawTransaction.sequence_number.toString(),
+        maxGasAmount: rawTransaction.max_gas_amount.toString(),
+        gasUnitPrice: rawTransaction.gas_unit_price.toString(),
+        gasTier: simulation.gasTier,
+        ...(simulation.dependent && { dependent: true }),
+        ...(sponsor && { sponsored: true, feePayer: record.metadata.feePayer }),
+        expiresAt: record.expiresAt.toISOString()
+      }
+    };
+  }
+
+  /**
+   * Stand in for the simulation of a strategy step funded by an earlier step
+   * @param {Object} record - Transaction document of the step
+   * @param {Object} simulation - Failed simulation summary of the step
+   * @param {Object} details - Optional { gasBuffer }
+   * @returns {Object} Simulation summary priced at the gas estimate of the operation, with dependent: true
+   */
+  estimateDependentStep(record, simulation, details = {}) {
+    const estimate = this.gasStrategy.estimateOperationGas(
+      { type: record.subType || record.type },
+      { gasUnitPrice: simulation.gasUnitPrice, gasBuffer: details.gasBuffer || env.REBALANCER.gasBuffer }
+    );
+    
+    return {
+      ...simulation,
+      success: true,
+      dependent: true,
+      gasUsed: estimate.gasUnits,
+      maxGasAmount: estimate.maxGasAmount,
+      gasFeeAPT: estimate.costAPT,
+      maxGasFeeAPT: estimate.maxCostAPT,
+      balanceChanges: [],
+      sends: [],
+      receives: []
+    };
+  }
+
+  /**
+   * Simulate a prepared transaction as it was built, against the current chain state
+   *
+   * Dependent strategy steps are checked this way once the step funding them executed.
+   * A transaction that no longer simulates is failed, and so are the unsigned steps after it.
+   * @param {string} walletAddress - Sender wallet address
+   * @param {string} transactionId - Transaction ID returned by executeOperation
+   * @param {Object} options - Optional { publicKey }
+   * @returns {Promise<Object>} Simulation summary
+   */
+  async simulatePreparedTransaction(walletAddress, transactionId, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    
+    const record = mongoose.isValidObjectId(transactionId) ?
+      await Transaction.findOne({ _id: transactionId, walletAddress }) :
+      null;
+    
+    if (!record || !record.metadata?.bcs) {
+      throw this.createTransactionError('Transaction not found', 'transaction_not_found');
+    }
+    if (record.status !== 'pending') {
+      throw this.createTransactionError(`Transaction is ${record.status}`, 'invalid_transaction_state');
+    }
+    
+    return this.checkPreparedTransaction(record, options);
+  }
+
+  /**
+   * Simulate the stored transaction of a pending record, failing the record when it aborts
+   * @param {Object} record - Pending Transaction document with metadata.bcs
+   * @param {Object} options - Optional { publicKey }
+   * @returns {Promise<Object>} Simulation summary
    */
-  async executeStrategy(operations) {
+  async checkPreparedTransaction(record, options = {}) {
+    const [simulated] = await this.aptosClient.transaction.simulate.simple({
+      ...(options.publicKey && { signerPublicKey: new Ed25519PublicKey(options.publicKey) }),
+      ...(record.metadata.sponsored && { feePayerPublicKey: this.getSponsorAccount().publicKey }),
+      transaction: this.deserializeTransaction(record.metadata.bcs)
+    });
+    const simulation = summarizeSimulation(simulated, record.walletAddress);
+    
+    if (!simulation.success) {
+      await record.markAsFailed({
+        code: 'simulation_failed',
+        message: simulation.abort.message,
+        details: { vmStatus: simulation.vmStatus, abort: simulation.abort }
+      });
+      this.publishLifecycle(record);
+      
+      if (record.metadata.strategyId) {
+        await this.abortStrategy(record.metadata.strategyId, `Step ${record.metadata.step + 1} no longer simulates: ${simulation.abort.message}`);
+      }
+    }
+    
+    return simulation;
+  }
+
+  /**
+   * Simulate entry function data as the sender against the current chain state
+   *
+   * The transaction is priced at the chosen gas tier, so the gas unit price and the
+   * buffered max gas amount of the summary are what the transaction is built with.
+   * A sponsored transaction is simulated with the sponsor paying, as the sender may hold no APT.
+   * @param {string} walletAddress - Sender wallet address
+   * @param {Object} data - Entry function data { function, typeArguments, functionArguments }
+   * @param {Object} options - Optional { gasTier, gasBuffer, publicKey, sponsored } (the sender's public key, when the wallet shares it)
+   * @returns {Promise<Object>} Simulation summary from summarizeSimulation, with the gasTier it was priced at
+   */
+  async simulateOperation(walletAddress, data, options = {}) {
+    const gasTier = this.gasStrategy.resolveTier(options.gasTier);
+    const gasUnitPrice = await this.gasStrategy.getGasUnitPrice(gasTier);
+    const sponsor = options.sponsored ? this.getSponsorAccount() : null;
+    
+    // Built at the account's current sequence number so later operations of a strategy simulate too
+    const transaction = await this.aptosClient.transaction.build.simple({
+      sender: walletAddress,
+      data,
+      ...(sponsor && { withFeePayer: true }),
+      options: { gasUnitPrice }
+    });
+    if (sponsor) {
+      transaction.feePayerAddress = sponsor.accountAddress;
+    }
+    
+    const [simulated] = await this.aptosClient.transaction.simulate.simple({
+      ...(options.publicKey && { signerPublicKey: new Ed25519PublicKey(options.publicKey) }),
+      ...(sponsor && { feePayerPublicKey: sponsor.publicKey }),
+      transaction,
+      options: { estimateMaxGasAmount: true }
+    });
+    
+    return {
+      ...summarizeSimulation(simulated, walletAddress, options.gasBuffer || env.REBALANCER.gasBuffer),
+      gasTier
+    };
+  }
+
+  /**
+   * Simulate a transaction payload without preparing it for signing
+   * @param {Object} transaction - Entry function data, or a legacy entry_function_payload
+   * @param {string} walletAddress - Sender wallet address
+   * @param {Object} options - Optional { gasTier, gasBuffer, publicKey }
+   * @returns {Promise<Object>} Simulation summary
+   */
+  async simulateTransaction(transaction, walletAddress, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    
+    if (this.mockMode) {
+      throw new Error('Simulation is not available in transaction mock mode');
+    }
+    
+    const data = transaction.type === 'entry_function_payload' ? {
+      function: transaction.function,
+      typeArguments: transaction.type_arguments || [],
+      functionArguments: transaction.arguments || []
+    } : transaction;
+    
+    return this.simulateOperation(walletAddress, data, options);
+  }
+
+  /**
+   * Prepare a strategy for signing
+   *
+   * The strategy compiler decides how it executes: a single operation becomes one
+   * transaction, and so does a strategy a registered Move script batches; anything else
+   * is prepared step by step with consecutive sequence numbers. When a critical step cannot be prepared,
+   * or a step fails on chain, the remaining steps are aborted and the completed ones can
+   * be unwound with compensateStrategy.
+   * @param {string} walletAddress - User's wallet address
+   * @param {Array} operations - Operations to execute
+   * @param {Object} options - Optional { maxSlippage, gasTier, gasBuffer, publicKey, sponsored, source, userId, recommendationId }
+   * @returns {Promise<Object>} { success, strategyId, mode, batch, plan, operations, failedOperations, ... }
+   */
+  async executeStrategy(walletAddress, operations, options = {}) {
     if (!Array.isArray(operations) || operations.length === 0) {
       return { success: false, error: 'No operations to execute' };
     }
     
+    // Optimize operation order (withdrawals first, then deposits)
+    const orderedOperations = this.optimizeOperationOrder(operations);
+    
+    let plan;
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      plan = this.strategyCompiler.compile(orderedOperations, { network: this.network });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    
+    const strategyId = crypto.randomUUID();
     const results = {
+      strategyId,
+      mode: plan.mode,
+      batch: plan.batch,
+      plan,
       operations: [],
       failedOperations: [],
       success: true,
+      mock: this.mockMode || undefined,
       startTime: new Date().toISOString()
     };
+    const strategyMetadata = { strategyId, mode: plan.mode, batch: plan.batch };
     
-    // Optimize operation order (withdrawals first, then deposits)
-    const orderedOperations = this.optimizeOperationOrder(operations);
+    let sequenceNumber;
+    try {
+      sequenceNumber = await this.getNextSequenceNumber(walletAddress);
+    } catch (error) {
+      return { success: false, error: `Failed to read the account sequence number: ${error.message}` };
+    }
     
-    // Execute operations sequentially
-    for (const operation of orderedOperations) {
-      try {
-        const result = await this.executeOperation(
-          operation.protocol,
-          operation.type,
-          operation.amount,
-          operation.contractAddress,
-          operation.functionName
-        );
-        
-        if (result.success) {
-          results.operations.push({ ...operation, result });
-        } else {
-          results.failedOperations.push({ ...operation, error: result.error });
-          // If a critical operation fails, we might want to abort the strategy
-          if (operation.critical) {
-            results.success = false;
-            results.error = `Critical operation failed: ${result.error}`;
-            break;
+    if (plan.batch === 'script') {
+      const result = await this.executeScript(walletAddress, orderedOperations, {
+        ...options,
+        accountSequenceNumber: sequenceNumber,
+        metadata: strategyMetadata
+      });
+      
+      if (result.success) {
+        results.operations.push({ script: plan.script, steps: orderedOperations, result });
+      } else {
+        results.failedOperations.push({ script: plan.script, steps: orderedOperations, error: result.error, blocked: result.blocked, simulation: result.simulation });
+        results.error = result.error;
+      }
+      
+      results.success = result.success;
+      results.endTime = new Date().toISOString();
+      return results;
+    }
+    
+    // Prepare operations sequentially
+    for (const [step, operation] of orderedOperations.entries()) {
+      const result = await this.executeOperation(
+        walletAddress,
+        operation.protocol,
+        operation.type,
+        operation.amount,
+        operation.contractAddress,
+        operation.functionName,
+        {
+          ...options,
+          ...operation,
+          accountSequenceNumber: sequenceNumber,
+          fundedByStrategy: results.operations.some(prepared => prepared.result.simulation?.receives?.length > 0),
+          metadata: {
+            ...strategyMetadata,
+            step,
+            fromProtocol: operation.fromProtocol,
+            toProtocol: operation.toProtocol,
+            pool: operation.pool
           }
         }
-      } catch (error) {
-        results.failedOperations.push({ ...operation, error: error.message });
-        // Continue with other operations unless this was critical
+      );
+      
+      if (result.success) {
+        results.operations.push({ ...operation, step, result });
+        if (sequenceNumber !== undefined) sequenceNumber += 1n;
+      } else {
+        results.failedOperations.push({ ...operation, step, error: result.error, blocked: result.blocked, simulation: result.simulation });
+        // If a critical operation fails, the steps already prepared must not be signed either
         if (operation.critical) {
-          results.success = false;
-          results.error = `Critical operation failed: ${error.message}`;
+          results.error = `Critical operation failed: ${result.error}`;
+          results.aborted = true;
+          await this.abortStrategy(strategyId, `Step ${step + 1} could not be prepared: ${result.error}`);
           break;
         }
       }
-      
-      // Short delay between operations
-      await new Promise(resolve => setTimeout(resolve, 500));
     }
     
     // Set overall success status based on failures
@@ -306,6 +714,329 @@ class TransactionManager {
     return results;
   }
 
+  /**
+   * Plan how a strategy would execute, in the order executeStrategy prepares it
+   * @param {Array} operations - Operations of the strategy
+   * @returns {Object} Compiled plan: { mode, batch, script, transactions, reason, steps, compensation }
+   */
+  planStrategy(operations) {
+    return this.strategyCompiler.compile(this.optimizeOperationOrder(operations), { network: this.network });
+  }
+
+  /**
+   * Get the current gas unit price of every gas tier
+   * @returns {Promise<Object>} { slow, normal, fast, source, defaultTier } with prices in octas
+   */
+  async getGasPrices() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    
+    const prices = await this.gasStrategy.getGasPrices();
+    return { ...prices, defaultTier: this.gasStrategy.defaultTier };
+  }
+
+  /**
+   * Forecast the gas cost of a strategy before it executes
+   * @param {Array} operations - Operations of the strategy
+   * @param {Object} options - Optional { gasTier, gasBuffer, aptPrice } (the current APT price is fetched when omitted)
+   * @returns {Promise<Object>} Gas forecast from the gas strategy: cost in the chosen tier and in every tier
+   */
+  async forecastStrategyGas(operations, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    
+    const aptPrice = options.aptPrice || await getAptPrice();
+    return this.gasStrategy.forecast(this.optimizeOperationOrder(operations), {
+      tier: options.gasTier,
+      gasBuffer: options.gasBuffer,
+      aptPrice
+    });
+  }
+
+  /**
+   * Prepare a strategy batched by a Move script as one transaction
+   * @param {string} walletAddress - User's wallet address
+   * @param {Array} operations - Operations the script runs, in order
+   * @param {Object} details - Optional { maxSlippage, gasTier, gasBuffer, publicKey, sponsored, accountSequenceNumber,
+   *   source, userId, recommendationId, metadata }
+   * @returns {Promise<Object>} Prepared transaction, as returned by executeOperation
+   */
+  async executeScript(walletAddress, operations, details = {}) {
+    const script = protocols.findScript(operations, this.network);
+    const protocolNames = [...new Set(operations.map(operation => operation.protocol))].join('+');
+    const amount = operations.reduce((total, operation) => total + parseFloat(operation.amount), 0);
+    
+    try {
+      if (!script) {
+        throw new Error('No Move script batches these operations');
+      }
+      
+      const txId = `${Date.now()}-${protocolNames}-${script.name}`;
+      const data = protocols.buildScriptData(script, operations, {
+        maxSlippage: details.maxSlippage ?? DEFAULT_MAX_SLIPPAGE,
+        network: this.network
+      });
+      
+      if (!data.bytecode) {
+        throw new Error(`The ${script.name} script is not published on ${this.network}`);
+      }
+      
+      const record = new Transaction({
+        walletAddress,
+        userId: details.userId,
+        recommendationId: details.recommendationId,
+        type: 'execute',
+        subType: script.name,
+        protocol: protocolNames,
+        amount,
+        functionName: script.name,
+        functionArgs: data.functionArguments,
+        network: this.network.toUpperCase(),
+        source: details.source || 'api',
+        isSimulated: this.mockMode,
+        metadata: {
+          ...details.metadata,
+          txId,
+          script: script.name,
+          typeArguments: data.typeArguments,
+          steps: operations.map(({ protocol, type, amount: stepAmount, fromProtocol, toProtocol }) => (
+            { protocol, type, amount: parseFloat(stepAmount), fromProtocol, toProtocol }
+          ))
+        }
+      });
+      
+      const prepared = await this.prepareTransaction(walletAddress, data, record, details);
+      
+      if (prepared.blocked) {
+        console.warn(`Blocked ${script.name} script: ${prepared.simulation.abort.message}`);
+        
+        return {
+          success: false,
+          blocked: true,
+          error: `Simulation failed: ${prepared.simulation.abort.message}`,
+          transactionId: record._id.toString(),
+          simulation: prepared.simulation,
+          protocol: protocolNames,
+          type: 'execute',
+          amount
+        };
+      }
+      
+      console.log(`Prepared ${this.mockMode ? 'mock ' : ''}${script.name} script for ${operations.length} operations`);
+      
+      return {
+        success: true,
+        txId,
+        transactionId: record._id.toString(),
+        sender: walletAddress,
+        protocol: protocolNames,
+        type: 'execute',
+        script: script.name,
+        amount: amount.toString(),
+        data,
+        timestamp: new Date().toISOString(),
+        ...prepared,
+        ...(prepared.mock && { hash: `${MOCK_HASH_PREFIX}${txId}` })
+      };
+    } catch (error) {
+      console.error(`Error preparing ${script ? script.name : 'script'} on ${protocolNames}:`, error);
+      
+      return {
+        success: false,
+        error: error.message,
+        code: error.code,
+        protocol: protocolNames,
+        type: 'execute',
+        amount
+      };
+    }
+  }
+
+  /**
+   * Read the sequence number the next transaction of a wallet is built with
+   * @param {string} walletAddress - Wallet address
+   * @returns {Promise<BigInt|undefined>} Sequence number, undefined in mock mode
+   */
+  async getNextSequenceNumber(walletAddress) {
+    if (this.mockMode) return undefined;
+    
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    const account = await this.aptosClient.getAccountInfo({ accountAddress: walletAddress });
+    return BigInt(account.sequence_number);
+  }
+
+  /**
+   * Abort the steps of a strategy that were prepared but not signed yet
+   *
+   * Called when a step fails on chain or expires, and when a critical step cannot be prepared.
+   * @param {string} strategyId - Strategy execution ID
+   * @param {string} reason - Why the strategy stopped
+   * @returns {Promise<number>} Number of steps aborted
+   */
+  async abortStrategy(strategyId, reason) {
+    const records = await Transaction.findByStrategy(strategyId);
+    const unsigned = records.filter(record =>
+      record.status === 'pending' && record.metadata.compensates === undefined
+    );
+    
+    for (const record of unsigned) {
+      await record.markAsFailed({ code: 'strategy_aborted', message: `Strategy aborted: ${reason}` });
+      this.publishLifecycle(record);
+    }
+    
+    if (unsigned.length > 0) {
+      console.warn(`Aborted ${unsigned.length} unsigned steps of strategy ${strategyId}: ${reason}`);
+    }
+    
+    return unsigned.length;
+  }
+
+  /**
+   * Get the execution of a strategy: its steps, their status and how to unwind the completed ones
+   * @param {string} walletAddress - Wallet address that executed the strategy
+   * @param {string} strategyId - Strategy execution ID
+   * @returns {Promise<Object>} { strategyId, mode, batch, status, steps, compensations, compensation }
+   */
+  async getStrategyExecution(walletAddress, strategyId) {
+    const records = await Transaction.findByStrategy(strategyId);
+    if (records.length === 0 || records[0].walletAddress !== walletAddress) {
+      throw this.createTransactionError(`Strategy execution ${strategyId} not found`, 'strategy_not_found');
+    }
+    
+    const steps = records.filter(record => record.metadata.compensates === undefined);
+    const compensations = records.filter(record => record.metadata.compensates !== undefined);
+    const status = this.resolveStrategyStatus(steps, compensations);
+    
+    // Steps that confirmed before the failure are the ones to reverse, unless a compensation already did
+    const compensated = compensations
+      .filter(record => record.status === 'confirmed')
+      .map(record => record.metadata.compensates);
+    const completedSteps = steps
+      .filter(record => record.status === 'confirmed' && !compensated.includes(record.metadata.step))
+      .map(record => ({
+        step: record.metadata.step,
+        protocol: record.protocol,
+        type: record.type === 'other' ? record.subType : record.type,
+        amount: record.amount,
+        fromProtocol: record.metadata.fromProtocol,
+        toProtocol: record.metadata.toProtocol
+      }));
+    
+    return {
+      strategyId,
+      walletAddress,
+      mode: steps[0].metadata.mode,
+      batch: steps[0].metadata.batch,
+      status,
+      steps: steps.map(record => ({ step: record.metadata.step, ...this.describeTransaction(record) })),
+      compensations: compensations.map(record => ({
+        compensates: record.metadata.compensates,
+        ...this.describeTransaction(record)
+      })),
+      compensation: ['failed', 'compensation_failed'].includes(status) && steps[0].metadata.mode === EXECUTION_MODES.SEQUENTIAL ?
+        this.strategyCompiler.planCompensation(completedSteps, { network: this.network }) :
+        []
+    };
+  }
+
+  /**
+   * Resolve the status of a strategy execution from its transactions
+   * @param {Array} steps - Transaction documents of the strategy steps
+   * @param {Array} compensations - Transaction documents of the compensating operations
+   * @returns {string} in_progress, completed, failed, compensating, compensated or compensation_failed
+   */
+  resolveStrategyStatus(steps, compensations) {
+    const isOpen = record => record.status === 'pending' || record.status === 'submitted';
+    
+    if (compensations.length > 0) {
+      if (compensations.some(isOpen)) return 'compensating';
+      return compensations.every(record => record.status === 'confirmed') ? 'compensated' : 'compensation_failed';
+    }
+    
+    if (steps.every(record => record.status === 'confirmed')) return 'completed';
+    
+    // A failed strategy is only final once nothing else can still commit
+    const failed = steps.some(record => record.status === 'failed' || record.status === 'expired');
+    return failed && !steps.some(record => record.status === 'submitted') ? 'failed' : 'in_progress';
+  }
+
+  /**
+   * Prepare the operations that unwind the completed steps of a failed strategy
+   *
+   * Compensations run newest step first. Steps that cannot be reversed automatically,
+   * such as unstakes still unbonding, are returned for the wallet owner to handle.
+   * When a compensation failed, calling this again retries the steps not reversed yet.
+   * @param {string} walletAddress - Wallet address that executed the strategy
+   * @param {string} strategyId - Strategy execution ID
+   * @param {Object} options - Optional { maxSlippage, gasTier, gasBuffer, publicKey, source, userId }
+   * @returns {Promise<Object>} { success, strategyId, operations, failedOperations, manual }
+   */
+  async compensateStrategy(walletAddress, strategyId, options = {}) {
+    const execution = await this.getStrategyExecution(walletAddress, strategyId);
+    
+    if (execution.status === 'in_progress') {
+      throw this.createTransactionError('The strategy is still executing', 'strategy_in_progress');
+    }
+    if (['compensating', 'compensated'].includes(execution.status)) {
+      throw this.createTransactionError('The strategy has already been compensated', 'strategy_already_compensated');
+    }
+    if (!['failed', 'compensation_failed'].includes(execution.status)) {
+      throw this.createTransactionError('Only a failed strategy can be compensated', 'strategy_not_failed');
+    }
+    
+    const results = {
+      strategyId,
+      operations: [],
+      failedOperations: [],
+      manual: execution.compensation.filter(compensation => compensation.manual),
+      success: true
+    };
+    
+    let sequenceNumber;
+    try {
+      sequenceNumber = await this.getNextSequenceNumber(walletAddress);
+    } catch (error) {
+      return { ...results, success: false, error: `Failed to read the account sequence number: ${error.message}` };
+    }
+    
+    for (const compensation of execution.compensation.filter(item => item.type)) {
+      const result = await this.executeOperation(
+        walletAddress,
+        compensation.protocol,
+        compensation.type,
+        compensation.amount,
+        null,
+        null,
+        {
+          ...options,
+          fromProtocol: compensation.fromProtocol,
+          toProtocol: compensation.toProtocol,
+          accountSequenceNumber: sequenceNumber,
+          metadata: {
+            strategyId,
+            compensates: compensation.step,
+            fromProtocol: compensation.fromProtocol,
+            toProtocol: compensation.toProtocol
+          }
+        }
+      );
+      
+      if (result.success) {
+        results.operations.push({ ...compensation, result });
+        if (sequenceNumber !== undefined) sequenceNumber += 1n;
+      } else {
+        results.failedOperations.push({ ...compensation, error: result.error, blocked: result.blocked, simulation: result.simulation });
+      }
+    }
+    
+    results.success = results.failedOperations.length === 0;
+    return results;
+  }
+
   /**
    * Optimize the order of operations for efficient execution
    * @param {Array} operations - Operations to optimize
@@ -330,88 +1061,380 @@ class TransactionManager {
   }
 
   /**
-   * Determine function name for a protocol and operation type
+   * Get the contract address of a protocol, honouring addresses passed to initialize
    * @param {string} protocol - Protocol name
-   * @param {string} operationType - Operation type
-   * @returns {string} Function name
-   */
-  determineFunctionName(protocol, operationType) {
-    const protocolLower = protocol.toLowerCase();
-    const opTypeLower = operationType.toLowerCase();
-    
-    // Protocol-specific function mappings
-    const functionMappings = {
-      'amnis': { 
-        'stake': '::staking::stake', 
-        'unstake': '::staking::unstake', 
-        'lend': '::lending::supply', 
-        'withdraw': '::lending::withdraw', 
-        'addLiquidity': '::router::add_liquidity', 
-        'removeLiquidity': '::router::remove_liquidity' 
-      },
-      'thala': { 
-        'stake': '::staking::stake_apt', 
-        'unstake': '::staking::unstake_apt', 
-        'lend': '::lending::supply_apt', 
-        'withdraw': '::lending::withdraw_apt', 
-        'addLiquidity': '::router::add_liquidity', 
-        'removeLiquidity': '::router::remove_liquidity' 
-      },
-      'tortuga': { 
-        'stake': '::staking::stake_apt', 
-        'unstake': '::staking::unstake_apt' 
-      },
-      'echo': { 
-        'lend': '::lending::supply',
-        'withdraw': '::lending::withdraw' 
-      },
-      'ditto': { 
-        'stake': '::staking::stake', 
-        'unstake': '::staking::unstake' 
-      },
-      'aries': { 
-        'lend': '::lending::supply', 
-        'withdraw': '::lending::withdraw' 
-      },
-      'cetus': { 
-        'addLiquidity': '::pool::add_liquidity', 
-        'removeLiquidity': '::pool::remove_liquidity',
-        'swap': '::pool::swap'
-      },
-      'pancakeswap': { 
-        'addLiquidity': '::router::add_liquidity', 
-        'removeLiquidity': '::router::remove_liquidity',
-        'swap': '::router::swap_exact_input'
-      },
-      'liquidswap': { 
-        'addLiquidity': '::router::add_liquidity', 
-        'removeLiquidity': '::router::remove_liquidity',
-        'swap': '::router::swap_exact_input'
+   * @returns {string|null} Contract address
+   */
+  getContractAddress(protocol) {
+    return this.contractAddresses[protocol.toLowerCase()] || protocols.getAddress(protocol, this.network);
+  }
+
+  /**
+   * Record that the wallet submitted a transaction, so the confirmation poller tracks it
+   *
+   * Reporting the same hash again returns the existing record.
+   * @param {string} walletAddress - Sender wallet address
+   * @param {Object} submission - { hash, transactionId } for a transaction prepared by executeOperation, or
+   *   { hash, protocol, type, amount, contractAddress, functionName, source, metadata } for one built elsewhere
+   * @returns {Promise<Object>} Transaction description
+   */
+  async recordSubmission(walletAddress, submission) {
+    const { hash, transactionId } = submission;
+    
+    if (!TRANSACTION_HASH_PATTERN.test(hash || '')) {
+      throw this.createTransactionError('A valid transaction hash is required', 'invalid_transaction');
+    }
+    
+    let record = await Transaction.findByHash(hash);
+    if (record) {
+      if (record.walletAddress !== walletAddress) {
+        throw this.createTransactionError('Transaction not found', 'transaction_not_found');
+      }
+      return this.describeTransaction(record);
+    }
+    
+    if (transactionId) {
+      record = mongoose.isValidObjectId(transactionId) ?
+        await Transaction.findOne({ _id: transactionId, walletAddress }) :
+        null;
+      
+      if (!record) {
+        throw this.createTransactionError('Transaction not found', 'transaction_not_found');
+      }
+      if (record.status !== 'pending' || record.isSimulated) {
+        throw this.createTransactionError(`Transaction is ${record.isSimulated ? 'a mock' : record.status}`, 'invalid_transaction_state');
+      }
+    } else {
+      const amount = parseFloat(submission.amount);
+      if (!submission.protocol || !submission.type || isNaN(amount) || amount <= 0) {
+        throw this.createTransactionError('Protocol, type and a positive amount are required', 'invalid_transaction');
+      }
+      
+      record = new Transaction({
+        walletAddress,
+        ...this.resolveRecordType(submission.type),
+        protocol: submission.protocol,
+        amount,
+        contractAddress: submission.contractAddress,
+        functionName: submission.functionName,
+        network: this.network.toUpperCase(),
+        source: submission.source || 'manual',
+        metadata: submission.metadata || {}
+      });
+    }
+    
+    await record.markAsSubmitted(hash);
+    this.publishLifecycle(record);
+    
+    console.log(`Tracking ${record.type} transaction ${hash} on ${record.protocol}`);
+    return this.describeTransaction(record);
+  }
+
+  /**
+   * Get the platform account that pays the gas of sponsored transactions
+   * @returns {Object} Fee payer Account
+   */
+  getSponsorAccount() {
+    if (this.sponsor === undefined) {
+      this.sponsor = env.SPONSOR.privateKey ?
+        Account.fromPrivateKey({ privateKey: new Ed25519PrivateKey(env.SPONSOR.privateKey) }) :
+        null;
+    }
+    
+    if (!this.sponsor) {
+      throw this.createTransactionError('Sponsored transactions are not available', 'sponsorship_unavailable');
+    }
+    return this.sponsor;
+  }
+
+  /**
+   * Co-sign a prepared sponsored transaction as fee payer and submit it
+   *
+   * The wallet signs the transaction prepared with sponsored: true and hands over its
+   * signature instead of submitting, since only the sponsor can complete a fee-payer transaction.
+   * @param {string} walletAddress - Sender wallet address
+   * @param {string} transactionId - Transaction ID returned by executeOperation
+   * @param {string} senderAuthenticator - BCS-serialized AccountAuthenticator of the sender's signature (hex)
+   * @returns {Promise<Object>} Transaction description, submitted
+   */
+  async submitSponsoredTransaction(walletAddress, transactionId, senderAuthenticator) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    
+    const record = mongoose.isValidObjectId(transactionId) ?
+      await Transaction.findOne({ _id: transactionId, walletAddress }) :
+      null;
+    
+    if (!record || !record.metadata?.sponsored) {
+      throw this.createTransactionError('Sponsored transaction not found', 'transaction_not_found');
+    }
+    if (record.status !== 'pending') {
+      throw this.createTransactionError(`Transaction is ${record.status}`, 'invalid_transaction_state');
+    }
+    if (record.expiresAt && record.expiresAt < new Date()) {
+      throw this.createTransactionError('Transaction expired before it was signed', 'invalid_transaction_state');
+    }
+    
+    // A dependent step is only submitted once it simulates after the step funding it
+    if (record.metadata.dependent) {
+      const simulation = await this.checkPreparedTransaction(record);
+      if (!simulation.success) {
+        throw this.createTransactionError(`Simulation failed: ${simulation.abort.message}`, 'transaction_blocked');
       }
+    }
+    
+    let authenticator;
+    try {
+      authenticator = this.deserializeAuthenticator(senderAuthenticator);
+    } catch (error) {
+      throw this.createTransactionError('A valid BCS-serialized sender authenticator is required', 'invalid_transaction');
+    }
+    
+    const transaction = this.deserializeTransaction(record.metadata.bcs);
+    const feePayerAuthenticator = this.aptosClient.transaction.signAsFeePayer({
+      signer: this.getSponsorAccount(),
+      transaction
+    });
+    
+    const pending = await this.aptosClient.transaction.submit.simple({
+      transaction,
+      senderAuthenticator: authenticator,
+      feePayerAuthenticator
+    });
+    
+    await record.markAsSubmitted(pending.hash);
+    await SponsorLedger.markSubmitted(record._id, pending.hash);
+    this.publishLifecycle(record);
+    
+    console.log(`Submitted sponsored ${record.type} transaction ${pending.hash} for ${walletAddress}`);
+    return this.describeTransaction(record);
+  }
+
+  /**
+   * Deserialize a transaction prepared by prepareTransaction
+   * @param {string} bcs - BCS-serialized SimpleTransaction (hex)
+   * @returns {Object} SimpleTransaction
+   */
+  deserializeTransaction(bcs) {
+    return this.aptosClient.deserializeTransaction(bcs);
+  }
+
+  /**
+   * Deserialize a signature handed over by a wallet
+   * @param {string} authenticator - BCS-serialized AccountAuthenticator (hex)
+   * @returns {Object} AccountAuthenticator
+   */
+  deserializeAuthenticator(authenticator) {
+    return this.aptosClient.deserializeAuthenticator(authenticator);
+  }
+
+  /**
+   * Meter the sponsored gas of a transaction once its outcome is final
+   *
+   * Transactions that executed, successfully or not, settle at the fee paid; those that
+   * never reached the chain release their reservation. Transactions whose outcome is
+   * unknown keep holding their reservation against the budget.
+   * @param {Object} record - Sponsored Transaction document
+   * @returns {Promise<Object|null>} Updated ledger entry, or null when nothing changed
+   */
+  async meterSponsoredGas(record) {
+    const executed = record.status === 'confirmed' || (record.status === 'failed' && record.blockNumber !== undefined);
+    const neverSubmitted = record.status === 'failed' && !record.hash;
+    
+    let entry = null;
+    if (executed) {
+      entry = await SponsorLedger.settle(record._id, record.networkFee || 0);
+    } else if (record.status === 'expired' || neverSubmitted) {
+      entry = await SponsorLedger.release(record._id);
+    }
+    
+    // Settle and release only match open entries, so the budget is adjusted once
+    if (entry) {
+      await this.sponsorPolicy.meter(entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Get whether a wallet can have its gas sponsored and how much of its daily budget is left
+   * @param {string} walletAddress - Wallet address
+   * @returns {Promise<Object>} Allowance from the sponsor policy, with available and feePayer
+   */
+  async getSponsorAllowance(walletAddress) {
+    const { userId, ...allowance } = await this.sponsorPolicy.getAllowance(walletAddress);
+    const sponsor = env.SPONSOR.privateKey ? this.getSponsorAccount() : null;
+    
+    return {
+      ...allowance,
+      available: Boolean(sponsor) && allowance.eligible && allowance.remainingAPT > 0,
+      feePayer: sponsor ? sponsor.accountAddress.toString() : null
     };
+  }
+
+  /**
+   * Report the gas the sponsor paid, for administrators
+   * @param {Object} options - { from, to, groupBy, walletAddress } (groupBy: day, wallet, tier, function or protocol)
+   * @returns {Promise<Object>} { groupBy, groups, totals, sponsor } with the sponsor's address and APT balance
+   */
+  async getSponsorReport(options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
     
-    // Check for protocol-specific function name
-    if (functionMappings[protocolLower] && functionMappings[protocolLower][opTypeLower]) {
-      return functionMappings[protocolLower][opTypeLower];
+    if (options.groupBy && !SponsorLedger.REPORT_GROUPS[options.groupBy]) {
+      throw this.createTransactionError(
+        `groupBy must be one of ${Object.keys(SponsorLedger.REPORT_GROUPS).join(', ')}`,
+        'invalid_sponsor_report'
+      );
     }
     
-    // Default function names by operation type
-    switch (opTypeLower) {
-      case 'stake': return '::staking::stake';
-      case 'unstake': return '::staking::unstake';
-      case 'lend': return '::lending::supply';
-      case 'withdraw': return '::lending::withdraw';
-      case 'addliquidity': return '::router::add_liquidity';
-      case 'removeliquidity': return '::router::remove_liquidity';
-      case 'swap': return '::router::swap_exact_input';
-      default: return `::${opTypeLower}::execute`;
+    const report = await SponsorLedger.getReport(options);
+    const account = env.SPONSOR.privateKey ? this.getSponsorAccount() : null;
+    const sponsor = { address: account ? account.accountAddress.toString() : null, balanceAPT: null };
+    
+    if (account) {
+      try {
+        sponsor.balanceAPT = await this.aptosClient.getAccountAPTAmount({ accountAddress: account.accountAddress }) / OCTAS_PER_APT;
+      } catch (error) {
+        console.warn('Failed to read the sponsor account balance:', error.message);
+      }
     }
+    
+    return { ...report, sponsor };
   }
 
   /**
-   * Check transaction status
+   * Get the recorded lifecycle of a transaction
+   * @param {string} hash - Transaction hash
+   * @returns {Promise<Object|null>} Transaction description, or null when it is not recorded
+   */
+  async getTransaction(hash) {
+    const record = await Transaction.findByHash(hash);
+    return record ? this.describeTransaction(record) : null;
+  }
+
+  /**
+   * Emit a transaction's lifecycle change to subscribers, callbacks and notifications
+   * @param {Object} record - Transaction document
+   */
+  publishLifecycle(record) {
+    const transaction = this.describeTransaction(record);
+    
+    this.events.emit('transaction', transaction);
+    
+    const callback = {
+      submitted: this.transactionCallbacks.onSubmit,
+      confirmed: this.transactionCallbacks.onSuccess,
+      failed: this.transactionCallbacks.onFail,
+      expired: this.transactionCallbacks.onFail
+    }[transaction.status];
+    if (callback) {
+      callback(transaction);
+    }
+    
+    // Sponsored gas is metered in the ledger once the outcome is known
+    if (record.metadata?.sponsored && !record.isSimulated) {
+      this.meterSponsoredGas(record)
+        .catch(error => console.error(`Failed to meter sponsored gas of transaction ${record._id}:`, error));
+    }
+    
+    // A strategy step that fails on chain or expires stops the steps after it
+    const strategyId = record.metadata?.strategyId;
+    const stepFailed = record.status === 'expired' || (record.status === 'failed' && record.hash);
+    if (strategyId && stepFailed && record.metadata.step !== undefined) {
+      this.abortStrategy(strategyId, `Step ${record.metadata.step + 1} ${record.status}`)
+        .catch(error => console.error(`Failed to abort strategy ${strategyId}:`, error));
+    }
+    
+    // Aborted steps are reported through the step that stopped the strategy
+    const aborted = record.error?.code === 'strategy_aborted';
+    if (LIFECYCLE_NOTIFICATIONS[transaction.status] && !record.isSimulated && !aborted) {
+      notificationSystem.createTransactionNotification({
+        userId: record.userId,
+        txHash: record.hash,
+        status: LIFECYCLE_NOTIFICATIONS[transaction.status],
+        operation: record.type === 'other' ? record.subType : record.type,
+        protocol: record.protocol,
+        amount: record.amount
+      }).catch(error => console.error(`Failed to send notification for transaction ${record._id}:`, error));
+    }
+  }
+
+  /**
+   * Subscribe to transaction lifecycle changes
+   * @param {string} walletAddress - Only changes of this wallet (all wallets when omitted)
+   * @param {Function} listener - Called with each transaction description
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToTransactions(walletAddress, listener) {
+    const handler = transaction => {
+      if (!walletAddress || transaction.walletAddress === walletAddress) {
+        listener(transaction);
+      }
+    };
+    
+    this.events.on('transaction', handler);
+    return () => {
+      this.events.off('transaction', handler);
+    };
+  }
+
+  /**
+   * Describe a transaction record for the API and lifecycle events
+   * @param {Object} record - Transaction document
+   * @returns {Object} Transaction description
+   */
+  describeTransaction(record) {
+    return {
+      transactionId: record._id.toString(),
+      walletAddress: record.walletAddress,
+      hash: record.hash,
+      protocol: record.protocol,
+      type: record.type === 'other' && record.subType ? record.subType : record.type,
+      amount: record.amount,
+      status: record.status,
+      source: record.source,
+      networkFee: record.networkFee,
+      version: record.blockNumber,
+      error: record.error?.message,
+      expiresAt: record.expiresAt,
+      submittedAt: record.executionTimestamp,
+      completedAt: record.completionTimestamp,
+      retryCount: record.retryCount,
+      mock: record.isSimulated || undefined,
+      createdAt: record.createdAt
+    };
+  }
+
+  /**
+   * Map an operation type to the Transaction type, keeping unknown types as the subtype
+   * @param {string} type - Operation type
+   * @returns {Object} { type, subType }
+   */
+  resolveRecordType(type) {
+    return Transaction.schema.path('type').enumValues.includes(type) ?
+      { type } :
+      { type: 'other', subType: type };
+  }
+
+  /**
+   * Create an error for a transaction action the route maps to a status code
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @returns {Error} Coded error
+   */
+  createTransactionError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Check transaction status on chain
    * @param {string} txHash - Transaction hash
-   * @returns {Promise<Object>} Transaction status
+   * @returns {Promise<Object>} Transaction status: confirmed, failed, pending (in the mempool),
+   *   not_found or unknown (the lookup failed)
    */
   async checkTransactionStatus(txHash) {
     try {
@@ -423,7 +1446,11 @@ class TransactionManager {
         throw new Error('Invalid transaction hash');
       }
       
-      const txInfo = await this.aptosClient.getTransactionByHash(txHash);
+      const txInfo = await this.aptosClient.getTransactionByHash({ transactionHash: txHash });
+      
+      if (txInfo.type === 'pending_transaction') {
+        return { hash: txHash, status: 'pending' };
+      }
       
       return {
         hash: txHash,
@@ -431,10 +1458,15 @@ class TransactionManager {
         success: txInfo.success,
         vmStatus: txInfo.vm_status,
         gasUsed: txInfo.gas_used,
+        gasUnitPrice: txInfo.gas_unit_price,
         timestamp: txInfo.timestamp,
         version: txInfo.version
       };
     } catch (error) {
+      if (error.status === 404) {
+        return { hash: txHash, status: 'not_found' };
+      }
+      
       console.error(`Error checking transaction status for ${txHash}:`, error);
       return {
         hash: txHash,
@@ -444,22 +1476,6 @@ class TransactionManager {
     }
   }
 
-  /**
-   * Add transaction to history
-   * @param {Object} transaction - Transaction data
-   */
-  addToTransactionHistory(transaction) {
-    if (!transaction || !transaction.txId) return;
-    
-    // Add transaction to history
-    this.transactionHistory.unshift(transaction);
-    
-    // Limit history size to 100 transactions
-    if (this.transactionHistory.length > 100) {
-      this.transactionHistory = this.transactionHistory.slice(0, 100);
-    }
-  }
-
   /**
    * Get transaction history for an address
    * @param {string} address - Wallet address
@@ -479,7 +1495,7 @@ class TransactionManager {
       // Get transactions from Aptos indexer
       const response = await this.aptosClient.getAccountTransactions({
         accountAddress: address,
-        limit
+        options: { limit }
       });
       
       // Transform to standardized format
@@ -495,10 +1511,9 @@ class TransactionManager {
       }));
     } catch (error) {
       console.error(`Error fetching transaction history for ${address}:`, error);
-      // Return local history as fallback
-      return this.transactionHistory.filter(tx => 
-        tx.sender === address || tx.receiver === address
-      ).slice(0, limit);
+      // Return recorded transactions as fallback
+      const records = await Transaction.findByWallet(address, limit);
+      return records.map(record => this.describeTransaction(record));
     }
   }
 
@@ -548,10 +1563,10 @@ class TransactionManager {
       const type = this.determineOperationType(item.product);
       
       // Get contract address for this protocol
-      const contractAddress = this.contractAddresses[item.protocol.toLowerCase()];
+      const contractAddress = this.getContractAddress(item.protocol);
       
       // Get function name for this protocol and operation type
-      const functionName = this.determineFunctionName(item.protocol, type);
+      const functionName = protocols.getFunctionName(item.protocol, type);
       
       // Get amount
       const amount = item.amount || (
@@ -573,6 +1588,11 @@ class TransactionManager {
         return false;
       }
       
+      if (!op.functionName) {
+        console.warn(`${op.protocol} does not support ${op.type} operations`);
+        return false;
+      }
+      
       if (isNaN(parseFloat(op.amount)) || parseFloat(op.amount) <= 0) {
         console.warn(`Invalid amount for ${op.protocol}: ${op.amount}`);
         return false;
@@ -0,0 +1,161 @@
+/**
+ * transaction_poller.js
+ *
+ * Background confirmation poller for CompounDefi transactions
+ * Follows every submitted Transaction until it is committed or can no longer be
+ *
+ * Features:
+ * - Confirms or fails submitted transactions from their on-chain result
+ * - Expires transactions past their expiration timestamp that never committed
+ * - Expires prepared transactions that were never signed in time
+ * - Publishes every change through the transaction manager's lifecycle events
+ */
+
+const Transaction = require('../models/transaction');
+const transactionManager = require('./transaction_manager');
+const { decodeVmStatus } = require('../utils/simulationUtils');
+const { OCTAS_PER_APT } = require('../protocols/helpers');
+const { getLogger } = require('../utils/logging');
+const config = require('../config');
+
+// Instantiate logger once for the module
+const logger = getLogger('transaction_poller');
+
+class TransactionPoller {
+  constructor() {
+    const {
+      pollInterval,
+      pollBatchSize,
+      expirationGrace,
+      confirmationTimeout
+    } = config.env.TRANSACTIONS;
+
+    this.pollInterval = pollInterval; // Time between polls (ms)
+    this.batchSize = pollBatchSize; // Submitted transactions checked per poll
+    this.expirationGrace = expirationGrace; // Allowance for clock skew past expiration (ms)
+    this.confirmationTimeout = confirmationTimeout; // Longest wait without an expiration or a working lookup (ms)
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling for confirmations
+   */
+  start() {
+    if (this.timer) return;
+
+    logger.info(`Polling transaction confirmations every ${this.pollInterval / 1000} seconds`);
+    this.poll();
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+  }
+
+  /**
+   * Stop polling for confirmations
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Settle what can be settled: unsigned transactions past expiration, then submitted ones
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    // A slow node must not stack polls on top of each other
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const unsigned = await Transaction.findExpiredUnsigned(new Date(Date.now() - this.expirationGrace));
+      for (const record of unsigned) {
+        await record.markAsExpired('Transaction was not signed before it expired');
+        transactionManager.publishLifecycle(record);
+      }
+
+      const submitted = await Transaction.findAwaitingConfirmation(this.batchSize);
+      for (const record of submitted) {
+        await this.checkTransaction(record);
+      }
+    } catch (error) {
+      logger.error('Transaction poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Check one submitted transaction and record its outcome once it is final
+   * @param {Object} record - Submitted Transaction document
+   * @returns {Promise<string>} Status after the check
+   */
+  async checkTransaction(record) {
+    const result = await transactionManager.checkTransactionStatus(record.hash);
+
+    if (result.status === 'confirmed' || result.status === 'failed') {
+      record.networkFee = (parseInt(result.gasUsed || 0) * parseInt(result.gasUnitPrice || 0)) / OCTAS_PER_APT;
+
+      if (result.status === 'confirmed') {
+        await record.markAsConfirmed(parseInt(result.version));
+      } else {
+        const abort = decodeVmStatus(result.vmStatus);
+        record.blockNumber = parseInt(result.version);
+        await record.markAsFailed({
+          code: abort.code !== undefined ? 'move_abort' : 'vm_error',
+          message: abort.message,
+          details: { vmStatus: result.vmStatus, abort }
+        });
+      }
+
+      logger.info(`Transaction ${record.hash} ${record.status} at version ${result.version}`);
+      transactionManager.publishLifecycle(record);
+      return record.status;
+    }
+
+    // Still in the mempool or not seen yet; a failed lookup counts as a retry
+    if (result.status === 'unknown') {
+      await record.incrementRetry();
+    }
+
+    if (this.isPastDeadline(record)) {
+      if (result.status === 'unknown') {
+        await record.markAsFailed({
+          code: 'confirmation_timeout',
+          message: 'Could not confirm the transaction before the confirmation timeout',
+          details: { lastError: result.error, retryCount: record.retryCount }
+        });
+      } else {
+        await record.markAsExpired();
+      }
+
+      logger.warn(`Transaction ${record.hash} ${record.status}: ${record.error.message}`);
+      transactionManager.publishLifecycle(record);
+    }
+
+    return record.status;
+  }
+
+  /**
+   * Check whether a submitted transaction can no longer be waited for
+   *
+   * Past its expiration (plus grace) a transaction that has not committed never will.
+   * Without an expiration, or while lookups fail, the confirmation timeout applies instead.
+   * @param {Object} record - Submitted Transaction document
+   * @returns {boolean} True when the wait is over
+   */
+  isPastDeadline(record) {
+    const now = Date.now();
+    const submittedAt = new Date(record.executionTimestamp || record.createdAt).getTime();
+
+    if (record.retryCount > 0 || !record.expiresAt) {
+      const expiresAt = record.expiresAt ? new Date(record.expiresAt).getTime() : submittedAt;
+      return now > Math.max(expiresAt, submittedAt) + this.confirmationTimeout;
+    }
+
+    return now > new Date(record.expiresAt).getTime() + this.expirationGrace;
+  }
+}
+
+module.exports = new TransactionPoller();
@@ -5,8 +5,7 @@
  * to personalize experience and optimize recommendations.
  */
 
-const mongoose = require('mongoose');
-const User = mongoose.model('User');
+const User = require('../models/user');
 const cache = require('../middleware/caching');
 const { analyzePortfolioHistory } = require('./portfolio_tracker');
 
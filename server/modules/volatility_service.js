@@ -0,0 +1,355 @@
+/**
+ * volatility_service.js
+ *
+ * Realized volatility engine for CompounDefi
+ * Measures market volatility from locally stored price history so the
+ * auto-rebalancer can pause rebalancing in turbulent markets
+ *
+ * Features:
+ * - Standard deviation of log returns over configurable windows
+ * - Covers every material asset held in a portfolio, each with its own price series,
+ *   weighted by position value
+ * - Periodic price sampling into TokenPrice history, by CoinGecko ID or by coin type
+ * - Fails closed: missing or stale price data for a material holding is reported as unavailable;
+ *   dust and holdings without a price are reported as unmeasured instead
+ */
+
+const { TokenPrice } = require('../models/marketData');
+const { getTokenPrices, getTokenPricesByType } = require('../utils/marketDataUtils');
+const protocols = require('../protocols');
+const { COIN_TYPES } = require('../protocols/helpers');
+const { getLogger } = require('../utils/logging');
+const config = require('../config');
+
+// Instantiate logger once for the module
+const logger = getLogger('volatility_service');
+
+// CoinGecko IDs of assets priced by ID; every other asset is priced by its coin type
+const PRICE_SOURCES = {
+  APT: 'aptos'
+};
+
+// Coin types inside a pool type such as LPCoin<0x1::aptos_coin::AptosCoin, 0x...::asset::USDC>
+const COIN_TYPE_PATTERN = /0x[0-9a-f]+::\w+::\w+/gi;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const YEAR_MS = 365 * DAY_MS;
+
+class VolatilityService {
+  constructor() {
+    const {
+      volatilityWindows,
+      volatilityMinSamples,
+      volatilityMaxStaleness,
+      volatilityMinPositionValue,
+      priceSampleInterval
+    } = config.env.REBALANCER;
+
+    this.windows = volatilityWindows; // Window lengths in hours
+    this.minSamples = Math.max(3, volatilityMinSamples); // Minimum price points per window
+    this.maxStaleness = volatilityMaxStaleness; // Maximum age of the latest price (ms)
+    this.minPositionValue = volatilityMinPositionValue; // Smallest holding measured (USD)
+    this.sampleInterval = priceSampleInterval; // Time between price samples (ms)
+    this.samplingTimer = null;
+    this.heldTokens = new Map(); // Price symbol -> coin type of tokens seen in portfolios
+  }
+
+  /**
+   * Start sampling prices into TokenPrice history
+   */
+  startPriceSampling() {
+    if (this.samplingTimer) return;
+
+    logger.info(`Sampling prices every ${this.sampleInterval / 60000} minutes`);
+    this.samplePrices();
+    this.samplingTimer = setInterval(() => this.samplePrices(), this.sampleInterval);
+  }
+
+  /**
+   * Stop sampling prices
+   */
+  stopPriceSampling() {
+    if (this.samplingTimer) {
+      clearInterval(this.samplingTimer);
+      this.samplingTimer = null;
+    }
+  }
+
+  /**
+   * List the price series to sample: the assets with a CoinGecko ID, every token a
+   * protocol issues and every token seen held in a portfolio
+   * @returns {Map} Price symbol -> { tokenId } or { coinType }
+   */
+  getPriceSources() {
+    const sources = new Map(Object.entries(PRICE_SOURCES).map(([symbol, tokenId]) => [symbol, { tokenId }]));
+
+    protocols.getTokens()
+      .filter(token => token.coinType)
+      .forEach(token => sources.set(token.symbol, { coinType: token.coinType }));
+
+    this.heldTokens.forEach((coinType, symbol) => {
+      if (!sources.has(symbol)) {
+        sources.set(symbol, { coinType });
+      }
+    });
+
+    return sources;
+  }
+
+  /**
+   * Fetch current prices and store them as history points
+   * @returns {Promise<void>}
+   */
+  async samplePrices() {
+    try {
+      const sources = this.getPriceSources();
+      const tokenIds = [...sources.values()].filter(source => source.tokenId).map(source => source.tokenId);
+      const coinTypes = [...sources.values()].filter(source => source.coinType).map(source => source.coinType);
+
+      const [pricesById, pricesByType] = await Promise.all([
+        getTokenPrices(tokenIds, {
+          forceRefresh: true,
+          customCacheKey: 'volatility_price_samples'
+        }),
+        getTokenPricesByType(coinTypes, {
+          forceRefresh: true,
+          customCacheKey: 'volatility_price_samples_by_type'
+        })
+      ]);
+
+      for (const [symbol, source] of sources) {
+        const data = source.tokenId ? pricesById[source.tokenId] : pricesByType[source.coinType.toLowerCase()];
+
+        // Never record fallback defaults or stale cached prices as history
+        if (!data || data.isDefault || Date.now() - data.timestamp > this.sampleInterval) {
+          logger.warn(`Skipping ${symbol} price sample: no fresh price available`);
+          continue;
+        }
+
+        await TokenPrice.recordPrice(symbol, {
+          price: data.price,
+          percentChange24h: data.change24h,
+          marketCap: data.marketCap,
+          lastUpdated: new Date(data.timestamp),
+          dataSource: 'coingecko'
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to sample prices:', error);
+    }
+  }
+
+  /**
+   * Find the price series of a coin type
+   * @param {string} coinType - Coin type
+   * @returns {string} Price symbol: the symbol of a known or protocol token, else the coin type itself
+   *   (struct names such as USDC are shared by unrelated coins)
+   */
+  getPriceSymbol(coinType) {
+    const known = Object.entries(COIN_TYPES).find(([, type]) => type.toLowerCase() === coinType.toLowerCase());
+    if (known) return known[0];
+
+    const token = protocols.getTokens().find(candidate => candidate.coinType?.toLowerCase() === coinType.toLowerCase());
+    return token ? token.symbol : coinType;
+  }
+
+  /**
+   * List the assets held in a portfolio, each with the price series it is measured with
+   *
+   * Assets with a zero balance are left out. Holdings worth less than the minimum position
+   * value are marked unmeasured, as are holdings the portfolio tracker could not price
+   * (spam and unknown coins are valued at zero), so they never block a wallet. Material
+   * tokens are remembered so their prices are sampled from then on, and liquidity positions
+   * are measured by the coins of their pool, each carrying an equal share of the position value.
+   * @param {Object} portfolioData - Portfolio data from the portfolio tracker
+   * @returns {Array} Assets with their value, the symbol of their price series and whether they are measured
+   */
+  getPortfolioAssets(portfolioData) {
+    const assets = [];
+    const hold = (symbol, coinType, value) => {
+      const priceSymbol = coinType ? this.getPriceSymbol(coinType) : symbol;
+      const valueUSD = parseFloat(value) || 0;
+      assets.push({ symbol, priceSymbol, coinType, valueUSD });
+    };
+
+    if (parseFloat(portfolioData.apt?.amount) > 0) {
+      hold('APT', null, portfolioData.apt.valueUSD);
+    }
+
+    protocols.getTokens()
+      .filter(token => parseFloat(portfolioData[token.symbol]?.amount) > 0)
+      .forEach(token => hold(token.symbol, token.coinType, portfolioData[token.symbol].valueUSD));
+
+    (portfolioData.otherTokens || [])
+      .filter(token => parseFloat(token.amount) > 0)
+      .forEach(token => hold(token.symbol, token.coinType, token.valueUSD));
+
+    (portfolioData.ammLiquidity?.positions || []).forEach(position => {
+      const poolCoins = String(position.poolType || '').match(COIN_TYPE_PATTERN) ||
+        protocols.getAdapter(position.protocol)?.defaultPool?.coinTypes ||
+        [];
+      poolCoins.forEach(coinType => hold(`${position.protocol} LP`, coinType, (parseFloat(position.valueUSD) || 0) / poolCoins.length));
+    });
+
+    assets.forEach(asset => {
+      if (asset.valueUSD <= 0) {
+        asset.unmeasured = 'no_price_source';
+      } else if (asset.valueUSD < this.minPositionValue) {
+        asset.unmeasured = 'below_minimum_value';
+      }
+    });
+
+    // A portfolio without material holdings is still exposed to APT once funded
+    if (!assets.some(asset => !asset.unmeasured)) {
+      const apt = assets.find(asset => asset.priceSymbol === 'APT');
+      if (apt) {
+        delete apt.unmeasured;
+      } else {
+        assets.push({ symbol: 'APT', priceSymbol: 'APT', coinType: null, valueUSD: 0 });
+      }
+    }
+
+    assets
+      .filter(asset => !asset.unmeasured && asset.coinType && !PRICE_SOURCES[asset.priceSymbol])
+      .forEach(asset => this.heldTokens.set(asset.priceSymbol, asset.coinType));
+
+    return assets;
+  }
+
+  /**
+   * Measure realized volatility for every material asset held in a portfolio
+   *
+   * The portfolio reading is the value-weighted average of each asset's highest daily
+   * volatility across windows, so a volatile position only moves the reading by its share
+   * of the portfolio. It is unavailable as soon as one measured asset lacks a reliable reading.
+   * @param {Object} portfolioData - Portfolio data from the portfolio tracker
+   * @returns {Promise<Object>} Weighted daily volatility, per-asset readings and the unmeasured assets
+   */
+  async getPortfolioVolatility(portfolioData) {
+    const assets = this.getPortfolioAssets(portfolioData);
+    const measured = assets.filter(asset => !asset.unmeasured);
+    const priceSymbols = [...new Set(measured.map(asset => asset.priceSymbol))];
+
+    const readings = {};
+    for (const symbol of priceSymbols) {
+      readings[symbol] = await this.getRealizedVolatility(symbol);
+    }
+
+    // Weight by value; a portfolio measured only for its APT exposure weighs it fully
+    const totalValue = measured.reduce((sum, asset) => sum + asset.valueUSD, 0);
+    const weightOf = asset => totalValue > 0 ? asset.valueUSD / totalValue : 1 / measured.length;
+
+    const available = measured.every(asset => readings[asset.priceSymbol].available);
+    const volatility = available ?
+      measured.reduce((sum, asset) => sum + weightOf(asset) * readings[asset.priceSymbol].volatility, 0) :
+      null;
+
+    const unmeasured = assets.filter(asset => asset.unmeasured);
+    if (unmeasured.length > 0) {
+      logger.info(`Volatility not measured for ${unmeasured.map(asset => `${asset.symbol} (${asset.unmeasured})`).join(', ')}`);
+    }
+
+    return {
+      volatility,
+      available,
+      windows: this.windows,
+      assets: assets.map(asset => asset.unmeasured ?
+        { symbol: asset.symbol, priceSymbol: asset.priceSymbol, valueUSD: asset.valueUSD, measured: false, reason: asset.unmeasured } :
+        { symbol: asset.symbol, valueUSD: asset.valueUSD, weight: weightOf(asset), measured: true, ...readings[asset.priceSymbol] }),
+      unmeasured: unmeasured.map(asset => asset.symbol),
+      measuredAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Measure realized volatility of one price series over every configured window
+   * @param {string} symbol - Price series symbol
+   * @returns {Promise<Object>} Reading with daily volatility percentages per window
+   */
+  async getRealizedVolatility(symbol) {
+    const now = Date.now();
+    const longestWindow = Math.max(...this.windows);
+
+    try {
+      const history = await TokenPrice.getPriceHistory(symbol, new Date(now - longestWindow * HOUR_MS), new Date(now));
+      const points = history
+        .filter(point => point.price > 0)
+        .map(point => ({ time: new Date(point.lastUpdated).getTime(), price: point.price }));
+
+      const latest = points[points.length - 1];
+      if (!latest || now - latest.time > this.maxStaleness) {
+        return this.unavailable(symbol, 'stale_price_data');
+      }
+
+      const windows = this.windows.map(hours => ({
+        hours,
+        ...this.computeWindowVolatility(points.filter(point => point.time >= now - hours * HOUR_MS))
+      }));
+
+      if (windows.some(window => window.samples < this.minSamples)) {
+        return this.unavailable(symbol, 'insufficient_price_history', windows);
+      }
+
+      return {
+        priceSymbol: symbol,
+        available: true,
+        volatility: Math.max(...windows.map(window => window.volatility)),
+        windows
+      };
+    } catch (error) {
+      logger.error(`Failed to measure volatility for ${symbol}:`, error);
+      return this.unavailable(symbol, 'price_history_error');
+    }
+  }
+
+  /**
+   * Standard deviation of log returns, scaled to daily and annual volatility
+   * @param {Array} points - Price points sorted by time
+   * @returns {Object} Sample count and volatility percentages
+   */
+  computeWindowVolatility(points) {
+    if (points.length < 3) {
+      return { samples: points.length, volatility: null, annualized: null };
+    }
+
+    const returns = [];
+    for (let i = 1; i < points.length; i++) {
+      returns.push(Math.log(points[i].price / points[i - 1].price));
+    }
+
+    const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+    const variance = returns.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (returns.length - 1);
+    const stdDev = Math.sqrt(variance);
+
+    // Scale by the average sampling interval so windows are comparable
+    const interval = (points[points.length - 1].time - points[0].time) / returns.length;
+
+    return {
+      samples: points.length,
+      volatility: stdDev * Math.sqrt(DAY_MS / interval) * 100,
+      annualized: stdDev * Math.sqrt(YEAR_MS / interval) * 100
+    };
+  }
+
+  /**
+   * Build a reading for a price series that cannot be measured
+   * @param {string} symbol - Price series symbol
+   * @param {string} reason - Why the reading is unavailable
+   * @param {Array} windows - Partial window readings, if any
+   * @returns {Object} Unavailable reading
+   */
+  unavailable(symbol, reason, windows = []) {
+    logger.warn(`Volatility unavailable for ${symbol}: ${reason}`);
+
+    return {
+      priceSymbol: symbol,
+      available: false,
+      reason,
+      volatility: null,
+      windows
+    };
+  }
+}
+
+module.exports = new VolatilityService();
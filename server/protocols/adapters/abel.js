@@ -0,0 +1,16 @@
+// abel.js - Abel lending
+const { amountArgs } = require('../helpers');
+
+module.exports = {
+  name: 'abel',
+  displayName: 'Abel',
+  type: 'lending',
+  addresses: {
+    mainnet: '0x7e783b399436bb5c7e520cefd40d797720cbd117af918fee6f5f2ca50c3a284e'
+  },
+
+  operations: {
+    lend: { function: '::lending::deposit', encode: amountArgs },
+    withdraw: { function: '::lending::withdraw', encode: amountArgs }
+  }
+};
@@ -0,0 +1,40 @@
+// amnis.js - Amnis Finance liquid staking (stAPT)
+const axios = require('axios');
+const { COIN_TYPES, amountArgs, minOutArgs, swapTypeArgs, readTokenBalance, aptPerShare } = require('../helpers');
+
+// Liquidity pools pair APT with the liquid staking token
+const lstPoolTypeArgs = ({ address }) => [COIN_TYPES.APT, `${address}::stapt_token::StakedApt`];
+
+module.exports = {
+  name: 'amnis',
+  displayName: 'Amnis',
+  type: 'staking',
+  addresses: {
+    mainnet: '0x111ae3e5bc816a5e63c2da97d0aa3886519e0cd5e4b046659fa35796bd11542a'
+  },
+  token: { symbol: 'stAPT', name: 'Amnis Staked APT', struct: '::stapt_token::StakedApt', decimals: 8 },
+  exchangeRate: { function: '::stapt_token::total_apt_and_supply', decode: aptPerShare },
+  unbondingPeriod: 14 * 24 * 60 * 60 * 1000,
+
+  operations: {
+    stake: { function: '::staking::stake', encode: amountArgs },
+    unstake: { function: '::staking::unstake', encode: amountArgs },
+    claim: { function: '::staking::claim', encode: amountArgs },
+    lend: { function: '::lending::supply', encode: amountArgs },
+    withdraw: { function: '::lending::withdraw', encode: amountArgs },
+    addLiquidity: { function: '::router::add_liquidity', typeArguments: lstPoolTypeArgs, encode: minOutArgs },
+    removeLiquidity: { function: '::router::remove_liquidity', typeArguments: lstPoolTypeArgs, encode: minOutArgs },
+    swap: { function: '::router::swap_exact_input', typeArguments: swapTypeArgs, encode: minOutArgs }
+  },
+
+  readPosition(resources, address) {
+    return readTokenBalance(resources, `${address}::stapt_token::StakedApt`, data => data.coin?.value);
+  },
+
+  fallbackApr: { staking: 4.2, lending: 3.5 },
+
+  async fetchApr() {
+    const response = await axios.get('https://api.amnis.finance/v1/statistics');
+    return { staking: response.data.stakingApr, lending: response.data.lendingApr };
+  }
+};
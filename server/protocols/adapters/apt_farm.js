@@ -0,0 +1,16 @@
+// apt_farm.js - APT Farm yield farming
+const { amountArgs } = require('../helpers');
+
+module.exports = {
+  name: 'apt_farm',
+  displayName: 'APT Farm',
+  type: 'yield',
+  addresses: {
+    mainnet: '0xc84e28b9ed4ca8f7faa28a74b958a8cb7c5d6c1a78edb2d8d74562f7fa7ef8fe'
+  },
+
+  operations: {
+    deposit: { function: '::farm::stake', encode: amountArgs },
+    withdraw: { function: '::farm::unstake', encode: amountArgs }
+  }
+};
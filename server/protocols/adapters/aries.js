@@ -0,0 +1,24 @@
+// aries.js - Aries Markets lending
+const axios = require('axios');
+const { amountArgs } = require('../helpers');
+
+module.exports = {
+  name: 'aries',
+  displayName: 'Aries',
+  type: 'lending',
+  addresses: {
+    mainnet: '0x9770fa9c725cbd97eb50b2be5f7416efdfd1f1554beb0750d4dae4c64e860da3'
+  },
+
+  operations: {
+    lend: { function: '::lending::supply', encode: amountArgs },
+    withdraw: { function: '::lending::withdraw', encode: amountArgs }
+  },
+
+  fallbackApr: { lending: 6.2 },
+
+  async fetchApr() {
+    const response = await axios.get('https://api.aries.markets/markets');
+    return { lending: response.data.aptLendingApr };
+  }
+};
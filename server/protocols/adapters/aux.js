@@ -0,0 +1,18 @@
+// aux.js - Aux AMM
+const { COIN_TYPES, minOutArgs, swapTypeArgs, poolTypeArgs } = require('../helpers');
+
+module.exports = {
+  name: 'aux',
+  displayName: 'Aux',
+  type: 'liquidity',
+  addresses: {
+    mainnet: '0xbd35135844473187163ca197ca93b2ab014370587bb0ed3befff9e902d6bb541'
+  },
+  defaultPool: { coinTypes: [COIN_TYPES.APT, COIN_TYPES.USDC] },
+
+  operations: {
+    addLiquidity: { function: '::amm::add_liquidity', typeArguments: poolTypeArgs, encode: minOutArgs },
+    removeLiquidity: { function: '::amm::remove_liquidity', typeArguments: poolTypeArgs, encode: minOutArgs },
+    swap: { function: '::amm::swap', typeArguments: swapTypeArgs, encode: minOutArgs }
+  }
+};
@@ -0,0 +1,30 @@
+// cetus.js - Cetus concentrated liquidity AMM
+const axios = require('axios');
+const { COIN_TYPES, poolIdArgs, swapTypeArgs, poolTypeArgs, readLpBalances } = require('../helpers');
+
+module.exports = {
+  name: 'cetus',
+  displayName: 'Cetus',
+  type: 'liquidity',
+  addresses: {
+    mainnet: '0x27156bd56eb5637b9adde4d915b596f92d2f28f0ade2eaef48fa73e360e4e8a6'
+  },
+  defaultPool: { coinTypes: [COIN_TYPES.APT, COIN_TYPES.USDC] }, // Pools are addressed by ID; operations pass pool.id
+
+  operations: {
+    addLiquidity: { function: '::pool::add_liquidity', typeArguments: poolTypeArgs, encode: poolIdArgs },
+    removeLiquidity: { function: '::pool::remove_liquidity', typeArguments: poolTypeArgs, encode: poolIdArgs },
+    swap: { function: '::pool::swap', typeArguments: swapTypeArgs, encode: poolIdArgs }
+  },
+
+  readPosition(resources, address) {
+    return readLpBalances(resources, `${address}::pool::LpToken`, { balanceField: 'value', poolType: 'Standard' });
+  },
+
+  fallbackApr: { liquidity: 6.8 },
+
+  async fetchApr() {
+    const response = await axios.get('https://api.cetus.zone/v1/pools');
+    return { liquidity: response.data.aptUsdc };
+  }
+};
@@ -0,0 +1,32 @@
+// ditto.js - Ditto liquid staking (dAPT)
+const axios = require('axios');
+const { amountArgs, readTokenBalance, aptPerShare } = require('../helpers');
+
+module.exports = {
+  name: 'ditto',
+  displayName: 'Ditto',
+  type: 'staking',
+  addresses: {
+    mainnet: '0xd11107bdf0d6d7040c6c0bfbdecb6545191fdf13e8d8d259952f53e1713f61b5'
+  },
+  token: { symbol: 'dAPT', name: 'Ditto Staked APT', struct: '::ditto_staked_apt::DittoStakedApt', decimals: 8 },
+  exchangeRate: { function: '::ditto_staking::total_apt_and_dapt', decode: aptPerShare },
+  unbondingPeriod: 14 * 24 * 60 * 60 * 1000,
+
+  operations: {
+    stake: { function: '::staking::stake', encode: amountArgs },
+    unstake: { function: '::staking::unstake', encode: amountArgs },
+    claim: { function: '::staking::claim', encode: amountArgs }
+  },
+
+  readPosition(resources, address) {
+    return readTokenBalance(resources, `${address}::ditto_staked_apt::DittoStakedApt`, data => data.coin?.value);
+  },
+
+  fallbackApr: { staking: 3.9 },
+
+  async fetchApr() {
+    const response = await axios.get('https://api.dittofinance.io/stats');
+    return { staking: response.data.dAptApr };
+  }
+};
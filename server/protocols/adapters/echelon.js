@@ -0,0 +1,16 @@
+// echelon.js - Echelon lending
+const { amountArgs } = require('../helpers');
+
+module.exports = {
+  name: 'echelon',
+  displayName: 'Echelon',
+  type: 'lending',
+  addresses: {
+    mainnet: '0xf8197c9fa1a397568a47b7a6c5a9b09fa97c8f29f9dcc347232c22e3b24b1f09'
+  },
+
+  operations: {
+    lend: { function: '::lending::deposit', encode: amountArgs },
+    withdraw: { function: '::lending::withdraw', encode: amountArgs }
+  }
+};
@@ -0,0 +1,24 @@
+// echo.js - Echo lending
+const axios = require('axios');
+const { amountArgs } = require('../helpers');
+
+module.exports = {
+  name: 'echo',
+  displayName: 'Echo',
+  type: 'lending',
+  addresses: {
+    mainnet: '0xeab7ea4d635b6b6add79d5045c4a45d8148d88287b1cfa1c3b6a4b56f46839ed'
+  },
+
+  operations: {
+    lend: { function: '::lending::supply', encode: amountArgs },
+    withdraw: { function: '::lending::withdraw', encode: amountArgs }
+  },
+
+  fallbackApr: { lending: 5.8 },
+
+  async fetchApr() {
+    const response = await axios.get('https://api.echo.finance/markets');
+    return { lending: response.data.aptLendingApr };
+  }
+};
@@ -0,0 +1,16 @@
+// fetch.js - Fetch yield farming
+const { amountArgs } = require('../helpers');
+
+module.exports = {
+  name: 'fetch',
+  displayName: 'Fetch',
+  type: 'yield',
+  addresses: {
+    mainnet: '0x5ae6789dd2fec1a9ec9cccf1a4fecd46af7c5645cdefee965ac7263035724c77'
+  },
+
+  operations: {
+    deposit: { function: '::farming::deposit', encode: amountArgs },
+    withdraw: { function: '::farming::withdraw', encode: amountArgs }
+  }
+};
@@ -0,0 +1,16 @@
+// joule.js - Joule lending
+const { amountArgs } = require('../helpers');
+
+module.exports = {
+  name: 'joule',
+  displayName: 'Joule',
+  type: 'lending',
+  addresses: {
+    mainnet: '0x1ef1320ef4b26367611d6ffa8abd34b04bd479abfa12590af1eac71fdd8731b3'
+  },
+
+  operations: {
+    lend: { function: '::lending::deposit', encode: amountArgs },
+    withdraw: { function: '::lending::withdraw', encode: amountArgs }
+  }
+};
@@ -0,0 +1,33 @@
+// liquidswap.js - Pontem Liquidswap AMM, also used for liquid staking token swaps
+const axios = require('axios');
+const { COIN_TYPES, minOutArgs, swapTypeArgs, poolTypeArgs, readLpBalances } = require('../helpers');
+
+// Pools take their curve as the last type argument: liquid staking tokens trade on the stable curve
+const withCurve = (typeArgs, curve) => context => [...typeArgs(context), `${context.address}::curves::${curve}`];
+
+module.exports = {
+  name: 'liquidswap',
+  displayName: 'Liquidswap',
+  type: 'liquidity',
+  addresses: {
+    mainnet: '0x190d44266241744264b964a37b8f09863167a12d3e70cda39376cfb4e3561e12'
+  },
+  defaultPool: { coinTypes: [COIN_TYPES.APT, COIN_TYPES.USDC] },
+
+  operations: {
+    addLiquidity: { function: '::router::add_liquidity', typeArguments: withCurve(poolTypeArgs, 'Uncorrelated'), encode: minOutArgs },
+    removeLiquidity: { function: '::router::remove_liquidity', typeArguments: withCurve(poolTypeArgs, 'Uncorrelated'), encode: minOutArgs },
+    swap: { function: '::router::swap_exact_input', typeArguments: withCurve(swapTypeArgs, 'Stable'), encode: minOutArgs }
+  },
+
+  readPosition(resources, address) {
+    return readLpBalances(resources, `${address}::lp_account::LpBalance`);
+  },
+
+  fallbackApr: { liquidity: 7.0 },
+
+  async fetchApr() {
+    const response = await axios.get('https://api.liquidswap.finance/pools');
+    return { liquidity: response.data.aptUsdc };
+  }
+};
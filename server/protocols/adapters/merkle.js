@@ -0,0 +1,16 @@
+// merkle.js - Merkle yield vaults
+const { amountArgs } = require('../helpers');
+
+module.exports = {
+  name: 'merkle',
+  displayName: 'Merkle',
+  type: 'yield',
+  addresses: {
+    mainnet: '0xc0188ad3f42e66b5bd3596e642b8f72749b67d84dafa8348e34014b64175ed5a'
+  },
+
+  operations: {
+    deposit: { function: '::yield::deposit', encode: amountArgs },
+    withdraw: { function: '::yield::withdraw', encode: amountArgs }
+  }
+};
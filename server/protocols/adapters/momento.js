@@ -0,0 +1,16 @@
+// momento.js - Momento stablecoin minting
+const { amountArgs } = require('../helpers');
+
+module.exports = {
+  name: 'momento',
+  displayName: 'Momento',
+  type: 'stablecoin',
+  addresses: {
+    mainnet: '0xecf044bc5344e3d40e10fca8250a5e927f5a7a8f4abe3a52adf8f215eb9cff9a'
+  },
+
+  operations: {
+    deposit: { function: '::vault::mint', encode: amountArgs },
+    withdraw: { function: '::vault::burn', encode: amountArgs }
+  }
+};
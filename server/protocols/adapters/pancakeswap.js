@@ -0,0 +1,30 @@
+// pancakeswap.js - PancakeSwap AMM on Aptos
+const axios = require('axios');
+const { COIN_TYPES, minOutArgs, swapTypeArgs, poolTypeArgs, readLpBalances } = require('../helpers');
+
+module.exports = {
+  name: 'pancakeswap',
+  displayName: 'PancakeSwap',
+  type: 'liquidity',
+  addresses: {
+    mainnet: '0xc7efb4076dbe143cbcd98cfaaa929ecfc8f299203dfff63b95ccb6bfe19850fa'
+  },
+  defaultPool: { coinTypes: [COIN_TYPES.APT, COIN_TYPES.USDC] },
+
+  operations: {
+    addLiquidity: { function: '::router::add_liquidity', typeArguments: poolTypeArgs, encode: minOutArgs },
+    removeLiquidity: { function: '::router::remove_liquidity', typeArguments: poolTypeArgs, encode: minOutArgs },
+    swap: { function: '::router::swap_exact_input', typeArguments: swapTypeArgs, encode: minOutArgs }
+  },
+
+  readPosition(resources, address) {
+    return readLpBalances(resources, `${address}::router::LiquidityPosition`);
+  },
+
+  fallbackApr: { liquidity: 7.5 },
+
+  async fetchApr() {
+    const response = await axios.get('https://api.pancakeswap.finance/aptos/apr');
+    return { liquidity: response.data.aptUsdc };
+  }
+};
@@ -0,0 +1,18 @@
+// pontem.js - Pontem DEX
+const { COIN_TYPES, minOutArgs, swapTypeArgs, poolTypeArgs } = require('../helpers');
+
+module.exports = {
+  name: 'pontem',
+  displayName: 'Pontem',
+  type: 'liquidity',
+  addresses: {
+    mainnet: '0x8b7311d78d47e37d09435b8dc37c14afd977c5cbc3c4b6506e6e9d0e2d1c7bdb'
+  },
+  defaultPool: { coinTypes: [COIN_TYPES.APT, COIN_TYPES.USDC] },
+
+  operations: {
+    addLiquidity: { function: '::dex::add_liquidity', typeArguments: poolTypeArgs, encode: minOutArgs },
+    removeLiquidity: { function: '::dex::remove_liquidity', typeArguments: poolTypeArgs, encode: minOutArgs },
+    swap: { function: '::dex::swap', typeArguments: swapTypeArgs, encode: minOutArgs }
+  }
+};
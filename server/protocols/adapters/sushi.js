@@ -0,0 +1,18 @@
+// sushi.js - SushiSwap AMM
+const { COIN_TYPES, minOutArgs, swapTypeArgs, poolTypeArgs } = require('../helpers');
+
+module.exports = {
+  name: 'sushi',
+  displayName: 'SushiSwap',
+  type: 'liquidity',
+  addresses: {
+    mainnet: '0x52cd2babe81b8aa7e5b4958c6bb294b1aaaeec23f711fb71e9aad5bf3f67eab9'
+  },
+  defaultPool: { coinTypes: [COIN_TYPES.APT, COIN_TYPES.USDC] },
+
+  operations: {
+    addLiquidity: { function: '::router::add_liquidity', typeArguments: poolTypeArgs, encode: minOutArgs },
+    removeLiquidity: { function: '::router::remove_liquidity', typeArguments: poolTypeArgs, encode: minOutArgs },
+    swap: { function: '::router::swap_exact_input', typeArguments: swapTypeArgs, encode: minOutArgs }
+  }
+};
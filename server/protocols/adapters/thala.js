@@ -0,0 +1,40 @@
+// thala.js - Thala Labs liquid staking (sthAPT)
+const axios = require('axios');
+const { COIN_TYPES, amountArgs, minOutArgs, swapTypeArgs, readTokenBalance, aptPerShare } = require('../helpers');
+
+// Liquidity pools pair APT with the liquid staking token
+const lstPoolTypeArgs = ({ address }) => [COIN_TYPES.APT, `${address}::stake_token::StakedAptos`];
+
+module.exports = {
+  name: 'thala',
+  displayName: 'Thala',
+  type: 'staking',
+  addresses: {
+    mainnet: '0xfaf4e633ae9eb31366c9ca24214231760926576c7b625313b3688b5e900731f6'
+  },
+  token: { symbol: 'sthAPT', name: 'Thala Staked APT', struct: '::stake_token::StakedAptos', decimals: 8 },
+  exchangeRate: { function: '::staking::thAPT_sthAPT_exchange_rate', decode: aptPerShare },
+  unbondingPeriod: 14 * 24 * 60 * 60 * 1000,
+
+  operations: {
+    stake: { function: '::staking::stake_apt', encode: amountArgs },
+    unstake: { function: '::staking::unstake_apt', encode: amountArgs },
+    claim: { function: '::staking::claim_apt', encode: amountArgs },
+    lend: { function: '::lending::supply_apt', encode: amountArgs },
+    withdraw: { function: '::lending::withdraw_apt', encode: amountArgs },
+    addLiquidity: { function: '::router::add_liquidity', typeArguments: lstPoolTypeArgs, encode: minOutArgs },
+    removeLiquidity: { function: '::router::remove_liquidity', typeArguments: lstPoolTypeArgs, encode: minOutArgs },
+    swap: { function: '::router::swap_exact_input', typeArguments: swapTypeArgs, encode: minOutArgs }
+  },
+
+  readPosition(resources, address) {
+    return readTokenBalance(resources, `${address}::stake_token::StakedAptos`, data => data.coin?.value);
+  },
+
+  fallbackApr: { staking: 4.0, lending: 3.3 },
+
+  async fetchApr() {
+    const response = await axios.get('https://api.thala.fi/stats');
+    return { staking: response.data.sthApt?.apr, lending: response.data.lending?.apr };
+  }
+};
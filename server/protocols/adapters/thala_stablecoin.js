@@ -0,0 +1,16 @@
+// thala_stablecoin.js - Thala Stablecoin MOD stablecoin vaults
+const { amountArgs } = require('../helpers');
+
+module.exports = {
+  name: 'thala_stablecoin',
+  displayName: 'Thala Stablecoin',
+  type: 'stablecoin',
+  addresses: {
+    mainnet: '0x7fd500c11216f0fe3095e6c5d88a696c3e585a77d28c37def5b0afc380c3293f'
+  },
+
+  operations: {
+    deposit: { function: '::vault::deposit', encode: amountArgs },
+    withdraw: { function: '::vault::withdraw', encode: amountArgs }
+  }
+};
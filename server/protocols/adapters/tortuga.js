@@ -0,0 +1,32 @@
+// tortuga.js - Tortuga liquid staking (tAPT)
+const axios = require('axios');
+const { amountArgs, readTokenBalance, aptPerShare } = require('../helpers');
+
+module.exports = {
+  name: 'tortuga',
+  displayName: 'Tortuga',
+  type: 'staking',
+  addresses: {
+    mainnet: '0x952c1b1fc8eb75ee80f432c9d0a84fcda1d5c7481501a7eca9199f1596a60b53'
+  },
+  token: { symbol: 'tAPT', name: 'Tortuga Staked APT', struct: '::staked_apt_coin::StakedAptCoin', decimals: 8 },
+  exchangeRate: { function: '::stake_router::total_apt_and_tapt', decode: aptPerShare },
+  unbondingPeriod: 15 * 24 * 60 * 60 * 1000,
+
+  operations: {
+    stake: { function: '::staking::stake_apt', encode: amountArgs },
+    unstake: { function: '::staking::unstake_apt', encode: amountArgs },
+    claim: { function: '::staking::claim_apt', encode: amountArgs }
+  },
+
+  readPosition(resources, address) {
+    return readTokenBalance(resources, `${address}::staked_apt_coin::StakedAptCoin`, data => data.coin?.value);
+  },
+
+  fallbackApr: { staking: 3.8 },
+
+  async fetchApr() {
+    const response = await axios.get('https://app.tortuga.finance/api/stats');
+    return { staking: response.data.tAptApr };
+  }
+};
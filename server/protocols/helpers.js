@@ -0,0 +1,128 @@
+/**
+ * helpers.js
+ *
+ * Shared argument encoders and position readers for protocol adapters
+ */
+
+// Octas per APT
+const OCTAS_PER_APT = 100000000;
+
+// Coin types used as type arguments by pools
+const COIN_TYPES = {
+  APT: '0x1::aptos_coin::AptosCoin',
+  USDC: '0xf22bede237a07e121b56d91a491eb7bcdfd1f5907926a9e58338f964a01b17fa::asset::USDC'
+};
+
+/**
+ * Convert an APT amount to an octas string
+ * @param {number|string} amount - Amount in APT
+ * @returns {string} Amount in octas
+ */
+function toOctas(amount) {
+  return Math.floor(parseFloat(amount) * OCTAS_PER_APT).toString();
+}
+
+/**
+ * Encode the amount as the only argument
+ * @param {Object} context - { amount }
+ * @returns {Array<string>} Entry function arguments
+ */
+function amountArgs({ amount }) {
+  return [toOctas(amount)];
+}
+
+/**
+ * Encode the amount in and the minimum amount out (swaps and liquidity changes)
+ * @param {Object} context - { amount, minAmountOut }
+ * @returns {Array<string>} Entry function arguments
+ */
+function minOutArgs({ amount, minAmountOut }) {
+  return [toOctas(amount), toOctas(minAmountOut)];
+}
+
+/**
+ * Encode the pool ID, the amount in and the minimum amount out for pools addressed by ID
+ * @param {Object} context - { pool, amount, minAmountOut, operation }
+ * @returns {Array<string>} Entry function arguments
+ */
+function poolIdArgs(context) {
+  if (!context.pool?.id) {
+    throw new Error(`${context.operation.protocol} ${context.operation.type} needs a pool ID`);
+  }
+  return [context.pool.id, ...minOutArgs(context)];
+}
+
+/**
+ * Type arguments of a swap: the coin swapped from, then the coin swapped to
+ * @param {Object} context - { fromCoinType, toCoinType }
+ * @returns {Array<string>} Type arguments
+ */
+function swapTypeArgs({ fromCoinType, toCoinType }) {
+  return [fromCoinType, toCoinType];
+}
+
+/**
+ * Type arguments of a pool: the coin types it pairs
+ * @param {Object} context - { pool }
+ * @returns {Array<string>} Type arguments
+ */
+function poolTypeArgs({ pool }) {
+  return pool?.coinTypes || [];
+}
+
+/**
+ * Read a token balance held as an account resource
+ * @param {Array} resources - Account resources
+ * @param {string} resourceType - Fully qualified resource type to look for
+ * @param {Function} pickValue - Extracts the raw balance from the resource data
+ * @returns {Array<Object>} [{ amount }] in APT, or an empty array
+ */
+function readTokenBalance(resources, resourceType, pickValue) {
+  const resource = resources.find(item => item.type.includes(resourceType));
+  if (!resource) return [];
+
+  const amount = parseFloat(pickValue(resource.data) || 0) / OCTAS_PER_APT;
+  return amount > 0 ? [{ amount }] : [];
+}
+
+/**
+ * Read liquidity provider balances held as account resources
+ * @param {Array} resources - Account resources
+ * @param {string} resourceType - Fully qualified resource type to look for
+ * @param {Object} options - { balanceField, poolType } (poolType is used when the resource has none)
+ * @returns {Array<Object>} [{ poolType, balance, valueUSD }]
+ */
+function readLpBalances(resources, resourceType, { balanceField = 'balance', poolType } = {}) {
+  return resources
+    .filter(item => item.type.includes(resourceType))
+    .filter(item => parseFloat(item.data[balanceField] || 0) > 0)
+    .map(item => ({
+      poolType: poolType || item.data.pool_type || 'Unknown',
+      balance: parseFloat(item.data[balanceField]) / OCTAS_PER_APT,
+      valueUSD: parseFloat(item.data.usd_value || 0)
+    }));
+}
+
+/**
+ * Decode an exchange rate view returning the APT backing a liquid staking token and its supply
+ * @param {Array} values - View function result [apt, supply] (raw amounts)
+ * @returns {number|null} APT per token, or null when nothing is minted
+ */
+function aptPerShare([apt, supply]) {
+  const shares = Number(supply);
+  return shares > 0 ? Number(apt) / shares : null;
+}
+
+module.exports = {
+  OCTAS_PER_APT,
+  COIN_TYPES,
+  toOctas,
+  amountArgs,
+  minOutArgs,
+  poolIdArgs,
+  swapTypeArgs,
+  poolTypeArgs,
+  readTokenBalance,
+  readLpBalances,
+  aptPerShare
+};
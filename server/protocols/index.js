@@ -0,0 +1,545 @@
+/**
+ * protocols/index.js
+ *
+ * Protocol adapter registry for CompounDefi
+ * Single source of contract addresses, entry functions, position readers and
+ * APR fetchers for every supported Aptos DeFi protocol
+ *
+ * Each file in ./adapters declares one protocol:
+ * - name, displayName and type (staking, lending, liquidity, yield or stablecoin)
+ * - addresses per network (mainnet, testnet, ...)
+ * - operations: { [type]: { function, typeArguments, encode } } where function is
+ *   the module path appended to the address (e.g. '::staking::stake'), typeArguments
+ *   is an array or a function of the payload context and encode returns the arguments
+ *   (the context holds address, amount, minAmountOut, fromCoinType, toCoinType, pool and operation)
+ * - optional defaultPool ({ id, coinTypes }) used by liquidity operations that do not name a pool
+ * - optional token ({ symbol, name, struct, decimals }) and unbondingPeriod (ms) for liquid staking
+ * - optional exchangeRate ({ function, decode }) for liquid staking: a view function (module path
+ *   appended to the address) whose result decode turns into APT per token
+ * - optional readPosition(resources, address) returning the positions held in account resources
+ * - optional fetchApr() with fallbackApr ({ staking, lending, liquidity }) used when it fails
+ *
+ * Adding a protocol means adding one adapter file.
+ *
+ * Each file in ./scripts (optional, none ship yet) declares a precompiled Move script that runs
+ * several operations in one transaction, so a strategy made of exactly those steps is all-or-nothing:
+ * - name and description
+ * - steps: [{ protocol, type }] in execution order
+ * - bytecode per network (hex of the script compiled with `aptos move compile-script`)
+ * - typeArguments (array or function of the step contexts) and encode(contexts) returning
+ *   the script arguments as BCS values (U64, AccountAddress, ...), since scripts have no ABI
+ * - optional decode(args, typeArguments) splitting the script arguments (as strings) back into
+ *   [{ functionArguments, typeArguments }] per step, as each step's entry function takes them;
+ *   the fake chain runs a script through it, so scripts without decode are not testable offline
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLogger } = require('../utils/logging');
+
+// Instantiate logger once for the module
+const logger = getLogger('protocols');
+
+// Directory holding one adapter module per protocol
+const ADAPTERS_DIR = path.join(__dirname, 'adapters');
+
+// Directory holding precompiled Move scripts that batch operations
+const SCRIPTS_DIR = path.join(__dirname, 'scripts');
+
+// Protocol types an adapter may declare
+const PROTOCOL_TYPES = ['staking', 'lending', 'liquidity', 'yield', 'stablecoin'];
+
+class ProtocolRegistry {
+  constructor() {
+    this.adapters = new Map(); // Map of protocol name -> adapter
+    this.scripts = new Map(); // Map of script name -> Move script
+  }
+
+  /**
+   * Register a protocol adapter
+   * @param {Object} adapter - Protocol adapter
+   * @returns {Object} The registered adapter
+   */
+  register(adapter) {
+    if (!adapter || !adapter.name || !adapter.addresses || !adapter.operations) {
+      throw new Error('Protocol adapters need a name, addresses and operations');
+    }
+    if (!PROTOCOL_TYPES.includes(adapter.type)) {
+      throw new Error(`Unknown type "${adapter.type}" for protocol ${adapter.name}`);
+    }
+
+    const name = adapter.name.toLowerCase();
+    if (this.adapters.has(name)) {
+      throw new Error(`Protocol ${name} is already registered`);
+    }
+
+    Object.entries(adapter.operations).forEach(([type, operation]) => {
+      if (!operation.function || typeof operation.encode !== 'function') {
+        throw new Error(`Operation ${type} of ${name} needs a function and an encoder`);
+      }
+    });
+
+    this.adapters.set(name, adapter);
+    return adapter;
+  }
+
+  /**
+   * Register every adapter module in a directory
+   * @param {string} directory - Directory of adapter modules
+   * @returns {number} Number of adapters registered
+   */
+  loadDirectory(directory) {
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+    files.forEach(file => this.register(require(path.join(directory, file))));
+
+    logger.debug(`Registered ${files.length} protocol adapters`);
+    return files.length;
+  }
+
+  /**
+   * Register a precompiled Move script that batches operations
+   * @param {Object} script - Move script
+   * @returns {Object} The registered script
+   */
+  registerScript(script) {
+    if (!script || !script.name || !script.bytecode || typeof script.encode !== 'function') {
+      throw new Error('Move scripts need a name, bytecode and encode');
+    }
+    if (!Array.isArray(script.steps) || script.steps.length < 2) {
+      throw new Error(`Move script ${script.name} must batch at least two steps`);
+    }
+
+    script.steps.forEach(step => {
+      if (!this.getOperation(step.protocol, step.type)) {
+        throw new Error(`Move script ${script.name} uses unknown operation ${step.protocol} ${step.type}`);
+      }
+    });
+
+    if (this.scripts.has(script.name)) {
+      throw new Error(`Move script ${script.name} is already registered`);
+    }
+
+    this.scripts.set(script.name, script);
+    return script;
+  }
+
+  /**
+   * Register every Move script in a directory, if it exists
+   * @param {string} directory - Directory of script modules
+   * @returns {number} Number of scripts registered
+   */
+  loadScripts(directory) {
+    if (!fs.existsSync(directory)) return 0;
+
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+    files.forEach(file => this.registerScript(require(path.join(directory, file))));
+
+    logger.debug(`Registered ${files.length} Move scripts`);
+    return files.length;
+  }
+
+  /**
+   * Find a Move script that runs exactly these operations, in this order
+   * @param {Array} operations - Operations ({ protocol, type })
+   * @param {string} network - Network (defaults to the configured network)
+   * @returns {Object|null} Move script, or null when none batches them
+   */
+  findScript(operations, network = this.getNetwork()) {
+    return [...this.scripts.values()].find(script =>
+      script.bytecode[network.toLowerCase()] &&
+      script.steps.length === operations.length &&
+      script.steps.every((step, index) =>
+        step.protocol.toLowerCase() === String(operations[index].protocol).toLowerCase() &&
+        step.type === operations[index].type &&
+        this.supports(step.protocol, step.type, network))
+    ) || null;
+  }
+
+  /**
+   * Build the script data of a batched strategy, as taken by the ts-sdk transaction builder
+   * @param {Object} script - Move script from findScript
+   * @param {Array} operations - Operations the script runs, in step order
+   * @param {Object} options - { maxSlippage (%), network }
+   * @returns {Object} { bytecode, typeArguments, functionArguments }
+   */
+  buildScriptData(script, operations, { maxSlippage = 0, network = this.getNetwork() } = {}) {
+    const contexts = operations.map(operation => this.buildContext(operation, { maxSlippage, network }).context);
+
+    return {
+      bytecode: script.bytecode[network.toLowerCase()],
+      typeArguments: typeof script.typeArguments === 'function' ?
+        script.typeArguments(contexts) :
+        script.typeArguments || [],
+      functionArguments: script.encode(contexts)
+    };
+  }
+
+  /**
+   * Get the network addresses are resolved for by default
+   * @returns {string} Lowercase network name
+   */
+  getNetwork() {
+    return (process.env.APTOS_NETWORK || 'mainnet').toLowerCase();
+  }
+
+  /**
+   * Get the adapter of a protocol
+   * @param {string} protocol - Protocol name (case-insensitive)
+   * @returns {Object|null} Adapter
+   */
+  getAdapter(protocol) {
+    return protocol ? this.adapters.get(String(protocol).toLowerCase()) || null : null;
+  }
+
+  /**
+   * List registered adapters
+   * @param {Object} filters - Optional { type, operation, network }
+   * @returns {Array<Object>} Adapters matching every given filter
+   */
+  listProtocols({ type, operation, network } = {}) {
+    return [...this.adapters.values()].filter(adapter =>
+      (!type || adapter.type === type) &&
+      (!operation || this.getOperation(adapter.name, operation)) &&
+      (!network || adapter.addresses[network.toLowerCase()])
+    );
+  }
+
+  /**
+   * Get the contract address of a protocol
+   * @param {string} protocol - Protocol name
+   * @param {string} network - Network (defaults to the configured network)
+   * @returns {string|null} Address, or null when the protocol is not deployed there
+   */
+  getAddress(protocol, network = this.getNetwork()) {
+    return this.getAdapter(protocol)?.addresses[network.toLowerCase()] || null;
+  }
+
+  /**
+   * Get the contract addresses of every protocol deployed on a network
+   * @param {string} network - Network (defaults to the configured network)
+   * @returns {Object} Map of protocol name -> address
+   */
+  getAddresses(network = this.getNetwork()) {
+    return this.listProtocols({ network }).reduce((addresses, adapter) => {
+      addresses[adapter.name] = this.getAddress(adapter.name, network);
+      return addresses;
+    }, {});
+  }
+
+  /**
+   * Get the declaration of an operation
+   * @param {string} protocol - Protocol name
+   * @param {string} type - Operation type (e.g. stake, addLiquidity; case-insensitive)
+   * @returns {Object|null} { function, typeArguments, encode }
+   */
+  getOperation(protocol, type) {
+    const operations = this.getAdapter(protocol)?.operations;
+    if (!operations || !type) return null;
+
+    const key = Object.keys(operations).find(name => name.toLowerCase() === String(type).toLowerCase());
+    return key ? operations[key] : null;
+  }
+
+  /**
+   * Check whether a protocol supports an operation on a network
+   * @param {string} protocol - Protocol name
+   * @param {string} type - Operation type
+   * @param {string} network - Network (defaults to the configured network)
+   * @returns {boolean} Whether a payload can be built
+   */
+  supports(protocol, type, network = this.getNetwork()) {
+    return Boolean(this.getAddress(protocol, network) && this.getOperation(protocol, type));
+  }
+
+  /**
+   * Get the module path of an operation's entry function
+   * @param {string} protocol - Protocol name
+   * @param {string} type - Operation type
+   * @returns {string|null} Function name such as '::staking::stake'
+   */
+  getFunctionName(protocol, type) {
+    return this.getOperation(protocol, type)?.function || null;
+  }
+
+  /**
+   * Get the fully qualified entry function of an operation
+   * @param {string} protocol - Protocol name
+   * @param {string} type - Operation type
+   * @param {string} network - Network (defaults to the configured network)
+   * @returns {string|null} Entry function ID such as '0x1::staking::stake'
+   */
+  getEntryFunction(protocol, type, network = this.getNetwork()) {
+    if (!this.supports(protocol, type, network)) return null;
+    return `${this.getAddress(protocol, network)}${this.getFunctionName(protocol, type)}`;
+  }
+
+  /**
+   * List the entry function of every operation deployed on a network
+   * @param {string} network - Network (defaults to the configured network)
+   * @returns {Array<string>} Entry functions (address::module::function)
+   */
+  listEntryFunctions(network = this.getNetwork()) {
+    return this.listProtocols({ network }).flatMap(adapter =>
+      Object.keys(adapter.operations)
+        .map(type => this.getEntryFunction(adapter.name, type, network))
+        .filter(Boolean));
+  }
+
+  /**
+   * Resolve the contract address and function name of an operation
+   * @param {string} protocol - Protocol name
+   * @param {string} type - Operation type
+   * @param {string} network - Network (defaults to the configured network)
+   * @returns {Object|null} { contractAddress, functionName }, or null when unsupported
+   */
+  resolveOperation(protocol, type, network = this.getNetwork()) {
+    if (!this.supports(protocol, type, network)) return null;
+
+    return {
+      contractAddress: this.getAddress(protocol, network),
+      functionName: this.getFunctionName(protocol, type)
+    };
+  }
+
+  /**
+   * Build the context adapters encode an operation from
+   * @param {Object} operation - { protocol, type, amount, contractAddress, fromProtocol, toProtocol, pool }
+   * @param {Object} options - { maxSlippage (%), network }
+   * @returns {Object} { declaration, context }
+   */
+  buildContext(operation, { maxSlippage = 0, network = this.getNetwork() } = {}) {
+    const adapter = this.getAdapter(operation.protocol);
+    const declaration = this.getOperation(operation.protocol, operation.type);
+    const contractAddress = operation.contractAddress || this.getAddress(operation.protocol, network);
+
+    if (!declaration || !contractAddress) {
+      throw new Error(`${operation.protocol} does not support ${operation.type} on ${network}`);
+    }
+
+    const amount = parseFloat(operation.amount);
+    return {
+      declaration,
+      context: {
+        address: contractAddress,
+        amount,
+        minAmountOut: amount * (1 - maxSlippage / 100),
+        fromCoinType: this.getCoinType(operation.fromProtocol, network),
+        toCoinType: this.getCoinType(operation.toProtocol, network),
+        pool: operation.pool || adapter.defaultPool,
+        operation
+      }
+    };
+  }
+
+  /**
+   * Build the entry function data of an operation, as taken by the ts-sdk transaction builder
+   *
+   * An operation's own contractAddress and functionName take precedence over the registry,
+   * so transactions stay identical to what was proposed or shown to the user.
+   * @param {Object} operation - { protocol, type, amount, contractAddress, functionName, fromProtocol, toProtocol, pool }
+   * @param {Object} options - { maxSlippage (%), network }
+   * @returns {Object} { function, typeArguments, functionArguments }
+   */
+  buildEntryFunctionData(operation, { maxSlippage = 0, network = this.getNetwork() } = {}) {
+    const { declaration, context } = this.buildContext(operation, { maxSlippage, network });
+
+    const typeArguments = typeof declaration.typeArguments === 'function' ?
+      declaration.typeArguments(context) :
+      declaration.typeArguments || [];
+
+    if (typeArguments.some(typeArgument => !typeArgument)) {
+      throw new Error(`Cannot resolve the type arguments of ${operation.protocol} ${operation.type}`);
+    }
+
+    return {
+      function: `${context.address}${operation.functionName || declaration.function}`,
+      typeArguments,
+      functionArguments: declaration.encode(context)
+    };
+  }
+
+  /**
+   * Build the wallet payload for an operation (the entry_function_payload browser wallets sign)
+   * @param {Object} operation - Operation, see buildEntryFunctionData
+   * @param {Object} options - { maxSlippage (%), network }
+   * @returns {Object} Entry function payload
+   */
+  buildPayload(operation, options = {}) {
+    const data = this.buildEntryFunctionData(operation, options);
+
+    return {
+      type: 'entry_function_payload',
+      function: data.function,
+      type_arguments: data.typeArguments,
+      arguments: data.functionArguments
+    };
+  }
+
+  /**
+   * Get the coin type of a protocol's token
+   * @param {string} protocol - Protocol name
+   * @param {string} network - Network (defaults to the configured network)
+   * @returns {string|null} Coin type such as '0x1::stapt_token::StakedApt'
+   */
+  getCoinType(protocol, network = this.getNetwork()) {
+    const adapter = this.getAdapter(protocol);
+    const address = this.getAddress(protocol, network);
+    return adapter?.token && address ? `${address}${adapter.token.struct}` : null;
+  }
+
+  /**
+   * Get the tokens of every liquid staking protocol
+   * @returns {Object} Map of protocol name -> token symbol
+   */
+  getLiquidStakingTokens() {
+    return this.listProtocols({ type: 'staking' })
+      .filter(adapter => adapter.token)
+      .reduce((tokens, adapter) => {
+        tokens[adapter.name] = adapter.token.symbol;
+        return tokens;
+      }, {});
+  }
+
+  /**
+   * Get the tokens protocols issue, with their coin types on a network
+   * @param {string} network - Network name (defaults to APTOS_NETWORK)
+   * @returns {Array<Object>} [{ protocol, symbol, name, decimals, coinType }]
+   */
+  getTokens(network = this.getNetwork()) {
+    return this.listProtocols({ network })
+      .filter(adapter => adapter.token)
+      .map(adapter => ({
+        protocol: adapter.name,
+        symbol: adapter.token.symbol,
+        name: adapter.token.name,
+        decimals: adapter.token.decimals,
+        coinType: this.getCoinType(adapter.name, network)
+      }));
+  }
+
+  /**
+   * Get how long unstaked APT stays locked before it can be claimed
+   * @param {string} protocol - Protocol name
+   * @returns {number} Unbonding period in milliseconds, 0 when there is none
+   */
+  getUnbondingPeriod(protocol) {
+    return this.getAdapter(protocol)?.unbondingPeriod || 0;
+  }
+
+  /**
+   * Read the positions a wallet holds from its account resources
+   * @param {Array} resources - Account resources
+   * @param {string} network - Network (defaults to the configured network)
+   * @returns {Array<Object>} Positions tagged with protocol, type and token symbol
+   */
+  readPositions(resources, network = this.getNetwork()) {
+    return this.listProtocols({ network })
+      .filter(adapter => typeof adapter.readPosition === 'function')
+      .flatMap(adapter => {
+        try {
+          return adapter.readPosition(resources, this.getAddress(adapter.name, network)).map(position => ({
+            protocol: adapter.name,
+            type: adapter.type,
+            ...(adapter.token && { token: adapter.token.symbol }),
+            ...position
+          }));
+        } catch (error) {
+          logger.warn(`Failed to read ${adapter.name} positions: ${error.message}`);
+          return [];
+        }
+      });
+  }
+
+  /**
+   * Read the on-chain exchange rate of a liquid staking token
+   * @param {Object} aptos - Aptos client
+   * @param {string} protocol - Protocol name
+   * @param {Object} options - { network, ledgerVersion } (defaults to the configured network and the latest ledger)
+   * @returns {Promise<number|null>} APT per token, null when the protocol declares no exchange rate
+   */
+  async readExchangeRate(aptos, protocol, { network = this.getNetwork(), ledgerVersion } = {}) {
+    const adapter = this.getAdapter(protocol);
+    const address = this.getAddress(protocol, network);
+    if (!adapter?.exchangeRate || !address) return null;
+
+    const values = await aptos.view({
+      payload: { function: `${address}${adapter.exchangeRate.function}`, functionArguments: [] },
+      ...(ledgerVersion && { options: { ledgerVersion: BigInt(ledgerVersion) } })
+    });
+    const rate = adapter.exchangeRate.decode(values);
+    return rate > 0 ? rate : null;
+  }
+
+  /**
+   * Fetch the current APRs of every protocol that declares a fetcher, with where each came from
+   *
+   * Rates a fetcher fails to return fall back to the adapter's fallbackApr.
+   * @returns {Promise<Object>} Map of protocol name -> category -> { apr (%), source ('api' or 'fallback'), asOf }
+   */
+  async fetchAprDetails() {
+    const adapters = this.listProtocols().filter(adapter => typeof adapter.fetchApr === 'function');
+    const results = await Promise.allSettled(adapters.map(adapter => adapter.fetchApr()));
+    const asOf = new Date().toISOString();
+
+    return adapters.reduce((rates, adapter, index) => {
+      const result = results[index];
+      if (result.status === 'rejected') {
+        logger.warn(`Using fallback APRs for ${adapter.name}: ${result.reason?.message || result.reason}`);
+      }
+
+      const fetched = result.status === 'fulfilled' ? result.value || {} : {};
+      rates[adapter.name] = Object.entries(adapter.fallbackApr || {}).reduce((protocolRates, [category, fallback]) => {
+        const apr = parseFloat(fetched[category]);
+        protocolRates[category] = apr ?
+          { apr, source: 'api', asOf } :
+          { apr: fallback, source: 'fallback', asOf: null };
+        return protocolRates;
+      }, {});
+      return rates;
+    }, {});
+  }
+
+  /**
+   * Fetch the current APRs of every protocol that declares a fetcher
+   *
+   * Rates a fetcher fails to return fall back to the adapter's fallbackApr.
+   * @returns {Promise<Object>} Map of protocol name -> { staking, lending, liquidity } APRs (%)
+   */
+  async fetchAprs() {
+    const details = await this.fetchAprDetails();
+
+    return Object.entries(details).reduce((rates, [protocol, categories]) => {
+      rates[protocol] = Object.entries(categories).reduce((protocolRates, [category, { apr }]) => {
+        protocolRates[category] = apr;
+        return protocolRates;
+      }, {});
+      return rates;
+    }, {});
+  }
+
+  /**
+   * Describe every protocol deployed on a network for API consumers
+   * @param {string} network - Network (defaults to the configured network)
+   * @returns {Array<Object>} { name, displayName, type, address, token, unbondingPeriod, operations }
+   */
+  describeProtocols(network = this.getNetwork()) {
+    return this.listProtocols({ network }).map(adapter => ({
+      name: adapter.name,
+      displayName: adapter.displayName || adapter.name,
+      type: adapter.type,
+      address: this.getAddress(adapter.name, network),
+      token: adapter.token ? { ...adapter.token, coinType: this.getCoinType(adapter.name, network) } : undefined,
+      unbondingPeriod: adapter.unbondingPeriod || undefined,
+      operations: Object.keys(adapter.operations).reduce((operations, type) => {
+        operations[type] = this.getEntryFunction(adapter.name, type, network);
+        return operations;
+      }, {})
+    }));
+  }
+}
+
+const registry = new ProtocolRegistry();
+registry.loadDirectory(ADAPTERS_DIR);
+registry.loadScripts(SCRIPTS_DIR);
+
+module.exports = registry;
@@ -9,14 +9,21 @@ const portfolioTracker = require('../modules/portfolio_tracker');
 const tokenTracker = require('../modules/token_tracker');
 const newsTracker = require('../modules/news_tracker');
 const autoRebalancer = require('../modules/auto_rebalancer');
+const transactionManager = require('../modules/transaction_manager');
+const delegationManager = require('../modules/delegation_manager');
+const transactionExporter = require('../modules/transaction_exporter');
+const rebalanceBacktester = require('../modules/rebalance_backtester');
+const rateHistory = require('../modules/rate_history');
+const protocols = require('../protocols');
 const { getLogger } = require('../utils/logging');
 
 // Instantiate logger
 const logger = getLogger('api');
 
 // Import middleware
-const { apiKeyAuth } = require('../middleware/auth');
+const { apiKeyAuth, requireAdmin, verifyToken } = require('../middleware/auth');
 const { errorHandler } = require('../middleware/errorHandler'); // Destructure to get the function
+const { idempotency } = require('../middleware/idempotency');
 
 // Rate limiter
 const apiLimiter = rateLimit({
@@ -144,15 +151,49 @@ router.get('/staking/rates', async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/staking/rates/history
+ * @desc    Get the APR, APY and TVL history of protocol products, downsampled into buckets
+ * @access  Public
+ */
+router.get('/staking/rates/history', async (req, res, next) => {
+  try {
+    const { protocol, product, from, to, interval } = req.query;
+    const history = await rateHistory.getHistory({ protocol, product, from, to, interval });
+    res.json(history);
+  } catch (error) {
+    if (error.code === 'invalid_parameters') {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/gas/prices
+ * @desc    Get the current gas unit price of the slow, normal and fast tiers
+ * @access  Public
+ */
+router.get('/gas/prices', async (req, res, next) => {
+  try {
+    const prices = await transactionManager.getGasPrices();
+    res.json(prices);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   GET /api/contracts
- * @desc    Get list of contract addresses
+ * @desc    Get contract addresses and supported entry functions of every protocol
  * @access  Public
  */
 router.get('/contracts', (req, res) => {
   try {
     const contractData = {
-      contracts: stakingOptimizer.contracts || {},
+      network: protocols.getNetwork(),
+      contracts: protocols.getAddresses(),
+      protocols: protocols.describeProtocols(),
       lastUpdated: new Date().toISOString()
     };
     res.json(contractData);
@@ -212,28 +253,337 @@ router.get('/recommendations/ai', async (req, res, next) => {
 
 /**
  * @route   POST /api/execute-strategy
- * @desc    Execute investment strategy
+ * @desc    Prepare the transactions of an investment strategy, in one transaction when it compiles to one,
+ *          with the platform sponsor paying the gas when sponsored is true
+ *          (a retry with the same Idempotency-Key header replays the first response)
  * @access  Public (but should be authenticated in production)
  */
-router.post('/execute-strategy', async (req, res, next) => {
+router.post('/execute-strategy', idempotency(), async (req, res, next) => {
   try {
     const { 
       walletAddress, 
-      amount, 
-      allocation, 
-      operations 
+      operations,
+      publicKey,
+      maxSlippage,
+      gasTier,
+      sponsored
     } = req.body;
     
-    if (!walletAddress || !amount || !allocation || !operations || !Array.isArray(operations)) {
+    if (!walletAddress || !operations || !Array.isArray(operations) || operations.length === 0) {
       return res.status(400).json({ 
-        error: 'Invalid request parameters. Required: walletAddress, amount, allocation, operations[]' 
+        error: 'Invalid request parameters. Required: walletAddress, operations[]' 
       });
     }
+    
+    // Reject an unknown gas tier, or sponsorship while no sponsor is configured, before any step is prepared
+    transactionManager.gasStrategy.resolveTier(gasTier);
+    if (sponsored) {
+      transactionManager.getSponsorAccount();
+    }
+
+    const results = await transactionManager.executeStrategy(walletAddress, operations, {
+      publicKey,
+      maxSlippage,
+      gasTier,
+      sponsored: Boolean(sponsored)
+    });
+
+    res.json(results);
+  } catch (error) {
+    if (TRANSACTION_ERROR_STATUS[error.code]) {
+      return res.status(TRANSACTION_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+// Status codes for transaction lifecycle errors
+const TRANSACTION_ERROR_STATUS = {
+  transaction_not_found: 404,
+  invalid_transaction: 400,
+  invalid_transaction_state: 409,
+  transaction_blocked: 422,
+  strategy_not_found: 404,
+  strategy_in_progress: 409,
+  strategy_not_failed: 409,
+  strategy_already_compensated: 409,
+  invalid_gas_tier: 400,
+  sponsorship_unavailable: 503,
+  sponsorship_not_allowed: 403,
+  sponsorship_not_eligible: 403,
+  sponsorship_budget_exceeded: 429,
+  invalid_sponsor_report: 400
+};
+
+// Interval of comments that keep idle event streams open through proxies
+const EVENT_STREAM_HEARTBEAT = 30000;
+
+/**
+ * @route   POST /api/transactions/register
+ * @desc    Record a submitted transaction hash so it is tracked to confirmation
+ * @access  Public (but should be authenticated in production)
+ */
+router.post('/transactions/register', async (req, res, next) => {
+  try {
+    const { walletAddress, hash, transactionId, protocol, type, amount, contractAddress, functionName } = req.body;
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    
+    const transaction = await transactionManager.recordSubmission(walletAddress, {
+      hash,
+      transactionId,
+      protocol,
+      type,
+      amount,
+      contractAddress,
+      functionName
+    });
+    res.status(201).json(transaction);
+  } catch (error) {
+    if (TRANSACTION_ERROR_STATUS[error.code]) {
+      return res.status(TRANSACTION_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/transactions/:transactionId/sponsor
+ * @desc    Submit a sponsored transaction signed by the wallet, with the platform sponsor co-signing as fee payer
+ * @access  Public (but should be authenticated in production)
+ */
+router.post('/transactions/:transactionId/sponsor', async (req, res, next) => {
+  try {
+    const { walletAddress, senderAuthenticator } = req.body;
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    if (!senderAuthenticator) {
+      return res.status(400).json({ error: 'senderAuthenticator is required' });
+    }
+    
+    const transaction = await transactionManager.submitSponsoredTransaction(
+      walletAddress,
+      req.params.transactionId,
+      senderAuthenticator
+    );
+    res.status(201).json(transaction);
+  } catch (error) {
+    if (TRANSACTION_ERROR_STATUS[error.code]) {
+      return res.status(TRANSACTION_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/transactions/:transactionId/simulate
+ * @desc    Simulate a prepared transaction as built before the wallet signs it; one that aborts is failed
+ *          (strategy steps funded by an earlier step are prepared dependent and checked this way)
+ * @access  Public (but should be authenticated in production)
+ */
+router.post('/transactions/:transactionId/simulate', async (req, res, next) => {
+  try {
+    const { walletAddress, publicKey } = req.body;
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    
+    const simulation = await transactionManager.simulatePreparedTransaction(walletAddress, req.params.transactionId, { publicKey });
+    res.json({
+      transactionId: req.params.transactionId,
+      success: simulation.success,
+      gasUsed: simulation.gasUsed,
+      vmStatus: simulation.vmStatus,
+      abort: simulation.abort,
+      balanceChanges: simulation.balanceChanges
+    });
+  } catch (error) {
+    if (TRANSACTION_ERROR_STATUS[error.code]) {
+      return res.status(TRANSACTION_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/sponsor/allowance
+ * @desc    Get whether the platform sponsors a wallet's gas and how much of its daily budget is left
+ * @access  Public
+ */
+router.get('/sponsor/allowance', async (req, res, next) => {
+  try {
+    const { walletAddress } = req.query;
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    
+    res.json(await transactionManager.getSponsorAllowance(walletAddress));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/transactions/events
+ * @desc    Stream transaction lifecycle changes of a wallet as server-sent events
+ * @access  Public (but should be authenticated in production)
+ */
+router.get('/transactions/events', (req, res) => {
+  const { walletAddress } = req.query;
+  
+  if (!walletAddress) {
+    return res.status(400).json({ error: 'Wallet address is required' });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  // res.flush is added by the compression middleware, which would otherwise buffer events
+  const write = chunk => {
+    res.write(chunk);
+    if (res.flush) res.flush();
+  };
+  
+  const unsubscribe = transactionManager.subscribeToTransactions(walletAddress, transaction => {
+    write(`event: transaction\ndata: ${JSON.stringify(transaction)}\n\n`);
+  });
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), EVENT_STREAM_HEARTBEAT);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+/**
+ * @route   GET /api/transactions/export
+ * @desc    Download the transaction history of a wallet as CSV, JSON or a Koinly import
+ * @access  Public (but should be authenticated in production)
+ */
+router.get('/transactions/export', async (req, res, next) => {
+  try {
+    const { walletAddress, format, from, to, types } = req.query;
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    
+    const result = await transactionExporter.exportTransactions(walletAddress, { format, from, to, types });
+    
+    res.set({
+      'Content-Type': `${result.contentType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="${result.filename}"`,
+      'X-Export-Count': result.count
+    });
+    res.send(result.body);
+  } catch (error) {
+    if (error.code === 'invalid_parameters') {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/transactions/:hash
+ * @desc    Get the recorded lifecycle of a transaction, or its on-chain status when it is not recorded
+ * @access  Public
+ */
+router.get('/transactions/:hash', async (req, res, next) => {
+  try {
+    const transaction = await transactionManager.getTransaction(req.params.hash);
+    if (transaction) {
+      return res.json(transaction);
+    }
+    
+    const status = await transactionManager.checkTransactionStatus(req.params.hash);
+    if (status.status === 'not_found') {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    res.json(status);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/strategies/plan
+ * @desc    Show how a strategy would execute: in one transaction or step by step with its compensation plan,
+ *          and what its gas costs in the chosen tier and in every other tier
+ * @access  Public
+ */
+router.post('/strategies/plan', async (req, res, next) => {
+  try {
+    const { operations, gasTier, gasBuffer } = req.body;
+    
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({ error: 'At least one operation is required' });
+    }
+    
+    const plan = transactionManager.planStrategy(operations);
+    const gas = await transactionManager.forecastStrategyGas(operations, { gasTier, gasBuffer: parseFloat(gasBuffer) || undefined });
+    
+    res.json({ ...plan, gas });
+  } catch (error) {
+    if (TRANSACTION_ERROR_STATUS[error.code]) {
+      return res.status(TRANSACTION_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    next(error);
+  }
+});
 
-    const results = await stakingOptimizer.executeStrategy(walletAddress, amount, operations);
+/**
+ * @route   GET /api/strategies/:strategyId
+ * @desc    Get the execution of a strategy, its steps and how to unwind them
+ * @access  Public (but should be authenticated in production)
+ */
+router.get('/strategies/:strategyId', async (req, res, next) => {
+  try {
+    const { walletAddress } = req.query;
+    
+    if (!walletAddress) {
+      return res.status(400).json({ error: 'Wallet address is required' });
+    }
+    
+    const execution = await transactionManager.getStrategyExecution(walletAddress, req.params.strategyId);
+    res.json(execution);
+  } catch (error) {
+    if (TRANSACTION_ERROR_STATUS[error.code]) {
+      return res.status(TRANSACTION_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    next(error);
+  }
+});
 
+/**
+ * @route   POST /api/strategies/:strategyId/compensate
+ * @desc    Prepare the transactions that unwind the completed steps of a failed strategy
+ * @access  Public (but should be authenticated in production)
+ */
+router.post('/strategies/:strategyId/compensate', async (req, res, next) => {
+  try {
+    const { walletAddress, publicKey, maxSlippage } = req.body;
+    
+    if (!walletAddress) {
+      return res.status(400).json({ error: 'Wallet address is required' });
+    }
+    
+    const results = await transactionManager.compensateStrategy(walletAddress, req.params.strategyId, { publicKey, maxSlippage });
     res.json(results);
   } catch (error) {
+    if (TRANSACTION_ERROR_STATUS[error.code]) {
+      return res.status(TRANSACTION_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
     next(error);
   }
 });
@@ -263,55 +613,774 @@ router.get('/auto-rebalance/status', async (req, res, next) => {
 });
 
 /**
- * @route   POST /api/auto-rebalance/settings
- * @desc    Update auto-rebalance settings
+ * @route   GET /api/auto-rebalance/history
+ * @desc    Get persisted rebalance history for a wallet
  * @access  Public (but should be authenticated in production)
  */
-router.post('/auto-rebalance/settings', async (req, res, next) => {
+router.get('/auto-rebalance/history', async (req, res, next) => {
   try {
-    const { walletAddress, enabled, interval, threshold, slippage } = req.body;
+    const { walletAddress, limit = 10 } = req.query;
     
     if (!walletAddress) {
       return res.status(400).json({ error: 'Wallet address is required' });
     }
     
+    const history = await autoRebalancer.getRebalanceHistory(walletAddress, Math.min(parseInt(limit) || 10, 50));
+    res.json({
+      walletAddress,
+      history,
+      lastUpdated: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/auto-rebalance/settings
+ * @desc    Get effective auto-rebalance settings for a wallet
+ * @access  Public (but should be authenticated in production)
+ */
+router.get('/auto-rebalance/settings', async (req, res, next) => {
+  try {
+    const { walletAddress } = req.query;
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    
+    const settings = await autoRebalancer.getRebalanceSettings(walletAddress);
+    res.json({ walletAddress, settings });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auto-rebalance/settings
+ * @desc    Update auto-rebalance settings for a wallet
+ * @access  Public (but should be authenticated in production)
+ */
+router.post('/auto-rebalance/settings', async (req, res, next) => {
+  try {
+    const { 
+      walletAddress, 
+      enabled, 
+      interval, 
+      threshold, 
+      slippage, 
+      volatilityThreshold, 
+      preserveStakedPositions, 
+      maxOperations, 
+      maxPortion,
+      toleranceBands,
+      gasTier,
+      gasBuffer,
+      maxGasShareOfGain,
+      maxDailyNotionalUSD,
+      maxConsecutiveFailures,
+      maxDrawdownPercent,
+      deniedProtocols,
+      proposalTTL,
+      proposalMaxMarketMove,
+      schedule
+    } = req.body;
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    
+    // Values are validated and clamped by the rebalancer before they are stored
     const settings = {};
     if (threshold !== undefined) settings.minRebalanceThreshold = threshold;
     if (slippage !== undefined) settings.maxSlippage = slippage;
     if (interval !== undefined) settings.cooldownPeriod = interval;
+    if (volatilityThreshold !== undefined) settings.volatilityThreshold = volatilityThreshold;
+    if (preserveStakedPositions !== undefined) settings.preserveStakedPositions = preserveStakedPositions;
+    if (maxOperations !== undefined) settings.maxOperationsPerRebalance = maxOperations;
+    if (maxPortion !== undefined) settings.maxPortionToRebalance = maxPortion;
+    if (toleranceBands !== undefined) settings.toleranceBands = toleranceBands;
+    if (gasTier !== undefined) settings.gasTier = gasTier;
+    if (gasBuffer !== undefined) settings.gasBuffer = gasBuffer;
+    if (maxGasShareOfGain !== undefined) settings.maxGasShareOfGain = maxGasShareOfGain;
+    if (maxDailyNotionalUSD !== undefined) settings.maxDailyNotionalUSD = maxDailyNotionalUSD;
+    if (maxConsecutiveFailures !== undefined) settings.maxConsecutiveFailures = maxConsecutiveFailures;
+    if (maxDrawdownPercent !== undefined) settings.maxDrawdownPercent = maxDrawdownPercent;
+    if (deniedProtocols !== undefined) settings.deniedProtocols = deniedProtocols;
+    if (proposalTTL !== undefined) settings.proposalTTL = proposalTTL;
+    if (proposalMaxMarketMove !== undefined) settings.proposalMaxMarketMove = proposalMaxMarketMove;
 
     const result = await autoRebalancer.setRebalanceSettings(walletAddress, settings);
     
     if (enabled !== undefined) {
       if (enabled) {
-        await autoRebalancer.enableAutoRebalanceMonitoring(walletAddress, { checkInterval: interval });
+        // Drift checks run on the given cron or calendar schedule, or every interval
+        await autoRebalancer.enableAutoRebalanceMonitoring(walletAddress, { checkInterval: interval, ...schedule });
       } else {
-        autoRebalancer.disableAutoRebalanceMonitoring(walletAddress);
+        await autoRebalancer.disableAutoRebalanceMonitoring(walletAddress);
       }
     }
     
     res.json(result);
   } catch (error) {
+    if (error.code === 'invalid_schedule') {
+      return res.status(400).json({ error: error.message });
+    }
     next(error);
   }
 });
 
 /**
- * @route   POST /api/auto-rebalance/execute
- * @desc    Execute auto-rebalance immediately
+ * @route   GET /api/auto-rebalance/schedule
+ * @desc    Get the scheduled rebalance for a wallet with its upcoming fire times
  * @access  Public (but should be authenticated in production)
  */
-router.post('/auto-rebalance/execute', async (req, res, next) => {
+router.get('/auto-rebalance/schedule', async (req, res, next) => {
   try {
-    const { walletAddress, force = false } = req.body;
+    const { walletAddress } = req.query;
     
     if (!walletAddress) {
       return res.status(400).json({ error: 'Wallet address is required' });
     }
     
-    const result = await autoRebalancer.executeRebalance(walletAddress, { force });
+    const schedule = autoRebalancer.getScheduledRebalance(walletAddress) || {
+      walletAddress,
+      scheduled: false,
+      message: 'No rebalance scheduled'
+    };
+    res.json(schedule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auto-rebalance/schedule
+ * @desc    Schedule a one-off, cron or calendar rebalance for a wallet
+ * @access  Public (but should be authenticated in production)
+ */
+router.post('/auto-rebalance/schedule', async (req, res, next) => {
+  try {
+    const {
+      walletAddress,
+      delayMs,
+      runAt,
+      cron,
+      calendar,
+      timezone,
+      catchUp,
+      skipWeekends,
+      onlyIfNeeded,
+      force
+    } = req.body;
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    
+    const result = await autoRebalancer.scheduleRebalance(walletAddress, {
+      delayMs,
+      runAt,
+      cron,
+      calendar,
+      timezone,
+      catchUp,
+      skipWeekends,
+      onlyIfNeeded,
+      force
+    });
     res.json(result);
   } catch (error) {
+    if (error.code === 'invalid_schedule') {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/auto-rebalance/schedule
+ * @desc    Cancel the scheduled rebalance for a wallet
+ * @access  Public (but should be authenticated in production)
+ */
+router.delete('/auto-rebalance/schedule', async (req, res, next) => {
+  try {
+    const { walletAddress } = req.query;
+    
+    if (!walletAddress) {
+      return res.status(400).json({ error: 'Wallet address is required' });
+    }
+    
+    const cleared = await autoRebalancer.clearScheduledRebalance(walletAddress);
+    res.json({ walletAddress, cleared });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/auto-rebalance/phases
+ * @desc    Get rebalances waiting for unstaked funds, with the ETA of each pending phase
+ * @access  Public (but should be authenticated in production)
+ */
+router.get('/auto-rebalance/phases', async (req, res, next) => {
+  try {
+    const { walletAddress } = req.query;
+    
+    if (!walletAddress) {
+      return res.status(400).json({ error: 'Wallet address is required' });
+    }
+    
+    const rebalances = await autoRebalancer.getPendingPhases(walletAddress);
+    res.json({ walletAddress, rebalances });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Status codes for rebalance proposal errors
+const PROPOSAL_ERROR_STATUS = {
+  proposal_not_found: 404,
+  proposal_expired: 409,
+  invalid_proposal_state: 409,
+  invalid_proposal_operation: 400
+};
+
+/**
+ * @route   GET /api/auto-rebalance/proposals
+ * @desc    List rebalance proposals for a wallet (pending ones are revalidated against the market)
+ * @access  Public (but should be authenticated in production)
+ */
+router.get('/auto-rebalance/proposals', async (req, res, next) => {
+  try {
+    const { walletAddress, status, limit } = req.query;
+    const validStatuses = ['pending', 'approved', 'partially_executed', 'expired', 'rejected'];
+    
+    if (!walletAddress) {
+      return res.status(400).json({ error: 'Wallet address is required' });
+    }
+    
+    if (status && !validStatuses.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Expected one of: ${validStatuses.join(', ')}` });
+    }
+    
+    const proposals = await autoRebalancer.getProposals(walletAddress, {
+      status,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+    res.json({ walletAddress, proposals });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/auto-rebalance/proposals/:proposalId
+ * @desc    Get a single rebalance proposal with its transaction payloads
+ * @access  Public (but should be authenticated in production)
+ */
+router.get('/auto-rebalance/proposals/:proposalId', async (req, res, next) => {
+  try {
+    const { walletAddress } = req.query;
+    
+    if (!walletAddress) {
+      return res.status(400).json({ error: 'Wallet address is required' });
+    }
+    
+    const proposal = await autoRebalancer.findProposal(walletAddress, req.params.proposalId);
+    res.json(autoRebalancer.describeProposal(proposal));
+  } catch (error) {
+    if (PROPOSAL_ERROR_STATUS[error.code]) {
+      return res.status(PROPOSAL_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auto-rebalance/proposals/:proposalId/approve
+ * @desc    Approve a rebalance proposal so the wallet owner can sign its operations
+ * @access  Public (but should be authenticated in production)
+ */
+router.post('/auto-rebalance/proposals/:proposalId/approve', async (req, res, next) => {
+  try {
+    const { walletAddress } = req.body;
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    
+    const proposal = await autoRebalancer.approveProposal(walletAddress, req.params.proposalId);
+    res.json(proposal);
+  } catch (error) {
+    if (PROPOSAL_ERROR_STATUS[error.code]) {
+      return res.status(PROPOSAL_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auto-rebalance/proposals/:proposalId/reject
+ * @desc    Reject a rebalance proposal
+ * @access  Public (but should be authenticated in production)
+ */
+router.post('/auto-rebalance/proposals/:proposalId/reject', async (req, res, next) => {
+  try {
+    const { walletAddress, reason } = req.body;
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    
+    const proposal = await autoRebalancer.rejectProposal(walletAddress, req.params.proposalId, reason);
+    res.json(proposal);
+  } catch (error) {
+    if (PROPOSAL_ERROR_STATUS[error.code]) {
+      return res.status(PROPOSAL_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auto-rebalance/proposals/:proposalId/operations/:index/prepare
+ * @desc    Build and simulate the transaction of one approved proposal operation for the wallet to sign,
+ *          with the platform sponsor paying the gas when sponsored is true
+ * @access  Public (but should be authenticated in production)
+ */
+router.post('/auto-rebalance/proposals/:proposalId/operations/:index/prepare', async (req, res, next) => {
+  try {
+    const { walletAddress, publicKey, sponsored } = req.body;
+    const index = parseInt(req.params.index);
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    
+    if (Number.isNaN(index)) {
+      return res.status(400).json({ error: 'Operation index is required' });
+    }
+    
+    const prepared = await autoRebalancer.prepareProposalOperation(walletAddress, req.params.proposalId, index, {
+      publicKey,
+      sponsored: Boolean(sponsored)
+    });
+    res.json(prepared);
+  } catch (error) {
+    if (PROPOSAL_ERROR_STATUS[error.code]) {
+      return res.status(PROPOSAL_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    if (TRANSACTION_ERROR_STATUS[error.code]) {
+      return res.status(TRANSACTION_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auto-rebalance/proposals/:proposalId/operations/:index
+ * @desc    Record the wallet's result for one signed proposal operation
+ * @access  Public (but should be authenticated in production)
+ */
+router.post('/auto-rebalance/proposals/:proposalId/operations/:index', async (req, res, next) => {
+  try {
+    const { walletAddress, transactionHash, transactionId, success, error: signingError } = req.body;
+    const index = parseInt(req.params.index);
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    
+    if (Number.isNaN(index) || typeof success !== 'boolean') {
+      return res.status(400).json({ error: 'Operation index and success flag are required' });
+    }
+    
+    const proposal = await autoRebalancer.recordProposalOperation(walletAddress, req.params.proposalId, index, {
+      transactionHash,
+      transactionId,
+      success,
+      error: signingError
+    });
+    res.json(proposal);
+  } catch (error) {
+    if (PROPOSAL_ERROR_STATUS[error.code]) {
+      return res.status(PROPOSAL_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+// Status codes for delegated execution errors
+const DELEGATION_ERROR_STATUS = {
+  delegation_unavailable: 503,
+  delegation_exists: 409,
+  delegation_not_found: 404,
+  invalid_delegation: 400,
+  invalid_delegation_state: 409,
+  delegation_not_authorized: 409
+};
+
+/**
+ * @route   GET /api/delegation
+ * @desc    List the authenticated wallet's delegated execution accounts
+ * @access  Private (requires authentication)
+ */
+router.get('/delegation', verifyToken, async (req, res, next) => {
+  try {
+    const walletAddress = req.user.address;
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    
+    const delegations = await delegationManager.getDelegations(walletAddress);
+    res.json({ walletAddress, delegations });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/delegation
+ * @desc    Start a delegation: returns the transaction that creates the automation account with the delegate key
+ * @access  Private (requires authentication)
+ */
+router.post('/delegation', verifyToken, async (req, res, next) => {
+  try {
+    const walletAddress = req.user.address;
+    const { allowedFunctions, maxPerTransaction, maxPerDay, fundAmount } = req.body;
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    
+    if (allowedFunctions !== undefined && !Array.isArray(allowedFunctions)) {
+      return res.status(400).json({ error: 'allowedFunctions must be an array of entry functions' });
+    }
+    
+    const delegation = await delegationManager.createDelegation(walletAddress, {
+      allowedFunctions,
+      maxPerTransaction,
+      maxPerDay,
+      fundAmount
+    });
+    res.status(201).json(delegation);
+  } catch (error) {
+    if (DELEGATION_ERROR_STATUS[error.code]) {
+      return res.status(DELEGATION_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/delegation/:delegationId/confirm
+ * @desc    Activate a delegation once the wallet's transaction created the automation account
+ * @access  Private (requires authentication)
+ */
+router.post('/delegation/:delegationId/confirm', verifyToken, async (req, res, next) => {
+  try {
+    const walletAddress = req.user.address;
+    const { transactionHash } = req.body;
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    
+    if (!transactionHash) {
+      return res.status(400).json({ error: 'transactionHash is required' });
+    }
+    
+    const delegation = await delegationManager.confirmDelegation(walletAddress, req.params.delegationId, transactionHash);
+    res.json(delegation);
+  } catch (error) {
+    if (DELEGATION_ERROR_STATUS[error.code]) {
+      return res.status(DELEGATION_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/delegation/:delegationId/revoke
+ * @desc    Revoke a delegation and hand the automation account back to the wallet
+ * @access  Private (requires authentication)
+ */
+router.post('/delegation/:delegationId/revoke', verifyToken, async (req, res, next) => {
+  try {
+    const walletAddress = req.user.address;
+    const { reason } = req.body;
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    
+    const delegation = await delegationManager.revokeDelegation(walletAddress, req.params.delegationId, reason);
+    res.json(delegation);
+  } catch (error) {
+    if (DELEGATION_ERROR_STATUS[error.code]) {
+      return res.status(DELEGATION_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/delegation/:delegationId/audit
+ * @desc    Get the audit log of a delegation: every transaction the delegate signed or was refused
+ * @access  Private (requires authentication)
+ */
+router.get('/delegation/:delegationId/audit', verifyToken, async (req, res, next) => {
+  try {
+    const walletAddress = req.user.address;
+    const { limit } = req.query;
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    
+    const entries = await delegationManager.getAuditLog(
+      walletAddress,
+      req.params.delegationId,
+      Math.min(parseInt(limit) || 100, 500)
+    );
+    res.json({ delegationId: req.params.delegationId, entries });
+  } catch (error) {
+    if (DELEGATION_ERROR_STATUS[error.code]) {
+      return res.status(DELEGATION_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/auto-rebalance/circuit-breakers
+ * @desc    Get circuit breaker limits, current usage and trip state for a wallet
+ * @access  Public (but should be authenticated in production)
+ */
+router.get('/auto-rebalance/circuit-breakers', async (req, res, next) => {
+  try {
+    const { walletAddress } = req.query;
+    
+    if (!walletAddress) {
+      return res.status(400).json({ error: 'Wallet address is required' });
+    }
+    
+    const status = await autoRebalancer.getCircuitBreakerStatus(walletAddress);
+    res.json(status);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auto-rebalance/circuit-breakers/reset
+ * @desc    Reset the consecutive-failure and drawdown breakers for a wallet
+ * @access  Public (but should be authenticated in production)
+ */
+router.post('/auto-rebalance/circuit-breakers/reset', async (req, res, next) => {
+  try {
+    const { walletAddress } = req.body;
+    
+    if (!walletAddress || !walletAddress.startsWith('0x') || walletAddress.length !== 66) {
+      return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+    
+    const status = await autoRebalancer.resetCircuitBreakers(walletAddress);
+    res.json(status);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auto-rebalance/execute
+ * @desc    Execute auto-rebalance immediately
+ *          (a retry with the same Idempotency-Key header replays the first response)
+ * @access  Public (but should be authenticated in production)
+ */
+router.post('/auto-rebalance/execute', idempotency(), async (req, res, next) => {
+  try {
+    const { walletAddress, force = false, wait = true } = req.body;
+    
+    if (!walletAddress) {
+      return res.status(400).json({ error: 'Wallet address is required' });
+    }
+    
+    const result = await autoRebalancer.executeRebalance(walletAddress, { force, wait });
+    res.status(wait ? 200 : 202).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auto-rebalance/preview
+ * @desc    Dry-run a rebalance and return the full plan without executing it
+ * @access  Public (but should be authenticated in production)
+ */
+router.post('/auto-rebalance/preview', async (req, res, next) => {
+  try {
+    const { walletAddress, riskProfile } = req.body;
+    
+    if (!walletAddress) {
+      return res.status(400).json({ error: 'Wallet address is required' });
+    }
+    
+    const plan = await autoRebalancer.previewRebalance(walletAddress, { riskProfile });
+    res.json(plan);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auto-rebalance/backtest
+ * @desc    Replay stored prices and APRs to compare rebalance parameter sets
+ * @access  Public (but should be authenticated in production)
+ */
+router.post('/auto-rebalance/backtest', async (req, res, next) => {
+  try {
+    const {
+      startDate,
+      endDate,
+      days,
+      initialValueUSD,
+      riskProfile,
+      allocation,
+      walletAddress,
+      parameterSets
+    } = req.body;
+    
+    if (parameterSets !== undefined && !Array.isArray(parameterSets)) {
+      return res.status(400).json({ error: 'parameterSets must be an array' });
+    }
+    
+    if (initialValueUSD !== undefined && !(parseFloat(initialValueUSD) > 0)) {
+      return res.status(400).json({ error: 'initialValueUSD must be a positive number' });
+    }
+    
+    const results = await rebalanceBacktester.runBacktest({
+      startDate,
+      endDate,
+      days: days ? Math.min(parseInt(days) || 30, 90) : undefined,
+      initialValueUSD: initialValueUSD ? parseFloat(initialValueUSD) : undefined,
+      riskProfile,
+      allocation,
+      walletAddress,
+      parameterSets
+    });
+    
+    res.json(results);
+  } catch (error) {
+    if (error.code === 'invalid_parameters') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'insufficient_data') {
+      return res.status(422).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/auto-rebalance/jobs
+ * @desc    List queued, running, completed and failed rebalance jobs
+ * @access  Public (but should be authenticated in production)
+ */
+router.get('/auto-rebalance/jobs', (req, res, next) => {
+  try {
+    const { status, walletAddress } = req.query;
+    const validStatuses = ['queued', 'running', 'completed', 'failed'];
+    
+    if (status && !validStatuses.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Expected one of: ${validStatuses.join(', ')}` });
+    }
+    
+    res.json({
+      ...autoRebalancer.getRebalanceJobs({ status, walletAddress }),
+      lastUpdated: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/auto-rebalance/jobs/:jobId
+ * @desc    Get a single rebalance job
+ * @access  Public (but should be authenticated in production)
+ */
+router.get('/auto-rebalance/jobs/:jobId', (req, res, next) => {
+  try {
+    const job = autoRebalancer.getRebalanceJob(req.params.jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Rebalance job not found' });
+    }
+    
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/admin/kill-switch
+ * @desc    Get the platform-wide automation kill switch
+ * @access  Admin
+ */
+router.get('/admin/kill-switch', requireAdmin, (req, res, next) => {
+  try {
+    res.json(autoRebalancer.getKillSwitch());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/admin/kill-switch
+ * @desc    Engage or release the kill switch that pauses all automated rebalancing
+ * @access  Admin
+ */
+router.post('/admin/kill-switch', requireAdmin, async (req, res, next) => {
+  try {
+    const { engaged, reason } = req.body;
+    
+    if (typeof engaged !== 'boolean') {
+      return res.status(400).json({ error: 'engaged must be true or false' });
+    }
+    
+    const killSwitch = await autoRebalancer.setKillSwitch(engaged, {
+      reason,
+      changedBy: req.user.address || req.user.email || req.user.id
+    });
+    res.json(killSwitch);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/admin/sponsor/ledger
+ * @desc    Report the gas the platform sponsor paid, grouped by day, wallet, tier, function or protocol
+ * @access  Admin
+ */
+router.get('/admin/sponsor/ledger', requireAdmin, async (req, res, next) => {
+  try {
+    const { from, to, groupBy = 'day', walletAddress } = req.query;
+    const range = { from: from ? new Date(from) : undefined, to: to ? new Date(to) : undefined };
+    
+    if ([range.from, range.to].some(date => date && isNaN(date.getTime()))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    
+    res.json(await transactionManager.getSponsorReport({ ...range, groupBy, walletAddress }));
+  } catch (error) {
+    if (TRANSACTION_ERROR_STATUS[error.code]) {
+      return res.status(TRANSACTION_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
     next(error);
   }
 });
@@ -139,7 +139,7 @@ router.get('/:address/nfts', async (req, res) => {
 router.post('/:address/simulate-transaction', async (req, res) => {
   try {
     const { address } = req.params;
-    const { transaction } = req.body;
+    const { transaction, publicKey, gasTier } = req.body;
     
     if (!address || !address.startsWith('0x') || address.length !== 66) {
       return res.status(400).json({ error: 'Invalid wallet address format' });
@@ -149,18 +149,26 @@ router.post('/:address/simulate-transaction', async (req, res) => {
       return res.status(400).json({ error: 'Transaction payload is required' });
     }
     
-    // Simulate transaction
-    const result = await transactionManager.simulateTransaction(transaction, address);
+    // Simulate transaction at the chosen gas tier
+    const result = await transactionManager.simulateTransaction(transaction, address, { publicKey, gasTier });
     
     res.json({
       address,
       success: result.success,
-      gasEstimate: result.gas_used,
-      vmStatus: result.vm_status,
-      changes: result.changes,
+      gasEstimate: result.maxGasAmount,
+      gasUsed: result.gasUsed,
+      gasUnitPrice: result.gasUnitPrice,
+      gasTier: result.gasTier,
+      gasFeeAPT: result.gasFeeAPT,
+      vmStatus: result.vmStatus,
+      abort: result.abort,
+      balanceChanges: result.balanceChanges,
       simulationTimestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error.code === 'invalid_gas_tier') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error simulating transaction:', error);
     res.status(500).json({ error: 'Failed to simulate transaction' });
   }
@@ -0,0 +1,168 @@
+/**
+ * memoryStore.js
+ *
+ * In-memory persistence for Mongoose models in end-to-end tests
+ * Documents keep their schema defaults, casting and methods; only reads and writes
+ * go to an array instead of MongoDB, so flows run without a database.
+ *
+ * Supports save, create, find, findOne, findById, exists and countDocuments with
+ * equality on dotted paths (matching any element of arrays) and the operators
+ * $in, $nin, $ne, $gt, $gte, $lt, $lte, $exists, $or, $nor and $and.
+ */
+
+const mongoose = require('mongoose');
+
+// Unmocked queries fail at once instead of waiting for a connection that never comes
+mongoose.set('bufferCommands', false);
+
+/**
+ * Read every value at a dotted path, descending into arrays
+ * @param {*} value - Plain object
+ * @param {Array<string>} keys - Path segments
+ * @returns {Array} Values found
+ */
+function readPath(value, keys) {
+  if (keys.length === 0) return Array.isArray(value) ? [value, ...value] : [value];
+  if (Array.isArray(value)) return value.flatMap(item => readPath(item, keys));
+  if (value === null || value === undefined) return [undefined];
+  return readPath(value[keys[0]], keys.slice(1));
+}
+
+/**
+ * Compare two stored values (ObjectIds and dates compare by value)
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {number} Negative, zero or positive
+ */
+function compare(a, b) {
+  const normalize = value => {
+    if (value instanceof Date) return value.getTime();
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    return value;
+  };
+  const [x, y] = [normalize(a), normalize(b)];
+  if (x === y) return 0;
+  return x < y ? -1 : 1;
+}
+
+/**
+ * Check one path's values against a query condition
+ * @param {Array} values - Values at the path
+ * @param {*} condition - Value or operator object
+ * @returns {boolean} True when a value matches
+ */
+function matchCondition(values, condition) {
+  const isOperator = condition && typeof condition === 'object' && !(condition instanceof Date) &&
+    !(condition instanceof mongoose.Types.ObjectId) && Object.keys(condition).some(key => key.startsWith('$'));
+
+  if (!isOperator) {
+    return values.some(value => value !== undefined && compare(value, condition) === 0) ||
+      (condition === null && values.every(value => value === undefined || value === null));
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    const defined = values.filter(value => value !== undefined && value !== null);
+    switch (operator) {
+      case '$in': return operand.some(item => matchCondition(values, item));
+      case '$nin': return !operand.some(item => matchCondition(values, item));
+      case '$ne': return !matchCondition(values, operand);
+      case '$gt': return defined.some(value => compare(value, operand) > 0);
+      case '$gte': return defined.some(value => compare(value, operand) >= 0);
+      case '$lt': return defined.some(value => compare(value, operand) < 0);
+      case '$lte': return defined.some(value => compare(value, operand) <= 0);
+      case '$exists': return (defined.length > 0) === Boolean(operand);
+      default: throw new Error(`memoryStore does not support ${operator}`);
+    }
+  });
+}
+
+/**
+ * Check a document against a query
+ * @param {Object} doc - Plain document
+ * @param {Object} query - MongoDB query
+ * @returns {boolean} True when every condition holds
+ */
+function matches(doc, query = {}) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$or') return condition.some(clause => matches(doc, clause));
+    if (key === '$nor') return !condition.some(clause => matches(doc, clause));
+    if (key === '$and') return condition.every(clause => matches(doc, clause));
+    return matchCondition(readPath(doc, key.split('.')), condition);
+  });
+}
+
+/**
+ * Wrap results in the chainable, awaitable shape of a Mongoose query
+ * @param {Array<Object>} results - Matching documents
+ * @param {boolean} single - Resolve to the first result instead of the list
+ * @returns {Object} Query
+ */
+function createQuery(results, single) {
+  let lean = false;
+  let limit = Infinity;
+  const query = {
+    sort(spec) {
+      const [field, direction] = typeof spec === 'string' ?
+        [spec.replace(/^-/, ''), spec.startsWith('-') ? -1 : 1] :
+        Object.entries(spec)[0];
+      const keys = field.split('.');
+      results.sort((a, b) => compare(readPath(a.toObject(), keys)[0], readPath(b.toObject(), keys)[0]) * direction);
+      return query;
+    },
+    limit(count) {
+      limit = count;
+      return query;
+    },
+    skip(count) {
+      results = results.slice(count);
+      return query;
+    },
+    lean() {
+      lean = true;
+      return query;
+    },
+    select: () => query,
+    populate: () => query,
+    session: () => query,
+    async exec() {
+      const found = results.slice(0, limit).map(doc => lean ? doc.toObject() : doc);
+      return single ? found[0] || null : found;
+    },
+    then(resolve, reject) {
+      return query.exec().then(resolve, reject);
+    }
+  };
+  return query;
+}
+
+/**
+ * Keep a model's documents in memory for the rest of the test file
+ * @param {Model} Model - Mongoose model
+ * @returns {Array<Object>} Saved documents (shared with the model)
+ */
+function useMemoryStore(Model) {
+  const docs = [];
+  const find = query => docs.filter(doc => matches(doc.toObject(), query));
+
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+    if (!docs.includes(this)) docs.push(this);
+    return this;
+  });
+  jest.spyOn(Model, 'create').mockImplementation(async data => Array.isArray(data) ?
+    Promise.all(data.map(item => new Model(item).save())) :
+    new Model(data).save());
+  jest.spyOn(Model, 'find').mockImplementation(query => createQuery(find(query), false));
+  jest.spyOn(Model, 'findOne').mockImplementation(query => createQuery(find(query), true));
+  jest.spyOn(Model, 'findById').mockImplementation(id => createQuery(find({ _id: String(id) }), true));
+  jest.spyOn(Model, 'exists').mockImplementation(async query => {
+    const [doc] = find(query);
+    return doc ? { _id: doc._id } : null;
+  });
+  jest.spyOn(Model, 'countDocuments').mockImplementation(async query => find(query).length);
+
+  return docs;
+}
+
+module.exports = {
+  useMemoryStore
+};
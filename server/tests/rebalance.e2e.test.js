@@ -0,0 +1,195 @@
+/**
+ * rebalance.e2e.test.js
+ *
+ * End-to-end rebalance on the fake chain: a seeded wallet is rebalanced, the
+ * prepared strategy is signed and submitted as the wallet would, and the poller
+ * confirms it, so every step from the plan to the settled event runs for real.
+ * MongoDB is replaced by in-memory models; market data and the AI recommendation
+ * are fixed, since those come from third-party APIs.
+ */
+
+const path = require('path');
+
+process.env.FAKE_CHAIN = 'true';
+process.env.FAKE_CHAIN_SCENARIO = path.join(__dirname, 'scenarios', 'idle-apt.json');
+
+jest.mock('../modules/ai_recommendation', () => ({
+  generateRecommendation: jest.fn()
+}));
+jest.mock('../modules/staking_optimizer', () => ({
+  getStakingData: jest.fn(async () => ({ protocols: {} }))
+}));
+jest.mock('../modules/volatility_service', () => ({
+  getPortfolioVolatility: jest.fn(async () => ({ available: true, volatility: 1, assets: [], measuredAt: new Date() }))
+}));
+jest.mock('../modules/notification_system', () => ({
+  createRebalanceNotification: jest.fn(async () => {}),
+  createTransactionNotification: jest.fn(async () => {})
+}));
+jest.mock('../utils/marketDataUtils', () => ({
+  ...jest.requireActual('../utils/marketDataUtils'),
+  getAptPrice: jest.fn(async () => 10)
+}));
+
+const { U64 } = require('@aptos-labs/ts-sdk');
+const { useMemoryStore } = require('./helpers/memoryStore');
+const Transaction = require('../models/transaction');
+const RebalanceEvent = require('../models/rebalanceEvent');
+const RebalanceSettings = require('../models/rebalanceSettings');
+const RebalanceProposal = require('../models/rebalanceProposal');
+const PlatformControl = require('../models/platformControl');
+const Delegation = require('../models/delegation');
+const aiRecommendation = require('../modules/ai_recommendation');
+const transactionManager = require('../modules/transaction_manager');
+const transactionPoller = require('../modules/transaction_poller');
+const autoRebalancer = require('../modules/auto_rebalancer');
+const { FakeChain, getFakeChain } = require('../modules/fake_chain');
+const protocols = require('../protocols');
+const { toOctas } = require('../protocols/helpers');
+
+// Wallet seeded by the scenario with 100 idle APT (and 20 APT lent on Aries for the script steps)
+const WALLET = '0x00000000000000000000000000000000000000000000000000000000000a11ce';
+
+// Signer the fake chain accepts for the wallet
+const walletSigner = { accountAddress: { toString: () => WALLET } };
+
+// Target that stakes most of the idle APT on Amnis
+const RECOMMENDATION = {
+  allocation: [
+    { protocol: 'native', product: 'APT', percentage: 40 },
+    { protocol: 'amnis', product: 'staking', percentage: 60, expectedApr: 9 }
+  ]
+};
+
+/**
+ * Sign and submit prepared transactions in order, reporting each hash as the client does
+ * @param {FakeChain} chain - Fake chain
+ * @param {Array<Object>} prepared - [{ transactionId, bcs }]
+ * @returns {Promise<Array<string>>} Submitted hashes
+ */
+async function signAndSubmit(chain, prepared) {
+  const hashes = [];
+  for (const { transactionId, bcs } of prepared) {
+    const transaction = chain.deserializeTransaction(bcs);
+    const senderAuthenticator = chain.transaction.sign({ signer: walletSigner, transaction });
+    const { hash } = await chain.transaction.submit.simple({ transaction, senderAuthenticator });
+    await transactionManager.recordSubmission(WALLET, { hash, transactionId });
+    hashes.push(hash);
+  }
+  return hashes;
+}
+
+/**
+ * Let lifecycle listeners, which run detached from the poller, finish
+ */
+async function flushListeners() {
+  for (let i = 0; i < 20; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+describe('rebalance on the fake chain', () => {
+  let chain;
+  let transactions;
+  let events;
+
+  beforeAll(async () => {
+    transactions = useMemoryStore(Transaction);
+    events = useMemoryStore(RebalanceEvent);
+    [RebalanceSettings, RebalanceProposal, PlatformControl, Delegation].forEach(useMemoryStore);
+
+    aiRecommendation.generateRecommendation.mockResolvedValue(RECOMMENDATION);
+    await transactionManager.initialize();
+    chain = getFakeChain();
+  });
+
+  test('the transaction manager runs on the seeded fake chain', () => {
+    expect(transactionManager.aptosClient).toBeInstanceOf(FakeChain);
+    expect(chain.getBalance(WALLET)).toBe(100);
+  });
+
+  test('a rebalance goes from the seeded wallet to confirmed transactions and a completed event', async () => {
+    const result = await autoRebalancer.executeRebalance(WALLET, { force: true });
+
+    expect(result.awaitingSignature).toBe(true);
+    expect(result.failedOperations).toEqual([]);
+    expect(result.transactions.length).toBeGreaterThan(0);
+    expect(events[0].status).toBe('awaiting_signature');
+
+    const prepared = result.transactions.map(({ transactionId, transaction }) => ({ transactionId, bcs: transaction.bcs }));
+    const hashes = await signAndSubmit(chain, prepared);
+    await transactionPoller.poll();
+    await flushListeners();
+
+    expect(transactions.map(record => record.status)).toEqual(hashes.map(() => 'confirmed'));
+    expect(events[0].status).toBe('completed');
+    expect(events[0].operations.every(operation => operation.status === 'success')).toBe(true);
+
+    // The staked APT is on chain as Amnis stAPT
+    expect(chain.getBalance(WALLET)).toBeLessThan(50);
+    expect(chain.getBalance(WALLET, 'amnis')).toBeGreaterThan(40);
+  });
+
+  describe('with a Move script batching the steps', () => {
+    const script = {
+      name: 'aries_withdraw_amnis_stake',
+      description: 'Withdraw from Aries and stake the APT on Amnis',
+      steps: [{ protocol: 'aries', type: 'withdraw' }, { protocol: 'amnis', type: 'stake' }],
+      bytecode: { [protocols.getNetwork()]: '0xa11ce5c417' },
+      encode: contexts => contexts.map(context => new U64(toOctas(context.amount))),
+      decode: args => args.map(amount => ({ functionArguments: [amount] }))
+    };
+    const operations = [
+      { protocol: 'aries', type: 'withdraw', amount: 5 },
+      { protocol: 'amnis', type: 'stake', amount: 5 }
+    ];
+
+    beforeAll(() => {
+      protocols.registerScript(script);
+    });
+
+    afterAll(() => {
+      protocols.scripts.delete(script.name);
+      chain.clearBehaviors();
+    });
+
+    /**
+     * Prepare the batched strategy and take it to its final status
+     * @returns {Promise<Object>} Transaction record of the script
+     */
+    async function runScript() {
+      const strategy = await transactionManager.executeStrategy(WALLET, operations);
+      expect(strategy.mode).toBe('atomic');
+      expect(strategy.operations).toHaveLength(1);
+
+      const [{ result }] = strategy.operations;
+      await signAndSubmit(chain, [{ transactionId: result.transactionId, bcs: result.transaction.bcs }]);
+      await transactionPoller.poll();
+      return transactions.find(record => String(record._id) === String(result.transactionId));
+    }
+
+    test('runs every step in one transaction', async () => {
+      const before = chain.getAccountState(WALLET);
+      const staked = chain.getBalance(WALLET, 'amnis');
+      const record = await runScript();
+
+      expect(record.status).toBe('confirmed');
+      const after = chain.getAccountState(WALLET);
+      expect(after.deposits.aries).toBe(before.deposits.aries - BigInt(toOctas(5)));
+      expect(after.sequenceNumber).toBe(before.sequenceNumber + 1n);
+      expect(chain.getBalance(WALLET, 'amnis')).toBeCloseTo(staked + 5 / 1.05, 4);
+    });
+
+    test('rolls back every step when one aborts', async () => {
+      const before = chain.getAccountState(WALLET);
+      chain.addBehavior({ protocol: 'amnis', type: 'stake', abort: 'EPAUSED', on: 'submit', times: 1 });
+
+      const record = await runScript();
+
+      expect(record.status).toBe('failed');
+      const after = chain.getAccountState(WALLET);
+      expect(after.deposits.aries).toBe(before.deposits.aries);
+      expect(after.sequenceNumber).toBe(before.sequenceNumber + 1n);
+    });
+  });
+});
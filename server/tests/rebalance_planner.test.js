@@ -0,0 +1,314 @@
+/**
+ * rebalance_planner.test.js
+ *
+ * How the auto-rebalancer turns drift into operations: tolerance bands decide which
+ * positions breach, flows are netted into the fewest transfers, liquid staking tokens
+ * are swapped directly, and the plan is capped by value and operation count.
+ * Market data and the AI recommendation are never reached, since every input is given.
+ */
+
+jest.mock('../modules/ai_recommendation', () => ({
+  generateRecommendation: jest.fn()
+}));
+jest.mock('../modules/staking_optimizer', () => ({
+  getStakingData: jest.fn(async () => ({ protocols: {} }))
+}));
+jest.mock('../modules/volatility_service', () => ({
+  getPortfolioVolatility: jest.fn(async () => ({ available: true, volatility: 1, assets: [], measuredAt: new Date() }))
+}));
+jest.mock('../modules/notification_system', () => ({
+  createRebalanceNotification: jest.fn(async () => {}),
+  createTransactionNotification: jest.fn(async () => {})
+}));
+
+const autoRebalancer = require('../modules/auto_rebalancer');
+
+const APT_PRICE = 10;
+const GAS_UNIT_PRICE = 100;
+
+// Position type of every protocol the tests move funds between
+const PROTOCOL_TYPES = {
+  amnis: 'staking',
+  thala: 'staking',
+  ditto: 'staking',
+  abel: 'lending',
+  aries: 'lending',
+  echelon: 'lending',
+  joule: 'lending'
+};
+
+/**
+ * Resolve wallet settings over the platform defaults
+ * @param {Object} overrides - Settings to change
+ * @returns {Object} Settings
+ */
+function settingsWith(overrides = {}) {
+  return { ...autoRebalancer.settings, ...overrides };
+}
+
+/**
+ * Build flows as getRebalanceFlows returns them
+ * @param {Object} flows - Sources, sinks, spare sources and sinks, and native APT (USD)
+ * @returns {Object} Flows with every list and the native band filled in
+ */
+function flowsOf({ sources = [], sinks = [], spareSources = [], spareSinks = [], native = {} }) {
+  return {
+    sources,
+    sinks,
+    spareSources,
+    spareSinks,
+    native: { protocol: 'native', type: 'holding', currentUSD: 0, minUSD: 0, maxUSD: 1000, ...native }
+  };
+}
+
+/**
+ * Describe a position in a flow
+ * @param {string} protocol - Protocol name
+ * @param {string} type - Position type
+ * @param {number} amountUSD - Value to move
+ * @param {Object} extra - Extra fields such as swapOnly
+ * @returns {Object} Flow item
+ */
+function position(protocol, type, amountUSD, extra = {}) {
+  return { protocol, type, amountUSD, ...extra };
+}
+
+/**
+ * Describe a transfer as matchTransfers returns it
+ * @param {string} mode - swap, deposit, withdraw or route
+ * @param {string} from - Source protocol (native for deposits)
+ * @param {string} to - Sink protocol (native for withdrawals)
+ * @param {number} amountUSD - Value moved
+ * @returns {Object} Transfer
+ */
+function transfer(mode, from, to, amountUSD) {
+  const typeOf = protocol => protocol === 'native' ? 'holding' : PROTOCOL_TYPES[protocol];
+  return { from, fromType: typeOf(from), to, toType: typeOf(to), mode, amountUSD };
+}
+
+describe('auto-rebalancer planner', () => {
+  describe('tolerance bands', () => {
+    test.each([
+      ['default to ±minRebalanceThreshold', ['aries', 'lending', 20, {}], { lower: 5, upper: 5, min: 15, max: 25 }],
+      ['use the band of the position type', ['aries', 'lending', 20, { toleranceBands: { lending: { lower: 2, upper: 8 } } }], { lower: 2, upper: 8, min: 18, max: 28 }],
+      ['prefer the protocol band over the type band', ['Aries', 'lending', 20, { toleranceBands: { aries: { lower: 1, upper: 1 }, lending: { lower: 2, upper: 8 } } }], { lower: 1, upper: 1, min: 19, max: 21 }],
+      ['prefer the allocation item band over configured bands', ['aries', 'lending', 20, { toleranceBands: { aries: { lower: 1, upper: 1 } } }, { lower: 3, upper: 4 }], { lower: 3, upper: 4, min: 17, max: 24 }],
+      ['fall back to the default for a missing side', ['aries', 'lending', 20, { toleranceBands: { aries: { lower: 2 } } }], { lower: 2, upper: 5, min: 18, max: 25 }],
+      ['fall back to the default for invalid widths', ['aries', 'lending', 20, { toleranceBands: { aries: { lower: -1, upper: 'wide' } } }], { lower: 5, upper: 5, min: 15, max: 25 }],
+      ['clamp the lower edge at 0', ['aries', 'lending', 2, {}], { lower: 5, upper: 5, min: 0, max: 7 }],
+      ['clamp the upper edge at 100', ['aries', 'lending', 98, {}], { lower: 5, upper: 5, min: 93, max: 100 }]
+    ])('%s', (name, [protocol, type, target, overrides, itemBand], expected) => {
+      expect(autoRebalancer.getToleranceBand(protocol, type, target, settingsWith(overrides), itemBand)).toEqual(expected);
+    });
+
+    // 30% idle APT, 50% Amnis stAPT and 20% lent on Aries
+    const portfolio = {
+      totalValueUSD: 1000,
+      apt: { amount: 30, valueUSD: 300 },
+      stAPT: { amount: 50, valueUSD: 500 },
+      lendingPositions: [{ protocol: 'aries', amount: 20, valueUSD: 200 }]
+    };
+
+    const allocation = (amnis, aries, extra = []) => [
+      { protocol: 'native', product: 'APT', percentage: 30 },
+      { protocol: 'amnis', product: 'staking', percentage: amnis },
+      ...(aries === null ? [] : [{ protocol: 'aries', product: 'lending', percentage: aries }]),
+      ...extra
+    ];
+
+    test.each([
+      ['leave drift inside the default band alone', allocation(46, 24), {}, { native: false, amnis: false, aries: false }],
+      ['flag positions outside a narrower type band', allocation(46, 24), { staking: { lower: 2, upper: 2 } }, { native: false, amnis: true, aries: false }],
+      ['measure against the protocol band before the type band', allocation(46, 24), { staking: { lower: 2, upper: 2 }, amnis: { lower: 5, upper: 5 } }, { native: false, amnis: false, aries: false }],
+      ['measure against the allocation item band first', allocation(46, 24).map(item => item.protocol === 'amnis' ? { ...item, band: { lower: 1, upper: 1 } } : item), { amnis: { lower: 5, upper: 5 } }, { native: false, amnis: true, aries: false }],
+      ['measure held positions missing from the target against 0', allocation(70, null), {}, { native: false, amnis: true, aries: true }],
+      ['measure targets not yet held from 0', allocation(50, 10, [{ protocol: 'echelon', product: 'Lending', percentage: 10 }]), {}, { native: false, amnis: false, aries: true, echelon: true }]
+    ])('%s', (name, items, toleranceBands, expected) => {
+      const drift = autoRebalancer.calculateDrift(portfolio, { allocation: items }, settingsWith({ toleranceBands }));
+
+      const outOfBand = Object.fromEntries(drift.drifts.map(item => [item.protocol, item.outOfBand]));
+      const breaches = Object.values(expected).filter(Boolean).length;
+      expect(outOfBand).toEqual(expected);
+      expect(drift.breaches).toBe(breaches);
+      expect(drift.needsRebalancing).toBe(breaches > 0);
+    });
+  });
+
+  describe('matchTransfers', () => {
+    test.each([
+      [
+        'routes a breaching source straight into a breaching sink',
+        { sources: [position('aries', 'lending', 300)], sinks: [position('echelon', 'lending', 300)] },
+        [transfer('route', 'aries', 'echelon', 300)]
+      ],
+      [
+        'funds deposits from idle native APT before withdrawing',
+        {
+          native: { currentUSD: 500, minUSD: 200, maxUSD: 600 },
+          sources: [position('echelon', 'lending', 100)],
+          sinks: [position('aries', 'lending', 400)]
+        },
+        [transfer('deposit', 'native', 'aries', 300), transfer('route', 'echelon', 'aries', 100)]
+      ],
+      [
+        'refills native APT below its band',
+        { native: { currentUSD: 0, minUSD: 100, maxUSD: 300 }, sources: [position('aries', 'lending', 80)] },
+        [transfer('withdraw', 'aries', 'native', 80)]
+      ],
+      [
+        'leaves in-band positions alone while breaching sources cover the sinks',
+        {
+          sources: [position('aries', 'lending', 300)],
+          spareSources: [position('echelon', 'lending', 150)],
+          sinks: [position('joule', 'lending', 200)]
+        },
+        [transfer('route', 'aries', 'joule', 200), transfer('withdraw', 'aries', 'native', 100)]
+      ],
+      [
+        'draws on in-band positions above target once breaching sources run out',
+        {
+          sources: [position('aries', 'lending', 100)],
+          spareSources: [position('echelon', 'lending', 150)],
+          sinks: [position('joule', 'lending', 200)]
+        },
+        [transfer('route', 'aries', 'joule', 100), transfer('route', 'echelon', 'joule', 100)]
+      ],
+      [
+        'fills native APT to its band, then in-band positions below target, and keeps the rest in native APT',
+        {
+          native: { currentUSD: 0, minUSD: 0, maxUSD: 100 },
+          sources: [position('aries', 'lending', 300)],
+          spareSinks: [position('joule', 'lending', 150)]
+        },
+        [transfer('withdraw', 'aries', 'native', 100), transfer('route', 'aries', 'joule', 150), transfer('withdraw', 'aries', 'native', 50)]
+      ],
+      [
+        'deploys native APT above its band into in-band positions below target',
+        { native: { currentUSD: 500, minUSD: 0, maxUSD: 300 }, spareSinks: [position('joule', 'lending', 400)] },
+        [transfer('deposit', 'native', 'joule', 200)]
+      ],
+      [
+        'swaps a liquid staking token directly into another',
+        { sources: [position('amnis', 'staking', 200, { swapOnly: true })], sinks: [position('thala', 'staking', 150)] },
+        [transfer('swap', 'amnis', 'thala', 150)]
+      ],
+      [
+        'never unstakes preserved staked positions',
+        { sources: [position('amnis', 'staking', 200, { swapOnly: true })], sinks: [position('aries', 'lending', 100)] },
+        []
+      ],
+      [
+        'swaps into staking sinks and unstakes for the rest when staked positions are not preserved',
+        {
+          sources: [position('amnis', 'staking', 200, { swapOnly: false })],
+          sinks: [position('thala', 'staking', 100), position('aries', 'lending', 100)]
+        },
+        [transfer('swap', 'amnis', 'thala', 100), transfer('route', 'amnis', 'aries', 100)]
+      ]
+    ])('%s', (name, flows, expected) => {
+      const transfers = autoRebalancer.matchTransfers(flowsOf(flows), settingsWith(), GAS_UNIT_PRICE, APT_PRICE);
+      expect(transfers).toEqual(expected);
+    });
+
+    test.each([
+      ['small', 1],
+      ['large', 100000]
+    ])('a direct swap beats unstaking and restaking a %s amount', (size, amountUSD) => {
+      expect(autoRebalancer.isDirectSwapCheaper(amountUSD, settingsWith(), GAS_UNIT_PRICE, APT_PRICE)).toBe(true);
+    });
+  });
+
+  describe('selectTransfers', () => {
+    // Each route needs a withdrawal and a deposit unless another transfer already made them
+    const transfers = [
+      transfer('route', 'aries', 'joule', 300),
+      transfer('route', 'echelon', 'joule', 200),
+      transfer('withdraw', 'abel', 'native', 100),
+      transfer('swap', 'amnis', 'thala', 50)
+    ];
+
+    test.each([
+      [6, [300, 200, 100, 50]],
+      [5, [300, 200, 100, 50]],
+      [4, [300, 200, 100]],
+      [3, [300, 200]],
+      [2, [300]],
+      [1, [100]],
+      [0, []]
+    ])('keeps the largest transfers within %i operations', (maxOperations, expected) => {
+      const selected = autoRebalancer.selectTransfers(transfers, maxOperations);
+      expect(selected.map(item => item.amountUSD)).toEqual(expected);
+    });
+  });
+
+  describe('buildOperations', () => {
+    test('aggregates transfers into withdrawals, swaps, deposits and deposits awaiting unbonding', () => {
+      const operations = autoRebalancer.buildOperations([
+        transfer('withdraw', 'aries', 'native', 100),
+        transfer('route', 'aries', 'joule', 200),
+        transfer('route', 'amnis', 'echelon', 300),
+        transfer('swap', 'ditto', 'thala', 50),
+        transfer('deposit', 'native', 'abel', 20)
+      ], APT_PRICE);
+
+      expect(operations).toEqual([
+        expect.objectContaining({ protocol: 'aries', type: 'withdraw', amount: '30.0000', amountUSD: '300.00' }),
+        expect.objectContaining({ protocol: 'amnis', type: 'unstake', amount: '30.0000', amountUSD: '300.00', unbondingPeriod: 14 * 24 * 60 * 60 * 1000 }),
+        expect.objectContaining({
+          protocol: 'liquidswap',
+          type: 'swap',
+          amount: '5.0000',
+          fromProtocol: 'ditto',
+          toProtocol: 'thala',
+          fromToken: 'dAPT',
+          toToken: 'sthAPT'
+        }),
+        expect.objectContaining({ protocol: 'joule', type: 'lend', amount: '20.0000' }),
+        expect.objectContaining({ protocol: 'abel', type: 'lend', amount: '2.0000' }),
+        expect.objectContaining({ protocol: 'echelon', type: 'lend', amount: '30.0000', awaitsUnbonding: true })
+      ]);
+      expect(operations.every(operation => operation.contractAddress && operation.functionName)).toBe(true);
+      expect(operations[0].awaitsUnbonding).toBeUndefined();
+    });
+  });
+
+  describe('generateRebalanceOperations', () => {
+    /**
+     * Portfolio of 10% idle APT and 90% lent on Aries, scaled to a total value
+     * @param {number} totalValueUSD - Total portfolio value
+     * @returns {Object} Portfolio data
+     */
+    function portfolioOf(totalValueUSD) {
+      return {
+        address: '0x' + 'a'.repeat(64),
+        totalValueUSD,
+        apt: { amount: totalValueUSD * 0.1 / APT_PRICE, valueUSD: totalValueUSD * 0.1 },
+        lendingPositions: [{ protocol: 'aries', amount: totalValueUSD * 0.9 / APT_PRICE, valueUSD: totalValueUSD * 0.9 }]
+      };
+    }
+
+    // Move the Aries deposit to Echelon
+    const recommendation = {
+      allocation: [
+        { protocol: 'native', product: 'APT', percentage: 10 },
+        { protocol: 'echelon', product: 'lending', percentage: 90 }
+      ]
+    };
+
+    test.each([
+      ['moves breaching positions to the nearest band edge', 1000, 1, { withdraw: '850.00', lend: '850.00' }],
+      ['scales the plan down to maxPortionToRebalance', 1000, 0.5, { withdraw: '472.22', lend: '472.22' }],
+      ['drops transfers below the minimum operation amount', 1, 1, { withdraw: '0.80', lend: '0.80' }]
+    ])('%s', async (name, totalValueUSD, maxPortionToRebalance, expected) => {
+      const operations = await autoRebalancer.generateRebalanceOperations(portfolioOf(totalValueUSD), recommendation, {
+        settings: settingsWith({ maxPortionToRebalance }),
+        gasUnitPrice: GAS_UNIT_PRICE
+      });
+
+      expect(operations.map(({ protocol, type, amountUSD }) => ({ protocol, type, amountUSD }))).toEqual([
+        { protocol: 'aries', type: 'withdraw', amountUSD: expected.withdraw },
+        { protocol: 'echelon', type: 'lend', amountUSD: expected.lend }
+      ]);
+    });
+  });
+});
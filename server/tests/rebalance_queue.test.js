@@ -0,0 +1,247 @@
+/**
+ * rebalance_queue.test.js
+ *
+ * Worker pool and per-wallet locking, retry backoff and pruning of finished jobs,
+ * with a processor the tests settle by hand.
+ */
+
+const { RebalanceQueue, JOB_STATUS } = require('../modules/rebalance_queue');
+
+const ALICE = '0x' + 'a'.repeat(64);
+const BOB = '0x' + 'b'.repeat(64);
+
+/**
+ * Create a promise with its resolve and reject functions
+ * @returns {Object} { promise, resolve, reject }
+ */
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+/**
+ * Processor whose attempts stay running until the test settles them
+ * @returns {Function} Processor with the pending attempts in processor.attempts
+ */
+function manualProcessor() {
+  const processor = jest.fn(job => {
+    const attempt = deferred();
+    processor.attempts.push({ job, ...attempt });
+    return attempt.promise;
+  });
+  processor.attempts = [];
+  return processor;
+}
+
+/**
+ * Create an error as the rebalancer throws them
+ * @param {string} message - Error message
+ * @param {boolean} retryable - Whether a retry can succeed
+ * @returns {Error} Error
+ */
+function failure(message, retryable) {
+  return Object.assign(new Error(message), retryable === undefined ? {} : { retryable });
+}
+
+describe('RebalanceQueue', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: Date.parse('2026-10-19T12:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('requires a processor', () => {
+    expect(() => new RebalanceQueue()).toThrow('A job processor function is required');
+  });
+
+  describe('per-wallet lock', () => {
+    test('runs one job per wallet at a time, in order', async () => {
+      const processor = manualProcessor();
+      const queue = new RebalanceQueue({ processor, concurrency: 4 });
+
+      const first = queue.enqueue(ALICE, { run: 1 });
+      const second = queue.enqueue(ALICE, { run: 2 });
+
+      expect(processor).toHaveBeenCalledTimes(1);
+      expect(queue.getJob(second.job.id).status).toBe(JOB_STATUS.QUEUED);
+      expect(queue.hasPendingJob(ALICE)).toBe(true);
+
+      processor.attempts[0].resolve({ eventId: 'event-1' });
+      await expect(first.promise).resolves.toEqual({ eventId: 'event-1' });
+
+      expect(processor).toHaveBeenCalledTimes(2);
+      expect(processor.attempts[1].job.options).toEqual({ run: 2 });
+      expect(queue.getJob(first.job.id)).toMatchObject({ status: JOB_STATUS.COMPLETED, eventId: 'event-1' });
+
+      processor.attempts[1].resolve({});
+      await second.promise;
+      expect(queue.hasPendingJob(ALICE)).toBe(false);
+    });
+
+    test('a locked wallet does not block other wallets', () => {
+      const processor = manualProcessor();
+      const queue = new RebalanceQueue({ processor, concurrency: 2 });
+
+      queue.enqueue(ALICE);
+      queue.enqueue(ALICE);
+      queue.enqueue(BOB);
+
+      expect(processor.attempts.map(({ job }) => job.walletAddress)).toEqual([ALICE, BOB]);
+      expect(queue.getStats()).toMatchObject({ queued: 1, running: 2, activeWorkers: 2 });
+    });
+
+    test('never runs more jobs than the concurrency', async () => {
+      const processor = manualProcessor();
+      const queue = new RebalanceQueue({ processor, concurrency: 1 });
+
+      const alice = queue.enqueue(ALICE);
+      queue.enqueue(BOB);
+      expect(processor).toHaveBeenCalledTimes(1);
+
+      processor.attempts[0].resolve({});
+      await alice.promise;
+      expect(processor).toHaveBeenCalledTimes(2);
+      expect(processor.attempts[1].job.walletAddress).toBe(BOB);
+    });
+
+    test('a failed job releases the wallet', async () => {
+      const processor = manualProcessor();
+      const queue = new RebalanceQueue({ processor });
+
+      const first = queue.enqueue(ALICE);
+      queue.enqueue(ALICE);
+
+      processor.attempts[0].reject(failure('boom'));
+      await expect(first.promise).rejects.toThrow('boom');
+      expect(processor).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('retries', () => {
+    test('back off exponentially from the retry delay', async () => {
+      const processor = manualProcessor();
+      const queue = new RebalanceQueue({ processor });
+      const retrying = jest.fn();
+      queue.on('retrying', retrying);
+
+      const { job, promise } = queue.enqueue(ALICE, {}, { retryAttempts: 3, retryDelay: 1000 });
+
+      // Attempt n + 1 starts retryDelay * 2^(n - 1) after attempt n fails
+      for (const [attempt, backoff] of [[1, 1000], [2, 2000], [3, 4000]]) {
+        processor.attempts[attempt - 1].reject(failure(`attempt ${attempt} failed`));
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(queue.getJob(job.id)).toMatchObject({
+          status: JOB_STATUS.QUEUED,
+          attempts: attempt,
+          nextRunAt: new Date(Date.now() + backoff).toISOString(),
+          lastError: `attempt ${attempt} failed`
+        });
+
+        await jest.advanceTimersByTimeAsync(backoff - 1);
+        expect(processor).toHaveBeenCalledTimes(attempt);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(processor).toHaveBeenCalledTimes(attempt + 1);
+      }
+
+      processor.attempts[3].resolve({ eventId: 'event-4' });
+      await expect(promise).resolves.toEqual({ eventId: 'event-4' });
+      expect(retrying).toHaveBeenCalledTimes(3);
+      expect(queue.getJob(job.id)).toMatchObject({ status: JOB_STATUS.COMPLETED, attempts: 4, maxAttempts: 4 });
+    });
+
+    test('fail the job once attempts run out', async () => {
+      const processor = manualProcessor();
+      const queue = new RebalanceQueue({ processor });
+      const failed = jest.fn();
+      queue.on('failed', failed);
+
+      const { job, promise } = queue.enqueue(ALICE, {}, { retryAttempts: 1, retryDelay: 500 });
+
+      processor.attempts[0].reject(failure('first'));
+      await jest.advanceTimersByTimeAsync(500);
+      processor.attempts[1].reject(failure('second'));
+
+      await expect(promise).rejects.toThrow('second');
+      expect(processor).toHaveBeenCalledTimes(2);
+      expect(failed).toHaveBeenCalledWith(expect.objectContaining({ id: job.id, status: JOB_STATUS.FAILED, attempts: 2 }));
+    });
+
+    test('stop at once when the error is not retryable', async () => {
+      const processor = manualProcessor();
+      const queue = new RebalanceQueue({ processor });
+
+      const { job, promise } = queue.enqueue(ALICE, {}, { retryAttempts: 5, retryDelay: 1000 });
+      processor.attempts[0].reject(failure('kill switch engaged', false));
+
+      await expect(promise).rejects.toThrow('kill switch engaged');
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+      expect(processor).toHaveBeenCalledTimes(1);
+      expect(queue.getJob(job.id)).toMatchObject({ status: JOB_STATUS.FAILED, attempts: 1, lastError: 'kill switch engaged' });
+    });
+
+    test('let other jobs of the wallet run while a retry waits', async () => {
+      const processor = manualProcessor();
+      const queue = new RebalanceQueue({ processor });
+
+      const retried = queue.enqueue(ALICE, { run: 1 }, { retryAttempts: 1, retryDelay: 1000 });
+      const next = queue.enqueue(ALICE, { run: 2 });
+
+      processor.attempts[0].reject(failure('busy'));
+      await jest.advanceTimersByTimeAsync(0);
+      expect(processor.attempts[1].job.options).toEqual({ run: 2 });
+
+      processor.attempts[1].resolve({});
+      await next.promise;
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(processor.attempts[2].job.id).toBe(retried.job.id);
+    });
+  });
+
+  describe('pruning', () => {
+    test('keeps the 200 most recently finished jobs', async () => {
+      const queue = new RebalanceQueue({ processor: async job => ({ eventId: job.options.index }), concurrency: 1 });
+
+      const jobs = [];
+      for (let index = 0; index < 205; index++) {
+        const { job, promise } = queue.enqueue(ALICE, { index });
+        jobs.push(job);
+        await promise;
+        jest.advanceTimersByTime(1);
+      }
+
+      expect(queue.getStats().completed).toBe(200);
+      expect(jobs.slice(0, 5).map(job => queue.getJob(job.id))).toEqual([null, null, null, null, null]);
+      expect(queue.getJob(jobs[5].id)).toMatchObject({ status: JOB_STATUS.COMPLETED, eventId: 5 });
+    });
+
+    test('never prunes unfinished jobs', async () => {
+      const processor = manualProcessor();
+      const queue = new RebalanceQueue({ processor, concurrency: 1 });
+
+      const running = queue.enqueue(ALICE);
+      const queued = queue.enqueue(BOB);
+      queue.pruneFinishedJobs();
+
+      expect(queue.listJobs().map(job => job.id).sort()).toEqual([running.job.id, queued.job.id].sort());
+    });
+  });
+
+  test('lists jobs newest first with filters', () => {
+    const queue = new RebalanceQueue({ processor: manualProcessor(), concurrency: 1 });
+
+    const alice = queue.enqueue(ALICE);
+    jest.advanceTimersByTime(1);
+    const bob = queue.enqueue(BOB);
+
+    expect(queue.listJobs().map(job => job.id)).toEqual([bob.job.id, alice.job.id]);
+    expect(queue.listJobs({ status: JOB_STATUS.QUEUED }).map(job => job.id)).toEqual([bob.job.id]);
+    expect(queue.listJobs({ walletAddress: ALICE }).map(job => job.id)).toEqual([alice.job.id]);
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * rebalance_scheduler.test.js
+ *
+ * Fire times of cron and calendar schedules, in UTC and across DST changes in named
+ * timezones, and how missed runs are caught up when a schedule is re-armed.
+ */
+
+const { RebalanceScheduler, CATCH_UP_POLICIES } = require('../modules/rebalance_scheduler');
+
+const scheduler = new RebalanceScheduler();
+
+/**
+ * List the next fire times of a schedule as ISO strings
+ * @param {Object} options - Schedule options for normalizeSpec
+ * @param {string} after - Instant to search from
+ * @param {number} count - Number of fire times
+ * @returns {Array<string>} Fire times
+ */
+function nextRuns(options, after, count = 3) {
+  const spec = scheduler.normalizeSpec(options);
+  return scheduler.getNextRuns(spec, count, Date.parse(after)).map(run => run.toISOString());
+}
+
+describe('cron expressions', () => {
+  test.each([
+    ['every 15 minutes', '*/15 * * * *', '2026-10-19T10:07:00Z', ['2026-10-19T10:15:00.000Z', '2026-10-19T10:30:00.000Z', '2026-10-19T10:45:00.000Z']],
+    ['ranges with steps', '0 8-12/2 * * *', '2026-10-19T09:00:00Z', ['2026-10-19T10:00:00.000Z', '2026-10-19T12:00:00.000Z', '2026-10-20T08:00:00.000Z']],
+    ['month and day names', '30 6 * JAN,JUL MON', '2026-10-19T00:00:00Z', ['2027-01-04T06:30:00.000Z', '2027-01-11T06:30:00.000Z', '2027-01-18T06:30:00.000Z']],
+    ['either day field when both are restricted', '0 0 1 * FRI', '2026-10-28T00:00:00Z', ['2026-10-30T00:00:00.000Z', '2026-11-01T00:00:00.000Z', '2026-11-06T00:00:00.000Z']],
+    ['macros', '@monthly', '2026-10-19T00:00:00Z', ['2026-11-01T00:00:00.000Z', '2026-12-01T00:00:00.000Z', '2027-01-01T00:00:00.000Z']]
+  ])('%s', (name, cron, after, expected) => {
+    expect(nextRuns({ cron }, after)).toEqual(expected);
+  });
+
+  test('L fires on the last day of every month', () => {
+    expect(nextRuns({ cron: '0 12 L * *' }, '2026-02-10T00:00:00Z', 4)).toEqual([
+      '2026-02-28T12:00:00.000Z',
+      '2026-03-31T12:00:00.000Z',
+      '2026-04-30T12:00:00.000Z',
+      '2026-05-31T12:00:00.000Z'
+    ]);
+    expect(nextRuns({ cron: '0 12 L 2 *' }, '2027-03-01T00:00:00Z', 1)).toEqual(['2028-02-29T12:00:00.000Z']);
+  });
+
+  test('day of week 7 is Sunday', () => {
+    expect(nextRuns({ cron: '0 9 * * 7' }, '2026-10-19T00:00:00Z', 2))
+      .toEqual(['2026-10-25T09:00:00.000Z', '2026-11-01T09:00:00.000Z']);
+    expect(nextRuns({ cron: '0 9 * * 5-7' }, '2026-10-19T00:00:00Z', 4)).toEqual([
+      '2026-10-23T09:00:00.000Z',
+      '2026-10-24T09:00:00.000Z',
+      '2026-10-25T09:00:00.000Z',
+      '2026-10-30T09:00:00.000Z'
+    ]);
+  });
+
+  test.each([
+    ['too few fields', '0 9 * *'],
+    ['out of range values', '0 24 * * *'],
+    ['unknown names', '0 9 * * FUNDAY'],
+    ['reversed ranges', '0 9 * * 5-1'],
+    ['invalid steps', '*/0 * * * *'],
+    ['dates that never come', '0 0 31 2 *']
+  ])('rejects %s', (name, cron) => {
+    expect(() => scheduler.normalizeSpec({ cron })).toThrow(expect.objectContaining({ code: 'invalid_schedule' }));
+  });
+
+  test('rejects unknown timezones and catch-up policies', () => {
+    expect(() => scheduler.normalizeSpec({ cron: '@daily', timezone: 'Mars/Olympus_Mons' }))
+      .toThrow(expect.objectContaining({ code: 'invalid_schedule' }));
+    expect(() => scheduler.normalizeSpec({ cron: '@daily', catchUp: 'sometimes' }))
+      .toThrow(expect.objectContaining({ code: 'invalid_schedule' }));
+  });
+});
+
+describe('timezones and DST', () => {
+  const newYork = cron => ({ cron, timezone: 'America/New_York' });
+
+  test('wall-clock times stay put across DST changes', () => {
+    expect(nextRuns(newYork('0 9 * * *'), '2026-03-07T00:00:00Z')).toEqual([
+      '2026-03-07T14:00:00.000Z', // EST
+      '2026-03-08T13:00:00.000Z', // EDT
+      '2026-03-09T13:00:00.000Z'
+    ]);
+    expect(nextRuns(newYork('0 9 * * *'), '2026-10-31T00:00:00Z')).toEqual([
+      '2026-10-31T13:00:00.000Z', // EDT
+      '2026-11-01T14:00:00.000Z', // EST
+      '2026-11-02T14:00:00.000Z'
+    ]);
+  });
+
+  test('a time skipped by spring forward runs just past the gap', () => {
+    // 02:30 does not exist on 8 March; it runs at 03:30 EDT, not an hour early
+    expect(nextRuns(newYork('30 2 * * *'), '2026-03-07T00:00:00Z')).toEqual([
+      '2026-03-07T07:30:00.000Z',
+      '2026-03-08T07:30:00.000Z',
+      '2026-03-09T06:30:00.000Z'
+    ]);
+  });
+
+  test('a time repeated by fall back runs once', () => {
+    expect(nextRuns(newYork('*/30 1 * * *'), '2026-10-31T12:00:00Z', 4)).toEqual([
+      '2026-11-01T05:00:00.000Z', // First 01:00, in EDT
+      '2026-11-01T05:30:00.000Z',
+      '2026-11-02T06:00:00.000Z',
+      '2026-11-02T06:30:00.000Z'
+    ]);
+  });
+
+  test('half-hour DST changes', () => {
+    // Lord Howe Island moves from UTC+10:30 to UTC+11 at 02:00 on 4 October 2026
+    expect(nextRuns({ cron: '15 2 * * *', timezone: 'Australia/Lord_Howe' }, '2026-10-02T00:00:00Z')).toEqual([
+      '2026-10-02T15:45:00.000Z',
+      '2026-10-03T15:45:00.000Z',
+      '2026-10-04T15:15:00.000Z'
+    ]);
+  });
+
+  test('calendar schedules use the timezone for the day too', () => {
+    // Monday 09:00 in Tokyo is Sunday 00:00 UTC
+    expect(nextRuns({ calendar: { frequency: 'weekly', time: '09:00', daysOfWeek: [1] }, timezone: 'Asia/Tokyo' }, '2026-10-19T00:00:00Z', 2))
+      .toEqual(['2026-10-26T00:00:00.000Z', '2026-11-02T00:00:00.000Z']);
+  });
+});
+
+describe('calendar schedules', () => {
+  test('skipWeekends moves daily runs past Saturday and Sunday', () => {
+    // Friday 23 October 2026, after the day's run
+    expect(nextRuns({ calendar: { frequency: 'daily', time: '10:00' }, skipWeekends: true }, '2026-10-23T11:00:00Z')).toEqual([
+      '2026-10-26T10:00:00.000Z',
+      '2026-10-27T10:00:00.000Z',
+      '2026-10-28T10:00:00.000Z'
+    ]);
+  });
+
+  test('skipWeekends drops monthly runs that fall on a weekend', () => {
+    // 31 October 2026 is a Saturday
+    expect(nextRuns({ calendar: { frequency: 'monthly', time: '08:00', daysOfMonth: ['last'] }, skipWeekends: true }, '2026-10-01T00:00:00Z', 2))
+      .toEqual(['2026-11-30T08:00:00.000Z', '2026-12-31T08:00:00.000Z']);
+  });
+
+  test('rejects invalid times and frequencies', () => {
+    expect(() => scheduler.normalizeSpec({ calendar: { time: '25:00' } })).toThrow('Calendar time must be HH:MM');
+    expect(() => scheduler.normalizeSpec({ calendar: { frequency: 'hourly' } })).toThrow('Unknown calendar frequency');
+  });
+});
+
+describe('catch-up', () => {
+  const hourly = catchUp => scheduler.normalizeSpec({ cron: '0 * * * *', catchUp });
+  const since = Date.parse('2026-10-19T00:30:00Z');
+  const until = Date.parse('2026-10-19T04:10:00Z');
+
+  test.each([
+    [CATCH_UP_POLICIES.SKIP, []],
+    [CATCH_UP_POLICIES.ONCE, ['2026-10-19T04:00:00.000Z']],
+    [CATCH_UP_POLICIES.ALL, ['2026-10-19T01:00:00.000Z', '2026-10-19T02:00:00.000Z', '2026-10-19T03:00:00.000Z', '2026-10-19T04:00:00.000Z']]
+  ])('%s', (catchUp, expected) => {
+    expect(scheduler.getMissedRuns(hourly(catchUp), since, until).map(run => run.toISOString())).toEqual(expected);
+  });
+
+  test('replays at most 10 missed runs', () => {
+    const missed = scheduler.getMissedRuns(hourly(CATCH_UP_POLICIES.ALL), since, Date.parse('2026-10-21T00:00:00Z'));
+    expect(missed).toHaveLength(10);
+    expect(missed[0].toISOString()).toBe('2026-10-19T01:00:00.000Z');
+  });
+
+  test('nothing is missed before the next fire time', () => {
+    expect(scheduler.getMissedRuns(hourly(CATCH_UP_POLICIES.ALL), since, Date.parse('2026-10-19T00:59:00Z'))).toEqual([]);
+  });
+
+  test('a one-off schedule created in the past runs once', () => {
+    const spec = scheduler.normalizeSpec({ runAt: '2026-10-19T01:00:00Z', catchUp: CATCH_UP_POLICIES.ONCE });
+    expect(scheduler.getMissedRuns(spec, Date.parse('2026-10-19T02:00:00Z'), until).map(run => run.toISOString()))
+      .toEqual(['2026-10-19T01:00:00.000Z']);
+  });
+
+  describe('when re-armed', () => {
+    let armed;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: until });
+      armed = new RebalanceScheduler();
+    });
+
+    afterEach(() => {
+      armed.cancel('wallet');
+      jest.useRealTimers();
+    });
+
+    test('runs missed fire times first, then the regular schedule', async () => {
+      const onFire = jest.fn(async () => {});
+      const result = armed.schedule('wallet', hourly(CATCH_UP_POLICIES.ALL), { anchor: since, lastRunAt: since }, onFire);
+
+      expect(result.catchUpRuns).toBe(4);
+      expect(onFire).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(onFire.mock.calls.map(([runAt, { catchUp }]) => [runAt.toISOString(), catchUp])).toEqual([
+        ['2026-10-19T01:00:00.000Z', true],
+        ['2026-10-19T02:00:00.000Z', true],
+        ['2026-10-19T03:00:00.000Z', true],
+        ['2026-10-19T04:00:00.000Z', true]
+      ]);
+      expect(armed.getStatus('wallet').nextRunAt).toBe('2026-10-19T05:00:00.000Z');
+
+      await jest.advanceTimersByTimeAsync(50 * 60 * 1000);
+      expect(onFire).toHaveBeenLastCalledWith(new Date('2026-10-19T05:00:00Z'), expect.objectContaining({ catchUp: false }));
+    });
+
+    test('skip arms the next run without replaying', async () => {
+      const onFire = jest.fn(async () => {});
+      const result = armed.schedule('wallet', hourly(CATCH_UP_POLICIES.SKIP), { anchor: since, lastRunAt: since }, onFire);
+
+      expect(result).toEqual({ nextRunAt: new Date('2026-10-19T05:00:00Z'), catchUpRuns: 0 });
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(onFire).not.toHaveBeenCalled();
+    });
+
+    test('a failing run does not stop the schedule', async () => {
+      const onFire = jest.fn(async () => {
+        throw new Error('rebalance failed');
+      });
+      armed.schedule('wallet', hourly(CATCH_UP_POLICIES.ONCE), { anchor: since, lastRunAt: since }, onFire);
+
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(onFire).toHaveBeenCalledTimes(1);
+      expect(armed.has('wallet')).toBe(true);
+      expect(armed.getStatus('wallet').lastRunAt).toBe('2026-10-19T04:00:00.000Z');
+    });
+  });
+});
@@ -5,6 +5,7 @@ const { Anthropic } = require('@anthropic-ai/sdk');
 const { OpenAI } = require('openai');
 const axios = require('axios');
 const { performance } = require('perf_hooks');
+const protocols = require('../protocols');
 
 // AI models configuration
 const AI_MODELS = {
@@ -586,16 +587,17 @@ function generateSupportedOperations(allocation, stakingData, totalAmount) {
     const protocolKey = item.protocol.toLowerCase();
     const contractAddress = stakingData.contracts ? 
                            stakingData.contracts[protocolKey] : 
-                           (stakingData.protocols?.[protocolKey]?.contractAddress || null);
+                           (stakingData.protocols?.[protocolKey]?.contractAddress || protocols.getAddress(protocolKey));
+    const operationType = determineOperationType(item.product);
     
     return {
       protocol: item.protocol,
-      operationType: determineOperationType(item.product),
+      operationType,
       amount: item.amount || ((parseFloat(item.percentage) / 100) * totalAmount).toFixed(2),
       contractAddress: contractAddress || 'unknown',
-      functionName: determineFunctionName(item.protocol, determineOperationType(item.product))
+      functionName: protocols.getFunctionName(item.protocol, operationType)
     };
-  }).filter(op => op.contractAddress !== 'unknown');
+  }).filter(op => op.contractAddress !== 'unknown' && op.functionName);
 }
 
 /**
@@ -624,69 +626,6 @@ function determineOperationType(product) {
   return 'stake'; // Default to staking
 }
 
-/**
- * Determine function name based on protocol and operation type
- * @param {String} protocol - Protocol name
- * @param {String} operationType - Operation type
- * @returns {String} Function name
- */
-function determineFunctionName(protocol, operationType) {
-  const functionMappings = {
-    'amnis': { 
-      'stake': '::staking::stake', 
-      'unstake': '::staking::unstake', 
-      'lend': '::lending::supply', 
-      'withdraw': '::lending::withdraw', 
-      'addLiquidity': '::router::add_liquidity', 
-      'removeLiquidity': '::router::remove_liquidity',
-      'swap': '::router::swap_exact_input'
-    },
-    'thala': { 
-      'stake': '::staking::stake_apt', 
-      'unstake': '::staking::unstake_apt', 
-      'lend': '::lending::supply_apt', 
-      'withdraw': '::lending::withdraw_apt', 
-      'addLiquidity': '::router::add_liquidity', 
-      'removeLiquidity': '::router::remove_liquidity',
-      'swap': '::router::swap_exact_input'
-    },
-    'tortuga': { 
-      'stake': '::staking::stake_apt', 
-      'unstake': '::staking::unstake_apt' 
-    },
-    'echo': { 
-      'lend': '::lending::supply',
-      'withdraw': '::lending::withdraw' 
-    },
-    'ditto': { 
-      'stake': '::staking::stake', 
-      'unstake': '::staking::unstake' 
-    },
-    'aries': { 
-      'lend': '::lending::supply', 
-      'withdraw': '::lending::withdraw' 
-    }
-  };
-
-  // Check for specific protocol function mapping
-  if (functionMappings[protocol.toLowerCase()]?.[operationType.toLowerCase()]) {
-    return functionMappings[protocol.toLowerCase()][operationType.toLowerCase()];
-  }
-
-  // Default function names by operation type
-  switch (operationType.toLowerCase()) {
-    case 'stake': return '::staking::stake';
-    case 'unstake': return '::staking::unstake';
-    case 'lend': return '::lending::supply';
-    case 'withdraw': return '::lending::withdraw';
-    case 'addliquidity': return '::router::add_liquidity';
-    case 'removeliquidity': return '::router::remove_liquidity';
-    case 'deposit': return '::yield::deposit';
-    case 'swap': return '::router::swap_exact_input';
-    default: return `::${operationType}::execute`;
-  }
-}
-
 module.exports = {
   generateAIResponse,
   extractJSON,
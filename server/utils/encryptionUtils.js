@@ -0,0 +1,59 @@
+// encryptionUtils.js
+// Utilities for encrypting secrets at rest: AES-256-GCM with a key from the configuration
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12; // 96-bit nonce recommended for GCM
+
+/**
+ * Read an encryption key
+ * @param {string} hexKey - 32-byte key as 64 hex characters
+ * @returns {Buffer} Key
+ */
+function readKey(hexKey) {
+  const key = Buffer.from(String(hexKey || '').replace(/^0x/, ''), 'hex');
+  if (key.length !== 32) {
+    throw new Error('Encryption key must be 32 bytes of hex');
+  }
+  return key;
+}
+
+/**
+ * Encrypt a secret
+ * @param {string} plaintext - Secret to encrypt
+ * @param {string} hexKey - 32-byte key as hex
+ * @returns {Object} { ciphertext, iv, tag } in base64, as stored
+ */
+function encryptSecret(plaintext, hexKey) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, readKey(hexKey), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    ciphertext: ciphertext.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64')
+  };
+}
+
+/**
+ * Decrypt a secret encrypted with encryptSecret
+ * @param {Object} encrypted - { ciphertext, iv, tag } in base64
+ * @param {string} hexKey - 32-byte key as hex
+ * @returns {string} Secret (throws when the key is wrong or the data was tampered with)
+ */
+function decryptSecret(encrypted, hexKey) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, readKey(hexKey), Buffer.from(encrypted.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted.ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret
+};
@@ -4,6 +4,7 @@
 const axios = require('axios');
 const { performance } = require('perf_hooks');
 const NodeCache = require('node-cache');
+const protocolRegistry = require('../protocols');
 
 // Initialize cache with default TTL of 5 minutes and check period of 120 seconds
 const dataCache = new NodeCache({ stdTTL: 300, checkperiod: 120 });
@@ -26,20 +27,6 @@ const API_ENDPOINTS = {
   APTOS_INDEXER: 'https://indexer.mainnet.aptoslabs.com/v1/graphql'
 };
 
-// Protocol address mapping
-const PROTOCOL_ADDRESSES = {
-  amnis: "0x111ae3e5bc816a5e63c2da97d0aa3886519e0cd5e4b046659fa35796bd11542a",
-  thala: "0xfaf4e633ae9eb31366c9ca24214231760926576c7b625313b3688b5e900731f6",
-  tortuga: "0x952c1b1fc8eb75ee80f432c9d0a84fcda1d5c7481501a7eca9199f1596a60b53",
-  ditto: "0xd11107bdf0d6d7040c6c0bfbdecb6545191fdf13e8d8d259952f53e1713f61b5",
-  aries: "0x9770fa9c725cbd97eb50b2be5f7416efdfd1f1554beb0750d4dae4c64e860da3",
-  echelon: "0xf8197c9fa1a397568a47b7a6c5a9b09fa97c8f29f9dcc347232c22e3b24b1f09",
-  echo: "0xeab7ea4d635b6b6add79d5045c4a45d8148d88287b1cfa1c3b6a4b56f46839ed",
-  pancakeswap: "0xc7efb4076dbe143cbcd98cfaaa929ecfc8f299203dfff63b95ccb6bfe19850fa",
-  liquidswap: "0x190d44266241744264b964a37b8f09863167a12d3e70cda39376cfb4e3561e12",
-  cetus: "0x27156bd56eb5637b9adde4d915b596f92d2f28f0ade2eaef48fa73e360e4e8a6"
-};
-
 /**
  * Fetch current price for Aptos (APT) and other tokens
  * @param {Array} tokenIds - Array of token IDs (e.g., ["aptos", "bitcoin", "ethereum"])
@@ -152,6 +139,55 @@ async function getTokenPrices(tokenIds = ['aptos'], options = {}) {
   }
 }
 
+/**
+ * Fetch current prices of Aptos tokens by coin type, for tokens without a known CoinGecko ID
+ * @param {Array} coinTypes - Coin types (e.g., ["0x1::aptos_coin::AptosCoin"])
+ * @param {Object} options - Options for fetching (forceRefresh, customCacheKey)
+ * @returns {Object} Object with token prices mapped by lowercase coin type; tokens CoinGecko
+ *   does not price are left out, never given default prices
+ */
+async function getTokenPricesByType(coinTypes = [], options = {}) {
+  const cacheKey = options.customCacheKey || `${CACHE_KEYS.TOKEN_PRICES}_by_type`;
+  
+  if (!options.forceRefresh && dataCache.has(cacheKey)) {
+    return dataCache.get(cacheKey);
+  }
+  
+  if (coinTypes.length === 0) {
+    return {};
+  }
+  
+  try {
+    const response = await axios.get(`${API_ENDPOINTS.COINGECKO}/simple/token_price/aptos`, {
+      params: {
+        contract_addresses: coinTypes.join(','),
+        vs_currencies: 'usd',
+        include_24hr_change: true,
+        include_market_cap: true
+      },
+      timeout: 5000
+    });
+    
+    const prices = {};
+    for (const [coinType, data] of Object.entries(response.data)) {
+      if (typeof data.usd !== 'number') continue;
+      
+      prices[coinType.toLowerCase()] = {
+        price: data.usd,
+        change24h: data.usd_24h_change || 0,
+        marketCap: data.usd_market_cap || 0,
+        timestamp: Date.now()
+      };
+    }
+    
+    dataCache.set(cacheKey, prices);
+    return prices;
+  } catch (error) {
+    console.error('Error fetching token prices by coin type:', error.message);
+    return {};
+  }
+}
+
 /**
  * Get APT price with simpler interface
  * @param {Object} options - Options for fetching
@@ -315,7 +351,7 @@ async function getProtocolAPRs(options = {}) {
     }
     
     // Add protocol addresses
-    for (const [protocol, address] of Object.entries(PROTOCOL_ADDRESSES)) {
+    for (const [protocol, address] of Object.entries(protocolRegistry.getAddresses())) {
       if (protocols[protocol]) {
         protocols[protocol].address = address;
       }
@@ -378,16 +414,24 @@ async function fetchDefiLlamaYields(chain = 'aptos') {
  */
 async function fetchAptosDefiAPRs() {
   try {
-    // Example implementation - would need specific API endpoints or on-chain queries
-    // This is a placeholder that would need to be replaced with real implementation
-    
-    // For a production app, you would query each protocol's API or GraphQL endpoints
-    const protocols = {
-      amnis: await fetchProtocolAPR('amnis', 'https://api.amnisapp.xyz/stats'),
-      thala: await fetchProtocolAPR('thala', 'https://api.thala.fi/pools'),
-      tortuga: await fetchProtocolAPR('tortuga', 'https://api.tortuga.finance/stats'),
-      aries: await fetchProtocolAPR('aries', 'https://api.aries.markets/pools')
-    };
+    // Every protocol adapter with an APR fetcher, with its fallback rates on failure
+    const rates = await protocolRegistry.fetchAprs();
+    const protocols = {};
+    
+    for (const [protocol, categories] of Object.entries(rates)) {
+      const adapter = protocolRegistry.getAdapter(protocol);
+      protocols[protocol] = {};
+      
+      for (const [category, apr] of Object.entries(categories)) {
+        // Liquidity pools are reported as AMM data
+        protocols[protocol][category === 'liquidity' ? 'amm' : category] = {
+          apr,
+          apy: parseFloat(((Math.pow(1 + apr / 100 / 365, 365) - 1) * 100).toFixed(2)),
+          product: category === 'staking' ? adapter.token.symbol : category === 'lending' ? 'Lending Pool' : 'APT-USDC LP',
+          updated: Date.now()
+        };
+      }
+    }
     
     return protocols;
   } catch (error) {
@@ -396,91 +440,6 @@ async function fetchAptosDefiAPRs() {
   }
 }
 
-/**
- * Fetch APR for a specific protocol
- * @param {String} protocol - Protocol name
- * @param {String} endpoint - API endpoint for protocol
- * @returns {Object} Protocol APR data
- */
-async function fetchProtocolAPR(protocol, endpoint) {
-  try {
-    const response = await axios.get(endpoint, { timeout: 5000 });
-    
-    // Process response based on protocol-specific data formats
-    switch (protocol) {
-      case 'amnis':
-        return {
-          staking: {
-            apr: response.data.staking?.apr || 5.25,
-            apy: response.data.staking?.apy || 5.39,
-            tvl: response.data.staking?.tvl || 0,
-            product: 'stAPT',
-            updated: Date.now()
-          }
-        };
-        
-      case 'thala':
-        return {
-          staking: {
-            apr: response.data.staking?.apr || 4.87,
-            apy: response.data.staking?.apy || 4.99,
-            tvl: response.data.staking?.tvl || 0,
-            product: 'sthAPT',
-            updated: Date.now()
-          }
-        };
-        
-      case 'tortuga':
-        return {
-          staking: {
-            apr: response.data.staking?.apr || 4.61,
-            apy: response.data.staking?.apy || 4.72,
-            tvl: response.data.staking?.tvl || 0,
-            product: 'tAPT',
-            updated: Date.now()
-          }
-        };
-        
-      case 'aries':
-        return {
-          lending: {
-            apr: response.data.lending?.supplyApr || 3.15,
-            apy: response.data.lending?.supplyApy || 3.2,
-            tvl: response.data.lending?.tvl || 0,
-            product: 'Lending Pool',
-            updated: Date.now()
-          }
-        };
-        
-      default:
-        return {};
-    }
-  } catch (error) {
-    console.error(`Error fetching ${protocol} APR:`, error.message);
-    
-    // Return default fallback values
-    if (protocol === 'amnis') {
-      return {
-        staking: { apr: 5.25, apy: 5.39, product: 'stAPT', updated: Date.now() }
-      };
-    } else if (protocol === 'thala') {
-      return {
-        staking: { apr: 4.87, apy: 4.99, product: 'sthAPT', updated: Date.now() }
-      };
-    } else if (protocol === 'tortuga') {
-      return {
-        staking: { apr: 4.61, apy: 4.72, product: 'tAPT', updated: Date.now() }
-      };
-    } else if (protocol === 'aries') {
-      return {
-        lending: { apr: 3.15, apy: 3.2, product: 'Lending Pool', updated: Date.now() }
-      };
-    }
-    
-    return {};
-  }
-}
-
 /**
  * Generate optimal staking strategies based on protocol data
  * @param {Object} protocols - Protocol data
@@ -633,35 +592,35 @@ function generateDefaultProtocolData() {
     protocols: {
       amnis: {
         staking: { apr: 5.25, apy: 5.39, product: 'stAPT', updated: Date.now() },
-        address: PROTOCOL_ADDRESSES.amnis
+        address: protocolRegistry.getAddress('amnis')
       },
       thala: {
         staking: { apr: 4.87, apy: 4.99, product: 'sthAPT', updated: Date.now() },
-        address: PROTOCOL_ADDRESSES.thala
+        address: protocolRegistry.getAddress('thala')
       },
       tortuga: {
         staking: { apr: 4.61, apy: 4.72, product: 'tAPT', updated: Date.now() },
-        address: PROTOCOL_ADDRESSES.tortuga
+        address: protocolRegistry.getAddress('tortuga')
       },
       ditto: {
         staking: { apr: 4.35, apy: 4.44, product: 'dAPT', updated: Date.now() },
-        address: PROTOCOL_ADDRESSES.ditto
+        address: protocolRegistry.getAddress('ditto')
       },
       aries: {
         lending: { apr: 3.15, apy: 3.2, product: 'Lending Pool', updated: Date.now() },
-        address: PROTOCOL_ADDRESSES.aries
+        address: protocolRegistry.getAddress('aries')
       },
       echo: {
         lending: { apr: 2.95, apy: 3.0, product: 'Echo Lending', updated: Date.now() },
-        address: PROTOCOL_ADDRESSES.echo
+        address: protocolRegistry.getAddress('echo')
       },
       pancakeswap: {
         amm: { apr: 8.5, apy: 8.87, product: 'APT-USDC LP', updated: Date.now() },
-        address: PROTOCOL_ADDRESSES.pancakeswap
+        address: protocolRegistry.getAddress('pancakeswap')
       },
       liquidswap: {
         amm: { apr: 7.8, apy: 8.12, product: 'APT-USDC LP', updated: Date.now() },
-        address: PROTOCOL_ADDRESSES.liquidswap
+        address: protocolRegistry.getAddress('liquidswap')
       }
     },
     updated: Date.now(),
@@ -933,12 +892,12 @@ function clearAllCaches() {
 
 module.exports = {
   getTokenPrices,
+  getTokenPricesByType,
   getAptPrice,
   getHistoricalPrices,
   getProtocolAPRs,
   getMemeCoinsData,
   getMarketOverview,
   clearAllCaches,
-  PROTOCOL_ADDRESSES,
   CACHE_KEYS
 };
\ No newline at end of file
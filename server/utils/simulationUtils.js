@@ -0,0 +1,208 @@
+// simulationUtils.js
+// Utilities for reading transaction simulations: gas estimates, Move aborts and balance changes
+
+const protocols = require('../protocols');
+const { COIN_TYPES, OCTAS_PER_APT } = require('../protocols/helpers');
+
+// Categories of canonical Move error codes (std::error), keyed by the code's upper bits
+const ERROR_CATEGORIES = {
+  0x1: 'INVALID_ARGUMENT',
+  0x2: 'OUT_OF_RANGE',
+  0x3: 'INVALID_STATE',
+  0x4: 'UNAUTHENTICATED',
+  0x5: 'PERMISSION_DENIED',
+  0x6: 'NOT_FOUND',
+  0x7: 'ABORTED',
+  0x8: 'ALREADY_EXISTS',
+  0x9: 'RESOURCE_EXHAUSTED',
+  0xA: 'CANCELLED',
+  0xB: 'INTERNAL',
+  0xC: 'NOT_IMPLEMENTED',
+  0xD: 'UNAVAILABLE'
+};
+
+// "Move abort in 0x1::coin: EINSUFFICIENT_BALANCE(0x10006): Not enough coins" or "Move abort in 0x1::coin: 0x10006"
+const MOVE_ABORT_PATTERN = /^Move abort in (0x[0-9a-f]+::\w+): (?:(\w+)\()?(0x[0-9a-f]+|\d+)\)?(?::\s*(.*))?$/i;
+
+// Reason codes the framework aborts with when an account holds less than it spends, by module
+const INSUFFICIENT_BALANCE_REASONS = {
+  '0x1::coin': 6,
+  '0x1::fungible_asset': 4
+};
+
+// Fungible asset metadata addresses paired with a coin type (APT migrated to 0xa)
+const PAIRED_COIN_TYPES = {
+  [`0x${'a'.padStart(64, '0')}`]: COIN_TYPES.APT
+};
+
+// Events that move coins and fungible assets
+const COIN_EVENTS = {
+  '0x1::coin::CoinDeposit': 1,
+  '0x1::coin::CoinWithdraw': -1
+};
+const FUNGIBLE_ASSET_EVENTS = {
+  '0x1::fungible_asset::Deposit': 1,
+  '0x1::fungible_asset::Withdraw': -1
+};
+
+/**
+ * Normalize an account address to its long form for comparisons
+ * @param {string} address - Account address
+ * @returns {string} Lowercase address padded to 64 hex digits
+ */
+function normalizeAddress(address) {
+  const hex = String(address || '').toLowerCase().replace(/^0x/, '');
+  return `0x${hex.padStart(64, '0')}`;
+}
+
+/**
+ * Get the assets a balance change can be labelled with, keyed by coin type or metadata address
+ * @returns {Object} Map of asset -> { symbol, decimals }
+ */
+function getKnownAssets() {
+  const assets = {
+    [COIN_TYPES.APT]: { symbol: 'APT', decimals: 8 },
+    [COIN_TYPES.USDC]: { symbol: 'USDC', decimals: 6 }
+  };
+
+  protocols.getTokens().forEach(token => {
+    assets[token.coinType] = { symbol: token.symbol, decimals: token.decimals };
+  });
+
+  return assets;
+}
+
+/**
+ * Decode the VM status of a failed transaction, including canonical Move abort codes
+ * @param {string} vmStatus - VM status reported by the simulation
+ * @returns {Object} { vmStatus, module, name, code, category, reason, message }
+ */
+function decodeVmStatus(vmStatus) {
+  const match = MOVE_ABORT_PATTERN.exec(vmStatus || '');
+  if (!match) {
+    return { vmStatus, message: vmStatus || 'Transaction failed' };
+  }
+
+  const [, module, name, rawCode, description] = match;
+  const code = rawCode.startsWith('0x') ? parseInt(rawCode, 16) : parseInt(rawCode, 10);
+  const category = ERROR_CATEGORIES[code >> 16] || null;
+  const reason = code & 0xFFFF;
+
+  return {
+    vmStatus,
+    module,
+    name: name || null,
+    code,
+    category,
+    reason,
+    message: `${module} aborted with ${name || (category ? `${category}(${reason})` : `code ${code}`)}` +
+      (description ? `: ${description}` : '')
+  };
+}
+
+/**
+ * Check whether a decoded abort means the sender holds less than the transaction spends
+ * @param {Object} abort - Result of decodeVmStatus
+ * @returns {boolean} True for insufficient balance aborts
+ */
+function isInsufficientBalance(abort) {
+  if (!abort) return false;
+  return abort.name === 'EINSUFFICIENT_BALANCE' || INSUFFICIENT_BALANCE_REASONS[abort.module] === abort.reason;
+}
+
+/**
+ * Read the sender's balance changes from the events of a simulated transaction
+ *
+ * Gas is charged separately and is not part of these changes. Fungible asset
+ * transfers count only when the simulation wrote the owner of the store, and
+ * paired assets are reported under their coin type.
+ * @param {Object} simulation - Simulated user transaction
+ * @param {string} sender - Sender address
+ * @returns {Array<Object>} [{ asset, symbol, decimals, raw, amount }], amount is null for unknown assets
+ */
+function readBalanceChanges(simulation, sender) {
+  const account = normalizeAddress(sender);
+  const changes = simulation.changes || [];
+  const knownAssets = getKnownAssets();
+  const deltas = {};
+
+  const addDelta = (asset, raw) => {
+    deltas[asset] = (deltas[asset] || 0n) + raw;
+  };
+
+  // Stores written by the transaction: store address -> { metadata, owner }
+  const stores = {};
+  changes.filter(change => change.type === 'write_resource').forEach(change => {
+    const store = stores[normalizeAddress(change.address)] || {};
+    if (change.data?.type === '0x1::fungible_asset::FungibleStore') {
+      store.metadata = normalizeAddress(change.data.data.metadata.inner);
+    } else if (change.data?.type === '0x1::object::ObjectCore') {
+      store.owner = normalizeAddress(change.data.data.owner);
+    }
+    stores[normalizeAddress(change.address)] = store;
+  });
+
+  (simulation.events || []).forEach(event => {
+    const amount = BigInt(event.data?.amount || 0);
+
+    if (COIN_EVENTS[event.type] && normalizeAddress(event.data.account) === account) {
+      addDelta(event.data.coin_type, amount * BigInt(COIN_EVENTS[event.type]));
+    } else if (FUNGIBLE_ASSET_EVENTS[event.type]) {
+      const store = stores[normalizeAddress(event.data.store)];
+      if (store?.metadata && store.owner === account) {
+        addDelta(PAIRED_COIN_TYPES[store.metadata] || store.metadata, amount * BigInt(FUNGIBLE_ASSET_EVENTS[event.type]));
+      }
+    }
+  });
+
+  return Object.entries(deltas)
+    .filter(([, raw]) => raw !== 0n)
+    .map(([asset, raw]) => {
+      const known = knownAssets[asset];
+      return {
+        asset,
+        symbol: known?.symbol || asset.split('::').pop(),
+        decimals: known?.decimals ?? null,
+        raw: raw.toString(),
+        amount: known ? Number(raw) / 10 ** known.decimals : null
+      };
+    });
+}
+
+/**
+ * Summarize a simulated transaction for the wallet owner
+ * @param {Object} simulation - Simulated user transaction
+ * @param {string} sender - Sender address
+ * @param {number} gasBuffer - Multiplier applied to the simulated gas usage
+ * @returns {Object} Simulation summary; maxGasAmount and gasUnitPrice are what the transaction should be built with
+ */
+function summarizeSimulation(simulation, sender, gasBuffer = 1) {
+  const gasUsed = parseInt(simulation.gas_used || 0);
+  const gasUnitPrice = parseInt(simulation.gas_unit_price || 0);
+  const maxGasAmount = Math.ceil(gasUsed * gasBuffer);
+  const balanceChanges = readBalanceChanges(simulation, sender);
+
+  return {
+    success: Boolean(simulation.success),
+    vmStatus: simulation.vm_status,
+    abort: simulation.success ? null : decodeVmStatus(simulation.vm_status),
+    gasUsed,
+    gasUnitPrice,
+    gasBuffer,
+    maxGasAmount,
+    gasFeeAPT: (gasUsed * gasUnitPrice) / OCTAS_PER_APT,
+    maxGasFeeAPT: (maxGasAmount * gasUnitPrice) / OCTAS_PER_APT,
+    balanceChanges,
+    sends: balanceChanges.filter(change => change.raw.startsWith('-')),
+    receives: balanceChanges.filter(change => !change.raw.startsWith('-'))
+  };
+}
+
+module.exports = {
+  decodeVmStatus,
+  isInsufficientBalance,
+  readBalanceChanges,
+  summarizeSimulation,
+  normalizeAddress,
+  ERROR_CATEGORIES
+};